@@ -1,12 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { useTranslation } from 'react-i18next'
 import { useFormatting } from '../hooks/useFormatting'
+import { useWallet } from '../context/WalletContext'
 import '../styles/ExchangeRateBanner.css'
 
 function ExchangeRateBanner() {
   const { t } = useTranslation()
   const { formatNumber } = useFormatting()
+  const { exchangeRate: pushedRate } = useWallet()
   const bannerRef = useRef(null)
+  // Creation time of the fetched rate; null until a rate has been fetched
+  const fetchedAtRef = useRef(null)
   
   const [exchangeRate, setExchangeRate] = useState(null)
   const [lastUpdated, setLastUpdated] = useState(new Date())
@@ -24,8 +28,9 @@ function ExchangeRateBanner() {
       const data = await response.json()
       
       if (data.success && data.data) {
+        fetchedAtRef.current = new Date(data.data.created_at)
         setExchangeRate(data.data.rate)
-        setLastUpdated(new Date(data.data.created_at))
+        setLastUpdated(fetchedAtRef.current)
       } else {
         throw new Error(data.message || t('messages.exchangeRateFetchFailed'))
       }
@@ -46,18 +51,20 @@ function ExchangeRateBanner() {
     return Number((Math.random() * 0.5 + 0.8).toFixed(4))
   }
 
-  // Initialize exchange rate and set it to update every hour
+  // Fetch the exchange rate once; newer rates are pushed by the server
   useEffect(() => {
-    // Initial fetch of exchange rate
     fetchExchangeRate()
-
-    // Set up interval to update exchange rate every hour
-    const intervalId = setInterval(fetchExchangeRate, 60 * 60 * 1000) // 1 hour = 60 minutes * 60 seconds * 1000 milliseconds
-    
-    // Cleanup function to clear interval when component unmounts
-    return () => clearInterval(intervalId)
   }, [])
 
+  // Show a rate pushed over the live update stream unless it is older than the fetched one
+  useEffect(() => {
+    if (pushedRate && (!fetchedAtRef.current || new Date(pushedRate.createdAt) >= fetchedAtRef.current)) {
+      setExchangeRate(pushedRate.rate)
+      setLastUpdated(new Date(pushedRate.createdAt))
+      setError(null)
+    }
+  }, [pushedRate])
+
   // Format the last updated time to a readable string
   const formatUpdateTime = (date) => {
     const year = date.getFullYear()
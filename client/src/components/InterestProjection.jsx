@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useWallet } from '../context/WalletContext'
+import { useFormatting } from '../hooks/useFormatting'
+import { walletAPI } from '../services/api'
+import '../styles/InterestProjection.css'
+
+// Projection lengths the user can pick, in months
+const PROJECTION_MONTHS = [3, 6, 12, 24]
+
+function InterestProjection() {
+  const { t } = useTranslation()
+  const { formatCurrency } = useFormatting()
+  const { currentWallet } = useWallet()
+  const [months, setMonths] = useState(12)
+  const [projection, setProjection] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const walletId = currentWallet?.id
+  const balance = currentWallet?.balance
+
+  // Reload the projection when the wallet, its balance or the length changes
+  useEffect(() => {
+    if (!walletId) return
+
+    let cancelled = false
+    const fetchProjection = async () => {
+      try {
+        setIsLoading(true)
+        setError(null)
+        const result = await walletAPI.getInterestProjection(walletId, months)
+        if (!cancelled) {
+          setProjection(result.data)
+        }
+      } catch (err) {
+        console.error('Error fetching interest projection:', err)
+        if (!cancelled) {
+          setError(err.message || t('interestProjection.fetchFailed'))
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    fetchProjection()
+    return () => {
+      cancelled = true
+    }
+  }, [walletId, balance, months, t])
+
+  if (!currentWallet) {
+    return null
+  }
+
+  return (
+    <div className="interest-projection glass-card">
+      <div className="interest-projection__header">
+        <h2 className="interest-projection__title">{t('interestProjection.title')}</h2>
+        <select
+          className="interest-projection__months"
+          value={months}
+          onChange={(event) => setMonths(Number(event.target.value))}
+          aria-label={t('interestProjection.months')}
+        >
+          {PROJECTION_MONTHS.map((option) => (
+            <option key={option} value={option}>
+              {t('interestProjection.monthsOption', { count: option })}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="info-item">
+        <span className="info-label">{t('interestProjection.accrued')}:</span>
+        <span className="info-value">{formatCurrency(currentWallet.accruedInterest ?? 0)}</span>
+      </div>
+
+      {error ? (
+        <p className="interest-projection__error">{error}</p>
+      ) : projection && (
+        <>
+          <div className="info-item">
+            <span className="info-label">{t('interestProjection.total', { count: projection.months.length })}:</span>
+            <span className="info-value">{formatCurrency(projection.totalInterest)}</span>
+          </div>
+          <table className={`interest-projection__table ${isLoading ? 'interest-projection__table--loading' : ''}`}>
+            <thead>
+              <tr>
+                <th scope="col">{t('interestProjection.period')}</th>
+                <th scope="col">{t('interestProjection.interest')}</th>
+                <th scope="col">{t('interestProjection.balance')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {projection.months.map((month) => (
+                <tr key={month.period}>
+                  <td>{month.period}</td>
+                  <td>{formatCurrency(month.interest)}</td>
+                  <td>{formatCurrency(month.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="interest-projection__note">{t('interestProjection.note')}</p>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default InterestProjection
@@ -1,6 +1,7 @@
 import { useTranslation } from 'react-i18next'
 import LanguageSelector from './LanguageSelector'
 import ExchangeRateBanner from './ExchangeRateBanner'
+import NotificationBell from './NotificationBell'
 
 function Layout({ children }) {
   const { t } = useTranslation()
@@ -8,6 +9,7 @@ function Layout({ children }) {
   return (
     <div className="app-layout">
       <ExchangeRateBanner />
+      <NotificationBell />
       <main id="main-content" className="app-main">
         {children}
       </main>
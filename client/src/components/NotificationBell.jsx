@@ -0,0 +1,159 @@
+import { useState, useRef, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useWallet } from '../context/WalletContext'
+import { useFormatting } from '../hooks/useFormatting'
+import '../styles/NotificationBell.css'
+
+// Message and icon of each notification type
+const NOTIFICATION_TYPES = {
+  transfer_received: { icon: '💸', key: 'notifications.transferReceived' },
+  receipt_credited: { icon: '🏪', key: 'notifications.receiptCredited' },
+  cdk_redeemed: { icon: '🎟️', key: 'notifications.cdkRedeemed' },
+  interest_posted: { icon: '📈', key: 'notifications.interestPosted' },
+  low_balance: { icon: '⚠️', key: 'notifications.lowBalance' }
+}
+
+function NotificationBell() {
+  const { t } = useTranslation()
+  const { formatCurrency, formatDateTime } = useFormatting()
+  const { currentWallet, notifications, unreadNotifications, walletService } = useWallet()
+  const [isOpen, setIsOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Reload the list whenever the drawer is opened; the unread count is kept
+  // up to date by WalletContext while it is closed
+  useEffect(() => {
+    if (isOpen) {
+      walletService.loadNotifications()
+    }
+  }, [isOpen, walletService])
+
+  // Close the drawer when clicking outside or pressing Escape
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+      document.removeEventListener('keydown', handleEscapeKey)
+    }
+  }, [isOpen])
+
+  if (!currentWallet) {
+    return null
+  }
+
+  // Build the translated message of a notification
+  const getMessage = (notification) => {
+    const { data } = notification
+    const type = NOTIFICATION_TYPES[notification.type]
+    if (!type) {
+      return t('notifications.unknown')
+    }
+    return t(type.key, {
+      ...data,
+      amount: formatCurrency(Math.abs(data.amount ?? 0)),
+      balance: formatCurrency(data.balance ?? 0),
+      threshold: formatCurrency(data.threshold ?? 0),
+      context: notification.type === 'interest_posted' && data.amount < 0 ? 'debit' : undefined
+    })
+  }
+
+  const handleItemClick = async (notification) => {
+    if (notification.read) return
+    try {
+      await walletService.markNotificationRead(notification.id)
+    } catch (error) {
+      console.error('Error marking notification as read:', error)
+    }
+  }
+
+  const handleMarkAllRead = async () => {
+    try {
+      await walletService.markAllNotificationsRead()
+    } catch (error) {
+      console.error('Error marking notifications as read:', error)
+    }
+  }
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-bell__button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label={t('notifications.title')}
+        aria-expanded={isOpen}
+        aria-haspopup="dialog"
+      >
+        <span aria-hidden="true">🔔</span>
+        {unreadNotifications > 0 && (
+          <span className="notification-bell__badge" aria-label={t('notifications.unreadCount', { count: unreadNotifications })}>
+            {unreadNotifications > 99 ? '99+' : unreadNotifications}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-drawer" role="dialog" aria-label={t('notifications.title')}>
+          <div className="notification-drawer__header">
+            <h2 className="notification-drawer__title">{t('notifications.title')}</h2>
+            <div className="notification-drawer__actions">
+              {unreadNotifications > 0 && (
+                <button type="button" className="notification-drawer__mark-all" onClick={handleMarkAllRead}>
+                  {t('notifications.markAllRead')}
+                </button>
+              )}
+              <button
+                type="button"
+                className="notification-drawer__close"
+                onClick={() => setIsOpen(false)}
+                aria-label={t('common.close')}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-drawer__empty">{t('notifications.empty')}</p>
+          ) : (
+            <ul className="notification-drawer__list">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    type="button"
+                    className={`notification-item ${notification.read ? '' : 'notification-item--unread'}`}
+                    onClick={() => handleItemClick(notification)}
+                  >
+                    <span className="notification-item__icon" aria-hidden="true">
+                      {NOTIFICATION_TYPES[notification.type]?.icon || '🔔'}
+                    </span>
+                    <span className="notification-item__content">
+                      <span className="notification-item__message">{getMessage(notification)}</span>
+                      <span className="notification-item__time">{formatDateTime(notification.createdAt)}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationBell
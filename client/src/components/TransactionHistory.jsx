@@ -67,6 +67,14 @@ const TransactionHistory = () => {
     if (transaction.transactionType === 'system') {
       return t('transaction.system')
     }
+
+    if (transaction.transactionType === 'cdk_redemption') {
+      return t('transaction.cdkRedemption')
+    }
+
+    if (['refund', 'reversal'].includes(transaction.transactionType)) {
+      return t(`transaction.${transaction.transactionType}`)
+    }
     
     if (transaction.direction === 'outgoing') {
       return t('transaction.sent')
@@ -82,8 +90,11 @@ const TransactionHistory = () => {
       return `+${formatCurrency(transaction.amount)}`
     }
     
+    // Fees are charged on top of the amount and refunded with it
     if (transaction.direction === 'outgoing') {
-      return `-${formatCurrency(transaction.amount)}`
+      return `-${formatCurrency(transaction.amount + (transaction.feeAmount || 0))}`
+    } else if (transaction.transactionType === 'refund') {
+      return `+${formatCurrency(transaction.amount + (transaction.feeAmount || 0))}`
     } else if (transaction.direction === 'incoming') {
       return `+${formatCurrency(transaction.amount)}`
     }
@@ -102,7 +113,7 @@ const TransactionHistory = () => {
   }
 
   const getOtherParty = (transaction) => {
-    if (transaction.transactionType === 'system') {
+    if (['system', 'cdk_redemption'].includes(transaction.transactionType)) {
       return t('transaction.system')
     }
     
@@ -118,6 +129,10 @@ const TransactionHistory = () => {
         : t('transaction.thirdPartyPayment', { thirdPartyName: '' });
     }
     
+    if (transaction.transactionType === 'refund') {
+      return transaction?.thirdPartyName || t('transaction.unknown')
+    }
+
     if (transaction.transactionType === 'third_party_receipt') {
       const thirdPartyName = transaction?.thirdPartyName || '';
       return thirdPartyName 
@@ -216,6 +231,11 @@ const TransactionHistory = () => {
                     {transaction.description}
                   </div>
                 )}
+                {transaction.feeAmount > 0 && (
+                  <div className="transaction-description">
+                    {t('transaction.fee', { amount: formatCurrency(transaction.feeAmount) })}
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -6,13 +6,14 @@ import { useFormatting } from '../hooks/useFormatting'
 import Loading from './Loading'
 import TransferForm from './TransferForm'
 import CdkRedeemForm from './CdkRedeemForm'
+import InterestProjection from './InterestProjection'
 import '../styles/WalletDashboard.css'
 import '../styles/liquid-glass.css'
 
 function WalletDashboard() {
   const { t } = useTranslation()
   const navigate = useNavigate()
-  const { currentWallet, isLoading, error } = useWallet()
+  const { currentWallet, walletService, isLoading, error } = useWallet()
   const { formatCurrency } = useFormatting()
   const [showTransferForm, setShowTransferForm] = useState(false)
   const [transferSuccess, setTransferSuccess] = useState(false)
@@ -106,7 +107,7 @@ function WalletDashboard() {
   }
 
   const handleLogout = () => {
-    localStorage.removeItem('wallet')
+    walletService.logout()
     navigate('/setup')
   }
 
@@ -208,6 +209,8 @@ function WalletDashboard() {
             <span className="info-value">{currentWallet.id}</span>
           </div>
         </div>
+
+        <InterestProjection />
       </div>
 
       <TransferForm 
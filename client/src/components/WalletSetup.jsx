@@ -11,7 +11,7 @@ function WalletSetup() {
   const { walletService, isLoading, error } = useWallet()
   
   const [mode, setMode] = useState('login') // 'login' or 'create'
-  const [formData, setFormData] = useState({username: ''})
+  const [formData, setFormData] = useState({ username: '', password: '' })
   const [validationErrors, setValidationErrors] = useState({})
   const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 })
   const [cardElement, setCardElement] = useState(null)
@@ -28,6 +28,15 @@ function WalletSetup() {
       errors.username = t('validation.maxLength', { max: 50 })
     }
     
+    // Password validation
+    if (!formData.password) {
+      errors.password = t('validation.required')
+    } else if (formData.password.length < 8) {
+      errors.password = t('validation.minLength', { min: 8 })
+    } else if (formData.password.length > 128) {
+      errors.password = t('validation.maxLength', { max: 128 })
+    }
+    
     setValidationErrors(errors)
     return Object.keys(errors).length === 0
   }
@@ -105,15 +114,15 @@ function WalletSetup() {
     try {
       let result
       if (mode === 'create') {
-        // Set the initial balance to 0
         result = await walletService.createWallet(
           formData.username.trim(),
-          0
+          formData.password
         )
       } else {
         // Login mode
         result = await walletService.loginWallet(
-          formData.username.trim()
+          formData.username.trim(),
+          formData.password
         )
       }
       
@@ -128,7 +137,7 @@ function WalletSetup() {
 
   const switchMode = () => {
     setMode(mode === 'login' ? 'create' : 'login')
-    setFormData({ username: '' })
+    setFormData({ username: '', password: '' })
     setValidationErrors({})
   }
 
@@ -185,6 +194,25 @@ function WalletSetup() {
             )}
           </div>
 
+          <div className="form-group">
+            <label htmlFor="password" className="form-label">
+              {t('wallet.password')}
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleInputChange}
+              className={`form-input ${validationErrors.password ? 'form-input--error' : ''}`}
+              placeholder={t('wallet.enterPassword')}
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            />
+            {validationErrors.password && (
+              <span className="form-error">{validationErrors.password}</span>
+            )}
+          </div>
+
           <button 
             type="submit" 
             className="wallet-setup__submit"
@@ -6,4 +6,6 @@ export { default as LanguageSelector } from './LanguageSelector'
 export { default as Layout } from './Layout'
 export { default as Loading } from './Loading'
 export { default as ErrorBoundary } from './ErrorBoundary'
-export { default as CdkRedeemForm } from './CdkRedeemForm'
\ No newline at end of file
+export { default as CdkRedeemForm } from './CdkRedeemForm'
+export { default as NotificationBell } from './NotificationBell'
+export { default as InterestProjection } from './InterestProjection'
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { createContext, useContext, useReducer, useEffect, useMemo } from 'react'
 import WalletService from '../services/walletService'
+import { openEventStream } from '../services/eventStream'
 import { languageStorage } from '../utils/languageStorage'
+import i18n from '../i18n/config'
 
 const WalletContext = createContext()
 
@@ -8,6 +10,9 @@ const initialState = {
   currentWallet: null,
   transactions: [],
   currentLanguage: languageStorage.getLanguage(),
+  exchangeRate: null,
+  notifications: [],
+  unreadNotifications: 0,
   isLoading: false,
   error: null,
   pagination: {
@@ -34,6 +39,43 @@ function walletReducer(state, action) {
       return { ...state, currentLanguage: action.payload }
     case 'SET_PAGINATION':
       return { ...state, pagination: action.payload }
+    case 'UPDATE_WALLET':
+      // Live update of the logged-in wallet; ignored after switching wallets
+      if (!state.currentWallet || state.currentWallet.id !== action.payload.id) {
+        return state
+      }
+      return { ...state, currentWallet: { ...state.currentWallet, ...action.payload } }
+    case 'SET_EXCHANGE_RATE':
+      return { ...state, exchangeRate: action.payload }
+    case 'SET_NOTIFICATIONS':
+      return {
+        ...state,
+        notifications: action.payload.notifications,
+        unreadNotifications: action.payload.unreadCount
+      }
+    case 'ADD_NOTIFICATION':
+      return {
+        ...state,
+        notifications: [action.payload, ...state.notifications],
+        unreadNotifications: state.unreadNotifications + 1
+      }
+    case 'MARK_NOTIFICATION_READ':
+      if (!state.notifications.some(item => item.id === action.payload && !item.read)) {
+        return state
+      }
+      return {
+        ...state,
+        notifications: state.notifications.map(item =>
+          item.id === action.payload ? { ...item, read: true } : item
+        ),
+        unreadNotifications: Math.max(state.unreadNotifications - 1, 0)
+      }
+    case 'MARK_ALL_NOTIFICATIONS_READ':
+      return {
+        ...state,
+        notifications: state.notifications.map(item => ({ ...item, read: true })),
+        unreadNotifications: 0
+      }
     case 'CLEAR_ERROR':
       return { ...state, error: null }
     default:
@@ -71,6 +113,41 @@ export function WalletProvider({ children }) {
 
   const walletService = useMemo(() => new WalletService(dispatch), [dispatch])
 
+  // Return to the login screen when the session can no longer be refreshed
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      walletService.clearSession()
+      dispatch({ type: 'SET_ERROR', payload: i18n.t('messages.sessionExpired') })
+    }
+
+    window.addEventListener('sessionExpired', handleSessionExpired)
+    return () => window.removeEventListener('sessionExpired', handleSessionExpired)
+  }, [walletService])
+
+  // Receive balance changes, transactions and exchange rates pushed by the server;
+  // the stream is reopened with the new session when the logged-in wallet changes
+  const currentWalletId = state.currentWallet?.id
+  useEffect(() => {
+    return openEventStream({
+      // Catch up on changes missed while disconnected
+      onOpen: () => {
+        if (currentWalletId) {
+          walletService.refreshWallet(currentWalletId)
+          walletService.loadNotifications()
+        }
+      },
+      onMessage: (event, data) => {
+        if (event === 'wallet') {
+          walletService.applyWalletUpdate(data)
+        } else if (event === 'notification') {
+          dispatch({ type: 'ADD_NOTIFICATION', payload: data })
+        } else if (event === 'exchange-rate') {
+          dispatch({ type: 'SET_EXCHANGE_RATE', payload: data })
+        }
+      }
+    })
+  }, [currentWalletId, walletService])
+
   const value = {
     ...state,
     dispatch,
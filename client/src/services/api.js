@@ -1,7 +1,9 @@
 import axios from 'axios'
 import i18n from '../i18n/config'
+import { authStorage } from '../utils/authStorage'
+import { createIdempotencyKey } from '../utils/idempotencyKey'
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://192.168.0.197:3200/api'
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://192.168.0.197:3200/api'
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -15,6 +17,13 @@ const api = axios.create({
 api.interceptors.request.use(
   (config) => {
     console.log(`Making ${config.method?.toUpperCase()} request to ${config.url}`)
+
+    // Attach the access token of the logged-in wallet
+    const accessToken = authStorage.getAccessToken()
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`
+    }
+
     return config
   },
   (error) => {
@@ -22,12 +31,82 @@ api.interceptors.request.use(
   }
 )
 
+// Retries of an idempotent request while its first attempt is in progress,
+// waiting IN_PROGRESS_RETRY_DELAY milliseconds longer before each one
+const IN_PROGRESS_RETRIES = 3
+const IN_PROGRESS_RETRY_DELAY = 1000
+
+// Refresh request shared by all requests that fail while it is in flight
+let refreshPromise = null
+
+// Exchange the stored refresh token for a new access token (the refresh token is rotated)
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken: authStorage.getRefreshToken() })
+      .then((response) => {
+        authStorage.setTokens(response.data.session)
+        return response.data.session
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
     return response
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config
+
+    // Requests with an Idempotency-Key can be retried safely: the server
+    // returns the original result if the first attempt went through
+    if (
+      originalRequest &&
+      !error.response &&
+      !originalRequest._timeoutRetried &&
+      originalRequest.headers?.['Idempotency-Key']
+    ) {
+      originalRequest._timeoutRetried = true
+      return api(originalRequest)
+    }
+
+    // 409: the first attempt of an idempotent request is still being
+    // processed; wait for it to finish and retry to get its result
+    if (
+      error.response?.status === 409 &&
+      originalRequest?.headers?.['Idempotency-Key'] &&
+      (originalRequest._inProgressRetries || 0) < IN_PROGRESS_RETRIES
+    ) {
+      originalRequest._inProgressRetries = (originalRequest._inProgressRetries || 0) + 1
+      await new Promise((resolve) => setTimeout(resolve, IN_PROGRESS_RETRY_DELAY * originalRequest._inProgressRetries))
+      return api(originalRequest)
+    }
+
+    // Access token expired or revoked: refresh once and retry the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retried &&
+      !originalRequest.url?.startsWith('/auth/') &&
+      authStorage.getRefreshToken()
+    ) {
+      originalRequest._retried = true
+      try {
+        const session = await refreshSession()
+        originalRequest.headers.Authorization = `Bearer ${session.accessToken}`
+        return api(originalRequest)
+      } catch {
+        // The session is gone; let the app return to the login screen
+        authStorage.clearTokens()
+        window.dispatchEvent(new Event('sessionExpired'))
+      }
+    }
+
     console.error('API Error:', error.response?.data || error.message)
     
     // Extract friendly error message from server response if available
@@ -59,11 +138,38 @@ api.interceptors.response.use(
   }
 )
 
+// Authentication API methods
+export const authAPI = {
+  // Log in with username and password
+  login: async (username, password) => {
+    const response = await api.post('/auth/login', { username, password })
+    return response.data
+  },
+
+  // Revoke the current session
+  logout: async () => {
+    const response = await api.post('/auth/logout')
+    return response.data
+  },
+
+  // Get the active sessions of the logged-in wallet
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions')
+    return response.data
+  },
+
+  // Revoke one of the sessions of the logged-in wallet
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`)
+    return response.data
+  }
+}
+
 // Wallet API methods
 export const walletAPI = {
   // Create a new wallet
-  createWallet: async (username, initialBalance) => {
-    const response = await api.post('/wallets', { username, initialBalance })
+  createWallet: async (username, password, initialBalance = 0) => {
+    const response = await api.post('/wallets', { username, password, initialBalance })
     return response.data
   },
 
@@ -73,7 +179,7 @@ export const walletAPI = {
     return response.data
   },
 
-  // Get wallet by username (for login)
+  // Get wallet by username
   getWalletByUsername: async (username) => {
     const response = await api.get(`/wallets/username/${username}`)
     return response.data
@@ -85,15 +191,19 @@ export const walletAPI = {
     return response.data
   },
 
-  // Execute transfer by wallet ID
+  // Execute transfer by wallet ID (the idempotency key makes retries safe)
   transfer: async (fromWalletId, toWalletId, amount) => {
-    const response = await api.post('/transfers', { fromWalletId, toWalletId, amount })
+    const response = await api.post('/transfers', { fromWalletId, toWalletId, amount }, {
+      headers: { 'Idempotency-Key': createIdempotencyKey() }
+    })
     return response.data
   },
 
-  // Execute transfer by username
+  // Execute transfer by username (the idempotency key makes retries safe)
   transferByUsername: async (fromUsername, toUsername, amount) => {
-    const response = await api.post('/transfers/by-username', { fromUsername, toUsername, amount })
+    const response = await api.post('/transfers/by-username', { fromUsername, toUsername, amount }, {
+      headers: { 'Idempotency-Key': createIdempotencyKey() }
+    })
     return response.data
   },
 
@@ -103,6 +213,35 @@ export const walletAPI = {
       params: { page, limit }
     })
     return response.data
+  },
+
+  // Get the estimated interest of the coming months
+  getInterestProjection: async (walletId, months = 12) => {
+    const response = await api.get(`/wallets/${walletId}/interest/projection`, {
+      params: { months }
+    })
+    return response.data
+  }
+}
+
+// Notification API methods (the logged-in wallet's notifications)
+export const notificationAPI = {
+  // Get notifications, newest first, with the unread count
+  getNotifications: async (page = 1, limit = 20) => {
+    const response = await api.get('/notifications', { params: { page, limit } })
+    return response.data
+  },
+
+  // Mark one notification as read
+  markRead: async (notificationId) => {
+    const response = await api.post(`/notifications/${notificationId}/read`)
+    return response.data
+  },
+
+  // Mark all notifications as read
+  markAllRead: async () => {
+    const response = await api.post('/notifications/read-all')
+    return response.data
   }
 }
 
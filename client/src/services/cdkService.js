@@ -1,5 +1,6 @@
 import api from './api'
 import i18n from '../i18n/config'
+import { createIdempotencyKey } from '../utils/idempotencyKey'
 
 class CdkService {
   /**
@@ -13,6 +14,8 @@ class CdkService {
       const response = await api.post('/cdks/redeem', {
         code,
         username
+      }, {
+        headers: { 'Idempotency-Key': createIdempotencyKey() }
       })
       
       return response.data
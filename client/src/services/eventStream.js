@@ -0,0 +1,116 @@
+import { API_BASE_URL, refreshSession } from './api'
+import { authStorage } from '../utils/authStorage'
+
+// Reconnect delay after a dropped stream; it doubles up to the maximum
+const RECONNECT_DELAY = 1000
+const MAX_RECONNECT_DELAY = 30000
+
+/**
+ * Split Server-Sent Events text into messages
+ * @param {string} buffer - Received text that has not been parsed yet
+ * @returns {{ messages: Array<{ event: string, data: Object }>, rest: string }} Complete messages and the unfinished remainder
+ */
+export function parseEventStream(buffer) {
+  const frames = buffer.split('\n\n')
+  const rest = frames.pop()
+  const messages = []
+
+  for (const frame of frames) {
+    let event = 'message'
+    const data = []
+    for (const line of frame.split('\n')) {
+      // Lines starting with ":" are comments (heartbeats)
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).trim())
+      }
+    }
+    if (data.length > 0) {
+      try {
+        messages.push({ event, data: JSON.parse(data.join('\n')) })
+      } catch (error) {
+        console.warn('Ignoring malformed event stream message:', error)
+      }
+    }
+  }
+
+  return { messages, rest }
+}
+
+/**
+ * Open the live update stream (GET /api/events)
+ * The access token is sent as a header, so the stream is read with fetch
+ * instead of EventSource. The stream reconnects by itself until it is closed;
+ * an expired access token is refreshed first.
+ * @param {Object} handlers - { onOpen, onMessage(event, data) }
+ * @returns {Function} Closes the stream
+ */
+export function openEventStream({ onOpen, onMessage }) {
+  let controller = null
+  let closed = false
+  let retryTimer = null
+  let delay = RECONNECT_DELAY
+
+  const scheduleReconnect = () => {
+    if (closed) return
+    retryTimer = setTimeout(connect, delay)
+    delay = Math.min(delay * 2, MAX_RECONNECT_DELAY)
+  }
+
+  const connect = async () => {
+    controller = new AbortController()
+    const accessToken = authStorage.getAccessToken()
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/events`, {
+        headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+        signal: controller.signal
+      })
+
+      // Access token expired or revoked: refresh it and reconnect
+      if (response.status === 401 && authStorage.getRefreshToken()) {
+        try {
+          await refreshSession()
+          delay = RECONNECT_DELAY
+        } catch {
+          authStorage.clearTokens()
+          window.dispatchEvent(new Event('sessionExpired'))
+          return
+        }
+        return scheduleReconnect()
+      }
+      if (!response.ok || !response.body) {
+        return scheduleReconnect()
+      }
+
+      delay = RECONNECT_DELAY
+      onOpen?.()
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      for (;;) {
+        const { value, done } = await reader.read()
+        if (done) break
+        const parsed = parseEventStream(buffer + decoder.decode(value, { stream: true }))
+        buffer = parsed.rest
+        parsed.messages.forEach(({ event, data }) => onMessage(event, data))
+      }
+      scheduleReconnect()
+    } catch (error) {
+      if (!closed) {
+        console.warn('Event stream disconnected:', error.message)
+        scheduleReconnect()
+      }
+    }
+  }
+
+  connect()
+
+  return () => {
+    closed = true
+    clearTimeout(retryTimer)
+    controller?.abort()
+  }
+}
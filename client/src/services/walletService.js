@@ -1,19 +1,19 @@
-import { walletAPI } from './api'
+import { walletAPI, authAPI, notificationAPI } from './api'
 import i18n from '../i18n/config'
+import { authStorage } from '../utils/authStorage'
 
 class WalletService {
   constructor(dispatch) {
     this.dispatch = dispatch
   }
 
-  async createWallet(username, initialBalance) {
+  async createWallet(username, password) {
     try {
       this.dispatch({ type: 'SET_LOADING', payload: true })
-      const result = await walletAPI.createWallet(username, initialBalance)
+      const result = await walletAPI.createWallet(username, password)
       
       if (result.success) {
-        this.dispatch({ type: 'SET_WALLET', payload: result.wallet })
-        localStorage.setItem('wallet', JSON.stringify(result.wallet))
+        this.saveSession(result)
         return result
       } else {
         throw new Error(i18n.t('messages.walletCreationFailed'))
@@ -26,14 +26,13 @@ class WalletService {
     }
   }
 
-  async loginWallet(username) {
+  async loginWallet(username, password) {
     try {
       this.dispatch({ type: 'SET_LOADING', payload: true })
-      const result = await walletAPI.getWalletByUsername(username)
+      const result = await authAPI.login(username, password)
       
       if (result.success) {
-        this.dispatch({ type: 'SET_WALLET', payload: result.wallet })
-        localStorage.setItem('wallet', JSON.stringify(result.wallet))
+        this.saveSession(result)
         return result
       } else {
         throw new Error(i18n.t('messages.walletNotFound'))
@@ -60,6 +59,29 @@ class WalletService {
     }
   }
 
+  // Reload the wallet in the background (no loading state, errors are only logged)
+  async refreshWallet(walletId) {
+    try {
+      const result = await walletAPI.getWallet(walletId)
+      this.applyWalletUpdate(result.wallet)
+    } catch (error) {
+      console.warn('Error refreshing wallet:', error.message)
+    }
+  }
+
+  // Apply a wallet pushed by the server or reloaded in the background
+  applyWalletUpdate(wallet) {
+    this.dispatch({ type: 'UPDATE_WALLET', payload: wallet })
+    try {
+      const savedWallet = JSON.parse(localStorage.getItem('wallet'))
+      if (savedWallet && savedWallet.id === wallet.id) {
+        localStorage.setItem('wallet', JSON.stringify({ ...savedWallet, ...wallet }))
+      }
+    } catch (error) {
+      console.warn('Error saving wallet to localStorage:', error)
+    }
+  }
+
   async transfer(fromWalletId, toWalletId, amount) {
     try {
       this.dispatch({ type: 'SET_LOADING', payload: true })
@@ -133,6 +155,62 @@ class WalletService {
     }
   }
 
+  // Load the latest notifications and the unread count (no loading state)
+  async loadNotifications() {
+    try {
+      const result = await notificationAPI.getNotifications()
+      this.dispatch({
+        type: 'SET_NOTIFICATIONS',
+        payload: { notifications: result.data, unreadCount: result.unreadCount }
+      })
+      return result
+    } catch (error) {
+      console.warn('Error loading notifications:', error.message)
+      return null
+    }
+  }
+
+  async markNotificationRead(notificationId) {
+    await notificationAPI.markRead(notificationId)
+    this.dispatch({ type: 'MARK_NOTIFICATION_READ', payload: notificationId })
+  }
+
+  async markAllNotificationsRead() {
+    await notificationAPI.markAllRead()
+    this.dispatch({ type: 'MARK_ALL_NOTIFICATIONS_READ' })
+  }
+
+  // Store the wallet and its session tokens after login or creation
+  saveSession(result) {
+    this.dispatch({ type: 'SET_WALLET', payload: result.wallet })
+    localStorage.setItem('wallet', JSON.stringify(result.wallet))
+    if (result.session) {
+      authStorage.setTokens(result.session)
+    }
+  }
+
+  // Forget the wallet and its tokens locally
+  clearSession() {
+    localStorage.removeItem('wallet')
+    authStorage.clearTokens()
+    this.dispatch({ type: 'SET_WALLET', payload: null })
+    this.dispatch({ type: 'SET_NOTIFICATIONS', payload: { notifications: [], unreadCount: 0 } })
+  }
+
+  // Revoke the session on the server, then forget it locally
+  async logout() {
+    try {
+      if (authStorage.getAccessToken()) {
+        await authAPI.logout()
+      }
+    } catch (error) {
+      // The session may already be expired or revoked; log out locally anyway
+      console.warn('Failed to revoke session on logout:', error)
+    } finally {
+      this.clearSession()
+    }
+  }
+
   clearError() {
     this.dispatch({ type: 'CLEAR_ERROR' })
   }
@@ -0,0 +1,27 @@
+import { describe, test, expect } from 'vitest'
+import { parseEventStream } from '../services/eventStream'
+
+describe('parseEventStream', () => {
+  test('parses complete messages and keeps the unfinished remainder', () => {
+    const { messages, rest } = parseEventStream(
+      'event: wallet\ndata: {"id":"1","balance":87.5}\n\n: heartbeat\n\nevent: exchange-rate\ndata: {"rate":1.2'
+    )
+
+    expect(messages).toEqual([{ event: 'wallet', data: { id: '1', balance: 87.5 } }])
+    expect(rest).toBe('event: exchange-rate\ndata: {"rate":1.2')
+  })
+
+  test('continues with the remainder of the previous chunk', () => {
+    const first = parseEventStream('event: exchange-rate\ndata: {"rate":1.2')
+    const { messages, rest } = parseEventStream(first.rest + '345}\n\n')
+
+    expect(messages).toEqual([{ event: 'exchange-rate', data: { rate: 1.2345 } }])
+    expect(rest).toBe('')
+  })
+
+  test('ignores comments and malformed data', () => {
+    const { messages } = parseEventStream(': connected\n\nevent: wallet\ndata: {oops\n\n')
+
+    expect(messages).toEqual([])
+  })
+})
@@ -1,6 +1,6 @@
 import { vi, describe, test, expect, beforeEach } from 'vitest'
 import WalletService from '../services/walletService'
-import { walletAPI } from '../services/api'
+import { walletAPI, authAPI } from '../services/api'
 
 // Mock the API
 vi.mock('../services/api', () => ({
@@ -9,6 +9,10 @@ vi.mock('../services/api', () => ({
     getWallet: vi.fn(),
     transfer: vi.fn(),
     getTransactionHistory: vi.fn()
+  },
+  authAPI: {
+    login: vi.fn(),
+    logout: vi.fn()
   }
 }))
 
@@ -20,14 +24,16 @@ describe('WalletService', () => {
     mockDispatch = vi.fn()
     walletService = new WalletService(mockDispatch)
     vi.clearAllMocks()
+    localStorage.clear()
   })
 
   test('createWallet dispatches correct actions on success', async () => {
     const mockWallet = { id: '1', username: 'test', balance: 100 }
     walletAPI.createWallet.mockResolvedValue({ success: true, wallet: mockWallet })
 
-    await walletService.createWallet('test', 100)
+    await walletService.createWallet('test', 'password123')
 
+    expect(walletAPI.createWallet).toHaveBeenCalledWith('test', 'password123')
     expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_LOADING', payload: true })
     expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_WALLET', payload: mockWallet })
     expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_LOADING', payload: false })
@@ -36,13 +42,60 @@ describe('WalletService', () => {
   test('createWallet dispatches error on failure', async () => {
     walletAPI.createWallet.mockRejectedValue(new Error('API Error'))
 
-    await expect(walletService.createWallet('test', 100)).rejects.toThrow('API Error')
+    await expect(walletService.createWallet('test', 'password123')).rejects.toThrow('API Error')
 
     expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_LOADING', payload: true })
     expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_ERROR', payload: 'API Error' })
     expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_LOADING', payload: false })
   })
 
+  test('loginWallet stores the wallet and session tokens', async () => {
+    const mockWallet = { id: '1', username: 'test', balance: 100 }
+    authAPI.login.mockResolvedValue({
+      success: true,
+      wallet: mockWallet,
+      session: {
+        id: 'session-1',
+        accessToken: 'token-123',
+        refreshToken: 'refresh-123',
+        expiresAt: '2030-01-01T00:00:00.000Z'
+      }
+    })
+
+    await walletService.loginWallet('test', 'password123')
+
+    expect(authAPI.login).toHaveBeenCalledWith('test', 'password123')
+    expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_WALLET', payload: mockWallet })
+    expect(localStorage.getItem('accessToken')).toBe('token-123')
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-123')
+  })
+
+  test('logout revokes the session and clears it locally', async () => {
+    localStorage.setItem('wallet', '{}')
+    localStorage.setItem('accessToken', 'token-123')
+    localStorage.setItem('refreshToken', 'refresh-123')
+    authAPI.logout.mockResolvedValue({ success: true })
+
+    await walletService.logout()
+
+    expect(authAPI.logout).toHaveBeenCalled()
+    expect(localStorage.getItem('wallet')).toBeNull()
+    expect(localStorage.getItem('accessToken')).toBeNull()
+    expect(localStorage.getItem('refreshToken')).toBeNull()
+    expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_WALLET', payload: null })
+  })
+
+  test('logout clears the session locally when the server call fails', async () => {
+    localStorage.setItem('wallet', '{}')
+    localStorage.setItem('accessToken', 'token-123')
+    authAPI.logout.mockRejectedValue(new Error('Network Error'))
+
+    await walletService.logout()
+
+    expect(localStorage.getItem('accessToken')).toBeNull()
+    expect(mockDispatch).toHaveBeenCalledWith({ type: 'SET_WALLET', payload: null })
+  })
+
   test('clearError dispatches CLEAR_ERROR action', () => {
     walletService.clearError()
     expect(mockDispatch).toHaveBeenCalledWith({ type: 'CLEAR_ERROR' })
@@ -0,0 +1,49 @@
+const ACCESS_TOKEN_STORAGE_KEY = 'accessToken'
+const REFRESH_TOKEN_STORAGE_KEY = 'refreshToken'
+import i18n from '../i18n/config';
+
+export const authStorage = {
+  // Get the access token sent with API requests
+  getAccessToken: () => {
+    try {
+      return localStorage.getItem(ACCESS_TOKEN_STORAGE_KEY)
+    } catch (error) {
+      console.warn(i18n.t('messages.sessionStorageFailed'), error)
+      return null
+    }
+  },
+
+  // Get the refresh token used to obtain a new access token
+  getRefreshToken: () => {
+    try {
+      return localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY)
+    } catch (error) {
+      console.warn(i18n.t('messages.sessionStorageFailed'), error)
+      return null
+    }
+  },
+
+  // Save the tokens of a session returned by login, signup or refresh
+  setTokens: (session) => {
+    try {
+      localStorage.setItem(ACCESS_TOKEN_STORAGE_KEY, session.accessToken)
+      localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, session.refreshToken)
+      return true
+    } catch (error) {
+      console.warn(i18n.t('messages.sessionStorageFailed'), error)
+      return false
+    }
+  },
+
+  // Remove both tokens from localStorage
+  clearTokens: () => {
+    try {
+      localStorage.removeItem(ACCESS_TOKEN_STORAGE_KEY)
+      localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY)
+      return true
+    } catch (error) {
+      console.warn(i18n.t('messages.sessionStorageFailed'), error)
+      return false
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,11 @@
+// Generate a random UUID v4 for the Idempotency-Key header.
+// crypto.randomUUID is only available in secure contexts, so the app served
+// over plain HTTP on the LAN builds the UUID from crypto.getRandomValues.
+export const createIdempotencyKey = () => {
+  const bytes = new Uint8Array(16)
+  crypto.getRandomValues(bytes)
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
\ No newline at end of file
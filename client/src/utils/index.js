@@ -1 +1,3 @@
-export { languageStorage } from './languageStorage'
\ No newline at end of file
+export { languageStorage } from './languageStorage'
+export { authStorage } from './authStorage'
+export { createIdempotencyKey } from './idempotencyKey'
\ No newline at end of file
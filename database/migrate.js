@@ -2,6 +2,9 @@
 // Used to execute database migration scripts
 // Migration scripts should be placed in the migrations directory with filenames in the format YYYYMMDDHHMMSS_*.sql
 // Example: 20230101000000_create_wallets_table.sql
+// Migrations that need to inspect or transform data can be written in JavaScript
+// (YYYYMMDDHHMMSS_*.js) and export an async up(dbAsync) function.
+// Applied migrations are recorded in the schema_migrations table and are not run again.
 
 const fs = require('fs');
 const path = require('path');
@@ -108,6 +111,67 @@ async function executeSqlScript(dbAsync, sqlScript) {
   }
 }
 
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Create the table recording applied migrations
+async function ensureMigrationsTable(dbAsync) {
+  await dbAsync.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+// List migration scripts sorted by filename (assumes filename contains date prefix)
+function listMigrationFiles() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql') || file.endsWith('.js'))
+    .sort();
+}
+
+// Apply one migration script and record it
+async function applyMigration(dbAsync, file) {
+  const scriptPath = path.join(MIGRATIONS_DIR, file);
+
+  if (file.endsWith('.js')) {
+    const migration = require(scriptPath);
+    await migration.up(dbAsync);
+  } else {
+    await executeSqlScript(dbAsync, readMigrationScript(scriptPath));
+  }
+
+  await dbAsync.run('INSERT OR IGNORE INTO schema_migrations (name) VALUES (?)', [file]);
+}
+
+// List migration scripts that have not been recorded yet, without writing to the database
+async function listPendingMigrations(dbAsync) {
+  const table = await dbAsync.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  const applied = new Set(
+    table ? (await dbAsync.all('SELECT name FROM schema_migrations')).map(row => row.name) : []
+  );
+  return listMigrationFiles().filter(file => !applied.has(file));
+}
+
+// Apply all migration scripts that have not been recorded yet
+// Used by the server on startup and by this tool; returns the applied filenames
+async function runPendingMigrations(dbAsync) {
+  await ensureMigrationsTable(dbAsync);
+
+  const pending = await listPendingMigrations(dbAsync);
+
+  for (const file of pending) {
+    console.log(`Executing database migration script: ${file}`);
+    await applyMigration(dbAsync, file);
+    console.log(`Database migration script executed successfully: ${file}`);
+  }
+
+  return pending;
+}
+
 // Execute specified migration script
 async function runMigration(scriptFileName) {
   try {
@@ -117,18 +181,16 @@ async function runMigration(scriptFileName) {
     const { dbAsync } = loadDatabaseConfig();
     
     // Build migration script path
-    const scriptPath = path.join(__dirname, 'migrations', scriptFileName);
+    const scriptPath = path.join(MIGRATIONS_DIR, scriptFileName);
     
     if (!fs.existsSync(scriptPath)) {
       console.error('Migration script does not exist:', scriptPath);  
       process.exit(1);
     }
     
-    // Read migration script
-    const migrationScript = readMigrationScript(scriptPath);
-    
-    // Execute migration script
-    await executeSqlScript(dbAsync, migrationScript);
+    // Execute migration script (even if it was applied before)
+    await ensureMigrationsTable(dbAsync);
+    await applyMigration(dbAsync, scriptFileName);
     
     console.log('Database migration executed successfully:', scriptFileName);
     process.exit(0);
@@ -147,36 +209,19 @@ async function runAllMigrations() {
     // Load database configuration
     const { dbAsync } = loadDatabaseConfig();
     
-    // Get all database migration scripts in the migrations directory
-    const migrationsDir = path.join(__dirname, 'migrations');
-    
-    if (!fs.existsSync(migrationsDir)) {
-      console.error('Database migrations directory does not exist:', migrationsDir);
+    if (!fs.existsSync(MIGRATIONS_DIR)) {
+      console.error('Database migrations directory does not exist:', MIGRATIONS_DIR);
       process.exit(1);
     }
     
-    // Read and sort database migration scripts by filename (assumes filename contains date prefix)
-    const migrationFiles = fs.readdirSync(migrationsDir)
-      .filter(file => file.endsWith('.sql'))
-      .sort();
+    // Execute each database migration script that has not been applied yet
+    const applied = await runPendingMigrations(dbAsync);
     
-    if (migrationFiles.length === 0) {
-      console.log('No database migration scripts found to execute');
+    if (applied.length === 0) {
+      console.log('No pending database migration scripts to execute');
       process.exit(0);
     }
     
-    console.log(`Found ${migrationFiles.length} database migration scripts, will execute in order:`);
-    migrationFiles.forEach(file => console.log(`- ${file}`));
-    
-    // Execute each database migration script
-    for (const file of migrationFiles) {
-      console.log(`\nExecuting database migration script: ${file}`);
-      const scriptPath = path.join(migrationsDir, file);
-      const migrationScript = readMigrationScript(scriptPath);
-      await executeSqlScript(dbAsync, migrationScript);
-      console.log(`Database migration script executed successfully: ${file}`);
-    }
-    
     console.log('\nAll database migrations executed successfully');
     process.exit(0);
     
@@ -211,11 +256,18 @@ async function main() {
     await runMigration(args.scriptName);
   } else {
     console.log('Database migration usage:');
-    console.log('  node migrate.js                   # Execute all database migration scripts');
+    console.log('  node migrate.js                   # Execute all pending database migration scripts');
     console.log('  node migrate.js --script <filename> # Execute specified database migration script');
     process.exit(0);
   }
 }
 
-// Execute main function
-main();
\ No newline at end of file
+// Execute main function when run from the command line
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  listPendingMigrations,
+  runPendingMigrations
+};
\ No newline at end of file
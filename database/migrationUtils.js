@@ -0,0 +1,134 @@
+// Database Migration Helpers
+// Shared by JavaScript migration scripts in the migrations directory
+
+/**
+ * Get the declared type of a column
+ * @param {Object} dbAsync - Database promise wrapper
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<string|null>} Upper-case declared type, or null if the table or column does not exist
+ */
+async function getColumnType(dbAsync, table, column) {
+  const columns = await dbAsync.all(`PRAGMA table_info(${table})`);
+  const info = columns.find(col => col.name === column);
+  return info ? (info.type || '').toUpperCase() : null;
+}
+
+/**
+ * Replace the definition of one column in a CREATE TABLE statement
+ * Everything after the column name up to the next top-level comma is replaced.
+ * @param {string} createSql - CREATE TABLE statement from sqlite_master
+ * @param {string} column - Column name
+ * @param {string} definition - New type and constraints, e.g. "INTEGER NOT NULL DEFAULT 0"
+ * @returns {string} Rewritten statement
+ */
+function replaceColumnDefinition(createSql, column, definition) {
+  const bodyStart = createSql.indexOf('(');
+  const columnPattern = new RegExp(`^\\s*["\`]?${column}["\`]?\\s`, 'i');
+  let depth = 0;
+  let segmentStart = bodyStart + 1;
+
+  for (let i = segmentStart; i < createSql.length; i++) {
+    const char = createSql[i];
+    if (char === '(') depth++;
+    if (char === ')' && depth > 0) {
+      depth--;
+      continue;
+    }
+
+    // A top-level comma or the closing parenthesis ends a column definition
+    if ((char === ',' && depth === 0) || (char === ')' && depth === 0)) {
+      const segment = createSql.slice(segmentStart, i);
+      if (columnPattern.test(segment)) {
+        const leading = segment.match(/^\s*/)[0];
+        return `${createSql.slice(0, segmentStart)}${leading}${column} ${definition}${createSql.slice(i)}`;
+      }
+      segmentStart = i + 1;
+    }
+  }
+
+  throw new Error(`Column ${column} not found in table definition`);
+}
+
+/**
+ * Rebuild a table with a modified definition
+ * SQLite cannot change column types or CHECK constraints in place, so the table
+ * is recreated, its rows copied, and its indexes and triggers restored.
+ * Must run inside withForeignKeysDisabled.
+ * @param {Object} dbAsync - Database promise wrapper
+ * @param {string} table - Table name
+ * @param {Object} options - Rebuild options
+ * @param {Function} options.transformSql - Receives the current CREATE TABLE statement and returns the new one
+ * @param {Function} options.afterCopy - Optional, receives the name of the new table after rows are copied
+ *   and before indexes and triggers exist (so triggers do not fire)
+ */
+async function rebuildTable(dbAsync, table, { transformSql, afterCopy }) {
+  const tempTable = `${table}__rebuild`;
+
+  const master = await dbAsync.get(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [table]
+  );
+  if (!master) {
+    throw new Error(`Table ${table} does not exist`);
+  }
+
+  // Indexes and triggers are dropped with the table; keep their definitions
+  const dependents = await dbAsync.all(
+    "SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND tbl_name = ? AND sql IS NOT NULL",
+    [table]
+  );
+
+  const columns = (await dbAsync.all(`PRAGMA table_info(${table})`)).map(col => col.name).join(', ');
+
+  const createSql = transformSql(master.sql).replace(
+    /^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?\w+["`]?/i,
+    `CREATE TABLE ${tempTable}`
+  );
+
+  await dbAsync.run(`DROP TABLE IF EXISTS ${tempTable}`);
+  await dbAsync.run(createSql);
+  await dbAsync.run(`INSERT INTO ${tempTable} (${columns}) SELECT ${columns} FROM ${table}`);
+
+  if (afterCopy) {
+    await afterCopy(tempTable);
+  }
+
+  await dbAsync.run(`DROP TABLE ${table}`);
+  await dbAsync.run(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+
+  for (const { sql } of dependents) {
+    await dbAsync.run(sql);
+  }
+}
+
+/**
+ * Run a function in a transaction with foreign key enforcement switched off
+ * Required when rebuilding tables that other tables reference. Foreign keys
+ * are checked before committing, and enforcement is restored afterwards.
+ * @param {Object} dbAsync - Database promise wrapper
+ * @param {Function} fn - Async function performing the changes
+ */
+async function withForeignKeysDisabled(dbAsync, fn) {
+  // PRAGMA foreign_keys has no effect inside a transaction, so switch it first
+  await dbAsync.run('PRAGMA foreign_keys = OFF');
+  try {
+    await dbAsync.transaction(async () => {
+      await fn();
+
+      const violations = await dbAsync.all('PRAGMA foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Foreign key check failed for ${violations.length} rows`);
+      }
+    });
+  } finally {
+    await dbAsync.run('PRAGMA foreign_keys = ON');
+  }
+}
+
+module.exports = {
+  getColumnType,
+  replaceColumnDefinition,
+  rebuildTable,
+  withForeignKeysDisabled
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+// Convert money columns from REAL major units to INTEGER minor units (cents)
+// Each value is converted with the same rounding the server uses for input amounts,
+// so 0.1 + 0.2 stored as 0.30000000000000004 becomes exactly 30.
+// Values with sub-cent fractions cannot be stored exactly; their original REAL
+// values are kept in money_conversion_backup next to the rounded ones.
+// Databases created with the integer schema are left untouched.
+
+const path = require('path');
+const money = require(path.join(__dirname, '..', '..', 'server', 'utils', 'money'));
+const {
+  getColumnType,
+  replaceColumnDefinition,
+  rebuildTable,
+  withForeignKeysDisabled
+} = require('../migrationUtils');
+
+const MONEY_COLUMNS = [
+  { table: 'wallets', column: 'balance', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'transactions', column: 'amount', definition: 'INTEGER NOT NULL' },
+  { table: 'interest_logs', column: 'total_interest', definition: 'INTEGER DEFAULT 0' }
+];
+
+// Original values of money columns that were rounded by the conversion
+const BACKUP_TABLE_SQL = `CREATE TABLE IF NOT EXISTS money_conversion_backup (
+  table_name TEXT NOT NULL,
+  column_name TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  original_value REAL NOT NULL,
+  converted_value INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (table_name, column_name, record_id)
+)`;
+
+async function up(dbAsync) {
+  const pending = [];
+  for (const target of MONEY_COLUMNS) {
+    const type = await getColumnType(dbAsync, target.table, target.column);
+    if (type && type !== 'INTEGER') {
+      pending.push(target);
+    }
+  }
+
+  if (pending.length === 0) {
+    console.log('Money columns already use integer minor units');
+    return;
+  }
+
+  await dbAsync.run(BACKUP_TABLE_SQL);
+
+  await withForeignKeysDisabled(dbAsync, async () => {
+    for (const { table, column, definition } of pending) {
+      const before = await dbAsync.get(`SELECT COUNT(*) AS count, COALESCE(SUM(${column}), 0) AS total FROM ${table}`);
+
+      await rebuildTable(dbAsync, table, {
+        transformSql: (sql) => replaceColumnDefinition(sql, column, definition),
+        afterCopy: async (tempTable) => {
+          const rows = await dbAsync.all(`SELECT rowid, id, ${column} AS value FROM ${tempTable}`);
+          let subCentRows = 0;
+
+          for (const row of rows) {
+            const value = row.value === null ? 0 : row.value;
+            const minorUnits = money.toMinorUnits(value);
+            if (!money.hasValidPrecision(value)) {
+              subCentRows++;
+              await dbAsync.run(
+                `INSERT OR REPLACE INTO money_conversion_backup (table_name, column_name, record_id, original_value, converted_value)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [table, column, row.id, value, minorUnits]
+              );
+            }
+            await dbAsync.run(`UPDATE ${tempTable} SET ${column} = ? WHERE rowid = ?`, [minorUnits, row.rowid]);
+          }
+
+          if (subCentRows > 0) {
+            console.warn(`${table}.${column}: ${subCentRows} values had sub-cent fractions and were rounded to the nearest cent; the original values are kept in money_conversion_backup`);
+          }
+        }
+      });
+
+      // Every value must now be an integer and the row count unchanged
+      const after = await dbAsync.get(
+        `SELECT COUNT(*) AS count, COALESCE(SUM(${column}), 0) AS total,
+                SUM(CASE WHEN typeof(${column}) != 'integer' THEN 1 ELSE 0 END) AS nonInteger
+         FROM ${table}`
+      );
+      if (after.count !== before.count || after.nonInteger > 0) {
+        throw new Error(`Conversion of ${table}.${column} failed verification`);
+      }
+
+      console.log(`${table}.${column}: ${after.count} rows converted, total ${before.total} -> ${money.format(after.total)}`);
+    }
+  });
+}
+
+module.exports = { up };
\ No newline at end of file
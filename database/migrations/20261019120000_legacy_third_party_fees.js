@@ -0,0 +1,65 @@
+// Split the fee out of third-party payments recorded before the double-entry ledger
+// Those payments recorded the amount plus the 10% fee as one amount. When the
+// total matches that rule, the fee is moved to transactions.fee_amount and the
+// payment is posted with the fee as its own line, so the ledger backfill in
+// 20261020000000_double_entry_ledger.js skips it. This runs before the backfill
+// on databases that have not applied it yet; databases that already did have
+// their payments split by 20261022000000_fee_schedules.js instead.
+
+const path = require('path');
+const serverDir = path.join(__dirname, '..', '..', 'server');
+const money = require(path.join(serverDir, 'utils', 'money'));
+const LedgerRepository = require(path.join(serverDir, 'repositories', 'LedgerRepository'));
+
+const LEGACY_FEE_RATE = 0.10;
+
+// Recover the fee of a legacy third-party payment whose amount includes it
+function legacyFee(total) {
+  const estimate = Math.round(total / (1 + LEGACY_FEE_RATE));
+  for (const original of [estimate - 1, estimate, estimate + 1]) {
+    const fee = money.applyRate(original, LEGACY_FEE_RATE);
+    if (original > 0 && original + fee === total) {
+      return fee;
+    }
+  }
+  return 0;
+}
+
+async function up(dbAsync) {
+  const ledgerRepo = new LedgerRepository();
+
+  await dbAsync.transaction(async () => {
+    const unposted = await dbAsync.all(
+      `SELECT t.* FROM transactions t
+       WHERE t.transaction_type = 'third_party_payment' AND t.fee_amount = 0 AND t.from_wallet_id IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.transaction_id = t.id)
+       ORDER BY t.created_at`
+    );
+
+    let split = 0;
+    for (const payment of unposted) {
+      const feeAmount = legacyFee(payment.amount);
+      if (feeAmount === 0) {
+        continue;
+      }
+
+      const amount = payment.amount - feeAmount;
+      await dbAsync.run(
+        'UPDATE transactions SET amount = ?, fee_amount = ? WHERE id = ?',
+        [amount, feeAmount, payment.id]
+      );
+      await ledgerRepo.post(payment.id, LedgerRepository.buildEntries({
+        fromWalletId: payment.from_wallet_id,
+        toWalletId: payment.to_wallet_id,
+        amount,
+        transactionType: payment.transaction_type,
+        feeAmount
+      }));
+      split++;
+    }
+
+    console.log(`Legacy fees: ${split} third-party payments split into amount and fee`);
+  });
+}
+
+module.exports = { up };
@@ -0,0 +1,64 @@
+// Post ledger entries for transactions recorded before the double-entry ledger
+// Each existing transaction gets the entries it would receive today. Third-party
+// payments are split into the 10% fee and the amount paid out when the total
+// matches that rule. Wallets whose balance is still not explained by their
+// transactions (e.g. earlier admin overrides) receive an opening balance
+// transaction against the balance adjustments account.
+
+const path = require('path');
+const serverDir = path.join(__dirname, '..', '..', 'server');
+const money = require(path.join(serverDir, 'utils', 'money'));
+const LedgerRepository = require(path.join(serverDir, 'repositories', 'LedgerRepository'));
+const TransactionRepository = require(path.join(serverDir, 'repositories', 'TransactionRepository'));
+
+const LEGACY_FEE_RATE = 0.10;
+
+// Recover the fee of a legacy third-party payment whose amount includes it
+function legacyFee(total) {
+  const estimate = Math.round(total / (1 + LEGACY_FEE_RATE));
+  for (const original of [estimate - 1, estimate, estimate + 1]) {
+    const fee = money.applyRate(original, LEGACY_FEE_RATE);
+    if (original > 0 && original + fee === total) {
+      return fee;
+    }
+  }
+  return 0;
+}
+
+async function up(dbAsync) {
+  const ledgerRepo = new LedgerRepository();
+  const transactionRepo = new TransactionRepository();
+
+  await dbAsync.transaction(async () => {
+    const unposted = await dbAsync.all(
+      `SELECT t.* FROM transactions t
+       WHERE NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.transaction_id = t.id)
+       ORDER BY t.created_at`
+    );
+
+    for (const transaction of unposted) {
+      await ledgerRepo.post(transaction.id, LedgerRepository.buildEntries({
+        fromWalletId: transaction.from_wallet_id,
+        toWalletId: transaction.to_wallet_id,
+        amount: transaction.amount,
+        transactionType: transaction.transaction_type,
+        feeAmount: transaction.transaction_type === 'third_party_payment' ? legacyFee(transaction.amount) : 0
+      }));
+    }
+
+    const mismatches = await ledgerRepo.findBalanceMismatches();
+    for (const mismatch of mismatches) {
+      await transactionRepo.create({
+        fromWalletId: mismatch.difference < 0 ? mismatch.wallet_id : null,
+        toWalletId: mismatch.difference > 0 ? mismatch.wallet_id : null,
+        amount: Math.abs(mismatch.difference),
+        transactionType: 'system',
+        description: 'Opening balance (ledger migration)'
+      });
+    }
+
+    console.log(`Ledger: posted ${unposted.length} existing transactions, ${mismatches.length} opening balance adjustments`);
+  });
+}
+
+module.exports = { up };
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Record CDK redemptions with their own transaction type
+// Redemptions used to be generic 'system' transactions. The transaction_type
+// CHECK constraint is widened to allow 'cdk_redemption', redemptions made before
+// cdk_redemptions existed are linked to their code where the code can be
+// identified unambiguously, and all redemption transactions are retyped.
+// Existing ledger entries are left as they were posted.
+
+const path = require('path');
+const serverDir = path.join(__dirname, '..', '..', 'server');
+const { v4: uuidv4 } = require(require.resolve('uuid', { paths: [serverDir] }));
+const {
+  replaceColumnDefinition,
+  rebuildTable,
+  withForeignKeysDisabled
+} = require('../migrationUtils');
+
+const TRANSACTION_TYPE_DEFINITION = "TEXT NOT NULL CHECK (transaction_type IN ('transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt', 'cdk_redemption'))";
+
+// Descriptions written by CdkService.redeemCdk in every server locale
+const LEGACY_DESCRIPTIONS = ['CDK redemption (%)', 'CDKの使用 (%)', 'CDK兑换 (%)', 'CDK兌換 (%)'];
+
+async function up(dbAsync) {
+  await withForeignKeysDisabled(dbAsync, async () => {
+    const master = await dbAsync.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'transactions'");
+    if (!master.sql.includes("'cdk_redemption'")) {
+      await rebuildTable(dbAsync, 'transactions', {
+        transformSql: (sql) => replaceColumnDefinition(sql, 'transaction_type', TRANSACTION_TYPE_DEFINITION)
+      });
+      console.log('transactions.transaction_type: cdk_redemption allowed');
+    }
+
+    const legacy = await dbAsync.all(
+      `SELECT t.* FROM transactions t
+       WHERE t.transaction_type = 'system' AND t.from_wallet_id IS NULL
+         AND (${LEGACY_DESCRIPTIONS.map(() => 't.description LIKE ?').join(' OR ')})
+         AND NOT EXISTS (SELECT 1 FROM cdk_redemptions r WHERE r.transaction_id = t.id)`,
+      LEGACY_DESCRIPTIONS
+    );
+
+    let linked = 0;
+    for (const transaction of legacy) {
+      // The description only keeps the first 8 characters of the code
+      const keyPrefix = transaction.description.slice(transaction.description.indexOf('(') + 1, -1);
+      const candidates = await dbAsync.all(
+        `SELECT c.* FROM cdks c
+         WHERE substr(c.key, 1, 8) = ? AND c.used_by_wallet_id = ? AND c.amount = ?
+           AND NOT EXISTS (SELECT 1 FROM cdk_redemptions r WHERE r.cdk_id = c.id)`,
+        [keyPrefix, transaction.to_wallet_id, transaction.amount]
+      );
+      if (candidates.length === 1) {
+        const cdk = candidates[0];
+        await dbAsync.run(
+          `INSERT INTO cdk_redemptions (id, cdk_id, campaign_id, wallet_id, amount, transaction_id, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), cdk.id, cdk.campaign_id, transaction.to_wallet_id, transaction.amount, transaction.id, transaction.created_at]
+        );
+        linked++;
+      }
+    }
+
+    const retyped = await dbAsync.run(
+      `UPDATE transactions SET transaction_type = 'cdk_redemption'
+       WHERE transaction_type = 'system'
+         AND (id IN (SELECT transaction_id FROM cdk_redemptions)
+              OR (from_wallet_id IS NULL AND (${LEGACY_DESCRIPTIONS.map(() => 'description LIKE ?').join(' OR ')})))`,
+      LEGACY_DESCRIPTIONS
+    );
+
+    console.log(`CDK redemptions: ${retyped.changes} transactions retyped, ${legacy.length} legacy redemptions found, ${linked} linked to their code`);
+  });
+}
+
+module.exports = { up };
\ No newline at end of file
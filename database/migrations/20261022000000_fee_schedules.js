@@ -0,0 +1,59 @@
+// Move third-party payment fees out of the transaction amount
+// Payments used to record the amount plus the 10% fee as one amount, posted as
+// a single wallet debit split between fee revenue and third-party clearing.
+// The fee now lives in transactions.fee_amount with its own wallet ledger line,
+// and the 10% rule becomes the default fee schedule.
+
+const path = require('path');
+const serverDir = path.join(__dirname, '..', '..', 'server');
+const { v4: uuidv4 } = require(require.resolve('uuid', { paths: [serverDir] }));
+
+const DEFAULT_FEE_RATE = 0.10;
+
+async function up(dbAsync) {
+  await dbAsync.transaction(async () => {
+    const schedules = await dbAsync.get('SELECT COUNT(*) AS count FROM fee_schedules');
+    if (schedules.count === 0) {
+      const now = new Date().toISOString();
+      await dbAsync.run(
+        `INSERT INTO fee_schedules (id, name, third_party_id, fee_type, rate, created_at, updated_at)
+         VALUES (?, 'Default', NULL, 'percentage', ?, ?, ?)`,
+        [uuidv4(), DEFAULT_FEE_RATE, now, now]
+      );
+      console.log(`Fee schedules: default ${DEFAULT_FEE_RATE * 100}% schedule created`);
+    }
+
+    // Payments whose fee is still folded into the amount, with the fee posted to fee revenue
+    const folded = await dbAsync.all(
+      `SELECT t.id, t.from_wallet_id, t.amount, e.amount AS fee_amount, e.created_at
+       FROM transactions t
+       JOIN ledger_entries e ON e.transaction_id = t.id
+       JOIN ledger_accounts a ON a.id = e.account_id AND a.code = 'system:fee_revenue'
+       WHERE t.transaction_type = 'third_party_payment' AND t.fee_amount = 0 AND t.from_wallet_id IS NOT NULL`
+    );
+
+    for (const payment of folded) {
+      const amount = payment.amount - payment.fee_amount;
+      await dbAsync.run(
+        'UPDATE transactions SET amount = ?, fee_amount = ? WHERE id = ?',
+        [amount, payment.fee_amount, payment.id]
+      );
+
+      // Split the wallet's single debit into the amount and the fee
+      const walletAccount = await dbAsync.get('SELECT id FROM ledger_accounts WHERE code = ?', [`wallet:${payment.from_wallet_id}`]);
+      await dbAsync.run(
+        'UPDATE ledger_entries SET amount = ? WHERE transaction_id = ? AND account_id = ? AND amount = ?',
+        [-amount, payment.id, walletAccount.id, -payment.amount]
+      );
+      await dbAsync.run(
+        `INSERT INTO ledger_entries (id, transaction_id, account_id, amount, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [uuidv4(), payment.id, walletAccount.id, -payment.fee_amount, payment.created_at]
+      );
+    }
+
+    console.log(`Fee schedules: ${folded.length} third-party payments split into amount and fee`);
+  });
+}
+
+module.exports = { up };
\ No newline at end of file
@@ -0,0 +1,50 @@
+// Link third-party transactions to registered merchants
+// Third-party transactions used to carry only a free-text third_party_name.
+// Every merchant found in them is registered (without an API key, so it has to
+// be issued one before it can send requests again) and the transactions point
+// to it through merchant_id. The merchant ID is taken from the default
+// description ("... (ID: <id>)") when present, otherwise one is generated per name.
+
+const path = require('path');
+const serverDir = path.join(__dirname, '..', '..', 'server');
+const { v4: uuidv4 } = require(require.resolve('uuid', { paths: [serverDir] }));
+
+const DESCRIBED_ID_PATTERN = /\(ID: ([A-Za-z0-9_-]{1,64})\)$/;
+
+async function up(dbAsync) {
+  await dbAsync.run('CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_id)');
+
+  await dbAsync.transaction(async () => {
+    const unlinked = await dbAsync.all(
+      `SELECT id, third_party_name, description, created_at FROM transactions
+       WHERE transaction_type IN ('third_party_payment', 'third_party_receipt') AND merchant_id IS NULL
+       ORDER BY created_at`
+    );
+
+    const generatedIds = new Map();
+    let registered = 0;
+    for (const transaction of unlinked) {
+      const name = transaction.third_party_name || 'Unknown merchant';
+      const described = transaction.description && transaction.description.match(DESCRIBED_ID_PATTERN);
+      let merchantId = described ? described[1] : generatedIds.get(name);
+      if (!merchantId) {
+        merchantId = uuidv4();
+        generatedIds.set(name, merchantId);
+      }
+
+      const existing = await dbAsync.get('SELECT id FROM merchants WHERE id = ?', [merchantId]);
+      if (!existing) {
+        await dbAsync.run(
+          'INSERT INTO merchants (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)',
+          [merchantId, name, transaction.created_at, transaction.created_at]
+        );
+        registered++;
+      }
+      await dbAsync.run('UPDATE transactions SET merchant_id = ? WHERE id = ?', [merchantId, transaction.id]);
+    }
+
+    console.log(`Merchants: ${unlinked.length} third-party transactions linked, ${registered} merchants registered`);
+  });
+}
+
+module.exports = { up };
\ No newline at end of file
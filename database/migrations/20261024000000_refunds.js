@@ -0,0 +1,28 @@
+// Allow refund and reversal transactions
+// Refunds of third-party payments and reversals of transfers are transactions of
+// their own that point to the original through original_transaction_id (added by
+// upgradeSchema). The transaction_type CHECK constraint is widened to allow them.
+
+const {
+  replaceColumnDefinition,
+  rebuildTable,
+  withForeignKeysDisabled
+} = require('../migrationUtils');
+
+const TRANSACTION_TYPE_DEFINITION = "TEXT NOT NULL CHECK (transaction_type IN ('transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt', 'cdk_redemption', 'refund', 'reversal'))";
+
+async function up(dbAsync) {
+  await withForeignKeysDisabled(dbAsync, async () => {
+    const master = await dbAsync.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'transactions'");
+    if (!master.sql.includes("'refund'")) {
+      await rebuildTable(dbAsync, 'transactions', {
+        transformSql: (sql) => replaceColumnDefinition(sql, 'transaction_type', TRANSACTION_TYPE_DEFINITION)
+      });
+      console.log('transactions.transaction_type: refund and reversal allowed');
+    }
+  });
+
+  await dbAsync.run('CREATE INDEX IF NOT EXISTS idx_transactions_original ON transactions(original_transaction_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,26 @@
+// Move the hardcoded interest rate into the interest_policies table
+// InterestService used to apply a fixed 1% annual rate (0.01 / 12 per month).
+// That rate becomes the default policy, in force from the first period on, so
+// interest stays the same until an admin schedules a new policy.
+
+const path = require('path');
+const serverDir = path.join(__dirname, '..', '..', 'server');
+const { v4: uuidv4 } = require(require.resolve('uuid', { paths: [serverDir] }));
+
+const DEFAULT_ANNUAL_RATE = 0.01;
+const DEFAULT_EFFECTIVE_FROM = '1970-01';
+
+async function up(dbAsync) {
+  const policies = await dbAsync.get('SELECT COUNT(*) AS count FROM interest_policies');
+  if (policies.count === 0) {
+    const now = new Date().toISOString();
+    await dbAsync.run(
+      `INSERT INTO interest_policies (id, name, effective_from, annual_rate, created_at, updated_at)
+       VALUES (?, 'Default', ?, ?, ?, ?)`,
+      [uuidv4(), DEFAULT_EFFECTIVE_FROM, DEFAULT_ANNUAL_RATE, now, now]
+    );
+    console.log(`Interest policies: default ${DEFAULT_ANNUAL_RATE * 100}% policy created`);
+  }
+}
+
+module.exports = { up };
@@ -1,11 +1,15 @@
 -- SQLite Database Initialization Script
 -- Used to create the necessary tables and indices for the wallet application
+-- Money columns (balance, amount, total_interest) hold integer minor units (cents)
 
 -- Create wallets table
 CREATE TABLE IF NOT EXISTS wallets (
   id TEXT PRIMARY KEY,
   username TEXT UNIQUE NOT NULL,
-  balance REAL NOT NULL DEFAULT 0.00,
+  balance INTEGER NOT NULL DEFAULT 0,
+  held_balance INTEGER NOT NULL DEFAULT 0 CHECK (held_balance >= 0),
+  password_hash TEXT,
+  role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'operator', 'admin')),
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
@@ -15,10 +19,13 @@ CREATE TABLE IF NOT EXISTS transactions (
   id TEXT PRIMARY KEY,
   from_wallet_id TEXT,
   to_wallet_id TEXT,
-  amount REAL NOT NULL,
-  transaction_type TEXT NOT NULL CHECK (transaction_type IN ('transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt')),
+  amount INTEGER NOT NULL,
+  transaction_type TEXT NOT NULL CHECK (transaction_type IN ('transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt', 'cdk_redemption', 'refund', 'reversal')),
   description TEXT,
   third_party_name TEXT,
+  fee_amount INTEGER NOT NULL DEFAULT 0,
+  merchant_id TEXT REFERENCES merchants(id),
+  original_transaction_id TEXT REFERENCES transactions(id),
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   FOREIGN KEY (from_wallet_id) REFERENCES wallets(id),
   FOREIGN KEY (to_wallet_id) REFERENCES wallets(id)
@@ -57,7 +64,7 @@ CREATE TABLE IF NOT EXISTS interest_logs (
   status TEXT NOT NULL DEFAULT 'PENDING',
   total_wallets INTEGER DEFAULT 0,
   processed_count INTEGER DEFAULT 0,
-  total_interest REAL DEFAULT 0.00,
+  total_interest INTEGER DEFAULT 0,
   error_message TEXT,
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at TEXT NOT NULL DEFAULT (datetime('now'))
@@ -73,4 +80,366 @@ END;
 
 -- Create index for interest_logs table
 CREATE INDEX IF NOT EXISTS idx_interest_logs_status ON interest_logs(status);
-CREATE INDEX IF NOT EXISTS idx_interest_logs_period ON interest_logs(period);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_interest_logs_period ON interest_logs(period);
+
+-- Create sessions table to track refresh tokens and allow server-side revocation
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  wallet_id TEXT NOT NULL,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  user_agent TEXT,
+  ip_address TEXT,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  last_used_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+);
+
+-- Create index for sessions table
+CREATE INDEX IF NOT EXISTS idx_sessions_wallet ON sessions(wallet_id);
+
+-- Create idempotency_keys table so retried money-moving requests return the original response
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id TEXT PRIMARY KEY,
+  idempotency_key TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  wallet_id TEXT NOT NULL DEFAULT '',
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PROCESSING' CHECK (status IN ('PROCESSING', 'COMPLETED')),
+  response_status INTEGER,
+  response_body TEXT,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (idempotency_key, endpoint, wallet_id)
+);
+
+-- Create index for idempotency_keys table
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Create ledger_accounts table: one account per wallet plus system accounts
+-- (interest expense, fee revenue, CDK liability, third-party clearing, balance adjustments)
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id TEXT PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'system')),
+  wallet_id TEXT UNIQUE,
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+);
+
+-- Create ledger_entries table: signed postings in minor units; the entries of a transaction sum to zero
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id TEXT PRIMARY KEY,
+  transaction_id TEXT NOT NULL,
+  account_id TEXT NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount != 0),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+  FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+);
+
+-- Create indices for ledger_entries table
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account_id);
+
+-- Create cdk_campaigns table: named batches of CDKs with a budget (minor units),
+-- a per-wallet redemption cap and an optional start/end window
+CREATE TABLE IF NOT EXISTS cdk_campaigns (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  budget INTEGER CHECK (budget IS NULL OR budget > 0),
+  spent INTEGER NOT NULL DEFAULT 0,
+  max_redemptions_per_wallet INTEGER CHECK (max_redemptions_per_wallet IS NULL OR max_redemptions_per_wallet > 0),
+  starts_at TEXT,
+  ends_at TEXT,
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'REVOKED')),
+  revoked_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Create cdks table: redeemable codes, amounts in minor units; a code is USED
+-- once it has been redeemed max_redemptions times
+CREATE TABLE IF NOT EXISTS cdks (
+  id TEXT PRIMARY KEY,
+  key TEXT NOT NULL UNIQUE,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'USED')),
+  campaign_id TEXT,
+  max_redemptions INTEGER NOT NULL DEFAULT 1 CHECK (max_redemptions > 0),
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  used_by TEXT,
+  used_by_wallet_id TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (campaign_id) REFERENCES cdk_campaigns(id),
+  FOREIGN KEY (used_by_wallet_id) REFERENCES wallets(id)
+);
+
+-- Create index for cdks table
+CREATE INDEX IF NOT EXISTS idx_cdks_status ON cdks(status);
+
+-- Create cdk_redemptions table: one row per redemption of a (possibly multi-use) code
+CREATE TABLE IF NOT EXISTS cdk_redemptions (
+  id TEXT PRIMARY KEY,
+  cdk_id TEXT NOT NULL,
+  campaign_id TEXT,
+  wallet_id TEXT NOT NULL,
+  amount INTEGER NOT NULL,
+  transaction_id TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (cdk_id) REFERENCES cdks(id),
+  FOREIGN KEY (campaign_id) REFERENCES cdk_campaigns(id),
+  FOREIGN KEY (wallet_id) REFERENCES wallets(id),
+  FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+);
+
+-- Create indices for cdk_redemptions table
+CREATE INDEX IF NOT EXISTS idx_cdk_redemptions_cdk ON cdk_redemptions(cdk_id);
+CREATE INDEX IF NOT EXISTS idx_cdk_redemptions_campaign_wallet ON cdk_redemptions(campaign_id, wallet_id);
+-- Create cdk_failed_attempts table: failed and blocked CDK validations and redemptions,
+-- used for lockouts and reviewed by admins
+CREATE TABLE IF NOT EXISTS cdk_failed_attempts (
+  id TEXT PRIMARY KEY,
+  endpoint TEXT NOT NULL CHECK (endpoint IN ('validate', 'redeem')),
+  ip_address TEXT NOT NULL,
+  wallet_id TEXT,
+  code_prefix TEXT,
+  reason TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+);
+
+-- Create indices for cdk_failed_attempts table
+CREATE INDEX IF NOT EXISTS idx_cdk_failed_attempts_ip ON cdk_failed_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_cdk_failed_attempts_wallet ON cdk_failed_attempts(wallet_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_cdk_failed_attempts_created_at ON cdk_failed_attempts(created_at);
+
+-- Create fee_schedules table: fees charged on top of third-party payments,
+-- amounts in minor units. A schedule with third_party_id NULL is the default;
+-- one with a third_party_id overrides it for that merchant. Tiered schedules
+-- store their tiers as JSON: [{ "upTo": minor units or null, "rate": 0.05, "flatAmount": 0 }]
+CREATE TABLE IF NOT EXISTS fee_schedules (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  third_party_id TEXT,
+  fee_type TEXT NOT NULL CHECK (fee_type IN ('percentage', 'flat', 'tiered')),
+  rate REAL NOT NULL DEFAULT 0 CHECK (rate >= 0),
+  flat_amount INTEGER NOT NULL DEFAULT 0 CHECK (flat_amount >= 0),
+  tiers TEXT,
+  min_fee INTEGER CHECK (min_fee IS NULL OR min_fee >= 0),
+  max_fee INTEGER CHECK (max_fee IS NULL OR max_fee >= 0),
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'DISABLED')),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- At most one active schedule per merchant (and one active default)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_schedules_active ON fee_schedules(COALESCE(third_party_id, '')) WHERE status = 'ACTIVE';
+
+-- Create fee_promotions table: windows in which payments are fee-free, for one
+-- merchant or (third_party_id NULL) for all of them
+CREATE TABLE IF NOT EXISTS fee_promotions (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  third_party_id TEXT,
+  starts_at TEXT NOT NULL,
+  ends_at TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'DISABLED')),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_promotions_window ON fee_promotions(starts_at, ends_at);
+
+-- Create merchants table: registered third parties that take payments from and
+-- send receipts to wallets. Requests are authenticated with the merchant's API
+-- key; only its SHA-256 hash and a display prefix are stored.
+CREATE TABLE IF NOT EXISTS merchants (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  contact_email TEXT,
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'SUSPENDED')),
+  api_key_hash TEXT UNIQUE,
+  api_key_prefix TEXT,
+  api_key_created_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Create payment intents table: two-phase merchant payments. Confirming an
+-- intent holds amount + fee on the wallet (wallets.held_balance); the merchant
+-- then captures all or part of the amount or voids the intent before it expires.
+CREATE TABLE IF NOT EXISTS payment_intents (
+  id TEXT PRIMARY KEY,
+  merchant_id TEXT NOT NULL REFERENCES merchants(id),
+  wallet_id TEXT NOT NULL REFERENCES wallets(id),
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  fee_amount INTEGER NOT NULL DEFAULT 0,
+  held_amount INTEGER NOT NULL DEFAULT 0 CHECK (held_amount >= 0),
+  captured_amount INTEGER,
+  transaction_id TEXT REFERENCES transactions(id),
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'REQUIRES_CONFIRMATION' CHECK (status IN ('REQUIRES_CONFIRMATION', 'AUTHORIZED', 'CAPTURED', 'VOIDED', 'EXPIRED')),
+  expires_at TEXT NOT NULL,
+  confirmed_at TEXT,
+  completed_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_merchant ON payment_intents(merchant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_wallet ON payment_intents(wallet_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_expiry ON payment_intents(status, expires_at);
+
+-- Create webhook subscriptions table: URLs notified of wallet events. Payloads
+-- are signed with the subscription's secret (HMAC-SHA256), so it is stored as is.
+-- A subscription with a merchant_id only receives events of that merchant.
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  events TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  merchant_id TEXT REFERENCES merchants(id),
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'DISABLED')),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Create webhook deliveries table: the delivery queue. Every event is queued
+-- once per matching subscription in the unit of work that caused it, and
+-- retried with exponential backoff until delivered or given up on (DEAD).
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERED', 'DEAD')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT NOT NULL,
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+
+-- Create outbox events table: domain events written in the same unit of work as
+-- the change they describe, so an event exists if and only if its change was
+-- committed. Consumers read them in sequence order.
+CREATE TABLE IF NOT EXISTS outbox_events (
+  sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_events_created_at ON outbox_events(created_at);
+
+-- Create outbox consumers table: how far each event consumer (webhooks, ...)
+-- has processed the outbox, and why it is stuck if its last attempt failed.
+CREATE TABLE IF NOT EXISTS outbox_consumers (
+  name TEXT PRIMARY KEY,
+  last_sequence INTEGER NOT NULL DEFAULT 0,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Create notifications table: in-app notifications of a wallet, created from
+-- domain events (incoming money, interest, low balance). data holds the values
+-- the client shows in the translated message.
+CREATE TABLE IF NOT EXISTS notifications (
+  id TEXT PRIMARY KEY,
+  wallet_id TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('transfer_received', 'receipt_credited', 'cdk_redeemed', 'interest_posted', 'low_balance')),
+  event_id TEXT,
+  data TEXT NOT NULL DEFAULT '{}',
+  read_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_wallet ON notifications(wallet_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(wallet_id, read_at);
+
+-- Create interest_policies table: the rate of monthly interest from the period
+-- effective_from (YYYY-MM) until the next policy takes effect. annual_rate
+-- applies to the whole balance unless tiers give the part of the balance above
+-- a threshold its own rate, as JSON: [{ "above": minor units, "annualRate": 0.02 }].
+-- Wallets below min_balance earn nothing; max_interest caps the interest of a
+-- wallet per period. Amounts are minor units.
+CREATE TABLE IF NOT EXISTS interest_policies (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  effective_from TEXT NOT NULL,
+  annual_rate REAL NOT NULL CHECK (annual_rate >= -1 AND annual_rate <= 1),
+  tiers TEXT,
+  min_balance INTEGER NOT NULL DEFAULT 0 CHECK (min_balance >= 0),
+  max_interest INTEGER CHECK (max_interest IS NULL OR max_interest >= 0),
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'CANCELLED')),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- At most one active policy takes effect in a period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_interest_policies_effective ON interest_policies(effective_from) WHERE status = 'ACTIVE';
+
+-- Create interest_accruals table: interest accrued by a wallet for one day, on
+-- its balance at the end of that day (minor units). amount is unrounded; the
+-- monthly posting rounds the sum of a period's accruals.
+CREATE TABLE IF NOT EXISTS interest_accruals (
+  id TEXT PRIMARY KEY,
+  wallet_id TEXT NOT NULL,
+  accrual_date TEXT NOT NULL,
+  period TEXT NOT NULL,
+  balance INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  policy_id TEXT REFERENCES interest_policies(id),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (wallet_id, accrual_date),
+  FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_interest_accruals_period ON interest_accruals(period, wallet_id);
+
+-- Create interest_accrual_days table: the days interest has been accrued for,
+-- so that each day is accrued once
+CREATE TABLE IF NOT EXISTS interest_accrual_days (
+  accrual_date TEXT PRIMARY KEY,
+  period TEXT NOT NULL,
+  wallet_count INTEGER NOT NULL DEFAULT 0,
+  total_accrued REAL NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Create interest_postings table: the interest posted to a wallet for a period
+-- (minor units), so that a monthly run that failed part way only retries the
+-- wallets that were not posted. Wallets without interest are recorded with a
+-- zero amount and no transaction.
+CREATE TABLE IF NOT EXISTS interest_postings (
+  id TEXT PRIMARY KEY,
+  wallet_id TEXT NOT NULL,
+  period TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('POSTED', 'FAILED')),
+  amount INTEGER NOT NULL DEFAULT 0,
+  transaction_id TEXT REFERENCES transactions(id),
+  error_message TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (wallet_id, period),
+  FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_interest_postings_period ON interest_postings(period, status);
\ No newline at end of file
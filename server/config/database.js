@@ -1,14 +1,20 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Ensure the .env file is loaded from the correct path
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-// Database File Path
-const dbPath = path.join(__dirname, '..', 'data', 'wallet.db');
+// Database File Path (DB_PATH allows tests and tools to point at a separate file)
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'wallet.db');
+
+// Tools that only read (e.g. scripts/reconcile.js) set DB_READONLY so they cannot change the file
+const dbMode = process.env.DB_READONLY === 'true'
+  ? sqlite3.OPEN_READONLY
+  : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
 
 // Create database connection
-const db = new sqlite3.Database(dbPath, (err) => {
+const db = new sqlite3.Database(dbPath, dbMode, (err) => {
   if (err) {
     console.error('SQLite connection error:', err.message);
   } else {
@@ -18,52 +24,99 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
+/*
+ * Unit of Work
+ * All statements share one sqlite3 connection, so a BEGIN issued by one request
+ * would otherwise capture the statements of every other request until COMMIT.
+ * Work is therefore serialized through a single queue: a transaction scope holds
+ * the queue from BEGIN to COMMIT/ROLLBACK, and statements outside a scope wait
+ * for it. The active scope is tracked with AsyncLocalStorage so that statements
+ * issued inside it (through repositories too) run immediately.
+ */
+const transactionContext = new AsyncLocalStorage();
+let queueTail = Promise.resolve();
+let savepointCounter = 0;
+
+// Run a task once all previously queued work has finished
+const enqueue = (task) => {
+  const result = queueTail.then(task);
+  queueTail = result.catch(() => {});
+  return result;
+};
+
+// Execute a statement directly on the connection
+const execute = (method, sql, params) => {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, function(err, result) {
+      if (err) reject(err);
+      else if (method === 'run') resolve({ lastID: this.lastID, changes: this.changes });
+      else resolve(result);
+    });
+  });
+};
+
+// Execute a statement inside the current scope, or queue it behind open transactions
+const statement = (method, sql, params = []) => {
+  if (transactionContext.getStore()) {
+    return execute(method, sql, params);
+  }
+  return enqueue(() => execute(method, sql, params));
+};
+
 // Database Operations Promise Wrapper
 const dbAsync = {
   // Execute query and return all results
-  all: (sql, params = []) => {
-    return new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-  },
+  all: (sql, params = []) => statement('all', sql, params),
 
   // Execute query and return the first result
-  get: (sql, params = []) => {
-    return new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-  },
+  get: (sql, params = []) => statement('get', sql, params),
 
   // Execute insert/update/delete operation
-  run: (sql, params = []) => {
-    return new Promise((resolve, reject) => {
-      db.run(sql, params, function(err) {
-        if (err) reject(err);
-        else resolve({ lastID: this.lastID, changes: this.changes });
-      });
-    });
-  },
+  run: (sql, params = []) => statement('run', sql, params),
 
-  // Begin transaction
-  beginTransaction: () => {
-    return dbAsync.run('BEGIN TRANSACTION');
-  },
+  /**
+   * Run a function as one unit of work
+   * Commits when the function resolves and rolls back when it throws. Nested
+   * calls become savepoints of the enclosing transaction.
+   * @param {Function} work - Async function performing the database operations
+   * @returns {Promise<*>} Result of the function
+   */
+  transaction: (work) => {
+    const scope = transactionContext.getStore();
+    if (scope) {
+      const savepoint = `sp_${++savepointCounter}`;
+      return (async () => {
+        await execute('run', `SAVEPOINT ${savepoint}`, []);
+        try {
+          const result = await work();
+          await execute('run', `RELEASE ${savepoint}`, []);
+          return result;
+        } catch (error) {
+          await execute('run', `ROLLBACK TO ${savepoint}`, []);
+          await execute('run', `RELEASE ${savepoint}`, []);
+          throw error;
+        }
+      })();
+    }
 
-  // Commit transaction
-  commit: () => {
-    return dbAsync.run('COMMIT');
+    return enqueue(() => transactionContext.run({}, async () => {
+      await execute('run', 'BEGIN IMMEDIATE TRANSACTION', []);
+      try {
+        const result = await work();
+        await execute('run', 'COMMIT', []);
+        return result;
+      } catch (error) {
+        // Some errors already end the transaction; keep the original error
+        await execute('run', 'ROLLBACK', []).catch((rollbackError) => {
+          console.error('Transaction rollback failed:', rollbackError.message);
+        });
+        throw error;
+      }
+    }));
   },
 
-  // Rollback transaction
-  rollback: () => {
-    return dbAsync.run('ROLLBACK');
-  }
+  // Whether the caller is running inside a transaction scope
+  inTransaction: () => Boolean(transactionContext.getStore())
 };
 
 // Graceful close database connection
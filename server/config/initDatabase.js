@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { db, dbAsync } = require('./database');
+const { listPendingMigrations, runPendingMigrations } = require('../../database/migrate');
 
 /**
  * Database Initialization Module
@@ -103,6 +104,60 @@ const executeSqlScript = async (sqlScript) => {
   }
 };
 
+// Columns added after the initial schema. CREATE TABLE IF NOT EXISTS leaves
+// existing tables untouched, so older databases receive them through ALTER TABLE.
+const schemaUpgrades = [
+  { table: 'wallets', column: 'password_hash', definition: 'TEXT' },
+  { table: 'wallets', column: 'role', definition: "TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'operator', 'admin'))" },
+  { table: 'cdks', column: 'campaign_id', definition: 'TEXT REFERENCES cdk_campaigns(id)' },
+  { table: 'cdks', column: 'max_redemptions', definition: 'INTEGER NOT NULL DEFAULT 1 CHECK (max_redemptions > 0)' },
+  { table: 'cdks', column: 'redemption_count', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'transactions', column: 'fee_amount', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'transactions', column: 'merchant_id', definition: 'TEXT REFERENCES merchants(id)' },
+  { table: 'wallets', column: 'held_balance', definition: 'INTEGER NOT NULL DEFAULT 0 CHECK (held_balance >= 0)' },
+  { table: 'transactions', column: 'original_transaction_id', definition: 'TEXT REFERENCES transactions(id)' }
+];
+
+// Add missing columns to existing tables
+const upgradeSchema = async () => {
+  for (const { table, column, definition } of schemaUpgrades) {
+    const columns = await dbAsync.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      await dbAsync.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Column added: ${table}.${column}`);
+    }
+  }
+};
+
+// List what initializeDatabase would still change: missing tables and columns and
+// pending migrations. Only reads, so it also works on a read-only connection.
+const findPendingSchemaChanges = async () => {
+  const sqlScript = readInitScript();
+  if (!sqlScript) {
+    throw new Error('Error reading initialization script');
+  }
+
+  const pending = [];
+  const tables = new Set(
+    (await dbAsync.all("SELECT name FROM sqlite_master WHERE type='table'")).map(row => row.name)
+  );
+  for (const [, table] of sqlScript.matchAll(/CREATE TABLE IF NOT EXISTS (\w+)/g)) {
+    if (!tables.has(table)) {
+      pending.push(`table ${table}`);
+    }
+  }
+  for (const { table, column } of schemaUpgrades.filter(upgrade => tables.has(upgrade.table))) {
+    const columns = await dbAsync.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      pending.push(`column ${table}.${column}`);
+    }
+  }
+  for (const file of await listPendingMigrations(dbAsync)) {
+    pending.push(`migration ${file}`);
+  }
+  return pending;
+};
+
 // Verify Table Structures
 const verifyTables = async () => {
   try {
@@ -118,6 +173,13 @@ const verifyTables = async () => {
       throw new Error('Transactions table does not exist');
     }
 
+    // Check money columns hold integer minor units (converted by database/migrations)
+    const walletColumns = await dbAsync.all('PRAGMA table_info(wallets)');
+    const balanceColumn = walletColumns.find(col => col.name === 'balance');
+    if (!balanceColumn || balanceColumn.type.toUpperCase() !== 'INTEGER') {
+      throw new Error('Wallet balances are not stored as integer minor units');
+    }
+
     // Check indices
     const indexes = await dbAsync.all("SELECT name FROM sqlite_master WHERE type='index' AND name LIKE 'idx_%'");
     console.log('Created indices:', indexes.map(idx => idx.name));
@@ -163,13 +225,19 @@ const initializeDatabase = async () => {
     // 3. Execute initialization script
     await executeSqlScript(sqlScript);
     
-    // 4. Verify table structures
+    // 4. Upgrade existing tables
+    await upgradeSchema();
+    
+    // 5. Run pending migrations (e.g. data conversions that need table rebuilds)
+    await runPendingMigrations(dbAsync);
+    
+    // 6. Verify table structures
     const isValid = await verifyTables();
     if (!isValid) {
       throw new Error('Database table structure verification failed');
     }
     
-    // 5. Display statistics
+    // 7. Display statistics
     const stats = await getDatabaseStats();
     if (stats) {
       console.log('Database statistics:', stats);
@@ -188,7 +256,24 @@ const resetDatabase = async () => {
   try {
     console.log('Starting database reset...');
     
+    await dbAsync.run('DELETE FROM ledger_entries');
+    await dbAsync.run('DELETE FROM ledger_accounts');
+    await dbAsync.run('DELETE FROM payment_intents');
+    await dbAsync.run('DELETE FROM webhook_deliveries');
+    await dbAsync.run('DELETE FROM webhook_subscriptions');
+    await dbAsync.run('DELETE FROM outbox_events');
+    await dbAsync.run('DELETE FROM outbox_consumers');
+    await dbAsync.run('DELETE FROM notifications');
+    await dbAsync.run('DELETE FROM interest_accruals');
+    await dbAsync.run('DELETE FROM interest_accrual_days');
+    await dbAsync.run('DELETE FROM interest_postings');
+    await dbAsync.run('DELETE FROM cdk_redemptions');
     await dbAsync.run('DELETE FROM transactions');
+    await dbAsync.run('DELETE FROM sessions');
+    await dbAsync.run('DELETE FROM idempotency_keys');
+    await dbAsync.run('DELETE FROM cdks');
+    await dbAsync.run('DELETE FROM cdk_campaigns');
+    await dbAsync.run('DELETE FROM cdk_failed_attempts');
     await dbAsync.run('DELETE FROM wallets');
     
     console.log('Database reset completed successfully');
@@ -203,5 +288,7 @@ module.exports = {
   initializeDatabase,
   resetDatabase,
   getDatabaseStats,
-  verifyTables
+  verifyTables,
+  upgradeSchema,
+  findPendingSchemaChanges
 };
\ No newline at end of file
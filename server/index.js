@@ -13,6 +13,12 @@ const { initTranslations } = require('./config/i18n');
 const interestScheduler = require('./services/InterestScheduler');
 // Import exchange rate scheduler
 const exchangeRateScheduler = require('./services/ExchangeRateScheduler');
+// Import payment intent service (expires abandoned intents)
+const paymentIntentService = require('./services/PaymentIntentService');
+// Import event bus (feeds committed domain events to their consumers)
+const eventBus = require('./services/EventBus');
+// Import webhook service (consumes events and sends queued webhook deliveries)
+const webhookService = require('./services/WebhookService');
 
 const app = express();
 
@@ -23,6 +29,13 @@ console.log('process.env.NODE_ENV:', process.env.NODE_ENV);
 
 const PORT = process.env.PORT || 3200;
 
+// Behind a reverse proxy, take client IP addresses (used by the CDK attempt limits)
+// from X-Forwarded-For; TRUST_PROXY is "true", a hop count or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -39,6 +52,9 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Resolve access tokens; routes that need a session use requireSession
+app.use(require('./middleware/auth').authenticate);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -70,13 +86,21 @@ app.get('/api/status', async (req, res) => {
 });
 
 // API routes will be added here
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/wallets', require('./routes/wallets'));
 app.use('/api/transfers', require('./routes/transfers'));
 app.use('/api/transactions', require('./routes/transactions'));
 app.use('/api/interests', require('./routes/interests'));
 app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/third-party/payment-intents', require('./routes/paymentIntents'));
 app.use('/api/third-party', require('./routes/thirdPartyPayments'));
 app.use('/api/cdks', require('./routes/cdks'));
+app.use('/api/reconciliation', require('./routes/reconciliation'));
+app.use('/api/fees', require('./routes/fees'));
+app.use('/api/merchants', require('./routes/merchants'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 const { t } = require('./config/i18n');
 
@@ -136,6 +160,30 @@ async function startServer() {
           console.error('Error starting exchange rate scheduler:', error);
           console.warn('Exchange rate scheduler cannot start, but server continues running');
         }
+        
+        // Expire payment intents past their expiry and release their holds
+        const sweepSeconds = parseInt(process.env.PAYMENT_INTENT_SWEEP_INTERVAL, 10) || 60;
+        setInterval(() => {
+          paymentIntentService.expireDueIntents().catch((error) => {
+            console.error('Error expiring payment intents:', error);
+          });
+        }, sweepSeconds * 1000).unref();
+        
+        // Feed committed domain events from the outbox to their consumers
+        const eventSeconds = parseInt(process.env.EVENT_DISPATCH_INTERVAL, 10) || 2;
+        setInterval(() => {
+          eventBus.dispatch().catch((error) => {
+            console.error('Error dispatching domain events:', error);
+          });
+        }, eventSeconds * 1000).unref();
+        
+        // Send webhook deliveries that are due (new events and retries)
+        const webhookSeconds = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL, 10) || 5;
+        setInterval(() => {
+          webhookService.deliverDue().catch((error) => {
+            console.error('Error sending webhook deliveries:', error);
+          });
+        }, webhookSeconds * 1000).unref();
       });
     } catch (error) {
       console.error('Server startup failed:', error.message);
@@ -0,0 +1,127 @@
+const authService = require('../services/AuthService');
+const WalletRepository = require('../repositories/WalletRepository');
+const { t } = require('../config/i18n');
+
+/**
+ * Authentication middleware
+ */
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null
+ */
+const getBearerToken = (req) => {
+  const header = req.headers && req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim();
+};
+
+/**
+ * Resolve the access token of every request
+ * Sets req.auth ({ walletId, username, sessionId }) when the token is valid
+ * and its session has not been revoked; anonymous requests pass through.
+ */
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const auth = await authService.verifyAccessToken(token);
+    if (auth) {
+      req.auth = auth;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require an authenticated request (see authenticate)
+ */
+const requireSession = (req, res, next) => {
+  if (!req.auth) {
+    return res.status(401).json({
+      success: false,
+      error: t(req, 'errors.authenticationRequired')
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require a session whose wallet has at least the given role
+ * Roles are ordered user < operator < admin. The role is read from the
+ * database on every request so that demotions take effect immediately.
+ * @param {string} role - Minimum role
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => {
+  const required = WalletRepository.ROLES.indexOf(role);
+  if (required === -1) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const walletRepo = new WalletRepository();
+
+  return async (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({
+        success: false,
+        error: t(req, 'errors.authenticationRequired')
+      });
+    }
+
+    try {
+      const wallet = await walletRepo.findById(req.auth.walletId);
+      if (!wallet || WalletRepository.ROLES.indexOf(wallet.role) < required) {
+        return res.status(403).json({
+          success: false,
+          error: t(req, 'errors.accessDenied')
+        });
+      }
+
+      req.auth.role = wallet.role;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Describe the client of a request for the sessions list
+ * @param {Object} req - Express request object
+ * @returns {Object} User agent and IP address
+ */
+const getClientContext = (req) => {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null
+  };
+};
+
+/**
+ * Check whether the current session owns a wallet
+ * @param {Object} req - Express request object
+ * @param {Object} wallet - Wallet object
+ * @returns {boolean} True if the session belongs to the wallet
+ */
+const ownsWallet = (req, wallet) => {
+  return !!(req.auth && wallet && req.auth.walletId === wallet.id);
+};
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  requireSession,
+  requireRole,
+  getClientContext,
+  ownsWallet
+};
\ No newline at end of file
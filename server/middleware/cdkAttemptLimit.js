@@ -0,0 +1,55 @@
+const cdkAttemptService = require('../services/CdkAttemptService');
+const { t } = require('../config/i18n');
+
+/**
+ * CDK attempt limit middleware
+ * Rejects CDK validations and redemptions from IP addresses and wallets that
+ * are locked out after repeated failures (see CdkAttemptService). Rejected
+ * requests are logged for review but do not extend the lockout.
+ *
+ * Every other request reserves its attempt before the code is evaluated, so
+ * parallel requests cannot slip past the limit. The route records why a
+ * reserved attempt failed (req.cdkAttemptId); otherwise the reservation is
+ * dropped before the response is sent.
+ * @param {string} endpoint - 'validate' or 'redeem'
+ */
+const cdkAttemptLimit = (endpoint) => async (req, res, next) => {
+  const attempt = {
+    endpoint,
+    ipAddress: req.ip,
+    walletId: req.auth ? req.auth.walletId : null,
+    code: req.body && req.body.code
+  };
+
+  let reservation;
+  try {
+    reservation = await cdkAttemptService.reserveAttempt(attempt);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (reservation.lockout) {
+    res.set('Retry-After', String(reservation.lockout.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: t(req, 'errors.cdkTooManyAttempts')
+    });
+  }
+
+  req.cdkAttemptId = reservation.attemptId;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    cdkAttemptService.releaseAttempt(reservation.attemptId)
+      .catch((error) => {
+        console.error('Failed to release CDK attempt:', error);
+      })
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  cdkAttemptLimit
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const IdempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+const { t } = require('../config/i18n');
+
+/**
+ * Idempotency middleware
+ * A request carrying an Idempotency-Key header is executed at most once per
+ * key, endpoint and wallet. Retries within IDEMPOTENCY_KEY_TTL seconds receive
+ * the stored response instead of moving money again. Routes store a successful
+ * response with completeIdempotent inside the transaction that moves the money,
+ * so a crash can never leave the money moved and the key still retryable.
+ * A key left PROCESSING by such a crash is therefore reserved again by a retry
+ * once IDEMPOTENCY_PROCESSING_LEASE seconds have passed.
+ */
+
+// How long keys and their responses are kept (default 24 hours)
+const IDEMPOTENCY_KEY_TTL = parseInt(process.env.IDEMPOTENCY_KEY_TTL, 10) || 24 * 60 * 60;
+
+// How long a request may hold its key before a retry takes it over (default 60 seconds)
+const IDEMPOTENCY_PROCESSING_LEASE = parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE, 10) || 60;
+
+// Keys are client-generated strings such as UUIDs
+const MAX_KEY_LENGTH = 255;
+
+const idempotencyKeyRepo = new IdempotencyKeyRepository();
+
+/**
+ * Hash the request body so a key cannot be replayed with different parameters
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (body) => {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+};
+
+/**
+ * Honour the Idempotency-Key header of a route
+ * Must run after requireSession on authenticated routes so that keys are
+ * scoped to the wallet of the session, and after requireMerchant on merchant
+ * routes without a session so that keys are scoped to the merchant. Requests
+ * without the header are not affected.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: t(req, 'errors.invalidIdempotencyKey', { maxLength: MAX_KEY_LENGTH })
+    });
+  }
+
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  const endpoint = `${req.method} ${req.baseUrl}${routePath}`;
+  const walletId = req.auth ? req.auth.walletId : (req.merchant ? `merchant:${req.merchant.id}` : '');
+  const requestHash = hashRequest(req.body);
+
+  let id;
+  try {
+    const { reserved, id: reservationId, record } = await idempotencyKeyRepo.reserve({
+      key,
+      endpoint,
+      walletId,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL * 1000).toISOString(),
+      staleBefore: new Date(Date.now() - IDEMPOTENCY_PROCESSING_LEASE * 1000).toISOString()
+    });
+
+    if (!reserved) {
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: t(req, 'errors.idempotencyKeyReused')
+        });
+      }
+
+      if (record.status !== 'COMPLETED') {
+        return res.status(409).json({
+          success: false,
+          error: t(req, 'errors.idempotencyRequestInProgress')
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(JSON.parse(record.response_body));
+    }
+    id = reservationId;
+  } catch (error) {
+    return next(error);
+  }
+
+  req.idempotency = { id, completed: false };
+
+  // Store the response before sending it, unless the route already stored it
+  // with the money. Server errors release the key so the request can be
+  // retried; every other outcome is replayed as is.
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (req.idempotency.completed && res.statusCode < 500) {
+      return sendJson(body);
+    }
+
+    const stored = res.statusCode >= 500
+      ? idempotencyKeyRepo.release(id)
+      : idempotencyKeyRepo.complete(id, res.statusCode, body);
+
+    stored
+      .catch((error) => {
+        console.error('Failed to store idempotent response:', error);
+      })
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+/**
+ * Store the response of an idempotent request
+ * Call it inside the dbAsync.transaction that moves the money, so the key is
+ * completed if and only if the money moved. Throws when a retry has taken the
+ * key over, which rolls the transaction back. Does nothing for requests without
+ * an Idempotency-Key header.
+ * @param {Object} req - Express request that passed through idempotent
+ * @param {number} status - HTTP status code of the response
+ * @param {Object} body - JSON response body
+ * @returns {Promise<void>}
+ */
+const completeIdempotent = async (req, status, body) => {
+  if (!req.idempotency) {
+    return;
+  }
+  if (!(await idempotencyKeyRepo.complete(req.idempotency.id, status, body))) {
+    throw new Error(t(null, 'errors.idempotencyRequestInProgress'));
+  }
+  req.idempotency.completed = true;
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL,
+  IDEMPOTENCY_PROCESSING_LEASE,
+  idempotent,
+  completeIdempotent
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+const merchantService = require('../services/MerchantService');
+const { t } = require('../config/i18n');
+
+/**
+ * Merchant authentication middleware
+ * Third-party payments and receipts are sent by merchants, identified by the
+ * API key in the X-Merchant-Key header (see MerchantService). The merchant is
+ * available as req.merchant afterwards; a thirdPartyId in the request body
+ * must match it, so one merchant cannot act in the name of another.
+ */
+const requireMerchant = async (req, res, next) => {
+  const apiKey = req.get('X-Merchant-Key');
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: t(req, 'errors.merchantKeyRequired')
+    });
+  }
+
+  try {
+    const merchant = await merchantService.authenticate(apiKey);
+    if (!merchant) {
+      return res.status(401).json({
+        success: false,
+        error: t(req, 'errors.merchantKeyInvalid')
+      });
+    }
+
+    if (merchant.status !== 'ACTIVE') {
+      return res.status(403).json({
+        success: false,
+        error: t(req, 'errors.merchantSuspended')
+      });
+    }
+
+    const { thirdPartyId } = req.body || {};
+    if (thirdPartyId !== undefined && thirdPartyId !== merchant.id) {
+      return res.status(403).json({
+        success: false,
+        error: t(req, 'errors.merchantMismatch')
+      });
+    }
+
+    req.merchant = merchant;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireMerchant
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { t } = require('../config/i18n');
+
+// Columns an update may change, keyed by the property name used by callers
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  budget: 'budget',
+  maxRedemptionsPerWallet: 'max_redemptions_per_wallet',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at'
+};
+
+/**
+ * CDK Campaign Data Access Layer
+ * Campaigns group CDKs into named batches with a budget (minor units), a
+ * per-wallet redemption cap and an optional start/end window.
+ */
+class CdkCampaignRepository {
+
+  /**
+   * Create Campaign
+   * @param {Object} campaignData - Campaign data
+   * @param {string} campaignData.name - Unique campaign name
+   * @param {string} campaignData.description - Description (optional)
+   * @param {number|null} campaignData.budget - Total amount the campaign may pay out in minor units, null for unlimited
+   * @param {number|null} campaignData.maxRedemptionsPerWallet - Redemptions allowed per wallet, null for unlimited
+   * @param {string|null} campaignData.startsAt - Start of the redemption window (ISO string)
+   * @param {string|null} campaignData.endsAt - End of the redemption window (ISO string)
+   * @returns {Promise<Object>} Created campaign
+   */
+  async create(campaignData) {
+    const {
+      name,
+      description = null,
+      budget = null,
+      maxRedemptionsPerWallet = null,
+      startsAt = null,
+      endsAt = null
+    } = campaignData;
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    try {
+      await dbAsync.run(
+        `INSERT INTO cdk_campaigns (id, name, description, budget, max_redemptions_per_wallet, starts_at, ends_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, description, budget, maxRedemptionsPerWallet, startsAt, endsAt, now, now]
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(t(null, 'errors.cdkCampaignAlreadyExists'));
+      }
+      throw error;
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Campaign by ID
+   * @param {string} id - Campaign ID
+   * @returns {Promise<Object|null>} Campaign with code and redemption counts, or null
+   */
+  async findById(id) {
+    const campaign = await dbAsync.get(
+      `SELECT c.*,
+              (SELECT COUNT(*) FROM cdks WHERE campaign_id = c.id) AS code_count,
+              (SELECT COUNT(*) FROM cdk_redemptions WHERE campaign_id = c.id) AS redemption_count
+       FROM cdk_campaigns c
+       WHERE c.id = ?`,
+      [id]
+    );
+    return campaign || null;
+  }
+
+  /**
+   * Get All Campaigns
+   * @returns {Promise<Array>} Campaigns with code and redemption counts, newest first
+   */
+  async findAll() {
+    return await dbAsync.all(
+      `SELECT c.*,
+              (SELECT COUNT(*) FROM cdks WHERE campaign_id = c.id) AS code_count,
+              (SELECT COUNT(*) FROM cdk_redemptions WHERE campaign_id = c.id) AS redemption_count
+       FROM cdk_campaigns c
+       ORDER BY c.created_at DESC`
+    );
+  }
+
+  /**
+   * Update Campaign
+   * @param {string} id - Campaign ID
+   * @param {Object} updates - Any of name, description, budget, maxRedemptionsPerWallet, startsAt, endsAt
+   * @returns {Promise<Object|null>} Updated campaign, or null if it does not exist
+   */
+  async update(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const [property, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (updates[property] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[property]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = ?');
+      values.push(new Date().toISOString(), id);
+      try {
+        await dbAsync.run(`UPDATE cdk_campaigns SET ${fields.join(', ')} WHERE id = ?`, values);
+      } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+          throw new Error(t(null, 'errors.cdkCampaignAlreadyExists'));
+        }
+        throw error;
+      }
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Revoke Campaign
+   * None of the campaign's codes can be redeemed afterwards.
+   * @param {string} id - Campaign ID
+   * @returns {Promise<boolean>} Whether an active campaign was revoked
+   */
+  async revoke(id) {
+    const now = new Date().toISOString();
+    const result = await dbAsync.run(
+      `UPDATE cdk_campaigns SET status = 'REVOKED', revoked_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'ACTIVE'`,
+      [now, now, id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Reserve Budget for a Redemption
+   * Adds the amount to the spent total unless that would exceed the budget.
+   * @param {string} id - Campaign ID
+   * @param {number} amount - Redeemed amount in minor units
+   * @returns {Promise<boolean>} Whether the budget covered the amount
+   */
+  async addSpent(id, amount) {
+    const result = await dbAsync.run(
+      `UPDATE cdk_campaigns SET spent = spent + ?
+       WHERE id = ? AND status = 'ACTIVE' AND (budget IS NULL OR spent + ? <= budget)`,
+      [amount, id, amount]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Count the Redemptions of a Wallet in a Campaign
+   * @param {string} id - Campaign ID
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<number>} Number of redemptions
+   */
+  async countWalletRedemptions(id, walletId) {
+    const row = await dbAsync.get(
+      'SELECT COUNT(*) AS count FROM cdk_redemptions WHERE campaign_id = ? AND wallet_id = ?',
+      [id, walletId]
+    );
+    return row.count;
+  }
+}
+
+module.exports = CdkCampaignRepository;
\ No newline at end of file
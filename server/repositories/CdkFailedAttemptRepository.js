@@ -0,0 +1,175 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Reason recorded for requests rejected during a lockout; these do not count as failures
+const LOCKED_REASON = 'locked';
+
+// Reason of an attempt reserved before its code is evaluated; it counts as a failure
+// until the attempt succeeds (the row is deleted) or fails (the reason is set)
+const PENDING_REASON = 'pending';
+
+// Build the WHERE clause of a failed attempt listing
+function buildFilters(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.ipAddress) {
+    conditions.push('a.ip_address = ?');
+    params.push(filters.ipAddress);
+  }
+  if (filters.wallet) {
+    conditions.push('(a.wallet_id = ? OR w.username = ?)');
+    params.push(filters.wallet, filters.wallet);
+  }
+  if (filters.endpoint) {
+    conditions.push('a.endpoint = ?');
+    params.push(filters.endpoint);
+  }
+  if (filters.reason) {
+    conditions.push('a.reason = ?');
+    params.push(filters.reason);
+  }
+  if (filters.from) {
+    conditions.push('a.created_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('a.created_at <= ?');
+    params.push(filters.to);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * CDK Failed Attempt Data Access Layer
+ * Logs failed CDK validations and redemptions per IP address and wallet
+ */
+class CdkFailedAttemptRepository {
+
+  /**
+   * Record a Failed Attempt
+   * @param {Object} attempt - Attempt data
+   * @param {string} attempt.endpoint - 'validate' or 'redeem'
+   * @param {string} attempt.ipAddress - Client IP address
+   * @param {string|null} attempt.walletId - Wallet of the session, if any
+   * @param {string|null} attempt.codePrefix - First characters of the submitted code
+   * @param {string} attempt.reason - Why the attempt failed (error key, or 'locked')
+   * @returns {Promise<string>} Attempt ID
+   */
+  async create(attempt) {
+    const id = uuidv4();
+    await dbAsync.run(
+      `INSERT INTO cdk_failed_attempts (id, endpoint, ip_address, wallet_id, code_prefix, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, attempt.endpoint, attempt.ipAddress, attempt.walletId || null, attempt.codePrefix || null,
+        attempt.reason, new Date().toISOString()]
+    );
+    return id;
+  }
+
+  /**
+   * Set the Reason of a Reserved Attempt
+   * @param {string} id - Attempt ID
+   * @param {string} reason - Why the attempt failed
+   * @returns {Promise<boolean>} Whether a reserved attempt was updated
+   */
+  async resolvePending(id, reason) {
+    const result = await dbAsync.run(
+      'UPDATE cdk_failed_attempts SET reason = ? WHERE id = ? AND reason = ?',
+      [reason, id, PENDING_REASON]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Delete a Reserved Attempt that did not fail
+   * @param {string} id - Attempt ID
+   * @returns {Promise<boolean>} Whether a reserved attempt was deleted
+   */
+  async deletePending(id) {
+    const result = await dbAsync.run(
+      'DELETE FROM cdk_failed_attempts WHERE id = ? AND reason = ?',
+      [id, PENDING_REASON]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Summarize the Recent Failures of an IP Address or Wallet
+   * Requests rejected during a lockout are not counted; reserved attempts are.
+   * @param {string} column - 'ip_address' or 'wallet_id'
+   * @param {string} value - IP address or wallet ID
+   * @param {string} since - Start of the counting window (ISO string)
+   * @returns {Promise<Object>} { count, lastAt } with lastAt null when there are none
+   */
+  async summarizeFailures(column, value, since) {
+    if (!['ip_address', 'wallet_id'].includes(column)) {
+      throw new Error(`Unsupported failed attempt column: ${column}`);
+    }
+    const row = await dbAsync.get(
+      `SELECT COUNT(*) AS count, MAX(created_at) AS last_at
+       FROM cdk_failed_attempts
+       WHERE ${column} = ? AND created_at >= ? AND reason != ?`,
+      [value, since, LOCKED_REASON]
+    );
+    return { count: row.count, lastAt: row.last_at };
+  }
+
+  /**
+   * Find Failed Attempts for Review
+   * @param {Object} filters - Any of ipAddress, wallet (ID or username), endpoint, reason, from, to
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Limit number
+   * @param {number} options.offset - Offset number
+   * @returns {Promise<Array>} Attempts with the wallet's username, newest first
+   */
+  async findAll(filters = {}, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const { where, params } = buildFilters(filters);
+    return await dbAsync.all(
+      `SELECT a.*, w.username
+       FROM cdk_failed_attempts a
+       LEFT JOIN wallets w ON w.id = a.wallet_id
+       ${where}
+       ORDER BY a.created_at DESC, a.rowid DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  /**
+   * Count Failed Attempts Matching the Review Filters
+   * @param {Object} filters - Same filters as findAll
+   * @returns {Promise<number>} Attempt count
+   */
+  async count(filters = {}) {
+    const { where, params } = buildFilters(filters);
+    const result = await dbAsync.get(
+      `SELECT COUNT(*) AS count
+       FROM cdk_failed_attempts a
+       LEFT JOIN wallets w ON w.id = a.wallet_id
+       ${where}`,
+      params
+    );
+    return result.count;
+  }
+
+  /**
+   * Delete Attempts older than the Retention Period
+   * @param {string} before - Cut-off time (ISO string)
+   * @returns {Promise<number>} Number of deleted attempts
+   */
+  async deleteOlderThan(before) {
+    const result = await dbAsync.run('DELETE FROM cdk_failed_attempts WHERE created_at < ?', [before]);
+    return result.changes;
+  }
+}
+
+CdkFailedAttemptRepository.LOCKED_REASON = LOCKED_REASON;
+CdkFailedAttemptRepository.PENDING_REASON = PENDING_REASON;
+
+module.exports = CdkFailedAttemptRepository;
\ No newline at end of file
@@ -0,0 +1,274 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+// CDKs with their campaign name and their status as seen by a redeemer: codes of
+// revoked campaigns are REVOKED, and codes past their expiry or their campaign's
+// end are EXPIRED while still stored as ACTIVE. Takes the current time twice.
+const CDK_DETAILS_SQL = `
+  SELECT c.*, cp.name AS campaign_name,
+         CASE
+           WHEN cp.status = 'REVOKED' THEN 'REVOKED'
+           WHEN c.status = 'USED' THEN 'USED'
+           WHEN c.expires_at < ? OR cp.ends_at < ? THEN 'EXPIRED'
+           ELSE 'ACTIVE'
+         END AS effective_status
+  FROM cdks c
+  LEFT JOIN cdk_campaigns cp ON cp.id = c.campaign_id
+`;
+
+// Build the WHERE clause of a CDK listing over CDK_DETAILS_SQL
+function buildFilters(filters) {
+  const now = new Date().toISOString();
+  const conditions = [];
+  const params = [now, now];
+
+  if (filters.status) {
+    conditions.push('c.effective_status = ?');
+    params.push(filters.status);
+  }
+  if (filters.campaignId) {
+    conditions.push('c.campaign_id = ?');
+    params.push(filters.campaignId);
+  }
+  if (filters.createdFrom) {
+    conditions.push('c.created_at >= ?');
+    params.push(filters.createdFrom);
+  }
+  if (filters.createdTo) {
+    conditions.push('c.created_at <= ?');
+    params.push(filters.createdTo);
+  }
+
+  // Redemption filters must hold for a single redemption; codes imported without
+  // their redemption records fall back to the last redeemer stored on the code
+  if (filters.redeemedBy || filters.redeemedFrom || filters.redeemedTo) {
+    const redemption = [];
+    const redemptionParams = [];
+    const legacy = ['c.used_at IS NOT NULL'];
+    const legacyParams = [];
+    if (filters.redeemedBy) {
+      redemption.push('(w.id = ? OR w.username = ?)');
+      redemptionParams.push(filters.redeemedBy, filters.redeemedBy);
+      legacy.push('(c.used_by_wallet_id = ? OR c.used_by = ?)');
+      legacyParams.push(filters.redeemedBy, filters.redeemedBy);
+    }
+    if (filters.redeemedFrom) {
+      redemption.push('r.created_at >= ?');
+      redemptionParams.push(filters.redeemedFrom);
+      legacy.push('c.used_at >= ?');
+      legacyParams.push(filters.redeemedFrom);
+    }
+    if (filters.redeemedTo) {
+      redemption.push('r.created_at <= ?');
+      redemptionParams.push(filters.redeemedTo);
+      legacy.push('c.used_at <= ?');
+      legacyParams.push(filters.redeemedTo);
+    }
+    conditions.push(`(EXISTS (SELECT 1 FROM cdk_redemptions r JOIN wallets w ON w.id = r.wallet_id
+                              WHERE r.cdk_id = c.id AND ${redemption.join(' AND ')})
+                      OR (NOT EXISTS (SELECT 1 FROM cdk_redemptions r WHERE r.cdk_id = c.id)
+                          AND ${legacy.join(' AND ')}))`);
+    params.push(...redemptionParams, ...legacyParams);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * CDK Data Access Layer
+ * Provides database operations for redeemable CDK codes (amounts in minor units)
+ */
+class CdkRepository {
+
+  /**
+   * Create CDK
+   * @param {Object} cdkData - CDK data
+   * @param {string} cdkData.key - CDK code
+   * @param {number} cdkData.amount - Amount in minor units
+   * @param {string} cdkData.currency - Currency code
+   * @param {string} cdkData.expiresAt - Expiry time (ISO string)
+   * @param {string} cdkData.campaignId - Campaign the code belongs to (optional)
+   * @param {number} cdkData.maxRedemptions - How often the code can be redeemed (default 1)
+   * @param {string} cdkData.status - 'ACTIVE' (default) or 'USED'; imported codes keep their status
+   * @param {number} cdkData.redemptionCount - Redemptions so far (imported codes)
+   * @param {string} cdkData.createdAt - Creation time (ISO string, defaults to now)
+   * @param {string} cdkData.usedAt - Redemption time of a used code
+   * @param {string} cdkData.usedBy - Username that redeemed a used code
+   * @param {string} cdkData.usedByWalletId - Wallet that redeemed a used code
+   * @returns {Promise<Object>} Created CDK
+   */
+  async create(cdkData) {
+    const {
+      key,
+      amount,
+      currency = 'USD',
+      expiresAt,
+      campaignId = null,
+      maxRedemptions = 1,
+      status = 'ACTIVE',
+      redemptionCount = status === 'USED' ? maxRedemptions : 0,
+      createdAt = new Date().toISOString(),
+      usedAt = null,
+      usedBy = null,
+      usedByWalletId = null
+    } = cdkData;
+
+    if (!money.isMinorUnits(amount) || amount <= 0) {
+      throw new Error(t(null, 'errors.invalidCdkAmount'));
+    }
+
+    const id = uuidv4();
+    try {
+      await dbAsync.run(
+        `INSERT INTO cdks (id, key, amount, currency, status, campaign_id, max_redemptions, redemption_count,
+                           expires_at, used_at, used_by, used_by_wallet_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, key, amount, currency, status, campaignId, maxRedemptions, redemptionCount,
+          expiresAt, usedAt, usedBy, usedByWalletId, createdAt]
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(t(null, 'errors.cdkAlreadyExists'));
+      }
+      throw error;
+    }
+
+    return await this.findByKey(key);
+  }
+
+  /**
+   * Find CDK by Key
+   * @param {string} key - CDK code
+   * @returns {Promise<Object|null>} CDK or null
+   */
+  async findByKey(key) {
+    const cdk = await dbAsync.get('SELECT * FROM cdks WHERE key = ?', [key]);
+    return cdk || null;
+  }
+
+  /**
+   * Find the CDKs of a Campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Array>} CDKs in creation order
+   */
+  async findByCampaignId(campaignId) {
+    return await dbAsync.all(
+      'SELECT * FROM cdks WHERE campaign_id = ? ORDER BY created_at, key',
+      [campaignId]
+    );
+  }
+
+  /**
+   * Find CDKs for the Admin Listing
+   * @param {Object} filters - Listing filters (all optional)
+   * @param {string} filters.status - Effective status: ACTIVE, USED, EXPIRED or REVOKED
+   * @param {string} filters.campaignId - Campaign ID
+   * @param {string} filters.redeemedBy - Username or wallet ID of a redeemer
+   * @param {string} filters.createdFrom - Earliest creation time (ISO string)
+   * @param {string} filters.createdTo - Latest creation time (ISO string)
+   * @param {string} filters.redeemedFrom - Earliest redemption time (ISO string)
+   * @param {string} filters.redeemedTo - Latest redemption time (ISO string)
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Limit number
+   * @param {number} options.offset - Offset number
+   * @returns {Promise<Array>} CDKs with effective_status and campaign_name, newest first
+   */
+  async findAll(filters = {}, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const { where, params } = buildFilters(filters);
+
+    return await dbAsync.all(
+      `SELECT * FROM (${CDK_DETAILS_SQL}) c
+       ${where}
+       ORDER BY c.created_at DESC, c.key
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  /**
+   * Count CDKs Matching the Admin Listing Filters
+   * @param {Object} filters - Same filters as findAll
+   * @returns {Promise<number>} CDK count
+   */
+  async count(filters = {}) {
+    const { where, params } = buildFilters(filters);
+    const result = await dbAsync.get(`SELECT COUNT(*) AS count FROM (${CDK_DETAILS_SQL}) c ${where}`, params);
+    return result.count;
+  }
+
+  /**
+   * Find a CDK with its Effective Status
+   * @param {string} key - CDK code
+   * @returns {Promise<Object|null>} CDK with effective_status and campaign_name, or null
+   */
+  async findDetailsByKey(key) {
+    const now = new Date().toISOString();
+    const cdk = await dbAsync.get(`${CDK_DETAILS_SQL} WHERE c.key = ?`, [now, now, key]);
+    return cdk || null;
+  }
+
+  /**
+   * Find the Redemptions of a CDK
+   * @param {string} cdkId - CDK ID
+   * @returns {Promise<Array>} Redemptions with the wallet's username and the credit transaction, oldest first
+   */
+  async findRedemptionsByCdkId(cdkId) {
+    return await dbAsync.all(
+      `SELECT r.*, w.username, t.transaction_type, t.description AS transaction_description
+       FROM cdk_redemptions r
+       LEFT JOIN wallets w ON w.id = r.wallet_id
+       LEFT JOIN transactions t ON t.id = r.transaction_id
+       WHERE r.cdk_id = ?
+       ORDER BY r.created_at, r.rowid`,
+      [cdkId]
+    );
+  }
+
+  /**
+   * Count a Redemption of a CDK
+   * Only an ACTIVE code with redemptions left changes, so concurrent redemptions
+   * cannot exceed max_redemptions; the code becomes USED with its last one.
+   * @param {string} key - CDK code
+   * @param {Object} wallet - Redeeming wallet ({ id, username })
+   * @returns {Promise<boolean>} Whether the code still had a redemption left
+   */
+  async markRedeemed(key, wallet) {
+    const result = await dbAsync.run(
+      `UPDATE cdks
+       SET redemption_count = redemption_count + 1,
+           status = CASE WHEN redemption_count + 1 >= max_redemptions THEN 'USED' ELSE 'ACTIVE' END,
+           used_at = ?, used_by = ?, used_by_wallet_id = ?
+       WHERE key = ? AND status = 'ACTIVE' AND redemption_count < max_redemptions`,
+      [new Date().toISOString(), wallet.username, wallet.id, key]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Record a Redemption
+   * @param {Object} redemption - Redemption data
+   * @param {string} redemption.cdkId - CDK ID
+   * @param {string|null} redemption.campaignId - Campaign ID
+   * @param {string} redemption.walletId - Redeeming wallet
+   * @param {number} redemption.amount - Credited amount in minor units
+   * @param {string} redemption.transactionId - Credit transaction
+   * @returns {Promise<string>} Redemption ID
+   */
+  async createRedemption(redemption) {
+    const id = uuidv4();
+    await dbAsync.run(
+      `INSERT INTO cdk_redemptions (id, cdk_id, campaign_id, wallet_id, amount, transaction_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, redemption.cdkId, redemption.campaignId, redemption.walletId, redemption.amount, redemption.transactionId, new Date().toISOString()]
+    );
+    return id;
+  }
+}
+
+module.exports = CdkRepository;
\ No newline at end of file
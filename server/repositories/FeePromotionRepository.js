@@ -0,0 +1,118 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Columns an update may change, keyed by the property name used by callers
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at'
+};
+
+/**
+ * Fee Promotion Data Access Layer
+ * Promotions waive third-party payment fees between starts_at and ends_at,
+ * for one merchant or (without a third_party_id) for all of them.
+ */
+class FeePromotionRepository {
+
+  /**
+   * Create Fee Promotion
+   * @param {Object} promotionData - Promotion data
+   * @param {string} promotionData.name - Promotion name
+   * @param {string|null} promotionData.thirdPartyId - Merchant the promotion applies to, null for all
+   * @param {string} promotionData.startsAt - Start of the fee-free window (ISO string)
+   * @param {string} promotionData.endsAt - End of the fee-free window (ISO string)
+   * @returns {Promise<Object>} Created promotion
+   */
+  async create(promotionData) {
+    const { name, thirdPartyId = null, startsAt, endsAt } = promotionData;
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await dbAsync.run(
+      `INSERT INTO fee_promotions (id, name, third_party_id, starts_at, ends_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, thirdPartyId, startsAt, endsAt, now, now]
+    );
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Fee Promotion by ID
+   * @param {string} id - Promotion ID
+   * @returns {Promise<Object|null>} Promotion or null
+   */
+  async findById(id) {
+    const promotion = await dbAsync.get('SELECT * FROM fee_promotions WHERE id = ?', [id]);
+    return promotion || null;
+  }
+
+  /**
+   * Find the Promotion Running for a Merchant
+   * A merchant's own promotion is preferred over one for all merchants.
+   * @param {string} thirdPartyId - Merchant ID
+   * @param {string} at - Time of the payment (ISO string)
+   * @returns {Promise<Object|null>} Promotion or null
+   */
+  async findRunning(thirdPartyId, at) {
+    const promotion = await dbAsync.get(
+      `SELECT * FROM fee_promotions
+       WHERE status = 'ACTIVE' AND starts_at <= ? AND ends_at > ?
+         AND (third_party_id = ? OR third_party_id IS NULL)
+       ORDER BY third_party_id IS NULL, starts_at DESC
+       LIMIT 1`,
+      [at, at, thirdPartyId]
+    );
+    return promotion || null;
+  }
+
+  /**
+   * Get All Fee Promotions
+   * @returns {Promise<Array>} Promotions, latest start first
+   */
+  async findAll() {
+    return await dbAsync.all('SELECT * FROM fee_promotions ORDER BY starts_at DESC, created_at DESC');
+  }
+
+  /**
+   * Update Fee Promotion
+   * @param {string} id - Promotion ID
+   * @param {Object} updates - Any of name, startsAt, endsAt
+   * @returns {Promise<Object|null>} Updated promotion, or null if it does not exist
+   */
+  async update(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const [property, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (updates[property] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[property]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = ?');
+      values.push(new Date().toISOString(), id);
+      await dbAsync.run(`UPDATE fee_promotions SET ${fields.join(', ')} WHERE id = ?`, values);
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Disable Fee Promotion
+   * @param {string} id - Promotion ID
+   * @returns {Promise<boolean>} Whether an active promotion was disabled
+   */
+  async disable(id) {
+    const result = await dbAsync.run(
+      `UPDATE fee_promotions SET status = 'DISABLED', updated_at = ?
+       WHERE id = ? AND status = 'ACTIVE'`,
+      [new Date().toISOString(), id]
+    );
+    return result.changes > 0;
+  }
+}
+
+module.exports = FeePromotionRepository;
\ No newline at end of file
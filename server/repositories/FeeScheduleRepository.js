@@ -0,0 +1,164 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { t } = require('../config/i18n');
+
+// Columns an update may change, keyed by the property name used by callers
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  feeType: 'fee_type',
+  rate: 'rate',
+  flatAmount: 'flat_amount',
+  tiers: 'tiers',
+  minFee: 'min_fee',
+  maxFee: 'max_fee'
+};
+
+// Convert a row's JSON tiers to an array
+function parseSchedule(row) {
+  if (!row) {
+    return null;
+  }
+  return { ...row, tiers: row.tiers ? JSON.parse(row.tiers) : null };
+}
+
+/**
+ * Fee Schedule Data Access Layer
+ * Schedules describe the fee charged on top of third-party payments (amounts
+ * in minor units). The schedule without a third_party_id is the default; a
+ * merchant's own active schedule overrides it.
+ */
+class FeeScheduleRepository {
+
+  /**
+   * Create Fee Schedule
+   * @param {Object} scheduleData - Schedule data
+   * @param {string} scheduleData.name - Schedule name
+   * @param {string|null} scheduleData.thirdPartyId - Merchant the schedule applies to, null for the default
+   * @param {string} scheduleData.feeType - 'percentage', 'flat' or 'tiered'
+   * @param {number} scheduleData.rate - Rate of percentage fees (0.1 = 10%)
+   * @param {number} scheduleData.flatAmount - Fixed fee in minor units
+   * @param {Array|null} scheduleData.tiers - Tiers of tiered fees as [{ upTo, rate, flatAmount }]
+   * @param {number|null} scheduleData.minFee - Minimum fee in minor units
+   * @param {number|null} scheduleData.maxFee - Maximum fee in minor units
+   * @returns {Promise<Object>} Created schedule
+   */
+  async create(scheduleData) {
+    const {
+      name,
+      thirdPartyId = null,
+      feeType,
+      rate = 0,
+      flatAmount = 0,
+      tiers = null,
+      minFee = null,
+      maxFee = null
+    } = scheduleData;
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    try {
+      await dbAsync.run(
+        `INSERT INTO fee_schedules (id, name, third_party_id, fee_type, rate, flat_amount, tiers, min_fee, max_fee, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, thirdPartyId, feeType, rate, flatAmount, tiers ? JSON.stringify(tiers) : null, minFee, maxFee, now, now]
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(t(null, 'errors.feeScheduleAlreadyExists'));
+      }
+      throw error;
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Fee Schedule by ID
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null
+   */
+  async findById(id) {
+    return parseSchedule(await dbAsync.get('SELECT * FROM fee_schedules WHERE id = ?', [id]));
+  }
+
+  /**
+   * Find the Active Schedule of a Merchant
+   * @param {string|null} thirdPartyId - Merchant ID, null for the default schedule
+   * @returns {Promise<Object|null>} Schedule or null
+   */
+  async findActive(thirdPartyId) {
+    return parseSchedule(await dbAsync.get(
+      `SELECT * FROM fee_schedules
+       WHERE status = 'ACTIVE' AND COALESCE(third_party_id, '') = ?`,
+      [thirdPartyId || '']
+    ));
+  }
+
+  /**
+   * Get All Fee Schedules
+   * @param {Object} filters - Optional thirdPartyId and status
+   * @returns {Promise<Array>} Schedules, default first, then by merchant and newest first
+   */
+  async findAll(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.thirdPartyId) {
+      conditions.push('third_party_id = ?');
+      params.push(filters.thirdPartyId);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = await dbAsync.all(
+      `SELECT * FROM fee_schedules ${where}
+       ORDER BY third_party_id IS NOT NULL, third_party_id, created_at DESC`,
+      params
+    );
+    return rows.map(parseSchedule);
+  }
+
+  /**
+   * Update Fee Schedule
+   * @param {string} id - Schedule ID
+   * @param {Object} updates - Any of name, feeType, rate, flatAmount, tiers, minFee, maxFee
+   * @returns {Promise<Object|null>} Updated schedule, or null if it does not exist
+   */
+  async update(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const [property, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (updates[property] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(property === 'tiers' && updates.tiers !== null ? JSON.stringify(updates.tiers) : updates[property]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = ?');
+      values.push(new Date().toISOString(), id);
+      await dbAsync.run(`UPDATE fee_schedules SET ${fields.join(', ')} WHERE id = ?`, values);
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Disable Fee Schedule
+   * Schedules are kept for reference, so disabling replaces deletion.
+   * @param {string} id - Schedule ID
+   * @returns {Promise<boolean>} Whether an active schedule was disabled
+   */
+  async disable(id) {
+    const result = await dbAsync.run(
+      `UPDATE fee_schedules SET status = 'DISABLED', updated_at = ?
+       WHERE id = ? AND status = 'ACTIVE'`,
+      [new Date().toISOString(), id]
+    );
+    return result.changes > 0;
+  }
+}
+
+module.exports = FeeScheduleRepository;
\ No newline at end of file
@@ -0,0 +1,111 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Idempotency Key Data Access Layer
+ * Stores the keys sent with money-moving requests and the responses they produced
+ */
+class IdempotencyKeyRepository {
+
+  /**
+   * Reserve Idempotency Key
+   * Inserts the key in PROCESSING state unless it is already stored for the endpoint and wallet.
+   * A PROCESSING key reserved before staleBefore belongs to a request that never
+   * finished, so it is reserved again under a new ID.
+   * @param {Object} keyData - Key data
+   * @param {string} keyData.key - Idempotency-Key header value
+   * @param {string} keyData.endpoint - Method and route, e.g. "POST /api/transfers"
+   * @param {string} keyData.walletId - Wallet of the session, or '' for unauthenticated endpoints
+   * @param {string} keyData.requestHash - SHA-256 hash of the request body
+   * @param {string} keyData.expiresAt - Time after which the key may be reused (ISO string)
+   * @param {string} keyData.staleBefore - Time before which PROCESSING keys are abandoned (ISO string)
+   * @returns {Promise<Object>} { reserved: true, id } or { reserved: false, record } with the stored key
+   */
+  async reserve(keyData) {
+    const { key, endpoint, walletId, requestHash, expiresAt, staleBefore } = keyData;
+    const now = new Date().toISOString();
+    const id = uuidv4();
+
+    // Expired keys no longer protect anything; drop them so the key can be reserved again
+    await this.deleteExpired(now);
+
+    const result = await dbAsync.transaction(async () => {
+      await dbAsync.run(
+        `DELETE FROM idempotency_keys
+         WHERE idempotency_key = ? AND endpoint = ? AND wallet_id = ? AND status = 'PROCESSING' AND created_at < ?`,
+        [key, endpoint, walletId, staleBefore]
+      );
+      return await dbAsync.run(
+        `INSERT OR IGNORE INTO idempotency_keys (id, idempotency_key, endpoint, wallet_id, request_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, key, endpoint, walletId, requestHash, expiresAt, now]
+      );
+    });
+
+    if (result.changes > 0) {
+      return { reserved: true, id };
+    }
+
+    return { reserved: false, record: await this.find(key, endpoint, walletId) };
+  }
+
+  /**
+   * Find Idempotency Key
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} endpoint - Method and route
+   * @param {string} walletId - Wallet of the session, or ''
+   * @returns {Promise<Object|null>} Stored key or null
+   */
+  async find(key, endpoint, walletId) {
+    const record = await dbAsync.get(
+      `SELECT * FROM idempotency_keys
+       WHERE idempotency_key = ? AND endpoint = ? AND wallet_id = ?`,
+      [key, endpoint, walletId]
+    );
+    return record || null;
+  }
+
+  /**
+   * Store the Response of a Reserved Key
+   * @param {string} id - ID returned by reserve
+   * @param {number} responseStatus - HTTP status code
+   * @param {Object} responseBody - JSON response body
+   * @returns {Promise<boolean>} Whether the key was still reserved under that ID
+   */
+  async complete(id, responseStatus, responseBody) {
+    const result = await dbAsync.run(
+      `UPDATE idempotency_keys SET status = 'COMPLETED', response_status = ?, response_body = ?
+       WHERE id = ? AND status = 'PROCESSING'`,
+      [responseStatus, JSON.stringify(responseBody), id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Release a Reserved Key
+   * Used when the request failed in a way that is safe to retry.
+   * @param {string} id - ID returned by reserve
+   * @returns {Promise<void>}
+   */
+  async release(id) {
+    await dbAsync.run(
+      "DELETE FROM idempotency_keys WHERE id = ? AND status = 'PROCESSING'",
+      [id]
+    );
+  }
+
+  /**
+   * Delete Expired Keys
+   * @param {string} now - Current time (ISO string)
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  async deleteExpired(now = new Date().toISOString()) {
+    const result = await dbAsync.run(
+      'DELETE FROM idempotency_keys WHERE expires_at <= ?',
+      [now]
+    );
+    return result.changes;
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Interest Accrual Data Access Layer
+ * Daily accruals of interest per wallet (unrounded minor units) and the days
+ * they have been recorded for. Accruals are posted by the monthly interest run.
+ */
+class InterestAccrualRepository {
+
+  /**
+   * Create Interest Accrual
+   * A wallet accrues once per day; a second accrual for the same day is ignored.
+   * @param {Object} accrualData - Accrual data
+   * @param {string} accrualData.walletId - Wallet ID
+   * @param {string} accrualData.accrualDate - Day accrued (YYYY-MM-DD)
+   * @param {string} accrualData.period - Interest period of the day (YYYY-MM)
+   * @param {number} accrualData.balance - Balance at the end of the day in minor units
+   * @param {number} accrualData.amount - Accrued interest in minor units, unrounded
+   * @param {string|null} accrualData.policyId - Interest policy applied
+   * @returns {Promise<boolean>} Whether the accrual was recorded
+   */
+  async create(accrualData) {
+    const { walletId, accrualDate, period, balance, amount, policyId = null } = accrualData;
+    const result = await dbAsync.run(
+      `INSERT OR IGNORE INTO interest_accruals (id, wallet_id, accrual_date, period, balance, amount, policy_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), walletId, accrualDate, period, balance, amount, policyId, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Record an Accrued Day
+   * @param {Object} dayData - { accrualDate, period, walletCount, totalAccrued }
+   * @returns {Promise<boolean>} Whether the day was recorded (false if it already was)
+   */
+  async recordDay(dayData) {
+    const { accrualDate, period, walletCount, totalAccrued } = dayData;
+    const result = await dbAsync.run(
+      `INSERT OR IGNORE INTO interest_accrual_days (accrual_date, period, wallet_count, total_accrued, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [accrualDate, period, walletCount, totalAccrued, new Date().toISOString()]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Check Whether a Day Has Been Accrued
+   * @param {string} accrualDate - Day (YYYY-MM-DD)
+   * @returns {Promise<boolean>} Whether it has
+   */
+  async isDayAccrued(accrualDate) {
+    const row = await dbAsync.get('SELECT 1 FROM interest_accrual_days WHERE accrual_date = ?', [accrualDate]);
+    return Boolean(row);
+  }
+
+  /**
+   * Find the Last Accrued Day
+   * @returns {Promise<string|null>} Day (YYYY-MM-DD) or null
+   */
+  async findLastAccruedDay() {
+    const row = await dbAsync.get('SELECT MAX(accrual_date) AS accrual_date FROM interest_accrual_days');
+    return row.accrual_date || null;
+  }
+
+  /**
+   * Find the First Accrued Day of a Period or Later
+   * @param {string} period - Interest period (YYYY-MM)
+   * @returns {Promise<string|null>} Day (YYYY-MM-DD) or null
+   */
+  async findFirstAccruedDayFrom(period) {
+    const row = await dbAsync.get('SELECT MIN(accrual_date) AS accrual_date FROM interest_accrual_days WHERE period >= ?', [period]);
+    return row.accrual_date || null;
+  }
+
+  /**
+   * Sum the Accruals of a Period per Wallet
+   * @param {string} period - Interest period (YYYY-MM)
+   * @returns {Promise<Array>} Rows as { wallet_id, amount, days }, amount unrounded
+   */
+  async sumByWallet(period) {
+    return await dbAsync.all(
+      `SELECT wallet_id, SUM(amount) AS amount, COUNT(*) AS days
+       FROM interest_accruals WHERE period = ?
+       GROUP BY wallet_id`,
+      [period]
+    );
+  }
+
+  /**
+   * Sum the Unposted Accruals of a Wallet per Period
+   * A period counts as posted for the wallet once the wallet has a POSTED
+   * interest posting for it or the period's interest log is COMPLETED.
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<Array>} Rows as { period, amount, days }, oldest first
+   */
+  async sumUnpostedByPeriod(walletId) {
+    return await dbAsync.all(
+      `SELECT a.period, SUM(a.amount) AS amount, COUNT(*) AS days
+       FROM interest_accruals a
+       WHERE a.wallet_id = ?
+         AND NOT EXISTS (SELECT 1 FROM interest_logs l WHERE l.period = a.period AND l.status = 'COMPLETED')
+         AND NOT EXISTS (
+           SELECT 1 FROM interest_postings p
+           WHERE p.wallet_id = a.wallet_id AND p.period = a.period AND p.status = 'POSTED'
+         )
+       GROUP BY a.period
+       ORDER BY a.period`,
+      [walletId]
+    );
+  }
+}
+
+module.exports = InterestAccrualRepository;
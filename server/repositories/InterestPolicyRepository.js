@@ -0,0 +1,115 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { t } = require('../config/i18n');
+
+// Convert a row's JSON tiers to an array
+function parsePolicy(row) {
+  if (!row) {
+    return null;
+  }
+  return { ...row, tiers: row.tiers ? JSON.parse(row.tiers) : null };
+}
+
+/**
+ * Interest Policy Data Access Layer
+ * Policies set the rate of monthly interest (amounts in minor units). The
+ * active policy with the latest effective_from at or before a period (YYYY-MM)
+ * is the one in force for it.
+ */
+class InterestPolicyRepository {
+
+  /**
+   * Create Interest Policy
+   * @param {Object} policyData - Policy data
+   * @param {string} policyData.name - Policy name
+   * @param {string} policyData.effectiveFrom - First period the policy applies to (YYYY-MM)
+   * @param {number} policyData.annualRate - Annual rate of the balance (0.01 = 1%)
+   * @param {Array|null} policyData.tiers - Rates of the balance above thresholds as [{ above, annualRate }]
+   * @param {number} policyData.minBalance - Balance in minor units below which no interest is paid
+   * @param {number|null} policyData.maxInterest - Maximum interest per wallet and period in minor units
+   * @returns {Promise<Object>} Created policy
+   */
+  async create(policyData) {
+    const {
+      name,
+      effectiveFrom,
+      annualRate,
+      tiers = null,
+      minBalance = 0,
+      maxInterest = null
+    } = policyData;
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    try {
+      await dbAsync.run(
+        `INSERT INTO interest_policies (id, name, effective_from, annual_rate, tiers, min_balance, max_interest, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, effectiveFrom, annualRate, tiers ? JSON.stringify(tiers) : null, minBalance, maxInterest, now, now]
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(t(null, 'errors.interestPolicyAlreadyScheduled'));
+      }
+      throw error;
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Interest Policy by ID
+   * @param {string} id - Policy ID
+   * @returns {Promise<Object|null>} Policy or null
+   */
+  async findById(id) {
+    return parsePolicy(await dbAsync.get('SELECT * FROM interest_policies WHERE id = ?', [id]));
+  }
+
+  /**
+   * Find the Policy in Force for a Period
+   * @param {string} period - Interest period (YYYY-MM)
+   * @returns {Promise<Object|null>} Policy or null
+   */
+  async findInForce(period) {
+    return parsePolicy(await dbAsync.get(
+      `SELECT * FROM interest_policies
+       WHERE status = 'ACTIVE' AND effective_from <= ?
+       ORDER BY effective_from DESC
+       LIMIT 1`,
+      [period]
+    ));
+  }
+
+  /**
+   * Get All Interest Policies
+   * @param {Object} filters - Optional status
+   * @returns {Promise<Array>} Policies, latest effective period first
+   */
+  async findAll(filters = {}) {
+    const where = filters.status ? 'WHERE status = ?' : '';
+    const rows = await dbAsync.all(
+      `SELECT * FROM interest_policies ${where}
+       ORDER BY effective_from DESC, created_at DESC`,
+      filters.status ? [filters.status] : []
+    );
+    return rows.map(parsePolicy);
+  }
+
+  /**
+   * Cancel Interest Policy
+   * Policies are kept for reference, so cancelling replaces deletion.
+   * @param {string} id - Policy ID
+   * @returns {Promise<boolean>} Whether an active policy was cancelled
+   */
+  async cancel(id) {
+    const result = await dbAsync.run(
+      `UPDATE interest_policies SET status = 'CANCELLED', updated_at = ?
+       WHERE id = ? AND status = 'ACTIVE'`,
+      [new Date().toISOString(), id]
+    );
+    return result.changes > 0;
+  }
+}
+
+module.exports = InterestPolicyRepository;
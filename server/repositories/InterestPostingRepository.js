@@ -0,0 +1,125 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Interest Posting Data Access Layer
+ * One record per wallet and interest period (amounts in minor units). A wallet
+ * is posted at most once per period; wallets whose posting failed keep a
+ * FAILED record until a later run posts them.
+ */
+class InterestPostingRepository {
+
+  /**
+   * Record a Posted Wallet
+   * Replaces an earlier FAILED record of the wallet for the period.
+   * @param {Object} postingData - Posting data
+   * @param {string} postingData.walletId - Wallet ID
+   * @param {string} postingData.period - Interest period (YYYY-MM)
+   * @param {number} postingData.amount - Interest posted in minor units (negative for debits, 0 for none)
+   * @param {string|null} postingData.transactionId - Interest transaction, null when nothing was posted
+   * @returns {Promise<void>}
+   */
+  async recordPosted(postingData) {
+    const { walletId, period, amount, transactionId = null } = postingData;
+    const now = new Date().toISOString();
+    await dbAsync.run(
+      `INSERT INTO interest_postings (id, wallet_id, period, status, amount, transaction_id, error_message, created_at, updated_at)
+       VALUES (?, ?, ?, 'POSTED', ?, ?, NULL, ?, ?)
+       ON CONFLICT (wallet_id, period) DO UPDATE SET
+         status = 'POSTED', amount = excluded.amount, transaction_id = excluded.transaction_id,
+         error_message = NULL, updated_at = excluded.updated_at`,
+      [uuidv4(), walletId, period, amount, transactionId, now, now]
+    );
+  }
+
+  /**
+   * Record a Failed Wallet
+   * A wallet that has been posted stays posted.
+   * @param {Object} postingData - { walletId, period, errorMessage }
+   * @returns {Promise<void>}
+   */
+  async recordFailed(postingData) {
+    const { walletId, period, errorMessage } = postingData;
+    const now = new Date().toISOString();
+    await dbAsync.run(
+      `INSERT INTO interest_postings (id, wallet_id, period, status, error_message, created_at, updated_at)
+       VALUES (?, ?, ?, 'FAILED', ?, ?, ?)
+       ON CONFLICT (wallet_id, period) DO UPDATE SET
+         error_message = excluded.error_message, updated_at = excluded.updated_at
+       WHERE interest_postings.status = 'FAILED'`,
+      [uuidv4(), walletId, period, errorMessage, now, now]
+    );
+  }
+
+  /**
+   * Check Whether a Wallet Has Been Posted for a Period
+   * @param {string} walletId - Wallet ID
+   * @param {string} period - Interest period (YYYY-MM)
+   * @returns {Promise<boolean>} Whether it has
+   */
+  async isPosted(walletId, period) {
+    const row = await dbAsync.get(
+      `SELECT 1 FROM interest_postings WHERE wallet_id = ? AND period = ? AND status = 'POSTED'`,
+      [walletId, period]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Find Wallets Not Posted for a Period
+   * Pages through wallets by ID so that a run can resume after the last chunk.
+   * @param {string} period - Interest period (YYYY-MM)
+   * @param {string|null} afterId - Return wallets with a greater ID (null for the first chunk)
+   * @param {number} limit - Chunk size
+   * @returns {Promise<Array>} Wallets as { id, username }, by ID
+   */
+  async findUnpostedWallets(period, afterId, limit) {
+    return await dbAsync.all(
+      `SELECT w.id, w.username FROM wallets w
+       WHERE w.id > ?
+         AND NOT EXISTS (
+           SELECT 1 FROM interest_postings p
+           WHERE p.wallet_id = w.id AND p.period = ? AND p.status = 'POSTED'
+         )
+       ORDER BY w.id
+       LIMIT ?`,
+      [afterId || '', period, limit]
+    );
+  }
+
+  /**
+   * Summarize the Postings of a Period
+   * @param {string} period - Interest period (YYYY-MM)
+   * @returns {Promise<Object>} { postedCount, failedCount, totalInterest } (minor units)
+   */
+  async summarize(period) {
+    const row = await dbAsync.get(
+      `SELECT COALESCE(SUM(CASE WHEN status = 'POSTED' THEN 1 ELSE 0 END), 0) AS posted_count,
+              COALESCE(SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END), 0) AS failed_count,
+              COALESCE(SUM(CASE WHEN status = 'POSTED' THEN amount ELSE 0 END), 0) AS total_interest
+       FROM interest_postings WHERE period = ?`,
+      [period]
+    );
+    return {
+      postedCount: row.posted_count,
+      failedCount: row.failed_count,
+      totalInterest: row.total_interest
+    };
+  }
+
+  /**
+   * Get the Postings of a Period
+   * @param {string} period - Interest period (YYYY-MM)
+   * @param {Object} filters - Optional status
+   * @returns {Promise<Array>} Postings by wallet ID
+   */
+  async findByPeriod(period, filters = {}) {
+    const status = filters.status ? 'AND status = ?' : '';
+    return await dbAsync.all(
+      `SELECT * FROM interest_postings WHERE period = ? ${status} ORDER BY wallet_id`,
+      filters.status ? [period, filters.status] : [period]
+    );
+  }
+}
+
+module.exports = InterestPostingRepository;
@@ -0,0 +1,266 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+// System accounts balancing money that enters or leaves the wallets
+const SYSTEM_ACCOUNTS = {
+  INTEREST_EXPENSE: 'interest_expense',
+  FEE_REVENUE: 'fee_revenue',
+  CDK_LIABILITY: 'cdk_liability',
+  THIRD_PARTY_CLEARING: 'third_party_clearing',
+  BALANCE_ADJUSTMENTS: 'balance_adjustments'
+};
+
+const SYSTEM_ACCOUNT_NAMES = {
+  [SYSTEM_ACCOUNTS.INTEREST_EXPENSE]: 'Interest expense',
+  [SYSTEM_ACCOUNTS.FEE_REVENUE]: 'Fee revenue',
+  [SYSTEM_ACCOUNTS.CDK_LIABILITY]: 'CDK liability',
+  [SYSTEM_ACCOUNTS.THIRD_PARTY_CLEARING]: 'Third-party clearing',
+  [SYSTEM_ACCOUNTS.BALANCE_ADJUSTMENTS]: 'Balance adjustments'
+};
+
+// Account balancing each transaction type when a wallet side is missing
+const COUNTER_ACCOUNTS = {
+  system: SYSTEM_ACCOUNTS.BALANCE_ADJUSTMENTS,
+  interest_credit: SYSTEM_ACCOUNTS.INTEREST_EXPENSE,
+  interest_debit: SYSTEM_ACCOUNTS.INTEREST_EXPENSE,
+  third_party_payment: SYSTEM_ACCOUNTS.THIRD_PARTY_CLEARING,
+  third_party_receipt: SYSTEM_ACCOUNTS.THIRD_PARTY_CLEARING,
+  cdk_redemption: SYSTEM_ACCOUNTS.CDK_LIABILITY,
+  refund: SYSTEM_ACCOUNTS.THIRD_PARTY_CLEARING
+};
+
+const walletAccountCode = (walletId) => `wallet:${walletId}`;
+const systemAccountCode = (name) => `system:${name}`;
+
+/**
+ * Ledger Data Access Layer
+ * Double-entry postings underneath the transactions table. Every transaction
+ * posts entries to ledger accounts (one per wallet plus the system accounts);
+ * an entry's amount is the signed change of its account in minor units, and
+ * the entries of a transaction always sum to zero. A wallet's balance therefore
+ * equals the sum of the entries on its account.
+ */
+class LedgerRepository {
+
+  /**
+   * Build the Entries of a Transaction
+   * @param {Object} transaction - Transaction data
+   * @param {string|null} transaction.fromWalletId - Sender wallet ID
+   * @param {string|null} transaction.toWalletId - Receiver wallet ID
+   * @param {number} transaction.amount - Transaction amount in minor units
+   * @param {string} transaction.transactionType - Transaction type
+   * @param {number} transaction.feeAmount - Fee charged to the sender on top of the amount (third-party payments),
+   *   or returned to the receiver with the amount (refunds)
+   * @param {string} transaction.counterAccount - System account overriding the default for the type
+   * @returns {Array<Object>} Entries as { walletId | systemAccount, amount }
+   */
+  static buildEntries(transaction) {
+    const { fromWalletId, toWalletId, amount, transactionType, feeAmount = 0 } = transaction;
+    const counterAccount = transaction.counterAccount || COUNTER_ACCOUNTS[transactionType];
+
+    // Interest debits are recorded against to_wallet_id but reduce that wallet
+    if (transactionType === 'interest_debit') {
+      return [
+        { walletId: toWalletId || fromWalletId, amount: -amount },
+        { systemAccount: counterAccount, amount }
+      ];
+    }
+
+    // Refunds return the refunded fee from fee revenue along with the amount
+    if (transactionType === 'refund') {
+      if (!toWalletId) {
+        throw new Error(t(null, 'errors.ledgerAccountMissing'));
+      }
+      const entries = [
+        { systemAccount: counterAccount, amount: -amount },
+        { walletId: toWalletId, amount }
+      ];
+      if (feeAmount > 0) {
+        entries.push({ systemAccount: SYSTEM_ACCOUNTS.FEE_REVENUE, amount: -feeAmount });
+        entries.push({ walletId: toWalletId, amount: feeAmount });
+      }
+      return entries;
+    }
+
+    if ((transactionType === 'transfer' || transactionType === 'reversal') && (!fromWalletId || !toWalletId)) {
+      throw new Error(t(null, 'errors.ledgerAccountMissing'));
+    }
+    if (feeAmount > 0 && !fromWalletId) {
+      throw new Error(t(null, 'errors.ledgerAccountMissing'));
+    }
+
+    const entries = [];
+    entries.push(fromWalletId
+      ? { walletId: fromWalletId, amount: -amount }
+      : { systemAccount: counterAccount, amount: -amount });
+    entries.push(toWalletId
+      ? { walletId: toWalletId, amount }
+      : { systemAccount: counterAccount, amount });
+
+    // The fee is its own line: the sender pays it to fee revenue
+    if (feeAmount > 0) {
+      entries.push({ walletId: fromWalletId, amount: -feeAmount });
+      entries.push({ systemAccount: SYSTEM_ACCOUNTS.FEE_REVENUE, amount: feeAmount });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get or Create a Ledger Account
+   * @param {Object} account - Either { walletId } or { systemAccount }
+   * @returns {Promise<string>} Account ID
+   */
+  async getAccountId(account) {
+    const { walletId = null, systemAccount = null } = account;
+    if (systemAccount && !SYSTEM_ACCOUNT_NAMES[systemAccount]) {
+      throw new Error(t(null, 'errors.ledgerAccountMissing'));
+    }
+
+    const code = walletId ? walletAccountCode(walletId) : systemAccountCode(systemAccount);
+    const existing = await dbAsync.get('SELECT id FROM ledger_accounts WHERE code = ?', [code]);
+    if (existing) {
+      return existing.id;
+    }
+
+    const id = uuidv4();
+    await dbAsync.run(
+      `INSERT INTO ledger_accounts (id, code, account_type, wallet_id, name, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        code,
+        walletId ? 'wallet' : 'system',
+        walletId,
+        walletId ? code : SYSTEM_ACCOUNT_NAMES[systemAccount],
+        new Date().toISOString()
+      ]
+    );
+    return id;
+  }
+
+  /**
+   * Post the Entries of a Transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {Array<Object>} entries - Entries as { walletId | systemAccount, amount }
+   * @returns {Promise<void>}
+   */
+  async post(transactionId, entries) {
+    let total = 0;
+    for (const entry of entries) {
+      if (!money.isMinorUnits(entry.amount) || entry.amount === 0) {
+        throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+      }
+      total += entry.amount;
+    }
+    if (total !== 0) {
+      throw new Error(t(null, 'errors.ledgerPostingUnbalanced', { total }));
+    }
+
+    const now = new Date().toISOString();
+    for (const entry of entries) {
+      const accountId = await this.getAccountId(entry);
+      await dbAsync.run(
+        `INSERT INTO ledger_entries (id, transaction_id, account_id, amount, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [uuidv4(), transactionId, accountId, entry.amount, now]
+      );
+    }
+  }
+
+  /**
+   * Find the Entries of a Transaction
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Array>} Entries with their account code
+   */
+  async findEntriesByTransactionId(transactionId) {
+    return await dbAsync.all(
+      `SELECT e.id, e.transaction_id, e.amount, e.created_at, a.code AS account_code, a.account_type, a.wallet_id
+       FROM ledger_entries e
+       JOIN ledger_accounts a ON e.account_id = a.id
+       WHERE e.transaction_id = ?
+       ORDER BY e.amount`,
+      [transactionId]
+    );
+  }
+
+  /**
+   * Get the Ledger Balance of a Wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<number>} Sum of the wallet account's entries in minor units
+   */
+  async getWalletBalance(walletId) {
+    const row = await dbAsync.get(
+      `SELECT COALESCE(SUM(e.amount), 0) AS balance
+       FROM ledger_accounts a
+       LEFT JOIN ledger_entries e ON e.account_id = a.id
+       WHERE a.code = ?`,
+      [walletAccountCode(walletId)]
+    );
+    return row ? row.balance : 0;
+  }
+
+  /**
+   * Get Account Balances
+   * @returns {Promise<Array>} Accounts with their balance in minor units, system accounts first
+   */
+  async getAccountBalances() {
+    return await dbAsync.all(
+      `SELECT a.id, a.code, a.account_type, a.wallet_id, a.name, COALESCE(SUM(e.amount), 0) AS balance
+       FROM ledger_accounts a
+       LEFT JOIN ledger_entries e ON e.account_id = a.id
+       GROUP BY a.id
+       ORDER BY a.account_type DESC, a.code`
+    );
+  }
+
+  /**
+   * Find Unbalanced Transactions
+   * @returns {Promise<Array>} Transactions whose entries do not sum to zero
+   */
+  async findUnbalancedTransactions() {
+    return await dbAsync.all(
+      `SELECT transaction_id, SUM(amount) AS total
+       FROM ledger_entries
+       GROUP BY transaction_id
+       HAVING SUM(amount) != 0`
+    );
+  }
+
+  /**
+   * Reconcile Wallet Balances Against the Ledger
+   * @returns {Promise<Array>} Wallets whose stored balance differs from their ledger balance
+   */
+  async findBalanceMismatches() {
+    return await dbAsync.all(
+      `SELECT w.id AS wallet_id, w.username, w.balance,
+              COALESCE(l.balance, 0) AS ledger_balance,
+              w.balance - COALESCE(l.balance, 0) AS difference
+       FROM wallets w
+       LEFT JOIN (
+         SELECT a.wallet_id, SUM(e.amount) AS balance
+         FROM ledger_accounts a
+         JOIN ledger_entries e ON e.account_id = a.id
+         WHERE a.account_type = 'wallet'
+         GROUP BY a.wallet_id
+       ) l ON l.wallet_id = w.id
+       WHERE w.balance != COALESCE(l.balance, 0)`
+    );
+  }
+
+  /**
+   * Delete the Account of a Wallet
+   * Only possible while the account has no entries.
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<void>}
+   */
+  async deleteWalletAccount(walletId) {
+    await dbAsync.run('DELETE FROM ledger_accounts WHERE code = ?', [walletAccountCode(walletId)]);
+  }
+}
+
+LedgerRepository.SYSTEM_ACCOUNTS = SYSTEM_ACCOUNTS;
+
+module.exports = LedgerRepository;
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { dbAsync } = require('../config/database');
+const { t } = require('../config/i18n');
+
+// Columns returned by merchant queries (the API key hash never leaves the repository)
+const MERCHANT_COLUMNS = 'id, name, contact_email, status, api_key_prefix, api_key_created_at, created_at, updated_at';
+
+// Columns an update may change, keyed by the property name used by callers
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  contactEmail: 'contact_email',
+  status: 'status'
+};
+
+/**
+ * Merchant Data Access Layer
+ * Registered third parties allowed to take payments from and send receipts to
+ * wallets. Their ID is the thirdPartyId used by fee schedules and promotions.
+ */
+class MerchantRepository {
+
+  /**
+   * Create Merchant
+   * @param {Object} merchantData - Merchant data
+   * @param {string} merchantData.id - Merchant ID
+   * @param {string} merchantData.name - Display name
+   * @param {string|null} merchantData.contactEmail - Contact address (optional)
+   * @param {string|null} merchantData.apiKeyHash - SHA-256 hash of the API key (optional)
+   * @param {string|null} merchantData.apiKeyPrefix - First characters of the API key (optional)
+   * @returns {Promise<Object>} Created merchant
+   */
+  async create(merchantData) {
+    const { id, name, contactEmail = null, apiKeyHash = null, apiKeyPrefix = null } = merchantData;
+    const now = new Date().toISOString();
+    try {
+      await dbAsync.run(
+        `INSERT INTO merchants (id, name, contact_email, api_key_hash, api_key_prefix, api_key_created_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, contactEmail, apiKeyHash, apiKeyPrefix, apiKeyHash ? now : null, now, now]
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(t(null, 'errors.merchantAlreadyExists'));
+      }
+      throw error;
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Merchant by ID
+   * @param {string} id - Merchant ID
+   * @returns {Promise<Object|null>} Merchant or null
+   */
+  async findById(id) {
+    const merchant = await dbAsync.get(`SELECT ${MERCHANT_COLUMNS} FROM merchants WHERE id = ?`, [id]);
+    return merchant || null;
+  }
+
+  /**
+   * Find Merchant by API Key Hash
+   * @param {string} apiKeyHash - SHA-256 hash of the API key
+   * @returns {Promise<Object|null>} Merchant or null
+   */
+  async findByApiKeyHash(apiKeyHash) {
+    const merchant = await dbAsync.get(`SELECT ${MERCHANT_COLUMNS} FROM merchants WHERE api_key_hash = ?`, [apiKeyHash]);
+    return merchant || null;
+  }
+
+  /**
+   * Get All Merchants
+   * @param {Object} filters - Optional status
+   * @returns {Promise<Array>} Merchants with their transaction count, by name
+   */
+  async findAll(filters = {}) {
+    const where = filters.status ? 'WHERE m.status = ?' : '';
+    return await dbAsync.all(
+      `SELECT ${MERCHANT_COLUMNS.split(', ').map(column => `m.${column}`).join(', ')},
+              (SELECT COUNT(*) FROM transactions WHERE merchant_id = m.id) AS transaction_count
+       FROM merchants m
+       ${where}
+       ORDER BY m.name, m.id`,
+      filters.status ? [filters.status] : []
+    );
+  }
+
+  /**
+   * Update Merchant
+   * @param {string} id - Merchant ID
+   * @param {Object} updates - Any of name, contactEmail, status
+   * @returns {Promise<Object|null>} Updated merchant, or null if it does not exist
+   */
+  async update(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const [property, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (updates[property] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(updates[property]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = ?');
+      values.push(new Date().toISOString(), id);
+      await dbAsync.run(`UPDATE merchants SET ${fields.join(', ')} WHERE id = ?`, values);
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Replace the API Key of a Merchant
+   * The previous key stops working immediately.
+   * @param {string} id - Merchant ID
+   * @param {string} apiKeyHash - SHA-256 hash of the new API key
+   * @param {string} apiKeyPrefix - First characters of the new API key
+   * @returns {Promise<boolean>} Whether the merchant exists
+   */
+  async setApiKey(id, apiKeyHash, apiKeyPrefix) {
+    const now = new Date().toISOString();
+    const result = await dbAsync.run(
+      `UPDATE merchants SET api_key_hash = ?, api_key_prefix = ?, api_key_created_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [apiKeyHash, apiKeyPrefix, now, now, id]
+    );
+    return result.changes > 0;
+  }
+}
+
+module.exports = MerchantRepository;
\ No newline at end of file
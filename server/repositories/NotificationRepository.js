@@ -0,0 +1,119 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Parse the JSON data of a notification row
+function parseNotification(row) {
+  return row ? { ...row, data: JSON.parse(row.data) } : null;
+}
+
+/**
+ * Notification Data Access Layer
+ * In-app notifications of a wallet; read_at is null until the owner reads them.
+ */
+class NotificationRepository {
+
+  /**
+   * Create Notification
+   * @param {Object} notificationData - Notification data
+   * @param {string} notificationData.walletId - Wallet notified
+   * @param {string} notificationData.type - Notification type
+   * @param {string|null} notificationData.eventId - Domain event it was created from (optional)
+   * @param {Object} notificationData.data - Values shown in the message
+   * @returns {Promise<Object>} Created notification
+   */
+  async create(notificationData) {
+    const { walletId, type, eventId = null, data = {} } = notificationData;
+    const id = uuidv4();
+
+    await dbAsync.run(
+      'INSERT INTO notifications (id, wallet_id, type, event_id, data, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, walletId, type, eventId, JSON.stringify(data), new Date().toISOString()]
+    );
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Notification by ID
+   * @param {string} id - Notification ID
+   * @returns {Promise<Object|null>} Notification (data parsed) or null
+   */
+  async findById(id) {
+    return parseNotification(await dbAsync.get('SELECT * FROM notifications WHERE id = ?', [id]));
+  }
+
+  /**
+   * Find Notifications of a Wallet
+   * @param {string} walletId - Wallet ID
+   * @param {Object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Array>} Notifications, newest first
+   */
+  async findByWallet(walletId, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+    const rows = await dbAsync.all(
+      `SELECT * FROM notifications
+       WHERE wallet_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+       ORDER BY created_at DESC, rowid DESC
+       LIMIT ? OFFSET ?`,
+      [walletId, limit, offset]
+    );
+    return rows.map(parseNotification);
+  }
+
+  /**
+   * Count Notifications of a Wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<Object>} { total, unread }
+   */
+  async countByWallet(walletId) {
+    const row = await dbAsync.get(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN read_at IS NULL THEN 1 ELSE 0 END), 0) AS unread
+       FROM notifications WHERE wallet_id = ?`,
+      [walletId]
+    );
+    return { total: row.total, unread: row.unread };
+  }
+
+  /**
+   * Check for an Unread Notification of a Type
+   * @param {string} walletId - Wallet ID
+   * @param {string} type - Notification type
+   * @returns {Promise<boolean>} Whether one exists
+   */
+  async hasUnread(walletId, type) {
+    const row = await dbAsync.get(
+      'SELECT 1 FROM notifications WHERE wallet_id = ? AND type = ? AND read_at IS NULL LIMIT 1',
+      [walletId, type]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Mark a Notification as Read
+   * @param {string} id - Notification ID
+   * @param {string} walletId - Owner of the notification
+   * @returns {Promise<Object|null>} Notification, or null if the wallet has no such notification
+   */
+  async markRead(id, walletId) {
+    await dbAsync.run(
+      'UPDATE notifications SET read_at = ? WHERE id = ? AND wallet_id = ? AND read_at IS NULL',
+      [new Date().toISOString(), id, walletId]
+    );
+    const notification = await this.findById(id);
+    return notification && notification.wallet_id === walletId ? notification : null;
+  }
+
+  /**
+   * Mark All Notifications of a Wallet as Read
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllRead(walletId) {
+    const result = await dbAsync.run(
+      'UPDATE notifications SET read_at = ? WHERE wallet_id = ? AND read_at IS NULL',
+      [new Date().toISOString(), walletId]
+    );
+    return result.changes;
+  }
+}
+
+module.exports = NotificationRepository;
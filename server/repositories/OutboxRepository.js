@@ -0,0 +1,104 @@
+const { dbAsync } = require('../config/database');
+
+/**
+ * Outbox Data Access Layer
+ * Domain events waiting to be consumed, and the position of every consumer.
+ * Events are appended with an increasing sequence number; a consumer has
+ * processed every event up to its last_sequence.
+ */
+class OutboxRepository {
+
+  /**
+   * Append an Event
+   * @param {Object} event - Event
+   * @param {string} event.id - Event ID
+   * @param {string} event.type - Event type
+   * @param {Object} event.payload - Event payload
+   * @param {string} event.createdAt - Time of the event (ISO string)
+   * @returns {Promise<number>} Sequence number of the event
+   */
+  async append(event) {
+    const result = await dbAsync.run(
+      'INSERT INTO outbox_events (id, event_type, payload, created_at) VALUES (?, ?, ?, ?)',
+      [event.id, event.type, JSON.stringify(event.payload), event.createdAt]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * Find Events After a Sequence Number
+   * @param {number} sequence - Last processed sequence number
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array>} Events in sequence order, payloads parsed
+   */
+  async findAfter(sequence, limit) {
+    const rows = await dbAsync.all(
+      'SELECT * FROM outbox_events WHERE sequence > ? ORDER BY sequence LIMIT ?',
+      [sequence, limit]
+    );
+    return rows.map(row => ({
+      sequence: row.sequence,
+      id: row.id,
+      type: row.event_type,
+      payload: JSON.parse(row.payload),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Get a Consumer, registering it at the start of the outbox if it is new
+   * @param {string} name - Consumer name
+   * @returns {Promise<Object>} Consumer row
+   */
+  async getConsumer(name) {
+    await dbAsync.run(
+      'INSERT OR IGNORE INTO outbox_consumers (name, last_sequence, updated_at) VALUES (?, 0, ?)',
+      [name, new Date().toISOString()]
+    );
+    return await dbAsync.get('SELECT * FROM outbox_consumers WHERE name = ?', [name]);
+  }
+
+  /**
+   * Move a Consumer Past an Event
+   * @param {string} name - Consumer name
+   * @param {number} sequence - Sequence number of the processed event
+   * @returns {Promise<void>}
+   */
+  async advance(name, sequence) {
+    await dbAsync.run(
+      `UPDATE outbox_consumers SET last_sequence = ?, failed_attempts = 0, last_error = NULL, updated_at = ?
+       WHERE name = ? AND last_sequence < ?`,
+      [sequence, new Date().toISOString(), name, sequence]
+    );
+  }
+
+  /**
+   * Record a Failed Attempt of a Consumer
+   * @param {string} name - Consumer name
+   * @param {string} error - Error message
+   * @returns {Promise<void>}
+   */
+  async recordFailure(name, error) {
+    await dbAsync.run(
+      'UPDATE outbox_consumers SET failed_attempts = failed_attempts + 1, last_error = ?, updated_at = ? WHERE name = ?',
+      [error, new Date().toISOString(), name]
+    );
+  }
+
+  /**
+   * Delete Events Every Consumer Has Processed
+   * @param {string} before - Only delete events created before this time (ISO string)
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async prune(before) {
+    const result = await dbAsync.run(
+      `DELETE FROM outbox_events
+       WHERE created_at < ?
+         AND sequence <= (SELECT COALESCE(MIN(last_sequence), 0) FROM outbox_consumers)`,
+      [before]
+    );
+    return result.changes;
+  }
+}
+
+module.exports = OutboxRepository;
@@ -0,0 +1,184 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Payment Intent Data Access Layer
+ * Two-phase merchant payments. An intent is created by a merchant, confirmed by
+ * the wallet owner (which holds amount + fee on the wallet) and then captured
+ * or voided by the merchant. Status changes are conditional on the current
+ * status, so two concurrent requests cannot both act on the same intent.
+ */
+class PaymentIntentRepository {
+
+  /**
+   * Create Payment Intent
+   * @param {Object} intentData - Intent data
+   * @param {string} intentData.merchantId - Merchant ID
+   * @param {string} intentData.walletId - Paying wallet ID
+   * @param {number} intentData.amount - Amount in minor units
+   * @param {string} intentData.description - Description (optional)
+   * @param {string} intentData.expiresAt - Time after which the intent can no longer be confirmed or captured (ISO string)
+   * @returns {Promise<Object>} Created intent
+   */
+  async create(intentData) {
+    const { merchantId, walletId, amount, description = '', expiresAt } = intentData;
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await dbAsync.run(
+      `INSERT INTO payment_intents (id, merchant_id, wallet_id, amount, description, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, merchantId, walletId, amount, description, expiresAt, now, now]
+    );
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Payment Intent by ID
+   * @param {string} id - Intent ID
+   * @returns {Promise<Object|null>} Intent with the merchant name and wallet username, or null
+   */
+  async findById(id) {
+    const intent = await dbAsync.get(
+      `SELECT p.*, m.name AS merchant_name, w.username
+       FROM payment_intents p
+       JOIN merchants m ON p.merchant_id = m.id
+       JOIN wallets w ON p.wallet_id = w.id
+       WHERE p.id = ?`,
+      [id]
+    );
+    return intent || null;
+  }
+
+  /**
+   * Get Payment Intents
+   * @param {Object} filters - Query filters
+   * @param {string} filters.merchantId - Merchant ID (optional)
+   * @param {string} filters.walletId - Wallet ID (optional)
+   * @param {string} filters.status - Status (optional)
+   * @param {number} filters.limit - Limit number
+   * @param {number} filters.offset - Offset number
+   * @returns {Promise<Array>} Intents, newest first
+   */
+  async findAll(filters = {}) {
+    const { merchantId, walletId, status, limit = 20, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+    if (merchantId) {
+      conditions.push('p.merchant_id = ?');
+      params.push(merchantId);
+    }
+    if (walletId) {
+      conditions.push('p.wallet_id = ?');
+      params.push(walletId);
+    }
+    if (status) {
+      conditions.push('p.status = ?');
+      params.push(status);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return await dbAsync.all(
+      `SELECT p.*, m.name AS merchant_name, w.username
+       FROM payment_intents p
+       JOIN merchants m ON p.merchant_id = m.id
+       JOIN wallets w ON p.wallet_id = w.id
+       ${where}
+       ORDER BY p.created_at DESC, p.id
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  /**
+   * Find Intents Past Their Expiry
+   * @param {string} now - Current time (ISO string)
+   * @returns {Promise<Array>} Unfinished intents whose expires_at has passed
+   */
+  async findDue(now = new Date().toISOString()) {
+    return await dbAsync.all(
+      `SELECT * FROM payment_intents
+       WHERE status IN ('REQUIRES_CONFIRMATION', 'AUTHORIZED') AND expires_at <= ?
+       ORDER BY expires_at`,
+      [now]
+    );
+  }
+
+  /**
+   * Mark an Intent Authorized
+   * @param {string} id - Intent ID
+   * @param {number} feeAmount - Fee held with the amount, in minor units
+   * @param {number} heldAmount - Amount held on the wallet (amount + fee), in minor units
+   * @returns {Promise<boolean>} Whether the intent was still awaiting confirmation
+   */
+  async markAuthorized(id, feeAmount, heldAmount) {
+    const now = new Date().toISOString();
+    const result = await dbAsync.run(
+      `UPDATE payment_intents SET status = 'AUTHORIZED', fee_amount = ?, held_amount = ?, confirmed_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'REQUIRES_CONFIRMATION'`,
+      [feeAmount, heldAmount, now, now, id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Mark an Intent Captured
+   * @param {string} id - Intent ID
+   * @param {number} capturedAmount - Captured amount in minor units
+   * @param {number} feeAmount - Fee charged on the captured amount, in minor units
+   * @param {string} transactionId - Payment transaction ID
+   * @returns {Promise<boolean>} Whether the intent was still authorized
+   */
+  async markCaptured(id, capturedAmount, feeAmount, transactionId) {
+    const now = new Date().toISOString();
+    const result = await dbAsync.run(
+      `UPDATE payment_intents SET status = 'CAPTURED', captured_amount = ?, fee_amount = ?, held_amount = 0,
+              transaction_id = ?, completed_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'AUTHORIZED'`,
+      [capturedAmount, feeAmount, transactionId, now, now, id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Close an Unfinished Intent
+   * @param {string} id - Intent ID
+   * @param {string} status - VOIDED or EXPIRED
+   * @param {string} fromStatus - Status the intent must still have
+   * @returns {Promise<boolean>} Whether the intent still had fromStatus
+   */
+  async markClosed(id, status, fromStatus) {
+    const now = new Date().toISOString();
+    const result = await dbAsync.run(
+      `UPDATE payment_intents SET status = ?, held_amount = 0, completed_at = ?, updated_at = ?
+       WHERE id = ? AND status = ?`,
+      [status, now, now, id, fromStatus]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Reconcile Held Balances Against Authorized Intents
+   * @returns {Promise<Array>} Wallets whose held_balance differs from the holds of their authorized intents
+   */
+  async findHoldMismatches() {
+    return await dbAsync.all(
+      `SELECT w.id AS wallet_id, w.username, w.held_balance,
+              COALESCE(h.held, 0) AS intent_holds
+       FROM wallets w
+       LEFT JOIN (
+         SELECT wallet_id, SUM(held_amount) AS held
+         FROM payment_intents
+         WHERE status = 'AUTHORIZED'
+         GROUP BY wallet_id
+       ) h ON h.wallet_id = w.id
+       WHERE w.held_balance != COALESCE(h.held, 0)
+       ORDER BY w.username`
+    );
+  }
+}
+
+PaymentIntentRepository.STATUSES = ['REQUIRES_CONFIRMATION', 'AUTHORIZED', 'CAPTURED', 'VOIDED', 'EXPIRED'];
+
+module.exports = PaymentIntentRepository;
@@ -0,0 +1,129 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Columns returned by session queries (the refresh token hash never leaves the repository)
+const SESSION_COLUMNS = 'id, wallet_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at';
+
+/**
+ * Session Data Access Layer
+ * Provides database operations for login sessions and their refresh tokens
+ */
+class SessionRepository {
+
+  /**
+   * Create New Session
+   * @param {Object} sessionData - Session data
+   * @param {string} sessionData.walletId - Wallet ID
+   * @param {string} sessionData.refreshTokenHash - SHA-256 hash of the refresh token
+   * @param {string} sessionData.expiresAt - Refresh token expiry time (ISO string)
+   * @param {string} sessionData.userAgent - Client user agent
+   * @param {string} sessionData.ipAddress - Client IP address
+   * @returns {Promise<Object>} Created session object
+   */
+  async create(sessionData) {
+    const { walletId, refreshTokenHash, expiresAt, userAgent = null, ipAddress = null } = sessionData;
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await dbAsync.run(
+      `INSERT INTO sessions (id, wallet_id, refresh_token_hash, user_agent, ip_address, expires_at, last_used_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, walletId, refreshTokenHash, userAgent, ipAddress, expiresAt, now, now]
+    );
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Find Session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>} Session object or null
+   */
+  async findById(id) {
+    const session = await dbAsync.get(
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE id = ?`,
+      [id]
+    );
+    return session || null;
+  }
+
+  /**
+   * Find Session by Refresh Token Hash
+   * @param {string} refreshTokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Session object or null
+   */
+  async findByRefreshTokenHash(refreshTokenHash) {
+    const session = await dbAsync.get(
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE refresh_token_hash = ?`,
+      [refreshTokenHash]
+    );
+    return session || null;
+  }
+
+  /**
+   * Find Active Sessions of a Wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<Array>} Sessions that are neither revoked nor expired, most recently used first
+   */
+  async findActiveByWalletId(walletId) {
+    return await dbAsync.all(
+      `SELECT ${SESSION_COLUMNS} FROM sessions
+       WHERE wallet_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_used_at DESC`,
+      [walletId, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Rotate Refresh Token
+   * Only succeeds if the session still holds the expected token, so a token
+   * can be exchanged at most once.
+   * @param {string} id - Session ID
+   * @param {string} currentHash - Hash of the token being exchanged
+   * @param {string} nextHash - Hash of the new refresh token
+   * @param {string} expiresAt - New refresh token expiry time (ISO string)
+   * @returns {Promise<boolean>} Whether the token was rotated
+   */
+  async rotateRefreshToken(id, currentHash, nextHash, expiresAt) {
+    const result = await dbAsync.run(
+      `UPDATE sessions SET refresh_token_hash = ?, expires_at = ?, last_used_at = ?
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [nextHash, expiresAt, new Date().toISOString(), id, currentHash]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Revoke Session
+   * @param {string} id - Session ID
+   * @param {string} walletId - Optional wallet ID the session must belong to
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revoke(id, walletId = null) {
+    const params = [new Date().toISOString(), id];
+    let query = 'UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL';
+
+    if (walletId) {
+      query += ' AND wallet_id = ?';
+      params.push(walletId);
+    }
+
+    const result = await dbAsync.run(query, params);
+    return result.changes > 0;
+  }
+
+  /**
+   * Revoke All Sessions of a Wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllByWalletId(walletId) {
+    const result = await dbAsync.run(
+      'UPDATE sessions SET revoked_at = ? WHERE wallet_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), walletId]
+    );
+    return result.changes;
+  }
+}
+
+module.exports = SessionRepository;
\ No newline at end of file
@@ -1,21 +1,31 @@
 const { dbAsync } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
+const LedgerRepository = require('./LedgerRepository');
 
 /**
  * Transaction Data Access Layer  
  * Provides database operations methods for transactions
  */
 class TransactionRepository {
+
+  constructor() {
+    this.ledgerRepo = new LedgerRepository();
+  }
   
   /**
    * Create New Transaction Record
    * @param {Object} transactionData - Transaction data
    * @param {string|null} transactionData.fromWalletId - Sender wallet ID
    * @param {string|null} transactionData.toWalletId - Receiver wallet ID
-   * @param {number} transactionData.amount - Transaction amount
+   * @param {number} transactionData.amount - Transaction amount in minor units
    * @param {string} transactionData.transactionType - Transaction type
    * @param {string} transactionData.description - Transaction description
+   * @param {number} transactionData.feeAmount - Fee charged to the sender on top of the amount, in minor units (optional)
+   * @param {string} transactionData.merchantId - Merchant of a third-party transaction (optional)
+   * @param {string} transactionData.originalTransactionId - Transaction a refund or reversal undoes (optional)
+   * @param {string} transactionData.counterAccount - System account balancing the wallet side (optional)
    * @returns {Promise<Object>} Created transaction object
    */
   async create(transactionData) {
@@ -25,31 +35,46 @@ class TransactionRepository {
       amount,
       transactionType,
       description = '',
-      thirdPartyName = null
+      thirdPartyName = null,
+      feeAmount = 0,
+      merchantId = null,
+      originalTransactionId = null
     } = transactionData;
     
     // Check transaction type
-    const validTypes = ['transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt'];
+    const validTypes = ['transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt', 'cdk_redemption', 'refund', 'reversal'];
     if (!validTypes.includes(transactionType)) {
       throw new Error(t(null, 'errors.invalidTransactionType'));
     }
     
     // Check transaction amount
-    if (typeof amount !== 'number' || amount <= 0) {
+    if (!money.isMinorUnits(amount)) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
+    if (amount <= 0) {
       throw new Error(t(null, 'errors.transactionAmountMustBePositive'));
     }
     
+    if (!money.isMinorUnits(feeAmount) || feeAmount < 0) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
+    
     const id = uuidv4();
     const now = new Date().toISOString();
     
     try {
-      await dbAsync.run(
-        `INSERT INTO transactions (id, from_wallet_id, to_wallet_id, amount, transaction_type, description, third_party_name, created_at) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [id, fromWalletId, toWalletId, amount, transactionType, description, thirdPartyName, now]
-      );
-      
-      return await this.findById(id);
+      // The record and its ledger entries are written together
+      return await dbAsync.transaction(async () => {
+        await dbAsync.run(
+          `INSERT INTO transactions (id, from_wallet_id, to_wallet_id, amount, transaction_type, description, third_party_name, fee_amount, merchant_id, original_transaction_id, created_at) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, fromWalletId, toWalletId, amount, transactionType, description, thirdPartyName, feeAmount, merchantId, originalTransactionId, now]
+        );
+        
+        await this.ledgerRepo.post(id, LedgerRepository.buildEntries(transactionData));
+        
+        return await this.findById(id);
+      });
     } catch (error) {
       throw new Error(t(null, 'errors.createTransactionRecordFailed', { error: error.message }));
     }
@@ -228,7 +253,7 @@ class TransactionRepository {
   /**
    * Get Wallet Stats
    * @param {string} walletId - Wallet ID
-   * @returns {Promise<Object>} Statistics
+   * @returns {Promise<Object>} Statistics (sent and received totals in minor units)
    */
   async getWalletStats(walletId) {
     try {
@@ -243,13 +268,13 @@ class TransactionRepository {
       
       // total sent amount
       const sentResult = await dbAsync.get(
-        'SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE from_wallet_id = ?',
+        'SELECT COALESCE(SUM(amount + fee_amount), 0) as total FROM transactions WHERE from_wallet_id = ?',
         [walletId]
       );
       
-      // total received amount
+      // total received amount (refunds return the fee with the amount)
       const receivedResult = await dbAsync.get(
-        'SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE to_wallet_id = ?',
+        "SELECT COALESCE(SUM(CASE WHEN transaction_type = 'refund' THEN amount + fee_amount ELSE amount END), 0) as total FROM transactions WHERE to_wallet_id = ?",
         [walletId]
       );
       
@@ -293,13 +318,45 @@ class TransactionRepository {
     }
   }
 
+  /**
+   * Get the Refunded Totals of a Transaction
+   * @param {string} id - Original transaction ID
+   * @returns {Promise<Object>} { amount, feeAmount, count } of its refunds and reversals in minor units
+   */
+  async getRefundedTotals(id) {
+    const row = await dbAsync.get(
+      `SELECT COALESCE(SUM(amount), 0) AS amount, COALESCE(SUM(fee_amount), 0) AS fee_amount, COUNT(*) AS count
+       FROM transactions WHERE original_transaction_id = ?`,
+      [id]
+    );
+    return { amount: row.amount, feeAmount: row.fee_amount, count: row.count };
+  }
+
+  /**
+   * Find the Refunds and Reversals of a Transaction
+   * @param {string} id - Original transaction ID
+   * @returns {Promise<Array>} Refund and reversal transactions, oldest first
+   */
+  async findRefunds(id) {
+    return await dbAsync.all(
+      `SELECT * FROM transactions WHERE original_transaction_id = ? ORDER BY created_at, id`,
+      [id]
+    );
+  }
+
   /**
    * Delete Transaction
+   * Transactions posted to the ledger moved money and cannot be deleted; they
+   * are undone with a refund or reversal instead.
    * @param {string} id - Transaction ID
    * @returns {Promise<boolean>} Whether deletion was successful
    */
   async delete(id) {
     try {
+      const posted = await dbAsync.get('SELECT 1 FROM ledger_entries WHERE transaction_id = ? LIMIT 1', [id]);
+      if (posted) {
+        throw new Error(t(null, 'errors.transactionIsPosted'));
+      }
       const result = await dbAsync.run(
         'DELETE FROM transactions WHERE id = ?',
         [id]
@@ -314,7 +371,7 @@ class TransactionRepository {
    * Create Transfer Transaction
    * @param {string} fromWalletId - Sender wallet ID
    * @param {string} toWalletId - Receiver wallet ID
-   * @param {number} amount - Transfer amount
+   * @param {number} amount - Transfer amount in minor units
    * @param {string} description - Transaction description
    * @returns {Promise<Object>} Created transaction object
    */
@@ -331,7 +388,7 @@ class TransactionRepository {
   /**
    * Create Initial System Transaction
    * @param {string} toWalletId - Receiver wallet ID
-   * @param {number} amount - System amount
+   * @param {number} amount - System amount in minor units
    * @param {string} description - Transaction description
    * @returns {Promise<Object>} Created transaction object
    */
@@ -349,7 +406,7 @@ class TransactionRepository {
   /**
    * Create Interest Credit Transaction
    * @param {string} toWalletId - Receiver wallet ID
-   * @param {number} amount - Interest amount
+   * @param {number} amount - Interest amount in minor units
    * @param {string} description - Transaction description
    * @returns {Promise<Object>} Created transaction object
    */
@@ -367,7 +424,7 @@ class TransactionRepository {
   /**
    * Create Interest Debit Transaction
    * @param {string} toWalletId - Receiver wallet ID
-   * @param {number} amount - Interest amount
+   * @param {number} amount - Interest amount in minor units
    * @param {string} description - Transaction description
    * @returns {Promise<Object>} Created transaction object
    */
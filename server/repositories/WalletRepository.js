@@ -1,6 +1,23 @@
 const { dbAsync } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
+const TransactionRepository = require('./TransactionRepository');
+const eventBus = require('../services/EventBus');
+
+// Columns returned by wallet queries (credentials are only read through findCredentialsByUsername)
+const WALLET_COLUMNS = 'id, username, balance, held_balance, role, created_at, updated_at';
+
+// Wallet roles, lowest privilege first
+const ROLES = ['user', 'operator', 'admin'];
+
+/**
+ * Available Balance of a Wallet
+ * Funds held for authorized payment intents stay in the balance but cannot be spent.
+ * @param {Object} wallet - Wallet object
+ * @returns {number} Balance minus held funds in minor units
+ */
+const availableBalance = (wallet) => wallet.balance - (wallet.held_balance || 0);
 
 /**
  * Wallet Data Access Layer
@@ -12,11 +29,12 @@ class WalletRepository {
    * Create New Wallet
    * @param {Object} walletData - Wallet data
    * @param {string} walletData.username - Username
-   * @param {number} walletData.balance - Initial balance
+   * @param {number} walletData.balance - Initial balance in minor units
+   * @param {string} walletData.passwordHash - Encoded password hash
    * @returns {Promise<Object>} Created wallet object
    */
   async create(walletData) {
-    const { username, balance } = walletData;
+    const { username, balance, passwordHash = null } = walletData;
     const id = uuidv4();
     const now = new Date().toISOString();
     
@@ -34,9 +52,9 @@ class WalletRepository {
     
     try {
       await dbAsync.run(
-        `INSERT INTO wallets (id, username, balance, created_at, updated_at) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [id, username, actualBalance, now, now]
+        `INSERT INTO wallets (id, username, balance, password_hash, created_at, updated_at) 
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, username, actualBalance, passwordHash, now, now]
       );
       
       return await this.findById(id);
@@ -56,7 +74,7 @@ class WalletRepository {
   async findById(id) {
     try {
       const wallet = await dbAsync.get(
-        'SELECT * FROM wallets WHERE id = ?',
+        `SELECT ${WALLET_COLUMNS} FROM wallets WHERE id = ?`,
         [id]
       );
       return wallet || null;
@@ -73,7 +91,7 @@ class WalletRepository {
   async findByUsername(username) {
     try {
       const wallet = await dbAsync.get(
-        'SELECT * FROM wallets WHERE username = ?',
+        `SELECT ${WALLET_COLUMNS} FROM wallets WHERE username = ?`,
         [username]
       );
       return wallet || null;
@@ -82,6 +100,68 @@ class WalletRepository {
     }
   }
 
+  /**
+   * Find Wallet Credentials by Username
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} Wallet id, username and password hash, or null
+   */
+  async findCredentialsByUsername(username) {
+    try {
+      const credentials = await dbAsync.get(
+        'SELECT id, username, password_hash FROM wallets WHERE username = ?',
+        [username]
+      );
+      return credentials || null;
+    } catch (error) {
+      throw new Error(t(null, 'errors.failedToFindWalletByUsername', { error: error.message }));
+    }
+  }
+
+  /**
+   * Set Wallet Password Hash
+   * @param {string} id - Wallet ID
+   * @param {string} passwordHash - Encoded password hash
+   * @returns {Promise<boolean>} Whether the wallet was updated
+   */
+  async setPasswordHash(id, passwordHash) {
+    try {
+      const result = await dbAsync.run(
+        'UPDATE wallets SET password_hash = ?, updated_at = ? WHERE id = ?',
+        [passwordHash, new Date().toISOString(), id]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      throw new Error(t(null, 'errors.failedToUpdateWallet', { error: error.message }));
+    }
+  }
+
+  /**
+   * Set Wallet Role
+   * @param {string} id - Wallet ID
+   * @param {string} role - One of user, operator, admin
+   * @returns {Promise<Object>} Updated wallet object
+   */
+  async setRole(id, role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(t(null, 'errors.invalidRole', { roles: ROLES.join(', ') }));
+    }
+
+    try {
+      const result = await dbAsync.run(
+        'UPDATE wallets SET role = ?, updated_at = ? WHERE id = ?',
+        [role, new Date().toISOString(), id]
+      );
+
+      if (result.changes === 0) {
+        throw new Error(t(null, 'errors.walletDoesNotExist'));
+      }
+
+      return await this.findById(id);
+    } catch (error) {
+      throw new Error(t(null, 'errors.failedToUpdateWallet', { error: error.message }));
+    }
+  }
+
   /**
    * Get All Wallets
    * @param {Object} options - Query options
@@ -99,8 +179,8 @@ class WalletRepository {
       
       // When limit is 0, return all wallets
       const query = actualLimit > 0 
-        ? 'SELECT * FROM wallets ORDER BY created_at DESC LIMIT ? OFFSET ?' 
-        : 'SELECT * FROM wallets ORDER BY created_at DESC';
+        ? `SELECT ${WALLET_COLUMNS} FROM wallets ORDER BY created_at DESC LIMIT ? OFFSET ?` 
+        : `SELECT ${WALLET_COLUMNS} FROM wallets ORDER BY created_at DESC`;
       
       const params = actualLimit > 0 ? [actualLimit, actualOffset] : [];
       
@@ -111,6 +191,32 @@ class WalletRepository {
     }
   }
 
+  /**
+   * Find the Balances of All Wallets at a Point in Time
+   * The stored balance is rolled back by the transactions recorded at or after
+   * that time (see ReconciliationService for how each type moves money).
+   * Wallets created later are left out.
+   * @param {string} at - Point in time (ISO string)
+   * @returns {Promise<Array>} Wallets as { id, username, balance } with the balance in minor units
+   */
+  async findBalancesAt(at) {
+    return await dbAsync.all(
+      `SELECT w.id, w.username,
+              w.balance
+              - COALESCE((SELECT SUM(CASE transaction_type
+                                       WHEN 'interest_debit' THEN -amount
+                                       WHEN 'refund' THEN amount + fee_amount
+                                       ELSE amount END)
+                          FROM transactions WHERE to_wallet_id = w.id AND created_at >= ?), 0)
+              + COALESCE((SELECT SUM(amount + fee_amount)
+                          FROM transactions WHERE from_wallet_id = w.id AND created_at >= ?), 0) AS balance
+       FROM wallets w
+       WHERE w.created_at < ?
+       ORDER BY w.created_at`,
+      [at, at, at]
+    );
+  }
+
   /**
    * Update Wallet
    * @param {string} id - Wallet ID
@@ -161,17 +267,129 @@ class WalletRepository {
   /**
    * Update Wallet Balance
    * @param {string} id - Wallet ID
-   * @param {number} newBalance - New balance
+   * @param {number} newBalance - New balance in minor units
    * @returns {Promise<Object>} Updated wallet object
    */
   async updateBalance(id, newBalance) {
-    if (typeof newBalance !== 'number' || newBalance < 0) {
+    if (!money.isMinorUnits(newBalance)) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
+    if (newBalance < 0) {
       throw new Error(t(null, 'errors.balanceMustBeNonNegative'));
     }
     
     return await this.update(id, { balance: newBalance });
   }
 
+  /**
+   * Debit Wallet Balance
+   * The balance is decreased relative to its current value and only if the
+   * available balance (excluding held funds) covers the amount, so concurrent
+   * debits can never overdraw the wallet or spend held funds.
+   * @param {string} id - Wallet ID
+   * @param {number} amount - Amount to debit in minor units
+   * @returns {Promise<void>}
+   */
+  async debit(id, amount) {
+    if (!money.isMinorUnits(amount)) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
+    if (amount <= 0) {
+      throw new Error(t(null, 'errors.transferAmountMustBePositive'));
+    }
+
+    const result = await dbAsync.run(
+      'UPDATE wallets SET balance = balance - ?, updated_at = ? WHERE id = ? AND balance - held_balance >= ?',
+      [amount, new Date().toISOString(), id, amount]
+    );
+
+    if (result.changes === 0) {
+      const wallet = await this.findById(id);
+      throw new Error(t(null, wallet ? 'errors.insufficientBalance' : 'errors.walletDoesNotExist'));
+    }
+  }
+
+  /**
+   * Hold Funds
+   * Reserves part of the available balance for an authorized payment intent.
+   * Like debit, the hold only succeeds if the available balance covers it.
+   * @param {string} id - Wallet ID
+   * @param {number} amount - Amount to hold in minor units
+   * @returns {Promise<void>}
+   */
+  async hold(id, amount) {
+    if (!money.isMinorUnits(amount)) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
+    if (amount <= 0) {
+      throw new Error(t(null, 'errors.transferAmountMustBePositive'));
+    }
+
+    const result = await dbAsync.run(
+      'UPDATE wallets SET held_balance = held_balance + ?, updated_at = ? WHERE id = ? AND balance - held_balance >= ?',
+      [amount, new Date().toISOString(), id, amount]
+    );
+
+    if (result.changes === 0) {
+      const wallet = await this.findById(id);
+      throw new Error(t(null, wallet ? 'errors.insufficientBalance' : 'errors.walletDoesNotExist'));
+    }
+  }
+
+  /**
+   * Release Held Funds
+   * Optionally debits part of the released amount in the same statement, which
+   * is how a payment intent is captured: the held funds were reserved for it,
+   * so the debit cannot fail for lack of balance.
+   * @param {string} id - Wallet ID
+   * @param {number} heldAmount - Held amount to release in minor units
+   * @param {number} debitAmount - Amount to debit out of the released funds in minor units (optional)
+   * @returns {Promise<void>}
+   */
+  async releaseHold(id, heldAmount, debitAmount = 0) {
+    if (!money.isMinorUnits(heldAmount) || !money.isMinorUnits(debitAmount)) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
+    if (heldAmount <= 0 || debitAmount < 0 || debitAmount > heldAmount) {
+      throw new Error(t(null, 'errors.transferAmountMustBePositive'));
+    }
+
+    const result = await dbAsync.run(
+      `UPDATE wallets SET held_balance = held_balance - ?, balance = balance - ?, updated_at = ?
+       WHERE id = ? AND held_balance >= ?`,
+      [heldAmount, debitAmount, new Date().toISOString(), id, heldAmount]
+    );
+
+    if (result.changes === 0) {
+      const wallet = await this.findById(id);
+      throw new Error(t(null, wallet ? 'errors.heldBalanceInsufficient' : 'errors.walletDoesNotExist'));
+    }
+  }
+
+  /**
+   * Credit Wallet Balance
+   * @param {string} id - Wallet ID
+   * @param {number} amount - Amount to credit in minor units
+   * @returns {Promise<void>}
+   */
+  async credit(id, amount) {
+    if (!money.isMinorUnits(amount)) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
+    if (amount <= 0) {
+      throw new Error(t(null, 'errors.transferAmountMustBePositive'));
+    }
+
+    const result = await dbAsync.run(
+      'UPDATE wallets SET balance = balance + ?, updated_at = ? WHERE id = ?',
+      [amount, new Date().toISOString(), id]
+    );
+
+    if (result.changes === 0) {
+      throw new Error(t(null, 'errors.walletDoesNotExist'));
+    }
+  }
+
   /**
    * Delete Wallet
    * @param {string} id - Wallet ID
@@ -189,10 +407,15 @@ class WalletRepository {
         throw new Error(t(null, 'errors.cannotDeleteWalletWithTransactions'));
       }
       
-      const result = await dbAsync.run(
-        'DELETE FROM wallets WHERE id = ?',
-        [id]
-      );
+      // Sessions and the (empty) ledger account belong to the wallet
+      const result = await dbAsync.transaction(async () => {
+        await dbAsync.run('DELETE FROM sessions WHERE wallet_id = ?', [id]);
+        await dbAsync.run('DELETE FROM ledger_accounts WHERE wallet_id = ?', [id]);
+        return await dbAsync.run(
+          'DELETE FROM wallets WHERE id = ?',
+          [id]
+        );
+      });
       
       return result.changes > 0;
     } catch (error) {
@@ -232,20 +455,23 @@ class WalletRepository {
 
   /**
    * Transfer Funds
+   * Moves the amount, records the transfer and publishes transfer.completed in one unit of work.
    * @param {string} fromId - Sender wallet ID
    * @param {string} toId - Receiver wallet ID
-   * @param {number} amount - Transfer amount
-   * @returns {Promise<Object>} Transfer result
+   * @param {number} amount - Transfer amount in minor units
+   * @param {Object} options - Options (optional)
+   * @param {string} options.description - Transaction description
+   * @returns {Promise<Object>} Transfer result with the transaction and both wallets
    */
-  async transfer(fromId, toId, amount) {
+  async transfer(fromId, toId, amount, { description = '' } = {}) {
+    if (!money.isMinorUnits(amount)) {
+      throw new Error(t(null, 'errors.amountMustBeMinorUnits'));
+    }
     if (amount <= 0) {
       throw new Error(t(null, 'errors.transferAmountMustBePositive'));
     }
     
-    try {
-      // Begin transaction
-      await dbAsync.beginTransaction();
-      
+    return await dbAsync.transaction(async () => {
       // Get sender wallet
       const fromWallet = await this.findById(fromId);
       if (!fromWallet) {
@@ -258,29 +484,32 @@ class WalletRepository {
         throw new Error(t(null, 'errors.receiverWalletDoesNotExist'));
       }
       
-      // Check sender balance
-      if (fromWallet.balance < amount) {
+      // Check sender balance (held funds cannot be transferred)
+      if (availableBalance(fromWallet) < amount) {
         throw new Error(t(null, 'errors.senderBalanceInsufficient'));
       }
       
-      // Update sender and receiver balances
-      await this.updateBalance(fromId, fromWallet.balance - amount);
-      await this.updateBalance(toId, toWallet.balance + amount);
+      // Move the amount with relative updates
+      await this.debit(fromId, amount);
+      await this.credit(toId, amount);
       
-      // Commit transaction
-      await dbAsync.commit();
+      const transaction = await new TransactionRepository().createTransfer(fromId, toId, amount, description);
+      await eventBus.publish('transfer.completed', eventBus.transactionPayload(transaction, {
+        fromUsername: fromWallet.username,
+        toUsername: toWallet.username
+      }));
       
       return {
         success: true,
+        transaction,
         fromWallet: await this.findById(fromId),
         toWallet: await this.findById(toId)
       };
-    } catch (error) {
-      // Rollback transaction
-      await dbAsync.rollback();
-      throw error;
-    }
+    });
   }
 }
 
+WalletRepository.ROLES = ROLES;
+WalletRepository.availableBalance = availableBalance;
+
 module.exports = WalletRepository;
\ No newline at end of file
@@ -0,0 +1,287 @@
+const { dbAsync } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Columns returned by subscription queries (the secret is only read for signing)
+const SUBSCRIPTION_COLUMNS = 'id, url, events, merchant_id, description, status, created_at, updated_at';
+
+// Columns an update may change, keyed by the property name used by callers
+const UPDATABLE_FIELDS = {
+  url: 'url',
+  events: 'events',
+  description: 'description',
+  status: 'status'
+};
+
+// Parse the JSON event list of a subscription row
+function parseSubscription(row) {
+  return row ? { ...row, events: JSON.parse(row.events) } : null;
+}
+
+/**
+ * Webhook Data Access Layer
+ * Subscriptions name a URL and the event types sent to it; deliveries are the
+ * persisted queue of signed requests, one per event and subscription.
+ */
+class WebhookRepository {
+
+  /**
+   * Create Subscription
+   * @param {Object} subscriptionData - Subscription data
+   * @param {string} subscriptionData.url - Endpoint URL
+   * @param {Array<string>} subscriptionData.events - Event types to deliver
+   * @param {string} subscriptionData.secret - Signing secret
+   * @param {string|null} subscriptionData.merchantId - Only deliver this merchant's events (optional)
+   * @param {string|null} subscriptionData.description - Description (optional)
+   * @returns {Promise<Object>} Created subscription
+   */
+  async createSubscription(subscriptionData) {
+    const { url, events, secret, merchantId = null, description = null } = subscriptionData;
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await dbAsync.run(
+      `INSERT INTO webhook_subscriptions (id, url, events, secret, merchant_id, description, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, url, JSON.stringify(events), secret, merchantId, description, now, now]
+    );
+
+    return await this.findSubscriptionById(id);
+  }
+
+  /**
+   * Find Subscription by ID
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription (events parsed) or null
+   */
+  async findSubscriptionById(id) {
+    return parseSubscription(await dbAsync.get(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = ?`, [id]));
+  }
+
+  /**
+   * Get All Subscriptions
+   * @returns {Promise<Array>} Subscriptions with their pending and dead delivery counts, oldest first
+   */
+  async findAllSubscriptions() {
+    const rows = await dbAsync.all(
+      `SELECT ${SUBSCRIPTION_COLUMNS.split(', ').map(column => `s.${column}`).join(', ')},
+              (SELECT COUNT(*) FROM webhook_deliveries WHERE subscription_id = s.id AND status = 'PENDING') AS pending_count,
+              (SELECT COUNT(*) FROM webhook_deliveries WHERE subscription_id = s.id AND status = 'DEAD') AS dead_count
+       FROM webhook_subscriptions s
+       ORDER BY s.created_at, s.id`
+    );
+    return rows.map(parseSubscription);
+  }
+
+  /**
+   * Find the Active Subscriptions for an Event
+   * @param {string} eventType - Event type
+   * @param {string|null} merchantId - Merchant the event belongs to (optional)
+   * @returns {Promise<Array>} Subscriptions with their secret
+   */
+  async findSubscribers(eventType, merchantId = null) {
+    const rows = await dbAsync.all(
+      `SELECT * FROM webhook_subscriptions
+       WHERE status = 'ACTIVE' AND (merchant_id IS NULL OR merchant_id = ?)`,
+      [merchantId]
+    );
+    return rows.map(parseSubscription).filter(subscription => subscription.events.includes(eventType));
+  }
+
+  /**
+   * Update Subscription
+   * @param {string} id - Subscription ID
+   * @param {Object} updates - Any of url, events, description, status
+   * @returns {Promise<Object|null>} Updated subscription, or null if it does not exist
+   */
+  async updateSubscription(id, updates) {
+    const fields = [];
+    const values = [];
+    for (const [property, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (updates[property] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(property === 'events' ? JSON.stringify(updates.events) : updates[property]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = ?');
+      values.push(new Date().toISOString(), id);
+      await dbAsync.run(`UPDATE webhook_subscriptions SET ${fields.join(', ')} WHERE id = ?`, values);
+    }
+
+    return await this.findSubscriptionById(id);
+  }
+
+  /**
+   * Replace the Signing Secret of a Subscription
+   * @param {string} id - Subscription ID
+   * @param {string} secret - New secret
+   * @returns {Promise<boolean>} Whether the subscription exists
+   */
+  async setSecret(id, secret) {
+    const result = await dbAsync.run(
+      'UPDATE webhook_subscriptions SET secret = ?, updated_at = ? WHERE id = ?',
+      [secret, new Date().toISOString(), id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Delete Subscription and its deliveries
+   * @param {string} id - Subscription ID
+   * @returns {Promise<boolean>} Whether the subscription existed
+   */
+  async deleteSubscription(id) {
+    return await dbAsync.transaction(async () => {
+      await dbAsync.run('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [id]);
+      const result = await dbAsync.run('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Queue a Delivery
+   * @param {Object} deliveryData - Delivery data
+   * @param {string} deliveryData.subscriptionId - Subscription ID
+   * @param {string} deliveryData.eventId - Event ID (shared by the deliveries of one event)
+   * @param {string} deliveryData.eventType - Event type
+   * @param {string} deliveryData.payload - Request body (JSON string)
+   * @returns {Promise<string>} Delivery ID
+   */
+  async createDelivery(deliveryData) {
+    const { subscriptionId, eventId, eventType, payload } = deliveryData;
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await dbAsync.run(
+      `INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, payload, next_attempt_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, subscriptionId, eventId, eventType, payload, now, now, now]
+    );
+    return id;
+  }
+
+  /**
+   * Find Delivery by ID
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Delivery with the subscription's URL, or null
+   */
+  async findDeliveryById(id) {
+    const delivery = await dbAsync.get(
+      `SELECT d.*, s.url FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE d.id = ?`,
+      [id]
+    );
+    return delivery || null;
+  }
+
+  /**
+   * Get Deliveries
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - Status (optional)
+   * @param {string} filters.subscriptionId - Subscription ID (optional)
+   * @param {number} filters.limit - Limit number
+   * @param {number} filters.offset - Offset number
+   * @returns {Promise<Array>} Deliveries with the subscription's URL, newest first
+   */
+  async findDeliveries(filters = {}) {
+    const { status, subscriptionId, limit = 20, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('d.status = ?');
+      params.push(status);
+    }
+    if (subscriptionId) {
+      conditions.push('d.subscription_id = ?');
+      params.push(subscriptionId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return await dbAsync.all(
+      `SELECT d.*, s.url FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       ${where}
+       ORDER BY d.created_at DESC, d.id
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  /**
+   * Find Deliveries Due for an Attempt
+   * Deliveries of disabled subscriptions wait until the subscription is active again.
+   * @param {number} limit - Maximum number of deliveries
+   * @param {string} now - Current time (ISO string)
+   * @returns {Promise<Array>} Pending deliveries with their subscription's URL and secret, oldest first
+   */
+  async findDueDeliveries(limit, now = new Date().toISOString()) {
+    return await dbAsync.all(
+      `SELECT d.*, s.url, s.secret FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE d.status = 'PENDING' AND d.next_attempt_at <= ? AND s.status = 'ACTIVE'
+       ORDER BY d.next_attempt_at, d.created_at
+       LIMIT ?`,
+      [now, limit]
+    );
+  }
+
+  /**
+   * Find a Delivery Ready to Send
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Pending delivery of an active subscription with its URL and secret, or null
+   */
+  async findSendableDelivery(id) {
+    const delivery = await dbAsync.get(
+      `SELECT d.*, s.url, s.secret FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON d.subscription_id = s.id
+       WHERE d.id = ? AND d.status = 'PENDING' AND s.status = 'ACTIVE'`,
+      [id]
+    );
+    return delivery || null;
+  }
+
+  /**
+   * Record a Delivery Attempt
+   * @param {string} id - Delivery ID
+   * @param {Object} result - Attempt result
+   * @param {string} result.status - PENDING (retry), DELIVERED or DEAD
+   * @param {number|null} result.statusCode - HTTP status code of the response, if any
+   * @param {string|null} result.error - Error of a failed attempt
+   * @param {string|null} result.nextAttemptAt - Time of the next attempt (PENDING only)
+   * @returns {Promise<void>}
+   */
+  async recordAttempt(id, result) {
+    const { status, statusCode = null, error = null, nextAttemptAt = null } = result;
+    const now = new Date().toISOString();
+    await dbAsync.run(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = attempts + 1, last_status_code = ?, last_error = ?,
+           next_attempt_at = COALESCE(?, next_attempt_at), delivered_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [status, statusCode, error, nextAttemptAt, status === 'DELIVERED' ? now : null, now, id]
+    );
+  }
+
+  /**
+   * Queue a Delivery Again
+   * Resets the attempt count, so a redelivered dead letter gets the full retry schedule.
+   * @param {string} id - Delivery ID
+   * @returns {Promise<boolean>} Whether the delivery exists
+   */
+  async requeueDelivery(id) {
+    const now = new Date().toISOString();
+    const result = await dbAsync.run(
+      `UPDATE webhook_deliveries
+       SET status = 'PENDING', attempts = 0, next_attempt_at = ?, delivered_at = NULL, updated_at = ?
+       WHERE id = ?`,
+      [now, now, id]
+    );
+    return result.changes > 0;
+  }
+}
+
+WebhookRepository.DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'DEAD'];
+
+module.exports = WebhookRepository;
@@ -24,29 +24,14 @@ class DatabaseService {
    * Execute Transfer Operation (Includes Transaction)
    * @param {string} fromWalletId - Sender wallet ID
    * @param {string} toWalletId - Receiver wallet ID
-   * @param {number} amount - Transfer amount
+   * @param {number} amount - Transfer amount in minor units
    * @param {string} description - Transaction description
    * @returns {Promise<Object>} Transfer result
    */
   async executeTransfer(fromWalletId, toWalletId, amount, description = '') {
     try {
-      // Execute wallet balance update (includes transaction)
-      const transferResult = await this.wallets.transfer(fromWalletId, toWalletId, amount);
-      
-      // Create transaction record
-      const transaction = await this.transactions.createTransfer(
-        fromWalletId, 
-        toWalletId, 
-        amount, 
-        description
-      );
-      
-      return {
-        success: true,
-        transaction,
-        fromWallet: transferResult.fromWallet,
-        toWallet: transferResult.toWallet
-      };
+      // Balance update, record and event commit or roll back together
+      return await this.wallets.transfer(fromWalletId, toWalletId, amount, { description });
     } catch (error) {
       throw new Error(`Transfer Operation Failed: ${error.message}`);
     }
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/AuthService');
+const { requireSession, getClientContext } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+/**
+ * Authentication API routes
+ */
+
+/**
+ * Log in with username and password
+ * @route POST /api/auth/login
+ * @param {string} request.body.username - Username
+ * @param {string} request.body.password - Password
+ * @returns {object} 200 - Wallet and session (access and refresh tokens)
+ * @returns {object} 400 - Invalid request parameters
+ * @returns {object} 401 - Invalid username or password
+ * @returns {object} 500 - Server error
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: t(req, 'errors.usernameRequired')
+      });
+    }
+
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: t(req, passwordError)
+      });
+    }
+
+    const { wallet, session } = await authService.login(
+      username.trim(),
+      password,
+      getClientContext(req)
+    );
+
+    res.json({
+      success: true,
+      wallet: {
+        id: wallet.id,
+        username: wallet.username,
+        balance: money.fromMinorUnits(wallet.balance),
+        role: wallet.role,
+        createdAt: wallet.created_at,
+        updatedAt: wallet.updated_at
+      },
+      session
+    });
+  } catch (error) {
+    if (error.message === t(null, 'errors.invalidCredentials')) {
+      return res.status(401).json({
+        success: false,
+        error: t(req, 'errors.invalidCredentials')
+      });
+    }
+    if (error.message === t(null, 'errors.passwordResetRequired')) {
+      return res.status(403).json({
+        success: false,
+        error: t(req, 'errors.passwordResetRequired')
+      });
+    }
+
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.loginFailed')
+    });
+  }
+});
+
+/**
+ * Exchange a refresh token for a new access token
+ * The refresh token is rotated and must be replaced by the returned one.
+ * @route POST /api/auth/refresh
+ * @param {string} request.body.refreshToken - Refresh token
+ * @returns {object} 200 - New session tokens
+ * @returns {object} 401 - Refresh token is invalid, expired or revoked
+ * @returns {object} 500 - Server error
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await authService.refreshSession(req.body.refreshToken);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: t(req, 'errors.invalidRefreshToken')
+      });
+    }
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.sessionRefreshFailed')
+    });
+  }
+});
+
+/**
+ * Log out by revoking the current session
+ * @route POST /api/auth/logout
+ * @returns {object} 200 - Session revoked
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 500 - Server error
+ */
+router.post('/logout', requireSession, async (req, res) => {
+  try {
+    await authService.revokeSession(req.auth.walletId, req.auth.sessionId);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.sessionRevokeFailed')
+    });
+  }
+});
+
+/**
+ * List the active sessions of the current wallet
+ * @route GET /api/auth/sessions
+ * @returns {object} 200 - Session list, with the current session flagged
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 500 - Server error
+ */
+router.get('/sessions', requireSession, async (req, res) => {
+  try {
+    const sessions = await authService.listSessions(req.auth.walletId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.auth.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.failedToGetSessions')
+    });
+  }
+});
+
+/**
+ * Revoke a session of the current wallet
+ * Access tokens of the revoked session stop working immediately.
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @param {string} request.params.sessionId - Session ID
+ * @returns {object} 200 - Session revoked
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 404 - Session not found or already revoked
+ * @returns {object} 500 - Server error
+ */
+router.delete('/sessions/:sessionId', requireSession, async (req, res) => {
+  try {
+    const revoked = await authService.revokeSession(req.auth.walletId, req.params.sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: t(req, 'errors.sessionNotFound')
+      });
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.sessionRevokeFailed')
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
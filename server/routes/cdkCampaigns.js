@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const cdkService = require('../services/CdkService');
+const { requireRole } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+/**
+ * CDK campaign API routes (admin only), mounted under /api/cdks/campaigns
+ */
+
+// Convert a campaign row to the API shape (amounts in major units)
+function formatCampaign(campaign) {
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    description: campaign.description,
+    status: campaign.status,
+    budget: campaign.budget === null ? null : money.fromMinorUnits(campaign.budget),
+    spent: money.fromMinorUnits(campaign.spent),
+    remainingBudget: campaign.budget === null ? null : money.fromMinorUnits(campaign.budget - campaign.spent),
+    maxRedemptionsPerWallet: campaign.max_redemptions_per_wallet,
+    startsAt: campaign.starts_at,
+    endsAt: campaign.ends_at,
+    codeCount: campaign.code_count,
+    redemptionCount: campaign.redemption_count,
+    revokedAt: campaign.revoked_at,
+    createdAt: campaign.created_at,
+    updatedAt: campaign.updated_at
+  };
+}
+
+// Convert a CDK row to the API shape
+function formatCode(cdk) {
+  return {
+    key: cdk.key,
+    amount: money.fromMinorUnits(cdk.amount),
+    currency: cdk.currency,
+    status: cdk.status,
+    maxRedemptions: cdk.max_redemptions,
+    redemptionCount: cdk.redemption_count,
+    expiresAt: cdk.expires_at
+  };
+}
+
+// Map campaign errors to status codes
+function errorStatus(error) {
+  if (error.message.includes(t(null, 'errors.cdkCampaignNotFound'))) {
+    return 404;
+  }
+  if (error.message.includes(t(null, 'errors.cdkCampaignAlreadyExists')) ||
+      error.message.includes(t(null, 'errors.cdkCampaignRevoked'))) {
+    return 409;
+  }
+  if (error.message.includes(t(null, 'errors.invalidCdkCampaignField', { field: '' })) ||
+      error.message.includes(t(null, 'errors.invalidCdkAmount'))) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Create a campaign and mint its codes
+ * @route POST /api/cdks/campaigns
+ * @param {object} request.body - { name, description, budget, maxRedemptionsPerWallet, startsAt, endsAt, codeCount, amount, maxRedemptions, currency, expiresAt }
+ * @returns {object} 201 - Campaign and its codes
+ * @returns {object} 400 - Invalid campaign fields
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 403 - Admin role required
+ * @returns {object} 409 - Campaign name already exists
+ * @returns {object} 500 - Server error
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { campaign, codes } = await cdkService.createCampaign(req.body);
+    res.status(201).json({
+      success: true,
+      message: t(req, 'messages.cdkCampaignCreated'),
+      data: {
+        campaign: formatCampaign(campaign),
+        codes: codes.map(formatCode)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating CDK campaign:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
+/**
+ * List campaigns
+ * @route GET /api/cdks/campaigns
+ * @returns {object} 200 - Campaigns, newest first
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const campaigns = await cdkService.listCampaigns();
+    res.json({
+      success: true,
+      data: campaigns.map(formatCampaign)
+    });
+  } catch (error) {
+    console.error('Error listing CDK campaigns:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
+/**
+ * Get a campaign with its codes
+ * @route GET /api/cdks/campaigns/:campaignId
+ * @returns {object} 200 - Campaign and its codes
+ * @returns {object} 404 - Campaign not found
+ */
+router.get('/:campaignId', requireRole('admin'), async (req, res) => {
+  try {
+    const { campaign, codes } = await cdkService.getCampaign(req.params.campaignId);
+    res.json({
+      success: true,
+      data: {
+        campaign: formatCampaign(campaign),
+        codes: codes.map(formatCode)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching CDK campaign:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
+/**
+ * Update a campaign
+ * @route PUT /api/cdks/campaigns/:campaignId
+ * @param {object} request.body - Any of name, description, budget, maxRedemptionsPerWallet, startsAt, endsAt (null clears a limit)
+ * @returns {object} 200 - Updated campaign
+ * @returns {object} 400 - Invalid campaign fields
+ * @returns {object} 404 - Campaign not found
+ * @returns {object} 409 - Name already exists or campaign revoked
+ */
+router.put('/:campaignId', requireRole('admin'), async (req, res) => {
+  try {
+    const campaign = await cdkService.updateCampaign(req.params.campaignId, req.body);
+    res.json({
+      success: true,
+      message: t(req, 'messages.cdkCampaignUpdated'),
+      data: formatCampaign(campaign)
+    });
+  } catch (error) {
+    console.error('Error updating CDK campaign:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
+/**
+ * Revoke a campaign; none of its codes can be redeemed afterwards
+ * Campaigns are kept for their redemption history, so deleting revokes.
+ * @route DELETE /api/cdks/campaigns/:campaignId
+ * @returns {object} 200 - Revoked campaign
+ * @returns {object} 404 - Campaign not found
+ * @returns {object} 409 - Campaign already revoked
+ */
+router.delete('/:campaignId', requireRole('admin'), async (req, res) => {
+  try {
+    const campaign = await cdkService.revokeCampaign(req.params.campaignId);
+    res.json({
+      success: true,
+      message: t(req, 'messages.cdkCampaignRevokedSuccessfully'),
+      data: formatCampaign(campaign)
+    });
+  } catch (error) {
+    console.error('Error revoking CDK campaign:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
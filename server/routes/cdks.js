@@ -1,7 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const { dbAsync } = require('../config/database');
 const cdkService = require('../services/CdkService');
+const { requireSession, requireRole } = require('../middleware/auth');
+const { idempotent, completeIdempotent } = require('../middleware/idempotency');
+const { cdkAttemptLimit } = require('../middleware/cdkAttemptLimit');
+const cdkAttemptService = require('../services/CdkAttemptService');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+// Effective statuses the admin listing can filter by
+const CDK_STATUSES = ['ACTIVE', 'USED', 'EXPIRED', 'REVOKED'];
+
+// Reasons a code cannot be validated or redeemed. Callers only ever see
+// errors.cdkInvalid, so responses do not reveal whether a code exists.
+const CDK_FAILURE_ERRORS = [
+  'invalidCdkFormat',
+  'cdkNotFound',
+  'cdkAlreadyUsed',
+  'cdkExpired',
+  'cdkRevoked',
+  'cdkCampaignNotStarted',
+  'cdkCampaignEnded',
+  'cdkCampaignBudgetExhausted',
+  'cdkRedemptionLimitReached'
+];
+
+// Find the failure reason of an error message, or undefined for other errors
+function cdkFailureReason(message) {
+  return CDK_FAILURE_ERRORS.find(key => message.includes(t(null, `errors.${key}`)));
+}
+
+// Log why the attempt reserved by cdkAttemptLimit failed and send the uniform response
+async function rejectCdk(req, res, reason) {
+  await cdkAttemptService.failAttempt(req.cdkAttemptId, reason);
+  return res.status(404).json({
+    success: false,
+    message: t(req, 'errors.cdkInvalid')
+  });
+}
 
 /**
  * CDK-related API routes
@@ -13,15 +50,21 @@ const { t } = require('../config/i18n');
  * @group CDKs - Operations for CDK redemption
  * @param {object} request.body - CDK redemption request
  * @param {string} request.body.code - The CDK code to redeem
- * @param {string} request.body.username - Username of the user redeeming the CDK
+ * @param {string} request.body.username - Username of the user redeeming the CDK (defaults to the session wallet)
+ * @param {string} request.headers.Idempotency-Key - Optional; a retry with the same key returns the original response
  * @returns {object} 200 - Successful redemption
  * @returns {object} 400 - Invalid request parameters
- * @returns {object} 404 - CDK not found or invalid
+ * @returns {object} 401 - Authentication required
+ * @returns {object} 403 - Username does not belong to the session
+ * @returns {object} 404 - CDK invalid (the same response whatever the reason; the attempt is logged)
+ * @returns {object} 409 - A request with the same idempotency key is still being processed
+ * @returns {object} 422 - Idempotency key was used with different parameters
+ * @returns {object} 429 - Too many failed attempts from this IP address or wallet (see Retry-After)
  * @returns {object} 500 - Server error
  */
-router.post('/redeem', async (req, res) => {
+router.post('/redeem', requireSession, cdkAttemptLimit('redeem'), idempotent, async (req, res) => {
   try {
-    const { code, username } = req.body;
+    const { code, username = req.auth.username } = req.body;
 
     // Validate request parameters
     if (!code || !username) {
@@ -31,29 +74,46 @@ router.post('/redeem', async (req, res) => {
       });
     }
 
-    // Execute CDK redemption
-    const result = await cdkService.redeemCdk(code, username);
+    // Codes can only be redeemed into the session's own wallet
+    if (username !== req.auth.username) {
+      return res.status(403).json({
+        success: false,
+        message: t(req, 'errors.accessDenied')
+      });
+    }
 
-    // Return success response
-    res.status(200).json({
-      success: true,
-      message: result.message,
-      data: {
-        amount: result.amount,
-        currency: result.currency
-      }
+    // Redeem the code and store the response for retries as one unit of work
+    const body = await dbAsync.transaction(async () => {
+      const result = await cdkService.redeemCdk(code, username);
+      const body = {
+        success: true,
+        message: result.message,
+        data: {
+          amount: result.amount,
+          currency: result.currency
+        }
+      };
+      await completeIdempotent(req, 200, body);
+      return body;
     });
+
+    // Return success response
+    res.status(200).json(body);
   } catch (error) {
     console.error('CDK redemption error:', error);
-    
+
+    try {
+      const reason = cdkFailureReason(error.message);
+      if (reason) {
+        return await rejectCdk(req, res, reason);
+      }
+    } catch (logError) {
+      console.error('Failed to log CDK attempt:', logError);
+    }
+
     // Determine error status code
     let statusCode = 500;
-    if (error.message.includes(t(null, 'errors.cdkNotFound')) || 
-        error.message.includes(t(null, 'errors.cdkAlreadyUsed')) || 
-        error.message.includes(t(null, 'errors.cdkExpired')) ||
-        error.message.includes(t(null, 'errors.invalidCdkFormat'))) {
-      statusCode = 404;
-    } else if (error.message.includes(t(null, 'errors.walletNotFound'))) {
+    if (error.message.includes(t(null, 'errors.walletNotFound'))) {
       statusCode = 404;
     }
 
@@ -72,10 +132,11 @@ router.post('/redeem', async (req, res) => {
  * @param {string} request.body.code - The CDK code to validate
  * @returns {object} 200 - Validation result
  * @returns {object} 400 - Invalid request parameters
- * @returns {object} 404 - CDK not found or invalid
+ * @returns {object} 404 - CDK invalid (the same response whatever the reason; the attempt is logged)
+ * @returns {object} 429 - Too many failed attempts from this IP address or wallet (see Retry-After)
  * @returns {object} 500 - Server error
  */
-router.post('/validate', async (req, res) => {
+router.post('/validate', cdkAttemptLimit('validate'), async (req, res) => {
   try {
     const { code } = req.body;
 
@@ -88,21 +149,15 @@ router.post('/validate', async (req, res) => {
 
     // Validate format
     if (!cdkService.validateCdkFormat(code)) {
-      return res.status(400).json({
-        success: false,
-        message: t(req.headers['accept-language'], 'errors.invalidCdkFormat')
-      });
+      return await rejectCdk(req, res, 'invalidCdkFormat');
     }
 
     // Find and validate CDK
-    const cdk = cdkService.findCdkByKey(code);
-    const validation = cdkService.validateCdk(cdk);
+    const cdk = await cdkService.findCdkByKey(code);
+    const validation = await cdkService.validateCdk(cdk);
 
     if (!validation.success) {
-      return res.status(404).json({
-        success: false,
-        message: validation.message
-      });
+      return await rejectCdk(req, res, cdkFailureReason(validation.message));
     }
 
     // Return validation success with CDK details (without sensitive info)
@@ -135,14 +190,13 @@ router.post('/validate', async (req, res) => {
  * @param {string} request.body.expires_at - Expiry date (ISO string)
  * @returns {object} 201 - CDK created successfully
  * @returns {object} 400 - Invalid request parameters
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 403 - Admin role required
  * @returns {object} 409 - CDK already exists
  * @returns {object} 500 - Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('admin'), async (req, res) => {
   try {
-    // Note: In a real application, you should add admin authentication here
-    // For example: if (!req.user || req.user.role !== 'admin') { ... }
-    
     const { key, amount, currency, expires_at } = req.body;
 
     if (!key || !amount) {
@@ -168,7 +222,8 @@ router.post('/', async (req, res) => {
     
     let statusCode = 500;
     if (error.message.includes(t(null, 'errors.invalidCdkFormat')) ||
-        error.message.includes(t(null, 'errors.cdkAlreadyExists'))) {
+        error.message.includes(t(null, 'errors.cdkAlreadyExists')) ||
+        error.message.includes(t(null, 'errors.invalidCdkAmount'))) {
       statusCode = 400;
     }
 
@@ -179,4 +234,257 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Campaign management (admin)
+router.use('/campaigns', require('./cdkCampaigns'));
+
+// Convert a CDK row with its effective status to the admin API shape
+function formatCdk(cdk) {
+  return {
+    key: cdk.key,
+    amount: money.fromMinorUnits(cdk.amount),
+    currency: cdk.currency,
+    status: cdk.effective_status,
+    campaignId: cdk.campaign_id,
+    campaignName: cdk.campaign_name,
+    maxRedemptions: cdk.max_redemptions,
+    redemptionCount: cdk.redemption_count,
+    expiresAt: cdk.expires_at,
+    createdAt: cdk.created_at,
+    lastRedeemedAt: cdk.used_at,
+    lastRedeemedBy: cdk.used_by
+  };
+}
+
+// Parse a date filter to an ISO string; a date without a time includes the whole day
+function parseDateFilter(value, endOfDay) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.toISOString();
+}
+
+/**
+ * List CDKs (admin route)
+ * @route GET /api/cdks
+ * @group CDKs - Admin operations for CDKs
+ * @param {number} request.query.page - Page number (default 1)
+ * @param {number} request.query.limit - Items per page, 1-100 (default 20)
+ * @param {string} request.query.status - ACTIVE, USED, EXPIRED or REVOKED (status as seen by a redeemer)
+ * @param {string} request.query.campaignId - Only codes of this campaign
+ * @param {string} request.query.redeemedBy - Only codes redeemed by this username or wallet ID
+ * @param {string} request.query.createdFrom - Created at or after (ISO date)
+ * @param {string} request.query.createdTo - Created at or before (ISO date, a plain date includes the day)
+ * @param {string} request.query.redeemedFrom - Redeemed at or after (ISO date)
+ * @param {string} request.query.redeemedTo - Redeemed at or before (ISO date, a plain date includes the day)
+ * @returns {object} 200 - CDKs, newest first, with pagination
+ * @returns {object} 400 - Invalid pagination or filter
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 403 - Admin role required
+ * @returns {object} 500 - Server error
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, campaignId, redeemedBy } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'errors.pageMustBePositive')
+      });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'errors.limitRange')
+      });
+    }
+
+    if (status !== undefined && !CDK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'errors.invalidCdkFilter', { field: 'status' })
+      });
+    }
+
+    const filters = { status, campaignId, redeemedBy };
+    for (const field of ['createdFrom', 'createdTo', 'redeemedFrom', 'redeemedTo']) {
+      if (req.query[field] === undefined) {
+        continue;
+      }
+      filters[field] = parseDateFilter(req.query[field], field.endsWith('To'));
+      if (!filters[field]) {
+        return res.status(400).json({
+          success: false,
+          message: t(req, 'errors.invalidCdkFilter', { field })
+        });
+      }
+    }
+
+    const offset = (pageNum - 1) * limitNum;
+    const { cdks, total } = await cdkService.listCdks(filters, { limit: limitNum, offset });
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      data: cdks.map(formatCdk),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCdks: total,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPreviousPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error listing CDKs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
+/**
+ * List failed CDK validations and redemptions (admin route)
+ * @route GET /api/cdks/failed-attempts
+ * @group CDKs - Admin operations for CDKs
+ * @param {number} request.query.page - Page number (default 1)
+ * @param {number} request.query.limit - Items per page, 1-100 (default 20)
+ * @param {string} request.query.ipAddress - Only attempts from this IP address
+ * @param {string} request.query.wallet - Only attempts of this wallet ID or username
+ * @param {string} request.query.endpoint - validate or redeem
+ * @param {string} request.query.reason - Failure reason, e.g. cdkNotFound, or locked for requests rejected during a lockout
+ * @param {string} request.query.from - Attempts at or after (ISO date)
+ * @param {string} request.query.to - Attempts at or before (ISO date, a plain date includes the day)
+ * @returns {object} 200 - Attempts, newest first, with pagination
+ * @returns {object} 400 - Invalid pagination or filter
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 403 - Admin role required
+ * @returns {object} 500 - Server error
+ */
+router.get('/failed-attempts', requireRole('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, ipAddress, wallet, endpoint, reason } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'errors.pageMustBePositive')
+      });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'errors.limitRange')
+      });
+    }
+
+    if (endpoint !== undefined && !['validate', 'redeem'].includes(endpoint)) {
+      return res.status(400).json({
+        success: false,
+        message: t(req, 'errors.invalidCdkFilter', { field: 'endpoint' })
+      });
+    }
+
+    const filters = { ipAddress, wallet, endpoint, reason };
+    for (const field of ['from', 'to']) {
+      if (req.query[field] === undefined) {
+        continue;
+      }
+      filters[field] = parseDateFilter(req.query[field], field === 'to');
+      if (!filters[field]) {
+        return res.status(400).json({
+          success: false,
+          message: t(req, 'errors.invalidCdkFilter', { field })
+        });
+      }
+    }
+
+    const offset = (pageNum - 1) * limitNum;
+    const { attempts, total } = await cdkAttemptService.listFailedAttempts(filters, { limit: limitNum, offset });
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      data: attempts.map(attempt => ({
+        id: attempt.id,
+        endpoint: attempt.endpoint,
+        ipAddress: attempt.ip_address,
+        walletId: attempt.wallet_id,
+        username: attempt.username,
+        codePrefix: attempt.code_prefix,
+        reason: attempt.reason,
+        createdAt: attempt.created_at
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalAttempts: total,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPreviousPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error listing failed CDK attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
+/**
+ * Get the redemption history of a CDK (admin route)
+ * @route GET /api/cdks/:key/history
+ * @group CDKs - Admin operations for CDKs
+ * @param {string} request.params.key - The CDK code
+ * @returns {object} 200 - The code and its redemptions, oldest first, each with its credit transaction
+ * @returns {object} 401 - Not authenticated
+ * @returns {object} 403 - Admin role required
+ * @returns {object} 404 - CDK not found
+ * @returns {object} 500 - Server error
+ */
+router.get('/:key/history', requireRole('admin'), async (req, res) => {
+  try {
+    const { cdk, redemptions } = await cdkService.getCdkHistory(req.params.key);
+
+    res.json({
+      success: true,
+      data: {
+        cdk: formatCdk(cdk),
+        redemptions: redemptions.map(redemption => ({
+          id: redemption.id,
+          walletId: redemption.wallet_id,
+          username: redemption.username,
+          amount: money.fromMinorUnits(redemption.amount),
+          transactionId: redemption.transaction_id,
+          transactionType: redemption.transaction_type,
+          description: redemption.transaction_description,
+          createdAt: redemption.created_at
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching CDK history:', error);
+    res.status(error.message.includes(t(null, 'errors.cdkNotFound')) ? 404 : 500).json({
+      success: false,
+      message: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
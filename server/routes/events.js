@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const realtimeService = require('../services/RealtimeService');
+const { getBearerToken } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+
+/**
+ * Live update routes, mounted under /api/events
+ */
+
+/**
+ * Open a Server-Sent Events stream
+ * With an access token the stream carries the wallet's balance changes and
+ * transactions ("wallet" and "transaction" messages); every stream carries new
+ * exchange rates ("exchange-rate" messages). Streams without an access token
+ * are limited per IP address and in total.
+ * @route GET /api/events
+ * @returns {stream} 200 - text/event-stream
+ * @returns {object} 401 - Invalid or expired access token
+ * @returns {object} 429 - Too many streams without an access token
+ */
+router.get('/', (req, res) => {
+  const token = getBearerToken(req);
+  if (token && !req.auth) {
+    return res.status(401).json({
+      success: false,
+      error: t(req, 'errors.authenticationRequired')
+    });
+  }
+
+  if (!req.auth && !realtimeService.acceptsAnonymous(req.ip)) {
+    return res.status(429).json({
+      success: false,
+      error: t(req, 'errors.tooManyEventStreams')
+    });
+  }
+
+  realtimeService.connect(req, res, req.auth ? { walletId: req.auth.walletId, token } : null);
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const exchangeRateService = require('../services/ExchangeRateService');
+const { requireRole } = require('../middleware/auth');
 const { t } = require('../config/i18n');
 
 /**
@@ -60,9 +61,9 @@ router.get('/', async (req, res) => {
 /**
  * @route   POST /api/exchange-rates/refresh
  * @desc    Manually refresh exchange rates (generate new random rates and save)
- * @access  Admin/Public (depending on actual requirements)
+ * @access  Operator
  */
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', requireRole('operator'), async (req, res) => {
   try {
     const exchangeRateScheduler = require('../services/ExchangeRateScheduler');
     const result = await exchangeRateScheduler.executeNow();
@@ -94,13 +95,8 @@ router.post('/refresh', async (req, res) => {
  * @access  Admin
  * @body    {string} beforeDate - Delete records before this date (ISO format string)
  */
-router.delete('/cleanup', async (req, res) => {
+router.delete('/cleanup', requireRole('admin'), async (req, res) => {
   try {
-    // Add admin permission check here (e.g., using middleware)
-    // Example: if (!req.user || req.user.role !== 'admin') {
-    //   return res.status(403).json({ success: false, message: 'Admin access required' });
-    // }
-    
     const { beforeDate } = req.body;
     
     if (!beforeDate) {
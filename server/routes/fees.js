@@ -0,0 +1,279 @@
+const express = require('express');
+const router = express.Router();
+const feeService = require('../services/FeeService');
+const { requireSession, requireRole } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+/**
+ * Fee API routes, mounted under /api/fees
+ * Schedules and promotions are managed by admins; any session can quote a fee.
+ */
+
+const toMajorUnits = (minorUnits) => (minorUnits === null ? null : money.fromMinorUnits(minorUnits));
+
+// Convert a schedule row to the API shape (amounts in major units)
+function formatSchedule(schedule) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    thirdPartyId: schedule.third_party_id,
+    feeType: schedule.fee_type,
+    rate: schedule.rate,
+    flatAmount: money.fromMinorUnits(schedule.flat_amount),
+    tiers: schedule.tiers ? schedule.tiers.map(tier => ({
+      upTo: toMajorUnits(tier.upTo),
+      rate: tier.rate,
+      flatAmount: money.fromMinorUnits(tier.flatAmount)
+    })) : null,
+    minFee: toMajorUnits(schedule.min_fee),
+    maxFee: toMajorUnits(schedule.max_fee),
+    status: schedule.status,
+    createdAt: schedule.created_at,
+    updatedAt: schedule.updated_at
+  };
+}
+
+// Convert a promotion row to the API shape
+function formatPromotion(promotion) {
+  return {
+    id: promotion.id,
+    name: promotion.name,
+    thirdPartyId: promotion.third_party_id,
+    startsAt: promotion.starts_at,
+    endsAt: promotion.ends_at,
+    status: promotion.status,
+    createdAt: promotion.created_at,
+    updatedAt: promotion.updated_at
+  };
+}
+
+// Map fee errors to status codes
+function errorStatus(error) {
+  if (error.message.includes(t(null, 'errors.feeScheduleNotFound')) ||
+      error.message.includes(t(null, 'errors.feePromotionNotFound')) ||
+      error.message.includes(t(null, 'errors.merchantNotFound'))) {
+    return 404;
+  }
+  if (error.message.includes(t(null, 'errors.feeScheduleAlreadyExists')) ||
+      error.message.includes(t(null, 'errors.feeScheduleDisabled')) ||
+      error.message.includes(t(null, 'errors.feePromotionDisabled'))) {
+    return 409;
+  }
+  if (error.message.includes(t(null, 'errors.invalidFeeField', { field: '' }))) {
+    return 400;
+  }
+  return 500;
+}
+
+// Send an error response with the mapped status code
+function sendError(req, res, error) {
+  res.status(errorStatus(error)).json({
+    success: false,
+    error: error.message || t(req, 'errors.serverInternalError')
+  });
+}
+
+/**
+ * Quote the fee of a third-party payment
+ * @route GET /api/fees/quote
+ * @param {string} request.query.amount - Payment amount
+ * @param {string} request.query.thirdPartyId - Merchant ID
+ * @returns {object} 200 - { amount, feeAmount, totalAmount, scheduleId, promotionId }
+ * @returns {object} 400 - Invalid amount or merchant
+ * @returns {object} 401 - Not authenticated
+ */
+router.get('/quote', requireSession, async (req, res) => {
+  try {
+    const quote = await feeService.quote(Number(req.query.amount), req.query.thirdPartyId);
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    console.error('Error quoting fee:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List fee schedules
+ * @route GET /api/fees/schedules
+ * @param {string} request.query.thirdPartyId - Only schedules of this merchant (optional)
+ * @param {string} request.query.status - ACTIVE or DISABLED (optional)
+ * @returns {object} 200 - Schedules, default first
+ */
+router.get('/schedules', requireRole('admin'), async (req, res) => {
+  try {
+    const { thirdPartyId, status } = req.query;
+    const schedules = await feeService.listSchedules({ thirdPartyId, status });
+    res.json({ success: true, data: schedules.map(formatSchedule) });
+  } catch (error) {
+    console.error('Error listing fee schedules:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Create a fee schedule
+ * @route POST /api/fees/schedules
+ * @param {object} request.body - { name, thirdPartyId, feeType, rate, flatAmount, tiers, minFee, maxFee }
+ * @returns {object} 201 - Created schedule
+ * @returns {object} 400 - Invalid schedule fields
+ * @returns {object} 404 - Merchant not found
+ * @returns {object} 409 - The merchant (or the default) already has an active schedule
+ */
+router.post('/schedules', requireRole('admin'), async (req, res) => {
+  try {
+    const schedule = await feeService.createSchedule(req.body);
+    res.status(201).json({
+      success: true,
+      message: t(req, 'messages.feeScheduleCreated'),
+      data: formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error creating fee schedule:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Get a fee schedule
+ * @route GET /api/fees/schedules/:scheduleId
+ * @returns {object} 200 - Schedule
+ * @returns {object} 404 - Schedule not found
+ */
+router.get('/schedules/:scheduleId', requireRole('admin'), async (req, res) => {
+  try {
+    const schedule = await feeService.getSchedule(req.params.scheduleId);
+    res.json({ success: true, data: formatSchedule(schedule) });
+  } catch (error) {
+    console.error('Error fetching fee schedule:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Update a fee schedule
+ * @route PUT /api/fees/schedules/:scheduleId
+ * @param {object} request.body - Any of name, feeType, rate, flatAmount, tiers, minFee, maxFee (null clears a cap)
+ * @returns {object} 200 - Updated schedule
+ * @returns {object} 400 - Invalid schedule fields
+ * @returns {object} 404 - Schedule not found
+ * @returns {object} 409 - Schedule disabled
+ */
+router.put('/schedules/:scheduleId', requireRole('admin'), async (req, res) => {
+  try {
+    const schedule = await feeService.updateSchedule(req.params.scheduleId, req.body);
+    res.json({
+      success: true,
+      message: t(req, 'messages.feeScheduleUpdated'),
+      data: formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error updating fee schedule:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Disable a fee schedule
+ * Schedules are kept for reference, so deleting disables.
+ * @route DELETE /api/fees/schedules/:scheduleId
+ * @returns {object} 200 - Disabled schedule
+ * @returns {object} 404 - Schedule not found
+ * @returns {object} 409 - Schedule already disabled
+ */
+router.delete('/schedules/:scheduleId', requireRole('admin'), async (req, res) => {
+  try {
+    const schedule = await feeService.disableSchedule(req.params.scheduleId);
+    res.json({
+      success: true,
+      message: t(req, 'messages.feeScheduleDisabledSuccessfully'),
+      data: formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error disabling fee schedule:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List fee promotions
+ * @route GET /api/fees/promotions
+ * @returns {object} 200 - Promotions, latest start first
+ */
+router.get('/promotions', requireRole('admin'), async (req, res) => {
+  try {
+    const promotions = await feeService.listPromotions();
+    res.json({ success: true, data: promotions.map(formatPromotion) });
+  } catch (error) {
+    console.error('Error listing fee promotions:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Create a fee promotion
+ * @route POST /api/fees/promotions
+ * @param {object} request.body - { name, thirdPartyId, startsAt, endsAt }
+ * @returns {object} 201 - Created promotion
+ * @returns {object} 400 - Invalid promotion fields
+ * @returns {object} 404 - Merchant not found
+ */
+router.post('/promotions', requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await feeService.createPromotion(req.body);
+    res.status(201).json({
+      success: true,
+      message: t(req, 'messages.feePromotionCreated'),
+      data: formatPromotion(promotion)
+    });
+  } catch (error) {
+    console.error('Error creating fee promotion:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Update a fee promotion
+ * @route PUT /api/fees/promotions/:promotionId
+ * @param {object} request.body - Any of name, startsAt, endsAt
+ * @returns {object} 200 - Updated promotion
+ * @returns {object} 400 - Invalid promotion fields
+ * @returns {object} 404 - Promotion not found
+ * @returns {object} 409 - Promotion disabled
+ */
+router.put('/promotions/:promotionId', requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await feeService.updatePromotion(req.params.promotionId, req.body);
+    res.json({
+      success: true,
+      message: t(req, 'messages.feePromotionUpdated'),
+      data: formatPromotion(promotion)
+    });
+  } catch (error) {
+    console.error('Error updating fee promotion:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Disable a fee promotion
+ * @route DELETE /api/fees/promotions/:promotionId
+ * @returns {object} 200 - Disabled promotion
+ * @returns {object} 404 - Promotion not found
+ * @returns {object} 409 - Promotion already disabled
+ */
+router.delete('/promotions/:promotionId', requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await feeService.disablePromotion(req.params.promotionId);
+    res.json({
+      success: true,
+      message: t(req, 'messages.feePromotionDisabledSuccessfully'),
+      data: formatPromotion(promotion)
+    });
+  } catch (error) {
+    console.error('Error disabling fee promotion:', error);
+    sendError(req, res, error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
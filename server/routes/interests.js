@@ -1,22 +1,81 @@
 const express = require('express');
 const router = express.Router();
 const interestScheduler = require('../services/InterestScheduler');
+const InterestService = require('../services/InterestService');
+const { requireRole } = require('../middleware/auth');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+const interestService = new InterestService();
 
 /**
  * Interest-related API routes
  */
 
+// Convert a policy row to the API shape (amounts in major units)
+function formatPolicy(policy) {
+  return {
+    id: policy.id,
+    name: policy.name,
+    effectiveFrom: policy.effective_from,
+    annualRate: policy.annual_rate,
+    tiers: policy.tiers ? policy.tiers.map(tier => ({
+      above: money.fromMinorUnits(tier.above),
+      annualRate: tier.annualRate
+    })) : null,
+    minBalance: money.fromMinorUnits(policy.min_balance),
+    maxInterest: policy.max_interest === null ? null : money.fromMinorUnits(policy.max_interest),
+    status: policy.status,
+    createdAt: policy.created_at,
+    updatedAt: policy.updated_at
+  };
+}
+
+// Convert an interest log row to the API shape (amounts in major units)
+function formatLog(log) {
+  return {
+    id: log.id,
+    period: log.period,
+    status: log.status,
+    totalWallets: log.total_wallets,
+    processedCount: log.processed_count,
+    totalInterest: money.fromMinorUnits(log.total_interest),
+    errorMessage: log.error_message,
+    createdAt: log.created_at,
+    updatedAt: log.updated_at
+  };
+}
+
+// Map interest policy errors to status codes
+function errorStatus(error) {
+  if (error.message.includes(t(null, 'errors.interestPolicyNotFound'))) {
+    return 404;
+  }
+  if (error.message.includes(t(null, 'errors.interestPolicyAlreadyScheduled')) ||
+      error.message.includes(t(null, 'errors.interestPolicyCancelled')) ||
+      error.message.includes(t(null, 'errors.interestPolicyPeriodPosted', { period: '' })) ||
+      error.message.includes(t(null, 'errors.interestPolicyPeriodAccrued', { date: '' }))) {
+    return 409;
+  }
+  if (error.message.includes(t(null, 'errors.invalidInterestPolicyField', { field: '' }))) {
+    return 400;
+  }
+  return 500;
+}
+
+// Send an error response with the mapped status code
+function sendError(req, res, error) {
+  res.status(errorStatus(error)).json({
+    success: false,
+    error: error.message || t(req, 'errors.serverInternalError')
+  });
+}
+
 /**
- * Manually trigger interest calculation (admin only)
+ * Manually trigger interest calculation (operator or admin)
  */
-router.post('/process', async (req, res) => {
+router.post('/process', requireRole('operator'), async (req, res) => {
   try {
-    // Add admin permission check here (e.g., using middleware)
-    // Example: if (!req.user || req.user.role !== 'admin') {
-    //   return res.status(403).json({ success: false, message: 'Admin access required' });
-    // }
-    
     console.log('Manual interest calculation request');
     const result = await interestScheduler.executeNow();
     
@@ -26,7 +85,7 @@ router.post('/process', async (req, res) => {
         message: t(req, 'interests.interestCalculationSuccess'),
         data: {
           processedCount: result.processedCount,
-          totalInterest: result.totalInterest
+          totalInterest: money.fromMinorUnits(result.totalInterest)
         }
       });
     } else {
@@ -68,4 +127,178 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * Preview a month of interest on the current balances (operator or admin)
+ * Nothing is posted or recorded.
+ * @route POST /api/interests/preview
+ * @param {object} request.body - { period, policy } (both optional; policy as { annualRate, tiers, minBalance, maxInterest })
+ * @returns {object} 200 - Projected interest per wallet and in total
+ * @returns {object} 400 - Invalid period or policy fields
+ */
+router.post('/preview', requireRole('operator'), async (req, res) => {
+  try {
+    const { period, policy } = req.body || {};
+    const preview = await interestService.previewInterest({ period, policy });
+    res.json({
+      success: true,
+      data: {
+        period: preview.period,
+        policy: preview.policy ? formatPolicy(preview.policy) : null,
+        walletCount: preview.wallets.length,
+        totalInterest: money.fromMinorUnits(preview.totalInterest),
+        wallets: preview.wallets.map(wallet => ({
+          walletId: wallet.id,
+          username: wallet.username,
+          balance: money.fromMinorUnits(wallet.balance),
+          interest: money.fromMinorUnits(wallet.interest)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing interest:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List interest periods that need processing (admin only)
+ * @route GET /api/interests/backfill
+ * @returns {object} 200 - Periods that were missed and logs that are pending, processing or failed
+ */
+router.get('/backfill', requireRole('admin'), async (req, res) => {
+  try {
+    const { missingPeriods, pendingLogs } = await interestService.getBackfillStatus();
+    res.json({
+      success: true,
+      data: { missingPeriods, pendingPeriods: pendingLogs.map(formatLog) }
+    });
+  } catch (error) {
+    console.error('Error listing interest periods to backfill:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Backfill missed interest periods (admin only)
+ * Creates the missed periods and processes them with the pending and failed ones, in order.
+ * @route POST /api/interests/backfill
+ * @returns {object} 200 - Backfilled and processed periods
+ * @returns {object} 500 - Some periods could not be processed
+ */
+router.post('/backfill', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await interestService.backfillMissingInterest();
+    res.status(result.success ? 200 : 500).json({
+      success: result.success,
+      message: t(req, result.success ? 'interests.interestBackfillCompleted' : 'interests.interestBackfillFailed'),
+      data: {
+        backfilledPeriods: result.backfilledPeriods,
+        processedPeriods: result.processedPeriods.map(item => (
+          item.success ? { ...item, totalInterest: money.fromMinorUnits(item.totalInterest) } : item
+        ))
+      }
+    });
+  } catch (error) {
+    console.error('Error backfilling interest periods:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List interest policies (admin only)
+ * @route GET /api/interests/policies
+ * @param {string} request.query.status - ACTIVE or CANCELLED (optional)
+ * @returns {object} 200 - Policies, latest effective period first
+ */
+router.get('/policies', requireRole('admin'), async (req, res) => {
+  try {
+    const policies = await interestService.listPolicies({ status: req.query.status });
+    res.json({ success: true, data: policies.map(formatPolicy) });
+  } catch (error) {
+    console.error('Error listing interest policies:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Get the interest policy in force for a period (admin only)
+ * @route GET /api/interests/policies/current
+ * @param {string} request.query.period - Interest period, YYYY-MM (optional, the current month by default)
+ * @returns {object} 200 - Policy, or null when no interest is paid
+ * @returns {object} 400 - Invalid period
+ */
+router.get('/policies/current', requireRole('admin'), async (req, res) => {
+  try {
+    const period = req.query.period || new Date().toISOString().slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+      throw new Error(t(null, 'errors.invalidInterestPolicyField', { field: 'period' }));
+    }
+    const policy = await interestService.getPolicyForPeriod(period);
+    res.json({ success: true, data: policy ? formatPolicy(policy) : null, period });
+  } catch (error) {
+    console.error('Error fetching current interest policy:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Schedule an interest policy (admin only)
+ * @route POST /api/interests/policies
+ * @param {object} request.body - { name, effectiveFrom, annualRate, tiers, minBalance, maxInterest }
+ * @returns {object} 201 - Created policy
+ * @returns {object} 400 - Invalid policy fields
+ * @returns {object} 409 - A policy already takes effect in the period, or its interest was posted or accrued
+ */
+router.post('/policies', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await interestService.createPolicy(req.body);
+    res.status(201).json({
+      success: true,
+      message: t(req, 'messages.interestPolicyCreated'),
+      data: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Error creating interest policy:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Get an interest policy (admin only)
+ * @route GET /api/interests/policies/:policyId
+ * @returns {object} 200 - Policy
+ * @returns {object} 404 - Policy not found
+ */
+router.get('/policies/:policyId', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await interestService.getPolicy(req.params.policyId);
+    res.json({ success: true, data: formatPolicy(policy) });
+  } catch (error) {
+    console.error('Error fetching interest policy:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Cancel a scheduled interest policy (admin only)
+ * Policies are kept for reference, so deleting cancels.
+ * @route DELETE /api/interests/policies/:policyId
+ * @returns {object} 200 - Cancelled policy
+ * @returns {object} 404 - Policy not found
+ * @returns {object} 409 - Policy already cancelled, or interest was posted or accrued under it
+ */
+router.delete('/policies/:policyId', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await interestService.cancelPolicy(req.params.policyId);
+    res.json({
+      success: true,
+      message: t(req, 'messages.interestPolicyCancelled'),
+      data: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Error cancelling interest policy:', error);
+    sendError(req, res, error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
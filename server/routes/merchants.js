@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const merchantService = require('../services/MerchantService');
+const { requireRole } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+
+/**
+ * Merchant API routes (admin only), mounted under /api/merchants
+ */
+
+// Convert a merchant row to the API shape
+function formatMerchant(merchant) {
+  return {
+    id: merchant.id,
+    name: merchant.name,
+    contactEmail: merchant.contact_email,
+    status: merchant.status,
+    apiKeyPrefix: merchant.api_key_prefix,
+    apiKeyCreatedAt: merchant.api_key_created_at,
+    transactionCount: merchant.transaction_count,
+    createdAt: merchant.created_at,
+    updatedAt: merchant.updated_at
+  };
+}
+
+// Map merchant errors to status codes
+function errorStatus(error) {
+  if (error.message.includes(t(null, 'errors.merchantNotFound'))) {
+    return 404;
+  }
+  if (error.message.includes(t(null, 'errors.merchantAlreadyExists'))) {
+    return 409;
+  }
+  if (error.message.includes(t(null, 'errors.invalidMerchantField', { field: '' }))) {
+    return 400;
+  }
+  return 500;
+}
+
+// Send an error response with the mapped status code
+function sendError(req, res, error) {
+  res.status(errorStatus(error)).json({
+    success: false,
+    error: error.message || t(req, 'errors.serverInternalError')
+  });
+}
+
+/**
+ * Onboard a merchant
+ * The API key is only returned here and by the key rotation route.
+ * @route POST /api/merchants
+ * @param {object} request.body - { id, name, contactEmail } (id defaults to a UUID)
+ * @returns {object} 201 - Merchant and its API key
+ * @returns {object} 400 - Invalid merchant fields
+ * @returns {object} 409 - Merchant ID already exists
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { merchant, apiKey } = await merchantService.onboardMerchant(req.body);
+    res.status(201).json({
+      success: true,
+      message: t(req, 'messages.merchantOnboarded'),
+      data: { merchant: formatMerchant(merchant), apiKey }
+    });
+  } catch (error) {
+    console.error('Error onboarding merchant:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List merchants
+ * @route GET /api/merchants
+ * @param {string} request.query.status - ACTIVE or SUSPENDED (optional)
+ * @returns {object} 200 - Merchants with their transaction count
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const merchants = await merchantService.listMerchants({ status: req.query.status });
+    res.json({ success: true, data: merchants.map(formatMerchant) });
+  } catch (error) {
+    console.error('Error listing merchants:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Get a merchant
+ * @route GET /api/merchants/:merchantId
+ * @returns {object} 200 - Merchant
+ * @returns {object} 404 - Merchant not found
+ */
+router.get('/:merchantId', requireRole('admin'), async (req, res) => {
+  try {
+    const merchant = await merchantService.getMerchant(req.params.merchantId);
+    res.json({ success: true, data: formatMerchant(merchant) });
+  } catch (error) {
+    console.error('Error fetching merchant:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Update a merchant; suspending it rejects its API key until reactivated
+ * @route PUT /api/merchants/:merchantId
+ * @param {object} request.body - Any of name, contactEmail, status (ACTIVE or SUSPENDED)
+ * @returns {object} 200 - Updated merchant
+ * @returns {object} 400 - Invalid merchant fields
+ * @returns {object} 404 - Merchant not found
+ */
+router.put('/:merchantId', requireRole('admin'), async (req, res) => {
+  try {
+    const merchant = await merchantService.updateMerchant(req.params.merchantId, req.body);
+    res.json({
+      success: true,
+      message: t(req, 'messages.merchantUpdated'),
+      data: formatMerchant(merchant)
+    });
+  } catch (error) {
+    console.error('Error updating merchant:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Issue a new API key, revoking the previous one
+ * @route POST /api/merchants/:merchantId/api-key
+ * @returns {object} 200 - Merchant and its new API key
+ * @returns {object} 404 - Merchant not found
+ */
+router.post('/:merchantId/api-key', requireRole('admin'), async (req, res) => {
+  try {
+    const { merchant, apiKey } = await merchantService.rotateApiKey(req.params.merchantId);
+    res.json({
+      success: true,
+      message: t(req, 'messages.merchantApiKeyRotated'),
+      data: { merchant: formatMerchant(merchant), apiKey }
+    });
+  } catch (error) {
+    console.error('Error rotating merchant API key:', error);
+    sendError(req, res, error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const notificationService = require('../services/NotificationService');
+const { requireSession } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+
+/**
+ * Notification API routes for the logged-in wallet, mounted under /api/notifications
+ */
+
+/**
+ * List notifications of the logged-in wallet
+ * @route GET /api/notifications
+ * @param {boolean} request.query.unread - Only unread notifications (optional)
+ * @param {number} request.query.page - Page number (default 1)
+ * @param {number} request.query.limit - Page size (default 20, at most 100)
+ * @returns {object} 200 - Notifications, newest first, with the unread count
+ */
+router.get('/', requireSession, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    if (page < 1) {
+      return res.status(400).json({ success: false, error: t(req, 'errors.pageMustBePositive') });
+    }
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({ success: false, error: t(req, 'errors.limitRange') });
+    }
+
+    const { notifications, total, unread } = await notificationService.listNotifications(req.auth.walletId, {
+      unreadOnly: req.query.unread === 'true',
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json({
+      success: true,
+      data: notifications.map(notification => notificationService.format(notification)),
+      unreadCount: unread,
+      pagination: { page, limit, total }
+    });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({ success: false, error: t(req, 'errors.serverInternalError') });
+  }
+});
+
+/**
+ * Mark all notifications of the logged-in wallet as read
+ * @route POST /api/notifications/read-all
+ * @returns {object} 200 - Number of notifications marked
+ */
+router.post('/read-all', requireSession, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.auth.walletId);
+    res.json({ success: true, message: t(req, 'messages.notificationsRead'), data: { updated } });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ success: false, error: t(req, 'errors.serverInternalError') });
+  }
+});
+
+/**
+ * Mark a notification as read
+ * @route POST /api/notifications/:notificationId/read
+ * @returns {object} 200 - Notification
+ * @returns {object} 404 - Notification not found (or not the wallet's)
+ */
+router.post('/:notificationId/read', requireSession, async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.auth.walletId, req.params.notificationId);
+    res.json({ success: true, data: notificationService.format(notification) });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    if (error.message.includes(t(null, 'errors.notificationNotFound'))) {
+      return res.status(404).json({ success: false, error: t(req, 'errors.notificationNotFound') });
+    }
+    res.status(500).json({ success: false, error: t(req, 'errors.serverInternalError') });
+  }
+});
+
+module.exports = router;
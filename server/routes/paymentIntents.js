@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const { dbAsync } = require('../config/database');
+const paymentIntentService = require('../services/PaymentIntentService');
+const { requireSession } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchantAuth');
+const { idempotent, completeIdempotent } = require('../middleware/idempotency');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+/**
+ * Payment intent API routes, mounted under /api/third-party/payment-intents
+ * Merchants create, capture and void intents with their X-Merchant-Key header;
+ * wallet owners view and confirm them with their session.
+ */
+
+// Convert an intent row to the API shape (amounts in major units)
+function formatIntent(intent) {
+  return {
+    id: intent.id,
+    merchantId: intent.merchant_id,
+    merchantName: intent.merchant_name,
+    walletId: intent.wallet_id,
+    username: intent.username,
+    amount: money.fromMinorUnits(intent.amount),
+    feeAmount: money.fromMinorUnits(intent.fee_amount),
+    heldAmount: money.fromMinorUnits(intent.held_amount),
+    capturedAmount: intent.captured_amount === null ? null : money.fromMinorUnits(intent.captured_amount),
+    transactionId: intent.transaction_id,
+    description: intent.description,
+    status: intent.status,
+    expiresAt: intent.expires_at,
+    confirmedAt: intent.confirmed_at,
+    completedAt: intent.completed_at,
+    createdAt: intent.created_at,
+    updatedAt: intent.updated_at
+  };
+}
+
+// Map payment intent errors to status codes
+function errorStatus(error) {
+  if (error.message.includes(t(null, 'errors.paymentIntentNotFound')) ||
+      error.message.includes(t(null, 'errors.walletNotFound'))) {
+    return 404;
+  }
+  if (error.message.includes(t(null, 'errors.accessDenied'))) {
+    return 403;
+  }
+  if (error.message.includes(t(null, 'errors.paymentIntentExpired')) ||
+      error.message.includes(t(null, 'errors.paymentIntentInvalidStatus', { status: '' }))) {
+    return 409;
+  }
+  if (error.message.includes(t(null, 'errors.invalidPaymentIntentField', { field: '' })) ||
+      error.message.includes(t(null, 'errors.insufficientBalance'))) {
+    return 400;
+  }
+  return 500;
+}
+
+// Send an error response with the mapped status code
+function sendError(req, res, error) {
+  res.status(errorStatus(error)).json({
+    success: false,
+    error: error.message || t(req, 'errors.serverInternalError')
+  });
+}
+
+// Merchants authenticate with their API key, everyone else needs a session
+const requireMerchantOrSession = (req, res, next) => {
+  if (req.get('X-Merchant-Key')) {
+    return requireMerchant(req, res, next);
+  }
+  return requireSession(req, res, next);
+};
+
+// Whether the caller may see an intent
+function canView(req, intent) {
+  return req.merchant ? intent.merchant_id === req.merchant.id : intent.wallet_id === req.auth.walletId;
+}
+
+/**
+ * Create a payment intent for a wallet
+ * @route POST /api/third-party/payment-intents
+ * @param {object} request.body - { walletId | username, amount, description, expiresIn } (expiresIn in seconds)
+ * @param {string} request.headers.X-Merchant-Key - Merchant API key
+ * @returns {object} 201 - Intent awaiting confirmation by the wallet owner
+ * @returns {object} 400 - Invalid intent fields
+ * @returns {object} 401 - Missing or invalid merchant key
+ * @returns {object} 404 - Wallet not found
+ */
+router.post('/', requireMerchant, idempotent, async (req, res) => {
+  try {
+    const body = await dbAsync.transaction(async () => {
+      const intent = await paymentIntentService.createIntent(req.merchant, req.body);
+      const body = {
+        success: true,
+        message: t(req, 'messages.paymentIntentCreated'),
+        data: formatIntent(intent)
+      };
+      await completeIdempotent(req, 201, body);
+      return body;
+    });
+    res.status(201).json(body);
+  } catch (error) {
+    console.error('Error creating payment intent:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List payment intents: a merchant's own, or those of the session's wallet
+ * @route GET /api/third-party/payment-intents
+ * @param {string} request.query.status - Status filter (optional)
+ * @param {number} request.query.page - Page number (default 1)
+ * @param {number} request.query.limit - Page size (default 20, at most 100)
+ * @returns {object} 200 - Intents, newest first
+ */
+router.get('/', requireMerchantOrSession, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    if (page < 1) {
+      return res.status(400).json({ success: false, error: t(req, 'errors.pageNumberMustBePositive') });
+    }
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({ success: false, error: t(req, 'errors.limitMustBeBetween', { min: 1, max: 100 }) });
+    }
+
+    const intents = await paymentIntentService.listIntents({
+      merchantId: req.merchant ? req.merchant.id : undefined,
+      walletId: req.merchant ? undefined : req.auth.walletId,
+      status: req.query.status,
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json({ success: true, data: intents.map(formatIntent), pagination: { page, limit } });
+  } catch (error) {
+    console.error('Error listing payment intents:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Get a payment intent (its merchant or the paying wallet's owner)
+ * @route GET /api/third-party/payment-intents/:intentId
+ * @returns {object} 200 - Intent
+ * @returns {object} 404 - Intent not found
+ */
+router.get('/:intentId', requireMerchantOrSession, async (req, res) => {
+  try {
+    const intent = await paymentIntentService.getIntent(req.params.intentId);
+    if (!canView(req, intent)) {
+      return res.status(404).json({ success: false, error: t(req, 'errors.paymentIntentNotFound') });
+    }
+    res.json({ success: true, data: formatIntent(intent) });
+  } catch (error) {
+    console.error('Error fetching payment intent:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Confirm a payment intent, holding amount + fee on the wallet
+ * @route POST /api/third-party/payment-intents/:intentId/confirm
+ * @returns {object} 200 - Authorized intent
+ * @returns {object} 400 - Insufficient available balance
+ * @returns {object} 403 - The session does not own the paying wallet
+ * @returns {object} 409 - Intent expired or no longer awaiting confirmation
+ */
+router.post('/:intentId/confirm', requireSession, idempotent, async (req, res) => {
+  try {
+    // Hold the money and store the response for retries as one unit of work
+    const body = await dbAsync.transaction(async () => {
+      const intent = await paymentIntentService.confirmIntent(req.params.intentId, req.auth.walletId);
+      const body = {
+        success: true,
+        message: t(req, 'messages.paymentIntentConfirmed'),
+        data: formatIntent(intent)
+      };
+      await completeIdempotent(req, 200, body);
+      return body;
+    });
+    res.json(body);
+  } catch (error) {
+    console.error('Error confirming payment intent:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Capture an authorized payment intent, in full or in part
+ * @route POST /api/third-party/payment-intents/:intentId/capture
+ * @param {object} request.body - { amount } (optional, the full amount by default)
+ * @returns {object} 200 - Captured intent and its third_party_payment transaction
+ * @returns {object} 400 - Amount exceeds the authorized amount
+ * @returns {object} 404 - Intent not found
+ * @returns {object} 409 - Intent expired or not authorized
+ */
+router.post('/:intentId/capture', requireMerchant, idempotent, async (req, res) => {
+  try {
+    // Capture the money and store the response for retries as one unit of work
+    const body = await dbAsync.transaction(async () => {
+      const { intent, transaction } = await paymentIntentService.captureIntent(
+        req.params.intentId,
+        req.merchant.id,
+        (req.body || {}).amount
+      );
+      const body = {
+        success: true,
+        message: t(req, 'messages.paymentIntentCaptured'),
+        data: formatIntent(intent),
+        transaction: {
+          id: transaction.id,
+          fromWalletId: transaction.from_wallet_id,
+          amount: money.fromMinorUnits(transaction.amount),
+          feeAmount: money.fromMinorUnits(transaction.fee_amount),
+          totalAmount: money.fromMinorUnits(transaction.amount + transaction.fee_amount),
+          transactionType: transaction.transaction_type,
+          description: transaction.description,
+          createdAt: transaction.created_at
+        }
+      };
+      await completeIdempotent(req, 200, body);
+      return body;
+    });
+    res.json(body);
+  } catch (error) {
+    console.error('Error capturing payment intent:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Void a payment intent that has not been captured, releasing its hold
+ * @route POST /api/third-party/payment-intents/:intentId/void
+ * @returns {object} 200 - Voided intent
+ * @returns {object} 404 - Intent not found
+ * @returns {object} 409 - Intent expired, captured or already voided
+ */
+router.post('/:intentId/void', requireMerchant, idempotent, async (req, res) => {
+  try {
+    // Release the hold and store the response for retries as one unit of work
+    const body = await dbAsync.transaction(async () => {
+      const intent = await paymentIntentService.voidIntent(req.params.intentId, req.merchant.id);
+      const body = {
+        success: true,
+        message: t(req, 'messages.paymentIntentVoided'),
+        data: formatIntent(intent)
+      };
+      await completeIdempotent(req, 200, body);
+      return body;
+    });
+    res.json(body);
+  } catch (error) {
+    console.error('Error voiding payment intent:', error);
+    sendError(req, res, error);
+  }
+});
+
+module.exports = router;
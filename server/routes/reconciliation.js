@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const ReconciliationService = require('../services/ReconciliationService');
+const { requireRole } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+
+const reconciliationService = new ReconciliationService();
+
+/**
+ * Reconcile balances, transactions, ledger and interest logs (admin only)
+ * Same report as scripts/reconcile.js
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const report = await reconciliationService.reconcile();
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.reconciliationFailed')
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -3,14 +3,20 @@ const router = express.Router();
 const { dbAsync } = require('../config/database');
 const WalletRepository = require('../repositories/WalletRepository');
 const TransactionRepository = require('../repositories/TransactionRepository');
+const feeService = require('../services/FeeService');
+const eventBus = require('../services/EventBus');
+const { requireSession, requireRole, ownsWallet } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchantAuth');
+const { idempotent, completeIdempotent } = require('../middleware/idempotency');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
 
 const walletRepo = new WalletRepository();
 const transactionRepo = new TransactionRepository();
 
 // Third-party payment input validation middleware
 const validateThirdPartyPayment = async (req, res, next) => {
-  const { walletId, username, amount, thirdPartyId, thirdPartyName, description = '' } = req.body;
+  const { walletId, username, amount } = req.body;
   
   // Ensure either walletId or username is provided, and they are strings
   if ((!walletId && !username) || typeof walletId !== 'string' && typeof username !== 'string') {
@@ -20,21 +26,6 @@ const validateThirdPartyPayment = async (req, res, next) => {
     });
   }
   
-  // Third-party information validation
-  if (!thirdPartyId || typeof thirdPartyId !== 'string') {
-    return res.status(400).json({
-      success: false,
-      error: 'Third-party ID is required'
-    });
-  }
-  
-  if (!thirdPartyName || typeof thirdPartyName !== 'string') {
-    return res.status(400).json({
-      success: false,
-      error: 'Third-party name is required'
-    });
-  }
-  
   // Amount validation
   if (typeof amount !== 'number' || amount <= 0) {
     return res.status(400).json({
@@ -44,7 +35,7 @@ const validateThirdPartyPayment = async (req, res, next) => {
   }
   
   // Check amount precision (up to 2 decimal places)
-  if (Math.round(amount * 100) !== amount * 100) {
+  if (!money.hasValidPrecision(amount)) {
     return res.status(400).json({
       success: false,
       error: 'Amount must have up to 2 decimal places'
@@ -54,8 +45,8 @@ const validateThirdPartyPayment = async (req, res, next) => {
   next();
 };
 
-// Third-party payment endpoint
-router.post('/payments', async (req, res, next) => {
+// Third-party payment endpoint (sent by a merchant; the session must own the paying wallet)
+router.post('/payments', requireSession, requireMerchant, idempotent, async (req, res, next) => {
   try {
     await validateThirdPartyPayment(req, res, next);
   } catch (error) {
@@ -67,12 +58,18 @@ router.post('/payments', async (req, res, next) => {
   }
 }, async (req, res) => {
   try {
-    const { walletId, username, amount, thirdPartyId, thirdPartyName, description = '' } = req.body;
+    const { walletId, username, amount, description = '' } = req.body;
+    const { id: thirdPartyId, name: thirdPartyName } = req.merchant;
     
-    // Begin database transaction
-    await dbAsync.beginTransaction();
+    // Fee charged on top of the amount, from the merchant's fee schedule or promotion
+    const amountMinor = money.toMinorUnits(amount);
+    const { feeAmount: feeMinor } = await feeService.calculateFee({ amount: amountMinor, thirdPartyId });
+    const totalMinor = amountMinor + feeMinor;
+    const feeAmount = money.fromMinorUnits(feeMinor);
+    const totalAmount = money.fromMinorUnits(totalMinor);
     
-    try {
+    // Debit the wallet and record the payment as one unit of work
+    const outcome = await dbAsync.transaction(async () => {
       // Find user wallet
       let wallet;
       if (walletId) {
@@ -82,60 +79,60 @@ router.post('/payments', async (req, res, next) => {
       }
       
       if (!wallet) {
-        await dbAsync.rollback();
-        return res.status(404).json({
-          success: false,
-          error: 'Wallet does not exist'
-        });
+        return { status: 404, error: 'Wallet does not exist' };
       }
       
-      // Calculate 10% extra fee
-    const feeRate = 0.10;
-    const feeAmount = Math.round(amount * feeRate * 100) / 100; // Keep 2 decimal places
-    const totalAmount = amount + feeAmount;
-    
-    // Check if wallet balance is sufficient
-    if (parseFloat(wallet.balance) < totalAmount) {
-      await dbAsync.rollback();
-      return res.status(400).json({
-        success: false,
-        error: 'Wallet balance is insufficient',
-        currentBalance: parseFloat(wallet.balance),
-        requestedAmount: amount,
-        feeAmount: feeAmount,
-        totalAmount: totalAmount
-      });
-    }
-    
-    // Update wallet balance, deducting original amount and fee
-    const newBalance = parseFloat(wallet.balance) - totalAmount;
-      await walletRepo.updateBalance(wallet.id, newBalance);
+      if (!ownsWallet(req, wallet)) {
+        return { status: 403, error: t(req, 'errors.accessDenied') };
+      }
+      
+      // Check if wallet balance is sufficient (held funds cannot be spent)
+      if (WalletRepository.availableBalance(wallet) < totalMinor) {
+        return {
+          status: 400,
+          error: 'Wallet balance is insufficient',
+          details: {
+            currentBalance: money.fromMinorUnits(wallet.balance),
+            availableBalance: money.fromMinorUnits(WalletRepository.availableBalance(wallet)),
+            requestedAmount: amount,
+            feeAmount: feeAmount,
+            totalAmount: totalAmount
+          }
+        };
+      }
+      
+      // Deduct original amount and fee (fails if a concurrent debit spent the balance first)
+      await walletRepo.debit(wallet.id, totalMinor);
       
-      // Create transaction record, including fee information
+      // Create transaction record; the fee is posted as its own ledger line
       const transaction = await transactionRepo.create({
         fromWalletId: wallet.id,
         toWalletId: null, // Third-party payment has no receiver wallet
-        amount: totalAmount,
+        amount: amountMinor,
+        feeAmount: feeMinor,
         transactionType: 'third_party_payment',
         description: description || `Pay ${amount} + ${feeAmount} fee to ${thirdPartyName} (ID: ${thirdPartyId})`,
-        thirdPartyName: thirdPartyName
+        thirdPartyName: thirdPartyName,
+        merchantId: thirdPartyId
       });
       
-      // Commit transaction
-      await dbAsync.commit();
+      await eventBus.publish('payment.succeeded', eventBus.transactionPayload(transaction, {
+        walletId: wallet.id,
+        username: wallet.username,
+        merchantName: thirdPartyName
+      }));
       
-      // Get updated wallet information
       const updatedWallet = await walletRepo.findById(wallet.id);
-      
-      res.status(201).json({
+      const body = {
         success: true,
         transaction: {
           id: transaction.id,
           fromWalletId: transaction.from_wallet_id,
           toWalletId: transaction.to_wallet_id,
-          amount: parseFloat(transaction.amount),
+          amount: money.fromMinorUnits(transaction.amount),
           originalAmount: amount,
-          feeAmount: feeAmount,
+          feeAmount: money.fromMinorUnits(transaction.fee_amount),
+          totalAmount: money.fromMinorUnits(transaction.amount + transaction.fee_amount),
           transactionType: transaction.transaction_type,
           description: transaction.description,
           createdAt: transaction.created_at
@@ -143,24 +140,34 @@ router.post('/payments', async (req, res, next) => {
         wallet: {
           id: updatedWallet.id,
           username: updatedWallet.username,
-          balance: parseFloat(updatedWallet.balance)
+          balance: money.fromMinorUnits(updatedWallet.balance)
         },
         thirdPartyInfo: {
           id: thirdPartyId,
           name: thirdPartyName
         }
-      });
+      };
       
-    } catch (error) {
-      // Rollback transaction on error
-      await dbAsync.rollback();
-      throw error;
+      // Store the response for retries together with the payment
+      await completeIdempotent(req, 201, body);
+      return { status: 201, body };
+    });
+    
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        success: false,
+        error: outcome.error,
+        ...outcome.details
+      });
     }
     
+    res.status(outcome.status).json(outcome.body);
+    
   } catch (error) {
     console.error('Error in third-party payment:', error);
     
-    if (error.message.includes('Wallet balance is insufficient')) {
+    if (error.message.includes('Wallet balance is insufficient') ||
+        error.message.includes(t(null, 'errors.insufficientBalance'))) {
       return res.status(400).json({
         success: false,
         error: t(req, 'errors.insufficientBalance')
@@ -183,7 +190,7 @@ router.post('/payments', async (req, res, next) => {
 
 // From third-party receipt input validation
 const validateThirdPartyReceipt = async (req, res, next) => {
-  const { walletId, username, amount, thirdPartyId, thirdPartyName, description = '' } = req.body;
+  const { walletId, username, amount } = req.body;
   
   // Ensure either wallet ID or username is provided
   if ((!walletId && !username) || typeof walletId !== 'string' && typeof username !== 'string') {
@@ -193,21 +200,6 @@ const validateThirdPartyReceipt = async (req, res, next) => {
     });
   }
   
-  // Third-party information validation
-  if (!thirdPartyId || typeof thirdPartyId !== 'string') {
-    return res.status(400).json({
-      success: false,
-      error: 'Third-party ID is required'
-    });
-  }
-  
-  if (!thirdPartyName || typeof thirdPartyName !== 'string') {
-    return res.status(400).json({
-      success: false,
-      error: 'Third-party name is required'
-    });
-  }
-  
   // Amount validation
   if (typeof amount !== 'number' || amount <= 0) {
     return res.status(400).json({
@@ -217,7 +209,7 @@ const validateThirdPartyReceipt = async (req, res, next) => {
   }
   
   // Check amount precision (up to 2 decimal places)
-  if (Math.round(amount * 100) !== amount * 100) {
+  if (!money.hasValidPrecision(amount)) {
     return res.status(400).json({
       success: false,
       error: 'Amount must have up to 2 decimal places'
@@ -228,7 +220,7 @@ const validateThirdPartyReceipt = async (req, res, next) => {
 };
 
 // From third-party receipt input validation
-router.post('/receipts', async (req, res, next) => {
+router.post('/receipts', requireMerchant, idempotent, async (req, res, next) => {
   try {
     await validateThirdPartyReceipt(req, res, next);
   } catch (error) {
@@ -240,12 +232,13 @@ router.post('/receipts', async (req, res, next) => {
   }
 }, async (req, res) => {
   try {
-    const { walletId, username, amount, thirdPartyId, thirdPartyName, description = '' } = req.body;
+    const { walletId, username, amount, description = '' } = req.body;
+    const { id: thirdPartyId, name: thirdPartyName } = req.merchant;
     
-    // Begin database transaction
-    await dbAsync.beginTransaction();
+    const amountMinor = money.toMinorUnits(amount);
     
-    try {
+    // Credit the wallet and record the receipt as one unit of work
+    const outcome = await dbAsync.transaction(async () => {
       // Find user wallet
       let wallet;
       if (walletId) {
@@ -255,40 +248,37 @@ router.post('/receipts', async (req, res, next) => {
       }
       
       if (!wallet) {
-        await dbAsync.rollback();
-        return res.status(404).json({
-          success: false,
-          error: 'Wallet does not exist'
-        });
+        return { status: 404, error: 'Wallet does not exist' };
       }
       
       // Update wallet balance
-      const newBalance = parseFloat(wallet.balance) + amount;
-      await walletRepo.updateBalance(wallet.id, newBalance);
+      await walletRepo.credit(wallet.id, amountMinor);
       
       // Create transaction record
       const transaction = await transactionRepo.create({
         fromWalletId: null, // Third-party receipt has no sender wallet
         toWalletId: wallet.id,
-        amount,
+        amount: amountMinor,
         transactionType: 'third_party_receipt',
         description: description || `Received from ${thirdPartyName} (ID: ${thirdPartyId})`,
-        thirdPartyName: thirdPartyName
+        thirdPartyName: thirdPartyName,
+        merchantId: thirdPartyId
       });
       
-      // Commit transaction
-      await dbAsync.commit();
+      await eventBus.publish('receipt.credited', eventBus.transactionPayload(transaction, {
+        walletId: wallet.id,
+        username: wallet.username,
+        merchantName: thirdPartyName
+      }));
       
-      // Get updated wallet information
       const updatedWallet = await walletRepo.findById(wallet.id);
-      
-      res.status(201).json({
+      const body = {
         success: true,
         transaction: {
           id: transaction.id,
           fromWalletId: transaction.from_wallet_id,
           toWalletId: transaction.to_wallet_id,
-          amount: parseFloat(transaction.amount),
+          amount: money.fromMinorUnits(transaction.amount),
           transactionType: transaction.transaction_type,
           description: transaction.description,
           createdAt: transaction.created_at
@@ -296,20 +286,28 @@ router.post('/receipts', async (req, res, next) => {
         wallet: {
           id: updatedWallet.id,
           username: updatedWallet.username,
-          balance: parseFloat(updatedWallet.balance)
+          balance: money.fromMinorUnits(updatedWallet.balance)
         },
         thirdPartyInfo: {
           id: thirdPartyId,
           name: thirdPartyName
         }
-      });
+      };
       
-    } catch (error) {
-      // Rollback transaction
-      await dbAsync.rollback();
-      throw error;
+      // Store the response for retries together with the receipt
+      await completeIdempotent(req, 201, body);
+      return { status: 201, body };
+    });
+    
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        success: false,
+        error: outcome.error
+      });
     }
     
+    res.status(outcome.status).json(outcome.body);
+    
   } catch (error) {
     console.error('Error processing third-party receipt:', error);
     
@@ -327,8 +325,29 @@ router.post('/receipts', async (req, res, next) => {
   }
 });
 
+const requireAdmin = requireRole('admin');
+
+// A wallet's third-party transactions are listed for its owner; other
+// wallets' and every wallet's transactions are reserved for admins
+const requireOwnerOrAdmin = async (req, res, next) => {
+  const { walletId, username } = req.query;
+  if (req.auth && (walletId || username)) {
+    try {
+      const wallet = walletId
+        ? await walletRepo.findById(walletId)
+        : await walletRepo.findByUsername(username);
+      if (ownsWallet(req, wallet)) {
+        return next();
+      }
+    } catch (error) {
+      return next(error);
+    }
+  }
+  return requireAdmin(req, res, next);
+};
+
 // Get third-party transaction records
-router.get('/transactions', async (req, res) => {
+router.get('/transactions', requireSession, requireOwnerOrAdmin, async (req, res) => {
   try {
     const { walletId, username, page = 1, limit = 10 } = req.query;
     
@@ -390,13 +409,15 @@ router.get('/transactions', async (req, res) => {
       id: transaction.id,
       fromWalletId: transaction.from_wallet_id,
       toWalletId: transaction.to_wallet_id,
-      amount: parseFloat(transaction.amount),
+      amount: money.fromMinorUnits(transaction.amount),
+      feeAmount: money.fromMinorUnits(transaction.fee_amount),
       transactionType: transaction.transaction_type,
       description: transaction.description,
       createdAt: transaction.created_at,
       fromUsername: transaction.from_username,
       toUsername: transaction.to_username,
-      thirdPartyName: transaction.third_party_name
+      thirdPartyName: transaction.third_party_name,
+      merchantId: transaction.merchant_id
     }));
     
     const totalPages = Math.ceil(totalCount / limitNum);
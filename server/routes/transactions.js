@@ -1,9 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const { dbAsync } = require('../config/database');
 const TransactionRepository = require('../repositories/TransactionRepository');
+const refundService = require('../services/RefundService');
+const { requireRole } = require('../middleware/auth');
+const { requireMerchant } = require('../middleware/merchantAuth');
+const { idempotent, completeIdempotent } = require('../middleware/idempotency');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
 
 const transactionRepo = new TransactionRepository();
+const requireAdmin = requireRole('admin');
+
+// Merchants refund their own payments with their API key; admins use their session
+const requireMerchantOrAdmin = (req, res, next) => {
+  if (req.get('X-Merchant-Key')) {
+    return requireMerchant(req, res, next);
+  }
+  return requireAdmin(req, res, next);
+};
+
+// Map refund errors to status codes
+function refundErrorStatus(error) {
+  if (error.message.includes(t(null, 'transactions.transactionNotFound'))) {
+    return 404;
+  }
+  if (error.message.includes(t(null, 'errors.accessDenied'))) {
+    return 403;
+  }
+  if (error.message.includes(t(null, 'errors.transactionAlreadyRefunded'))) {
+    return 409;
+  }
+  if (error.message.includes(t(null, 'errors.transactionNotRefundable')) ||
+      error.message.includes(t(null, 'errors.invalidRefundField', { field: '' })) ||
+      error.message.includes(t(null, 'errors.refundExceedsRemaining', { remaining: '' })) ||
+      error.message.includes(t(null, 'errors.insufficientBalance'))) {
+    return 400;
+  }
+  return 500;
+}
 
 // Get single transaction details
 router.get('/:transactionId', async (req, res) => {
@@ -25,19 +60,32 @@ router.get('/:transactionId', async (req, res) => {
       });
     }
     
+    const refunds = await transactionRepo.findRefunds(transaction.id);
+    
     res.json({
       success: true,
       transaction: {
         id: transaction.id,
         fromWalletId: transaction.from_wallet_id,
         toWalletId: transaction.to_wallet_id,
-        amount: parseFloat(transaction.amount),
+        amount: money.fromMinorUnits(transaction.amount),
+        feeAmount: money.fromMinorUnits(transaction.fee_amount),
         transactionType: transaction.transaction_type,
         description: transaction.description,
         createdAt: transaction.created_at,
         fromUsername: transaction.from_username,
         toUsername: transaction.to_username,
-        thirdPartyName: transaction.third_party_name
+        thirdPartyName: transaction.third_party_name,
+        originalTransactionId: transaction.original_transaction_id,
+        // Refunds and reversals of this transaction
+        refunds: refunds.map(refund => ({
+          id: refund.id,
+          amount: money.fromMinorUnits(refund.amount),
+          feeAmount: money.fromMinorUnits(refund.fee_amount),
+          transactionType: refund.transaction_type,
+          description: refund.description,
+          createdAt: refund.created_at
+        }))
       }
     });
     
@@ -50,8 +98,70 @@ router.get('/:transactionId', async (req, res) => {
   }
 });
 
+// Build the response of a refund or reversal
+function refundResponse(req, transaction, original, refunded) {
+  return {
+    success: true,
+    message: t(req, transaction.transaction_type === 'reversal' ? 'messages.transactionReversed' : 'messages.transactionRefunded'),
+    transaction: {
+      id: transaction.id,
+      fromWalletId: transaction.from_wallet_id,
+      toWalletId: transaction.to_wallet_id,
+      amount: money.fromMinorUnits(transaction.amount),
+      feeAmount: money.fromMinorUnits(transaction.fee_amount),
+      transactionType: transaction.transaction_type,
+      description: transaction.description,
+      originalTransactionId: transaction.original_transaction_id,
+      createdAt: transaction.created_at
+    },
+    original: {
+      id: original.id,
+      amount: money.fromMinorUnits(original.amount),
+      feeAmount: money.fromMinorUnits(original.fee_amount),
+      refundedAmount: money.fromMinorUnits(refunded.amount),
+      refundedFeeAmount: money.fromMinorUnits(refunded.feeAmount),
+      remainingAmount: money.fromMinorUnits(original.amount - refunded.amount)
+    }
+  };
+}
+
+/**
+ * Refund a third-party payment or reverse a transfer
+ * Payments are refunded by their merchant (X-Merchant-Key) or an admin, and the
+ * fee is returned according to FEE_REFUND_POLICY; transfers are reversed by admins.
+ * @route POST /api/transactions/:transactionId/refund
+ * @param {object} request.body - { amount, reason } (amount defaults to everything not yet refunded)
+ * @param {string} request.headers.Idempotency-Key - Optional; a retry with the same key returns the original response
+ * @returns {object} 201 - Refund or reversal transaction and the refunded totals
+ * @returns {object} 400 - Not refundable, invalid amount, more than the remaining amount, or insufficient receiver balance
+ * @returns {object} 403 - Transfers can only be reversed by admins
+ * @returns {object} 404 - Transaction not found
+ * @returns {object} 409 - Already refunded in full
+ */
+router.post('/:transactionId/refund', requireMerchantOrAdmin, idempotent, async (req, res) => {
+  try {
+    const actor = req.merchant ? { merchantId: req.merchant.id } : { admin: true };
+    
+    // Refund and store the response for retries as one unit of work
+    const body = await dbAsync.transaction(async () => {
+      const { transaction, original, refunded } = await refundService.refund(req.params.transactionId, req.body || {}, actor);
+      const body = refundResponse(req, transaction, original, refunded);
+      await completeIdempotent(req, 201, body);
+      return body;
+    });
+    
+    res.status(201).json(body);
+  } catch (error) {
+    console.error('Error refunding transaction:', error);
+    res.status(refundErrorStatus(error)).json({
+      success: false,
+      error: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
 // Get all transaction records (admin only)
-router.get('/', async (req, res) => {
+router.get('/', requireRole('admin'), async (req, res) => {
   try {
     const { page = 1, limit = 10, type } = req.query;
     
@@ -82,13 +192,15 @@ router.get('/', async (req, res) => {
       id: transaction.id,
       fromWalletId: transaction.from_wallet_id,
       toWalletId: transaction.to_wallet_id,
-      amount: parseFloat(transaction.amount),
+      amount: money.fromMinorUnits(transaction.amount),
+      feeAmount: money.fromMinorUnits(transaction.fee_amount),
       transactionType: transaction.transaction_type,
       description: transaction.description,
       createdAt: transaction.created_at,
       fromUsername: transaction.from_username,
       toUsername: transaction.to_username,
-      thirdPartyName: transaction.third_party_name
+      thirdPartyName: transaction.third_party_name,
+      originalTransactionId: transaction.original_transaction_id
     }));
     
     const totalPages = Math.ceil(totalCount / limitNum);
@@ -2,11 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { dbAsync } = require('../config/database');
 const WalletRepository = require('../repositories/WalletRepository');
-const TransactionRepository = require('../repositories/TransactionRepository');
+const { requireSession, ownsWallet } = require('../middleware/auth');
+const { idempotent, completeIdempotent } = require('../middleware/idempotency');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
 
 const walletRepo = new WalletRepository();
-const transactionRepo = new TransactionRepository();
 
 // Transfer Funds Input Validation Middleware
 const validateTransfer = async (req, res, next) => {
@@ -73,7 +74,7 @@ const validateTransfer = async (req, res, next) => {
   }
   
   // Check amount precision (up to 2 decimal places)  
-  if (Math.round(amount * 100) !== amount * 100) {
+  if (!money.hasValidPrecision(amount)) {
     return res.status(400).json({
       success: false,
       error: t(req, 'errors.amountPrecisionExceeded')
@@ -84,7 +85,7 @@ const validateTransfer = async (req, res, next) => {
 };
 
 // Execute Transfer - Supports Wallet ID or Username 
-router.post('/', async (req, res, next) => {
+router.post('/', requireSession, idempotent, async (req, res, next) => {
   try {
     await validateTransfer(req, res, next);
   } catch (error) {
@@ -99,7 +100,7 @@ router.post('/', async (req, res, next) => {
 });
 
 // Transfer Funds by Username (Convenient Interface)
-router.post('/by-username', async (req, res) => {
+router.post('/by-username', requireSession, idempotent, async (req, res) => {
   try {
     const { fromUsername, toUsername, amount, description = '' } = req.body;
     
@@ -158,7 +159,7 @@ router.post('/by-username', async (req, res) => {
     };
     
     // Create New Request Object to Reuse Validation and Transfer Logic
-    const mockReq = { body: transferData };
+    const mockReq = { body: transferData, auth: req.auth, headers: req.headers, query: req.query, idempotency: req.idempotency };
     const mockRes = res;
     
     // Validate Transfer Data
@@ -176,15 +177,40 @@ router.post('/by-username', async (req, res) => {
   }
 });
 
+// Build the response of a completed transfer
+function transferResponse({ transaction, fromWallet, toWallet }) {
+  return {
+    success: true,
+    transaction: {
+      id: transaction.id,
+      fromWalletId: transaction.from_wallet_id,
+      toWalletId: transaction.to_wallet_id,
+      amount: money.fromMinorUnits(transaction.amount),
+      transactionType: transaction.transaction_type,
+      description: transaction.description,
+      createdAt: transaction.created_at
+    },
+    fromWallet: {
+      id: fromWallet.id,
+      username: fromWallet.username,
+      balance: money.fromMinorUnits(fromWallet.balance)
+    },
+    toWallet: {
+      id: toWallet.id,
+      username: toWallet.username,
+      balance: money.fromMinorUnits(toWallet.balance)
+    }
+  };
+}
+
 // Extract Transfer Execution Logic into Separate Function
 async function executeTransfer(req, res) {
   try {
     const { fromWalletId, toWalletId, fromUsername, toUsername, amount, description = '' } = req.body;
+    const amountMinor = money.toMinorUnits(amount);
     
-    // Start Database Transaction
-    await dbAsync.beginTransaction();
-    
-    try {
+    // Validate and move the money as one unit of work
+    const outcome = await dbAsync.transaction(async () => {
       // Validate Sender Wallet Existence
       let fromWallet;
       if (fromWalletId) {
@@ -194,11 +220,12 @@ async function executeTransfer(req, res) {
       }
       
       if (!fromWallet) {
-        await dbAsync.rollback();
-        return res.status(404).json({
-          success: false,
-          error: t(req, 'errors.senderWalletNotFound')
-        });
+        return { status: 404, error: t(req, 'errors.senderWalletNotFound') };
+      }
+      
+      // Only the Session Owner Can Spend From the Sender Wallet
+      if (!ownsWallet(req, fromWallet)) {
+        return { status: 403, error: t(req, 'errors.accessDenied') };
       }
       
       // Validate Receiver Wallet Existence
@@ -210,98 +237,63 @@ async function executeTransfer(req, res) {
       }
       
       if (!toWallet) {
-        await dbAsync.rollback();
-        return res.status(404).json({
-          success: false,
-          error: t(req, 'errors.receiverWalletNotFound')
-        });
+        return { status: 404, error: t(req, 'errors.receiverWalletNotFound') };
       }
       
       // Validate Cannot Transfer to Self (Extra Check for Mixed ID/Username)
       if (fromWallet.id === toWallet.id) {
-        await dbAsync.rollback();
-        return res.status(400).json({
-          success: false,
-          error: t(req, 'errors.cannotTransferToSelf')
-        });
+        return { status: 400, error: t(req, 'errors.cannotTransferToSelf') };
       }
       
-      // Check Sufficient Balance 
-      if (parseFloat(fromWallet.balance) < amount) {
-        await dbAsync.rollback();
-        return res.status(400).json({
-          success: false,
+      // Check Sufficient Balance (held funds cannot be transferred)
+      if (WalletRepository.availableBalance(fromWallet) < amountMinor) {
+        return {
+          status: 400,
           error: t(req, 'errors.insufficientBalance'),
-          currentBalance: parseFloat(fromWallet.balance),
-          requestedAmount: amount
-        });
+          details: {
+            currentBalance: money.fromMinorUnits(fromWallet.balance),
+            availableBalance: money.fromMinorUnits(WalletRepository.availableBalance(fromWallet)),
+            requestedAmount: amount
+          }
+        };
       }
       
-      // Update Sender Balance
-      const newFromBalance = parseFloat(fromWallet.balance) - amount;
-      await walletRepo.updateBalance(fromWallet.id, newFromBalance);
-      
-      // Update Receiver Balance
-      const newToBalance = parseFloat(toWallet.balance) + amount;
-      await walletRepo.updateBalance(toWallet.id, newToBalance);
-      
-      // Create Transaction Record
-      const transaction = await transactionRepo.create({
-        fromWalletId: fromWallet.id,
-        toWalletId: toWallet.id,
-        amount,
-        transactionType: 'transfer',
+      // Move the money, record it and publish transfer.completed
+      const transfer = await walletRepo.transfer(fromWallet.id, toWallet.id, amountMinor, {
         description: description || `Transfer from ${fromWallet.username} to ${toWallet.username}`
       });
-      
-      // Commit Transaction
-      await dbAsync.commit();
-      
-      // Get Updated Wallet Information
-      const updatedFromWallet = await walletRepo.findById(fromWallet.id);
-      const updatedToWallet = await walletRepo.findById(toWallet.id);
-      
-      res.status(201).json({
-        success: true,
-        transaction: {
-          id: transaction.id,
-          fromWalletId: transaction.from_wallet_id,
-          toWalletId: transaction.to_wallet_id,
-          amount: parseFloat(transaction.amount),
-          transactionType: transaction.transaction_type,
-          description: transaction.description,
-          createdAt: transaction.created_at
-        },
-        fromWallet: {
-          id: updatedFromWallet.id,
-          username: updatedFromWallet.username,
-          balance: parseFloat(updatedFromWallet.balance)
-        },
-        toWallet: {
-          id: updatedToWallet.id,
-          username: updatedToWallet.username,
-          balance: parseFloat(updatedToWallet.balance)
-        }
+
+      // Store the response for retries together with the money movement
+      const body = transferResponse(transfer);
+      await completeIdempotent(req, 201, body);
+      return { status: 201, body };
+    });
+    
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        success: false,
+        error: outcome.error,
+        ...outcome.details
       });
-      
-    } catch (error) {
-      // Rollback transaction on error
-      await dbAsync.rollback();
-      throw error;
     }
     
+    res.status(outcome.status).json(outcome.body);
+    
   } catch (error) {
     console.error('Error executing transfer:', error);
     
     // Handle Specific Error Types
-    if (error.message.includes('insufficient balance')) {
+    if (error.message.includes('insufficient balance') ||
+        error.message.includes(t(null, 'errors.insufficientBalance')) ||
+        error.message.includes(t(null, 'errors.senderBalanceInsufficient'))) {
       return res.status(400).json({
         success: false,
         error: t(req, 'errors.insufficientBalance')
       });
     }
     
-    if (error.message.includes('wallet does not exist')) {
+    if (error.message.includes('wallet does not exist') ||
+        error.message.includes(t(null, 'errors.walletDoesNotExist'))) {
       return res.status(404).json({
         success: false,
         error: t(req, 'errors.walletNotFound')
@@ -1,13 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const { dbAsync } = require('../config/database');
 const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const authService = require('../services/AuthService');
+const InterestService = require('../services/InterestService');
+const eventBus = require('../services/EventBus');
+const { getClientContext, requireSession, requireRole } = require('../middleware/auth');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
 
 const walletRepo = new WalletRepository();
+const transactionRepo = new TransactionRepository();
+const interestService = new InterestService();
 
 // Input Validation Middleware for Wallet Creation
 const validateCreateWallet = (req, res, next) => {
-  const { username, initialBalance } = req.body;
+  const { username, password, initialBalance } = req.body;
   
   if (!username || typeof username !== 'string') {
     return res.status(400).json({
@@ -38,6 +47,14 @@ const validateCreateWallet = (req, res, next) => {
     });
   }
   
+  const passwordError = authService.validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: t(req, passwordError)
+    });
+  }
+  
   next();
 };
 
@@ -57,7 +74,7 @@ const validateWalletId = (req, res, next) => {
 // Create Wallet  
 router.post('/', validateCreateWallet, async (req, res) => {
   try {
-    const { username, initialBalance = 0 } = req.body;
+    const { username, password, initialBalance = 0 } = req.body;
     
     // Check if Username Already Exists
     const existingWallet = await walletRepo.findByUsername(username.trim());
@@ -71,7 +88,8 @@ router.post('/', validateCreateWallet, async (req, res) => {
     // Create Wallet
     const wallet = await walletRepo.create({
       username: username.trim(),
-      balance: initialBalance
+      balance: initialBalance,
+      passwordHash: await authService.hashPassword(password)
     });
     
     res.status(201).json({
@@ -79,10 +97,12 @@ router.post('/', validateCreateWallet, async (req, res) => {
       wallet: {
         id: wallet.id,
         username: wallet.username,
-        balance: parseFloat(wallet.balance),
+        balance: money.fromMinorUnits(wallet.balance),
+        role: wallet.role,
         createdAt: wallet.created_at,
         updatedAt: wallet.updated_at
-      }
+      },
+      session: await authService.createSession(wallet, getClientContext(req))
     });
   } catch (error) {
     console.error('Error creating wallet:', error); 
@@ -111,7 +131,10 @@ router.get('/:walletId', validateWalletId, async (req, res) => {
       wallet: {
         id: wallet.id,
         username: wallet.username,
-        balance: parseFloat(wallet.balance),
+        balance: money.fromMinorUnits(wallet.balance),
+        heldBalance: money.fromMinorUnits(wallet.held_balance),
+        availableBalance: money.fromMinorUnits(WalletRepository.availableBalance(wallet)),
+        accruedInterest: money.fromMinorUnits(await interestService.getAccruedInterest(wallet.id)),
         createdAt: wallet.created_at,
         updatedAt: wallet.updated_at
       }
@@ -125,6 +148,51 @@ router.get('/:walletId', validateWalletId, async (req, res) => {
   }
 });
 
+const requireOperator = requireRole('operator');
+
+// A wallet's interest projection is shown to its owner and to operators
+const requireOwnerOrOperator = (req, res, next) => {
+  if (req.auth.walletId === req.params.walletId) {
+    return next();
+  }
+  return requireOperator(req, res, next);
+};
+
+// Get Projected Interest for the Coming Months
+router.get('/:walletId/interest/projection', requireSession, validateWalletId, requireOwnerOrOperator, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const months = req.query.months === undefined ? 12 : Number(req.query.months);
+
+    const projection = await interestService.projectInterest(walletId, months);
+    res.json({
+      success: true,
+      data: {
+        walletId,
+        balance: money.fromMinorUnits(projection.balance),
+        totalInterest: money.fromMinorUnits(projection.totalInterest),
+        months: projection.months.map(month => ({
+          period: month.period,
+          interest: money.fromMinorUnits(month.interest),
+          balance: money.fromMinorUnits(month.balance)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error projecting interest:', error);
+    let status = 500;
+    if (error.message.includes(t(null, 'errors.walletNotFound'))) {
+      status = 404;
+    } else if (error.message.includes(t(null, 'errors.invalidInterestProjectionMonths', { max: '' }))) {
+      status = 400;
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message || t(req, 'errors.serverInternalError')
+    });
+  }
+});
+
 // Get Wallet Information by Username
 router.get('/username/:username', async (req, res) => {
   try {
@@ -150,7 +218,9 @@ router.get('/username/:username', async (req, res) => {
       wallet: {
         id: wallet.id,
         username: wallet.username,
-        balance: parseFloat(wallet.balance),
+        balance: money.fromMinorUnits(wallet.balance),
+        heldBalance: money.fromMinorUnits(wallet.held_balance),
+        availableBalance: money.fromMinorUnits(WalletRepository.availableBalance(wallet)),
         createdAt: wallet.created_at,
         updatedAt: wallet.updated_at
       }
@@ -164,27 +234,61 @@ router.get('/username/:username', async (req, res) => {
   }
 });
 
-// Update Wallet Balance
-router.put('/:walletId/balance', validateWalletId, async (req, res) => {
+// Update Wallet Balance (admin override, booked as a balance adjustment in the ledger)
+router.put('/:walletId/balance', requireRole('admin'), validateWalletId, async (req, res) => {
+  let heldBalance = 0;
   try {
     const { walletId } = req.params;
     const { amount } = req.body;
     
-    if (typeof amount !== 'number' || amount < 0) {
+    if (typeof amount !== 'number' || amount < 0 || !money.hasValidPrecision(amount)) {
       return res.status(400).json({
         success: false,
         error: t(req, 'errors.balanceNonNegative')
       });
     }
     
-    const wallet = await walletRepo.updateBalance(walletId, amount);
+    const wallet = await dbAsync.transaction(async () => {
+      const current = await walletRepo.findById(walletId);
+      if (!current) {
+        throw new Error(t(null, 'errors.walletDoesNotExist'));
+      }
+      // Held funds stay in the balance until their payment intents settle
+      if (money.toMinorUnits(amount) < current.held_balance) {
+        heldBalance = money.fromMinorUnits(current.held_balance);
+        throw new Error(t(null, 'errors.balanceBelowHeld', { held: heldBalance }));
+      }
+      
+      // Move the difference against the balance adjustments account
+      const difference = money.toMinorUnits(amount) - current.balance;
+      if (difference !== 0) {
+        if (difference > 0) {
+          await walletRepo.credit(walletId, difference);
+        } else {
+          await walletRepo.debit(walletId, -difference);
+        }
+        
+        const transaction = await transactionRepo.create({
+          fromWalletId: difference < 0 ? walletId : null,
+          toWalletId: difference > 0 ? walletId : null,
+          amount: Math.abs(difference),
+          transactionType: 'system',
+          description: t(null, 'transactions.balanceAdjustment', { username: req.auth.username })
+        });
+        await eventBus.publish('balance.adjusted', eventBus.transactionPayload(transaction, { walletId }));
+      }
+      
+      return await walletRepo.findById(walletId);
+    });
     
     res.json({
       success: true,
       wallet: {
         id: wallet.id,
         username: wallet.username,
-        balance: parseFloat(wallet.balance),
+        balance: money.fromMinorUnits(wallet.balance),
+        heldBalance: money.fromMinorUnits(wallet.held_balance),
+        availableBalance: money.fromMinorUnits(WalletRepository.availableBalance(wallet)),
         createdAt: wallet.created_at,
         updatedAt: wallet.updated_at
       }
@@ -197,6 +301,13 @@ router.put('/:walletId/balance', validateWalletId, async (req, res) => {
         error: t(req, 'errors.walletNotFound')
       });
     }
+    if (error.message.includes(t(null, 'errors.balanceBelowHeld', { held: '' }))) {
+      return res.status(400).json({
+        success: false,
+        error: t(req, 'errors.balanceBelowHeld', { held: heldBalance }),
+        heldBalance
+      });
+    }
     res.status(500).json({
       success: false,
       error: error.message || t(req, 'errors.updateBalanceFailed')
@@ -250,11 +361,13 @@ router.get('/:walletId/transactions', validateWalletId, async (req, res) => {
       id: transaction.id,
       fromWalletId: transaction.from_wallet_id,
       toWalletId: transaction.to_wallet_id,
-      amount: parseFloat(transaction.amount),
+      amount: money.fromMinorUnits(transaction.amount),
+      feeAmount: money.fromMinorUnits(transaction.fee_amount),
       transactionType: transaction.transaction_type,
       description: transaction.description,
       createdAt: transaction.created_at,
       thirdPartyName: transaction.third_party_name,
+      originalTransactionId: transaction.original_transaction_id,
       // Add Transaction Direction Information
       direction: transaction.from_wallet_id === walletId ? 'outgoing' : 'incoming',
       // Add Other Wallet Information (if needed)
@@ -336,11 +449,13 @@ router.get('/:walletId/transactions/detailed', validateWalletId, async (req, res
         id: transaction.id,
         fromWalletId: transaction.from_wallet_id,
         toWalletId: transaction.to_wallet_id,
-        amount: parseFloat(transaction.amount),
+        amount: money.fromMinorUnits(transaction.amount),
+        feeAmount: money.fromMinorUnits(transaction.fee_amount),
         transactionType: transaction.transaction_type,
         description: transaction.description,
         createdAt: transaction.created_at,
         thirdPartyName: transaction.third_party_name,
+        originalTransactionId: transaction.original_transaction_id,
         direction,
         otherWallet: otherWalletId ? {
           id: otherWalletId,
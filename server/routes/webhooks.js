@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/WebhookService');
+const { requireRole } = require('../middleware/auth');
+const { t } = require('../config/i18n');
+
+/**
+ * Webhook API routes (admin only), mounted under /api/webhooks
+ */
+
+// Convert a subscription row to the API shape (the secret is never listed)
+function formatSubscription(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    merchantId: subscription.merchant_id,
+    description: subscription.description,
+    status: subscription.status,
+    pendingDeliveries: subscription.pending_count,
+    deadDeliveries: subscription.dead_count,
+    createdAt: subscription.created_at,
+    updatedAt: subscription.updated_at
+  };
+}
+
+// Convert a delivery row to the API shape
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscription_id,
+    url: delivery.url,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    payload: JSON.parse(delivery.payload),
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'PENDING' ? delivery.next_attempt_at : null,
+    lastStatusCode: delivery.last_status_code,
+    lastError: delivery.last_error,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+    updatedAt: delivery.updated_at
+  };
+}
+
+// Map webhook errors to status codes
+function errorStatus(error) {
+  if (error.message.includes(t(null, 'errors.webhookNotFound')) ||
+      error.message.includes(t(null, 'errors.webhookDeliveryNotFound'))) {
+    return 404;
+  }
+  if (error.message.includes(t(null, 'errors.invalidWebhookField', { field: '' }))) {
+    return 400;
+  }
+  return 500;
+}
+
+// Send an error response with the mapped status code
+function sendError(req, res, error) {
+  res.status(errorStatus(error)).json({
+    success: false,
+    error: error.message || t(req, 'errors.serverInternalError')
+  });
+}
+
+/**
+ * Register a webhook subscription
+ * The signing secret is only returned here and by the secret rotation route.
+ * @route POST /api/webhooks
+ * @param {object} request.body - { url, events, merchantId, description } (merchantId limits the subscription to that merchant's events)
+ * @returns {object} 201 - Subscription and its signing secret
+ * @returns {object} 400 - Invalid subscription fields
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { subscription, secret } = await webhookService.createSubscription(req.body);
+    res.status(201).json({
+      success: true,
+      message: t(req, 'messages.webhookCreated'),
+      data: { subscription: formatSubscription(subscription), secret }
+    });
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List webhook subscriptions
+ * @route GET /api/webhooks
+ * @returns {object} 200 - Subscriptions with their pending and dead delivery counts
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const subscriptions = await webhookService.listSubscriptions();
+    res.json({ success: true, data: subscriptions.map(formatSubscription) });
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * List deliveries; status=DEAD is the dead-letter view
+ * @route GET /api/webhooks/deliveries
+ * @param {string} request.query.status - PENDING, DELIVERED or DEAD (optional)
+ * @param {string} request.query.subscriptionId - Subscription ID (optional)
+ * @param {number} request.query.page - Page number (default 1)
+ * @param {number} request.query.limit - Page size (default 20, at most 100)
+ * @returns {object} 200 - Deliveries, newest first
+ */
+router.get('/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    if (page < 1) {
+      return res.status(400).json({ success: false, error: t(req, 'errors.pageNumberMustBePositive') });
+    }
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({ success: false, error: t(req, 'errors.limitMustBeBetween', { min: 1, max: 100 }) });
+    }
+
+    const deliveries = await webhookService.listDeliveries({
+      status: req.query.status,
+      subscriptionId: req.query.subscriptionId,
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json({ success: true, data: deliveries.map(formatDelivery), pagination: { page, limit } });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Redeliver a delivery now (typically a dead letter)
+ * @route POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @returns {object} 200 - Delivery after the attempt; if it failed again it is retried on the usual schedule
+ * @returns {object} 404 - Delivery not found
+ */
+router.post('/deliveries/:deliveryId/redeliver', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.deliveryId);
+    res.json({
+      success: true,
+      message: t(req, 'messages.webhookRedelivered'),
+      data: formatDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Get a webhook subscription
+ * @route GET /api/webhooks/:subscriptionId
+ * @returns {object} 200 - Subscription
+ * @returns {object} 404 - Subscription not found
+ */
+router.get('/:subscriptionId', requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await webhookService.getSubscription(req.params.subscriptionId);
+    res.json({ success: true, data: formatSubscription(subscription) });
+  } catch (error) {
+    console.error('Error fetching webhook subscription:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Update a webhook subscription; a DISABLED subscription receives no new events
+ * @route PUT /api/webhooks/:subscriptionId
+ * @param {object} request.body - Any of url, events, description, status (ACTIVE or DISABLED)
+ * @returns {object} 200 - Updated subscription
+ * @returns {object} 400 - Invalid subscription fields
+ * @returns {object} 404 - Subscription not found
+ */
+router.put('/:subscriptionId', requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await webhookService.updateSubscription(req.params.subscriptionId, req.body);
+    res.json({
+      success: true,
+      message: t(req, 'messages.webhookUpdated'),
+      data: formatSubscription(subscription)
+    });
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Delete a webhook subscription and its deliveries
+ * @route DELETE /api/webhooks/:subscriptionId
+ * @returns {object} 200 - Deleted
+ * @returns {object} 404 - Subscription not found
+ */
+router.delete('/:subscriptionId', requireRole('admin'), async (req, res) => {
+  try {
+    await webhookService.deleteSubscription(req.params.subscriptionId);
+    res.json({ success: true, message: t(req, 'messages.webhookDeleted') });
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * Issue a new signing secret, replacing the previous one
+ * @route POST /api/webhooks/:subscriptionId/secret
+ * @returns {object} 200 - Subscription and its new secret
+ * @returns {object} 404 - Subscription not found
+ */
+router.post('/:subscriptionId/secret', requireRole('admin'), async (req, res) => {
+  try {
+    const { subscription, secret } = await webhookService.rotateSecret(req.params.subscriptionId);
+    res.json({
+      success: true,
+      message: t(req, 'messages.webhookSecretRotated'),
+      data: { subscription: formatSubscription(subscription), secret }
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    sendError(req, res, error);
+  }
+});
+
+module.exports = router;
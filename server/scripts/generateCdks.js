@@ -1,13 +1,20 @@
-const fs = require('fs').promises;
-const path = require('path');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const CdkRepository = require('../repositories/CdkRepository');
+const CdkCampaignRepository = require('../repositories/CdkCampaignRepository');
+const cdkService = require('../services/CdkService');
+const money = require('../utils/money');
 
 /**
  * Generate CDK codes with specified quantity and amount
  * Usage: node server/scripts/generateCdks.js --amount=100 --count=5 --currency=USD --expiry=365
+ * Optional: --max-redemptions=10 (multi-use codes), --campaign=<campaign-id> (add the codes to a campaign)
  */
 class CdkGenerator {
   constructor() {
-    this.cdksFilePath = path.join(__dirname, '..', 'data', 'cdks.json');
+    this.cdkRepo = new CdkRepository();
+    this.campaignRepo = new CdkCampaignRepository();
   }
 
   /**
@@ -19,7 +26,9 @@ class CdkGenerator {
       amount: 100,       // Default amount
       count: 1,          // Default count
       currency: 'USD',   // Default currency
-      expiry: 365        // Default expiry days
+      expiry: 365,       // Default expiry days
+      maxRedemptions: 1, // Single-use by default
+      campaign: null     // No campaign by default
     };
 
     args.forEach(arg => {
@@ -31,78 +40,34 @@ class CdkGenerator {
         options.currency = arg.split('=')[1];
       } else if (arg.startsWith('--expiry=')) {
         options.expiry = parseInt(arg.split('=')[1], 10);
+      } else if (arg.startsWith('--max-redemptions=')) {
+        options.maxRedemptions = parseInt(arg.split('=')[1], 10);
+      } else if (arg.startsWith('--campaign=')) {
+        options.campaign = arg.split('=')[1];
       }
     });
 
     return options;
   }
 
-  /**
-   * Generate random CDK code
-   * Format: XXXX-XXXX-XXXX-XXXX-XXXX-XXXX
-   */
-  generateCdkKey() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let key = '';
-    
-    // Generate 6 groups of 4 characters, separated by hyphens  
-    for (let i = 0; i < 6; i++) {
-      let group = '';
-      for (let j = 0; j < 4; j++) {
-        group += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      key += group;
-      if (i < 5) key += '-';
-    }
-    
-    return key;
-  }
-
   /**
    * Generate CDK object  
    */
-  generateCdkObject(amount, currency, expiryDays) {
+  generateCdkObject(options) {
+    const { amount, currency, expiry: expiryDays, maxRedemptions, campaign } = options;
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + expiryDays);
 
     return {
-      key: this.generateCdkKey(),
-      amount: amount,
+      key: cdkService.generateCdkKey(),
+      amount: money.toMinorUnits(amount),
       currency: currency,
-      status: 'ACTIVE',
-      created_at: new Date().toISOString(),
-      expires_at: expiresAt.toISOString()
+      campaignId: campaign,
+      maxRedemptions,
+      expiresAt: expiresAt.toISOString()
     };
   }
 
-  /**
-   * Load existing CDK data from JSON file  
-   */
-  async loadExistingCdks() {
-    try {
-      const data = await fs.readFile(this.cdksFilePath, 'utf8');
-      const parsedData = JSON.parse(data);
-      return parsedData.cdks || [];
-    } catch (error) {
-      console.error('Error loading existing CDK data:', error);
-      return [];
-    }
-  }
-
-  /**
-   * Save CDK data to JSON file   
-   */
-  async saveCdks(cdks) {
-    try {
-      const data = { cdks: cdks };
-      await fs.writeFile(this.cdksFilePath, JSON.stringify(data, null, 2), 'utf8');
-      console.log(`Successfully saved ${cdks.length} CDKs to ${this.cdksFilePath}`);
-    } catch (error) {
-      console.error('Error saving CDK data:', error);
-      throw new Error('Failed to save CDK data');
-    }
-  }
-
   /**
    * Main generate function
    */
@@ -111,28 +76,47 @@ class CdkGenerator {
       const options = this.parseArgs();
       console.log('Generating CDKs with options:', options);
 
-      // Load existing CDK data
-      const existingCdks = await this.loadExistingCdks();
-      const newCdks = [];
+      if (!money.hasValidPrecision(options.amount) || options.amount <= 0) {
+        console.error('Amount must be greater than 0 with at most 2 decimal places');
+        process.exit(1);
+      }
+      if (!Number.isInteger(options.maxRedemptions) || options.maxRedemptions <= 0) {
+        console.error('Max redemptions must be a positive integer');
+        process.exit(1);
+      }
+
+      await initTranslations();
+      if (!(await initializeDatabase())) {
+        throw new Error('Database initialization failed');
+      }
 
-      // Generate new CDKs
-      for (let i = 0; i < options.count; i++) {
-        const newCdk = this.generateCdkObject(options.amount, options.currency, options.expiry);
-        newCdks.push(newCdk);
-        console.log(`Generated CDK ${i + 1}: ${newCdk.key} - ${newCdk.amount} ${newCdk.currency}`);
+      if (options.campaign) {
+        const campaign = await this.campaignRepo.findById(options.campaign);
+        if (!campaign || campaign.status !== 'ACTIVE') {
+          console.error(`Active campaign not found: ${options.campaign}`);
+          process.exit(1);
+        }
       }
 
-      // Merge and save updated CDK list
-      const updatedCdks = [...existingCdks, ...newCdks];
-      await this.saveCdks(updatedCdks);
+      // Store all generated CDKs or none
+      const newCdks = await dbAsync.transaction(async () => {
+        const created = [];
+        for (let i = 0; i < options.count; i++) {
+          const newCdk = await this.cdkRepo.create(this.generateCdkObject(options));
+          created.push(newCdk);
+          console.log(`Generated CDK ${i + 1}: ${newCdk.key} - ${options.amount} ${newCdk.currency}`);
+        }
+        return created;
+      });
 
+      const total = await dbAsync.get('SELECT COUNT(*) AS count FROM cdks');
       console.log(`\nTotal generated: ${newCdks.length} CDKs`);
-      console.log(`Total CDKs in system: ${updatedCdks.length}`);
+      console.log(`Total CDKs in system: ${total.count}`);
       console.log('\nGenerated CDKs:');
       newCdks.forEach(cdk => {
-        console.log(`${cdk.key} | ${cdk.amount} ${cdk.currency} | Expires: ${cdk.expires_at}`);
+        console.log(`${cdk.key} | ${money.format(cdk.amount)} ${cdk.currency} | Expires: ${cdk.expires_at}`);
       });
-
+      process.exit(0);
     } catch (error) {
       console.error('Error generating CDKs:', error);
       process.exit(1);
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const CdkRepository = require('../repositories/CdkRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const money = require('../utils/money');
+
+/**
+ * Import CDK codes from a cdks.json file into the cdks table (one-time migration)
+ * Codes already in the table are skipped; the file is renamed to <file>.imported afterwards.
+ * Usage: node server/scripts/importCdks.js --file=server/data/cdks.json
+ */
+class CdkImporter {
+  constructor() {
+    this.cdkRepo = new CdkRepository();
+    this.walletRepo = new WalletRepository();
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  parseArgs() {
+    const options = {
+      file: path.join(__dirname, '..', 'data', 'cdks.json')
+    };
+
+    process.argv.slice(2).forEach(arg => {
+      if (arg.startsWith('--file=')) {
+        options.file = arg.split('=')[1];
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Import the CDK entries of a JSON file
+   * @param {Array<Object>} cdks - Entries as stored in cdks.json (amounts in major units)
+   * @returns {Promise<Object>} Counts of imported, skipped and invalid entries
+   */
+  async importCdks(cdks) {
+    return await dbAsync.transaction(async () => {
+      const result = { imported: 0, skipped: 0, invalid: 0 };
+
+      for (const cdk of cdks) {
+        if (!cdk.key || !money.hasValidPrecision(cdk.amount) || cdk.amount <= 0 || !cdk.expires_at) {
+          console.warn(`Invalid CDK entry skipped: ${JSON.stringify(cdk)}`);
+          result.invalid++;
+          continue;
+        }
+
+        if (await this.cdkRepo.findByKey(cdk.key)) {
+          result.skipped++;
+          continue;
+        }
+
+        const usedBy = cdk.status === 'USED' && cdk.used_by
+          ? await this.walletRepo.findByUsername(cdk.used_by)
+          : null;
+
+        await this.cdkRepo.create({
+          key: cdk.key,
+          amount: money.toMinorUnits(cdk.amount),
+          currency: cdk.currency || 'USD',
+          expiresAt: cdk.expires_at,
+          status: cdk.status === 'USED' ? 'USED' : 'ACTIVE',
+          createdAt: cdk.created_at,
+          usedAt: cdk.used_at || null,
+          usedBy: cdk.used_by || null,
+          usedByWalletId: usedBy ? usedBy.id : null
+        });
+        result.imported++;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Main import function
+   */
+  async import() {
+    try {
+      const options = this.parseArgs();
+
+      const data = JSON.parse(await fs.readFile(options.file, 'utf8'));
+      const cdks = data.cdks || [];
+
+      await initTranslations();
+      if (!(await initializeDatabase())) {
+        throw new Error('Database initialization failed');
+      }
+
+      const result = await this.importCdks(cdks);
+
+      // The table is the source of truth from now on
+      await fs.rename(options.file, `${options.file}.imported`);
+
+      console.log(`\nImported ${result.imported} CDKs from ${options.file}`);
+      console.log(`Already present: ${result.skipped}, invalid: ${result.invalid}`);
+      console.log(`File renamed to ${options.file}.imported`);
+      process.exit(0);
+    } catch (error) {
+      console.error('Error importing CDKs:', error);
+      process.exit(1);
+    }
+  }
+}
+
+// Execute import
+const importer = new CdkImporter();
+importer.import();
\ No newline at end of file
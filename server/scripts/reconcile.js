@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+
+/**
+ * Reconcile wallet balances against the transaction history and the ledger,
+ * and interest logs against the interest posted. Prints the JSON report to
+ * stdout (or writes it to --output); exits with 2 when issues were found.
+ * The database is opened read-only: the script refuses to run while schema
+ * changes or migrations are pending instead of applying them.
+ * Usage: node server/scripts/reconcile.js --output=report.json
+ */
+class Reconciler {
+  /**
+   * Parse command line arguments
+   */
+  parseArgs() {
+    const options = {
+      output: null
+    };
+
+    process.argv.slice(2).forEach(arg => {
+      if (arg.startsWith('--output=')) {
+        options.output = arg.split('=')[1];
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Main reconcile function
+   */
+  async reconcile() {
+    const options = this.parseArgs();
+    const stdoutLog = console.log;
+
+    try {
+      // Keep stdout for the report; startup messages go to stderr
+      console.log = console.error;
+
+      process.env.DB_READONLY = 'true';
+      const { findPendingSchemaChanges } = require('../config/initDatabase');
+      const { initTranslations } = require('../config/i18n');
+      const ReconciliationService = require('../services/ReconciliationService');
+
+      await initTranslations();
+      const pending = await findPendingSchemaChanges();
+      if (pending.length > 0) {
+        console.error(`The database schema is not up to date (pending: ${pending.join(', ')}).`);
+        console.error('Start the server once to apply them, then reconcile again.');
+        process.exit(1);
+      }
+
+      const report = await new ReconciliationService().reconcile();
+      const json = JSON.stringify(report, null, 2);
+
+      if (options.output) {
+        await fs.writeFile(options.output, json, 'utf8');
+        console.error(`Report written to ${options.output}`);
+      } else {
+        stdoutLog(json);
+      }
+
+      console.error(report.consistent
+        ? 'Reconciliation passed'
+        : `Reconciliation found ${report.summary.issues} issues`);
+      process.exit(report.consistent ? 0 : 2);
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      process.exit(1);
+    }
+  }
+}
+
+// Execute reconciliation
+const reconciler = new Reconciler();
+reconciler.reconcile();
\ No newline at end of file
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const authService = require('../services/AuthService');
+
+/**
+ * Set a new password for a wallet, e.g. a legacy wallet that has none
+ * A random password is generated and printed once; hand it to the wallet
+ * holder out of band. Existing sessions of the wallet are revoked.
+ * Usage: node server/scripts/resetPassword.js --username=alice
+ */
+class PasswordResetter {
+  constructor() {
+    this.walletRepo = new WalletRepository();
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  parseArgs() {
+    const options = {
+      username: null
+    };
+
+    process.argv.slice(2).forEach(arg => {
+      if (arg.startsWith('--username=')) {
+        options.username = arg.split('=')[1];
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Main reset function
+   */
+  async reset() {
+    try {
+      const options = this.parseArgs();
+      if (!options.username) {
+        console.error('Usage: node server/scripts/resetPassword.js --username=<username>');
+        process.exit(1);
+      }
+
+      await initTranslations();
+      if (!(await initializeDatabase())) {
+        throw new Error('Database initialization failed');
+      }
+
+      const wallet = await this.walletRepo.findByUsername(options.username);
+      if (!wallet) {
+        console.error(`Wallet not found: ${options.username}`);
+        process.exit(1);
+      }
+
+      const password = crypto.randomBytes(12).toString('base64url');
+      const revoked = await authService.resetPassword(wallet.id, password);
+      console.log(`\nPassword of ${wallet.username} reset, ${revoked} session(s) revoked`);
+      console.log(`New password: ${password}`);
+      process.exit(0);
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      process.exit(1);
+    }
+  }
+}
+
+// Execute reset
+const resetter = new PasswordResetter();
+resetter.reset();
@@ -0,0 +1,68 @@
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+
+/**
+ * Assign a role to a wallet (used to bootstrap the first admin)
+ * Usage: node server/scripts/setRole.js --username=alice --role=admin
+ */
+class RoleAssigner {
+  constructor() {
+    this.walletRepo = new WalletRepository();
+  }
+
+  /**
+   * Parse command line arguments
+   */
+  parseArgs() {
+    const options = {
+      username: null,
+      role: null
+    };
+
+    process.argv.slice(2).forEach(arg => {
+      if (arg.startsWith('--username=')) {
+        options.username = arg.split('=')[1];
+      } else if (arg.startsWith('--role=')) {
+        options.role = arg.split('=')[1];
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Main assign function
+   */
+  async assign() {
+    try {
+      const options = this.parseArgs();
+      if (!options.username || !WalletRepository.ROLES.includes(options.role)) {
+        console.error(`Usage: node server/scripts/setRole.js --username=<username> --role=<${WalletRepository.ROLES.join('|')}>`);
+        process.exit(1);
+      }
+
+      await initTranslations();
+      if (!(await initializeDatabase())) {
+        throw new Error('Database initialization failed');
+      }
+
+      const wallet = await this.walletRepo.findByUsername(options.username);
+      if (!wallet) {
+        console.error(`Wallet not found: ${options.username}`);
+        process.exit(1);
+      }
+
+      const updated = await this.walletRepo.setRole(wallet.id, options.role);
+      console.log(`\nRole of ${updated.username} changed from ${wallet.role} to ${updated.role}`);
+      process.exit(0);
+    } catch (error) {
+      console.error('Error assigning role:', error);
+      process.exit(1);
+    }
+  }
+}
+
+// Execute assignment
+const assigner = new RoleAssigner();
+assigner.assign();
\ No newline at end of file
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const WalletRepository = require('../repositories/WalletRepository');
+const SessionRepository = require('../repositories/SessionRepository');
+const { t } = require('../config/i18n');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N = 2^15, r = 8, p = 1 needs ~32 MiB per hash)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+// Token lifetimes in seconds: short-lived access tokens, long-lived refresh tokens
+const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * Authentication Service
+ * Responsible for password hashing, credential checks and session tokens.
+ * A session is a row in the sessions table holding a refresh token hash;
+ * access tokens are signed, short-lived and carry the session id so that
+ * revoking the session invalidates them.
+ */
+class AuthService {
+  constructor() {
+    this.walletRepo = new WalletRepository();
+    this.sessionRepo = new SessionRepository();
+    this.accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || DEFAULT_ACCESS_TOKEN_TTL;
+    this.refreshTokenTtl = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || DEFAULT_REFRESH_TOKEN_TTL;
+    this.sessionSecret = process.env.SESSION_SECRET;
+
+    if (!this.sessionSecret) {
+      // Sessions signed with a random secret do not survive a restart
+      console.warn('SESSION_SECRET is not set, using a random secret for this process');
+      this.sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Hash a password with scrypt
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$salt$hash
+   */
+  async hashPassword(password) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH, { N, r, p, maxmem: SCRYPT_MAX_MEMORY });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  /**
+   * Verify a password against an encoded hash
+   * @param {string} password - Plain text password
+   * @param {string} encodedHash - Hash produced by hashPassword
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async verifyPassword(password, encodedHash) {
+    const parts = (encodedHash || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+      return false;
+    }
+
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(N, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10),
+      maxmem: SCRYPT_MAX_MEMORY
+    });
+
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Validate password rules
+   * @param {*} password - Password candidate
+   * @returns {string|null} Translation key of the violated rule, or null if valid
+   */
+  validatePassword(password) {
+    if (!password || typeof password !== 'string') {
+      return 'errors.passwordRequired';
+    }
+    if (password.length < 8 || password.length > 128) {
+      return 'errors.passwordLength';
+    }
+    return null;
+  }
+
+  /**
+   * Check username and password and issue a session
+   * Wallets created before passwords existed have no hash yet. They cannot
+   * log in until an admin sets a password (scripts/resetPassword.js), since
+   * anyone knowing the username could otherwise choose it.
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @param {Object} context - Client information stored with the session
+   * @returns {Promise<Object>} Wallet and session
+   */
+  async login(username, password, context = {}) {
+    const credentials = await this.walletRepo.findCredentialsByUsername(username);
+
+    if (!credentials) {
+      // Spend the same time as a real check so usernames cannot be probed by timing
+      await this.hashPassword(password);
+      throw new Error(t(null, 'errors.invalidCredentials'));
+    }
+
+    if (!credentials.password_hash) {
+      await this.hashPassword(password);
+      throw new Error(t(null, 'errors.passwordResetRequired'));
+    }
+    if (!(await this.verifyPassword(password, credentials.password_hash))) {
+      throw new Error(t(null, 'errors.invalidCredentials'));
+    }
+
+    const wallet = await this.walletRepo.findById(credentials.id);
+
+    return {
+      wallet,
+      session: await this.createSession(wallet, context)
+    };
+  }
+
+  /**
+   * Set a new password for a wallet (admin reset)
+   * Existing sessions are revoked, so only the new password gives access.
+   * @param {string} walletId - Wallet ID
+   * @param {string} password - New plain text password
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async resetPassword(walletId, password) {
+    const passwordError = this.validatePassword(password);
+    if (passwordError) {
+      throw new Error(t(null, passwordError));
+    }
+
+    await this.walletRepo.setPasswordHash(walletId, await this.hashPassword(password));
+    return await this.sessionRepo.revokeAllByWalletId(walletId);
+  }
+
+  /**
+   * Create a session for a wallet
+   * @param {Object} wallet - Wallet object
+   * @param {Object} context - Client information
+   * @param {string} context.userAgent - Client user agent
+   * @param {string} context.ip - Client IP address
+   * @returns {Promise<Object>} Session id, access token, refresh token and their expiry times
+   */
+  async createSession(wallet, context = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const refreshExpiresAt = new Date(Date.now() + this.refreshTokenTtl * 1000).toISOString();
+
+    const session = await this.sessionRepo.create({
+      walletId: wallet.id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      expiresAt: refreshExpiresAt,
+      userAgent: context.userAgent,
+      ipAddress: context.ip
+    });
+
+    return {
+      id: session.id,
+      ...this.createAccessToken(wallet, session.id),
+      refreshToken,
+      refreshExpiresAt
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token
+   * The refresh token is rotated: the presented token stops working and a new
+   * one is returned alongside the access token.
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object|null>} New session tokens, or null if the token is invalid, expired or revoked
+   */
+  async refreshSession(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return null;
+    }
+
+    const currentHash = this.hashToken(refreshToken);
+    const session = await this.sessionRepo.findByRefreshTokenHash(currentHash);
+    if (!session || session.revoked_at || session.expires_at <= new Date().toISOString()) {
+      return null;
+    }
+
+    const wallet = await this.walletRepo.findById(session.wallet_id);
+    if (!wallet) {
+      return null;
+    }
+
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+    const refreshExpiresAt = new Date(Date.now() + this.refreshTokenTtl * 1000).toISOString();
+    const rotated = await this.sessionRepo.rotateRefreshToken(
+      session.id,
+      currentHash,
+      this.hashToken(nextToken),
+      refreshExpiresAt
+    );
+
+    // Another request exchanged the same token first
+    if (!rotated) {
+      return null;
+    }
+
+    return {
+      id: session.id,
+      ...this.createAccessToken(wallet, session.id),
+      refreshToken: nextToken,
+      refreshExpiresAt
+    };
+  }
+
+  /**
+   * List the active sessions of a wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<Array>} Session list
+   */
+  async listSessions(walletId) {
+    return await this.sessionRepo.findActiveByWalletId(walletId);
+  }
+
+  /**
+   * Revoke a session of a wallet
+   * @param {string} walletId - Wallet ID owning the session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revokeSession(walletId, sessionId) {
+    return await this.sessionRepo.revoke(sessionId, walletId);
+  }
+
+  /**
+   * Create a signed access token bound to a session
+   * @param {Object} wallet - Wallet object
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Access token and expiry time
+   */
+  createAccessToken(wallet, sessionId) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = {
+      sub: wallet.id,
+      usr: wallet.username,
+      sid: sessionId,
+      iat: issuedAt,
+      exp: issuedAt + this.accessTokenTtl
+    };
+
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+      accessToken: `${body}.${this.sign(body)}`,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify an access token
+   * Checks the signature and expiry, then that its session has not been revoked.
+   * @param {string} token - Access token
+   * @returns {Promise<Object|null>} Auth context with walletId, username and sessionId, or null if invalid
+   */
+  async verifyAccessToken(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(body));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (!payload.sub || !payload.sid || payload.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    const session = await this.sessionRepo.findById(payload.sid);
+    if (!session || session.revoked_at || session.wallet_id !== payload.sub) {
+      return null;
+    }
+
+    return { walletId: payload.sub, username: payload.usr, sessionId: payload.sid };
+  }
+
+  /**
+   * Hash a refresh token for storage
+   * @param {string} token - Refresh token
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign a token body with the session secret
+   * @param {string} body - Encoded token body
+   * @returns {string} Base64url HMAC-SHA256 signature
+   */
+  sign(body) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(body).digest('base64url');
+  }
+}
+
+module.exports = new AuthService();
\ No newline at end of file
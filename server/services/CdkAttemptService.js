@@ -0,0 +1,155 @@
+const { dbAsync } = require('../config/database');
+const CdkFailedAttemptRepository = require('../repositories/CdkFailedAttemptRepository');
+
+// Failures tolerated before a lockout, per IP address (shared by everyone behind
+// the same NAT or proxy) and per wallet
+const DEFAULT_MAX_FAILURES_PER_IP = 10;
+const DEFAULT_MAX_FAILURES_PER_WALLET = 5;
+
+// Lockout after the tolerated failures in seconds; it doubles with every further
+// failure up to the maximum. Failures older than the window are forgotten.
+const DEFAULT_LOCKOUT_SECONDS = 60;
+const DEFAULT_MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+const DEFAULT_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+
+// How long failed attempts are kept for review
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Characters of a submitted code kept in the log (the prefix shown in transaction descriptions)
+const CODE_PREFIX_LENGTH = 8;
+
+/**
+ * CDK Attempt Service
+ * Limits how fast codes can be guessed: every failed validation or redemption
+ * is logged per IP address and wallet, and too many failures within the window
+ * lock the IP address or wallet out for an exponentially growing time.
+ */
+class CdkAttemptService {
+  constructor() {
+    this.failedAttemptRepo = new CdkFailedAttemptRepository();
+    this.maxFailuresPerIp = parseInt(process.env.CDK_MAX_FAILURES_PER_IP, 10) || DEFAULT_MAX_FAILURES_PER_IP;
+    this.maxFailuresPerWallet = parseInt(process.env.CDK_MAX_FAILURES_PER_WALLET, 10) || DEFAULT_MAX_FAILURES_PER_WALLET;
+    this.lockoutSeconds = parseInt(process.env.CDK_LOCKOUT_SECONDS, 10) || DEFAULT_LOCKOUT_SECONDS;
+    this.maxLockoutSeconds = parseInt(process.env.CDK_MAX_LOCKOUT_SECONDS, 10) || DEFAULT_MAX_LOCKOUT_SECONDS;
+    this.failureWindowSeconds = parseInt(process.env.CDK_FAILURE_WINDOW_SECONDS, 10) || DEFAULT_FAILURE_WINDOW_SECONDS;
+    this.retentionDays = parseInt(process.env.CDK_FAILED_ATTEMPT_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Calculate the end of a lockout
+   * @param {Object} failures - { count, lastAt } of the recent failures
+   * @param {number} maxFailures - Failures tolerated before the first lockout
+   * @returns {Date|null} End of the lockout, or null when the limit has not been reached
+   */
+  lockoutEnd(failures, maxFailures) {
+    if (failures.count < maxFailures) {
+      return null;
+    }
+    const seconds = Math.min(
+      this.lockoutSeconds * Math.pow(2, failures.count - maxFailures),
+      this.maxLockoutSeconds
+    );
+    return new Date(new Date(failures.lastAt).getTime() + seconds * 1000);
+  }
+
+  /**
+   * Check whether an IP address or wallet is locked out
+   * @param {Object} client - Requesting client
+   * @param {string} client.ipAddress - Client IP address
+   * @param {string|null} client.walletId - Wallet of the session, if any
+   * @returns {Promise<Object|null>} { retryAfter } in seconds, or null when attempts are allowed
+   */
+  async getLockout({ ipAddress, walletId }) {
+    const now = Date.now();
+    const since = new Date(now - this.failureWindowSeconds * 1000).toISOString();
+
+    const ends = [
+      this.lockoutEnd(await this.failedAttemptRepo.summarizeFailures('ip_address', ipAddress, since), this.maxFailuresPerIp)
+    ];
+    if (walletId) {
+      ends.push(this.lockoutEnd(await this.failedAttemptRepo.summarizeFailures('wallet_id', walletId, since), this.maxFailuresPerWallet));
+    }
+
+    const latest = Math.max(...ends.filter(Boolean).map(end => end.getTime()));
+    if (!(latest > now)) {
+      return null;
+    }
+    return { retryAfter: Math.ceil((latest - now) / 1000) };
+  }
+
+  /**
+   * Log a failed or blocked attempt
+   * @param {Object} attempt - Attempt data
+   * @param {string} attempt.endpoint - 'validate' or 'redeem'
+   * @param {string} attempt.ipAddress - Client IP address
+   * @param {string|null} attempt.walletId - Wallet of the session, if any
+   * @param {string} attempt.code - Submitted code; only its prefix is stored
+   * @param {string} attempt.reason - Error key of the failure, 'locked' or 'pending'
+   * @returns {Promise<string>} Attempt ID
+   */
+  async recordFailure({ endpoint, ipAddress, walletId, code, reason }) {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    await this.failedAttemptRepo.deleteOlderThan(cutoff);
+
+    return await this.failedAttemptRepo.create({
+      endpoint,
+      ipAddress,
+      walletId,
+      codePrefix: typeof code === 'string' ? code.substring(0, CODE_PREFIX_LENGTH) : null,
+      reason
+    });
+  }
+
+  /**
+   * Reserve an attempt before its code is evaluated
+   * The lockout check and the reservation run in one transaction, so parallel
+   * requests count each other's reservations and cannot evaluate more codes
+   * than the limit allows. A request rejected during a lockout is logged as
+   * 'locked' instead.
+   * @param {Object} attempt - Same data as recordFailure, without the reason
+   * @returns {Promise<Object>} { attemptId } of the reservation, or { lockout } with retryAfter in seconds
+   */
+  async reserveAttempt(attempt) {
+    return await dbAsync.transaction(async () => {
+      const lockout = await this.getLockout(attempt);
+      if (lockout) {
+        await this.recordFailure({ ...attempt, reason: CdkFailedAttemptRepository.LOCKED_REASON });
+        return { lockout };
+      }
+
+      const attemptId = await this.recordFailure({ ...attempt, reason: CdkFailedAttemptRepository.PENDING_REASON });
+      return { attemptId };
+    });
+  }
+
+  /**
+   * Record why a reserved attempt failed
+   * @param {string} attemptId - Reserved attempt ID
+   * @param {string} reason - Error key of the failure
+   */
+  async failAttempt(attemptId, reason) {
+    await this.failedAttemptRepo.resolvePending(attemptId, reason);
+  }
+
+  /**
+   * Drop a reserved attempt that did not fail (a failed one is kept)
+   * @param {string} attemptId - Reserved attempt ID
+   */
+  async releaseAttempt(attemptId) {
+    await this.failedAttemptRepo.deletePending(attemptId);
+  }
+
+  /**
+   * List failed attempts for review
+   * @param {Object} filters - Filters accepted by CdkFailedAttemptRepository.findAll
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { attempts, total }
+   */
+  async listFailedAttempts(filters, options) {
+    const attempts = await this.failedAttemptRepo.findAll(filters, options);
+    const total = await this.failedAttemptRepo.count(filters);
+    return { attempts, total };
+  }
+}
+
+module.exports = new CdkAttemptService();
\ No newline at end of file
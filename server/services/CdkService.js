@@ -1,49 +1,25 @@
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
 const { dbAsync } = require('../config/database');
 const WalletRepository = require('../repositories/WalletRepository');
 const TransactionRepository = require('../repositories/TransactionRepository');
+const CdkRepository = require('../repositories/CdkRepository');
+const CdkCampaignRepository = require('../repositories/CdkCampaignRepository');
+const eventBus = require('./EventBus');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
 
 /**
  * CDK Service
- * Responsible for managing and validating CDK codes for currency redemption
+ * Responsible for managing and validating CDK codes for currency redemption.
+ * Codes are stored in the cdks table in minor units; the service exposes
+ * amounts in major units.
  */
 class CdkService {
   constructor() {
     this.walletRepo = new WalletRepository();
     this.transactionRepo = new TransactionRepository();
-    this.cdksFilePath = path.join(__dirname, '..', 'data', 'cdks.json');
-    this.cdks = [];
-    this.loadCdks();
-  }
-
-  /**
-   * Load CDK data from JSON file
-   */
-  async loadCdks() {
-    try {
-      const data = await fs.readFile(this.cdksFilePath, 'utf8');
-      const parsedData = JSON.parse(data);
-      this.cdks = parsedData.cdks || [];
-      console.log(`${this.cdks.length} CDK entries loaded`);
-    } catch (error) {
-      console.error('Error loading CDK data:', error);
-      this.cdks = [];
-    }
-  }
-
-  /**
-   * Save CDK data back to JSON file
-   */
-  async saveCdks() {
-    try {
-      const data = { cdks: this.cdks };
-      await fs.writeFile(this.cdksFilePath, JSON.stringify(data, null, 2), 'utf8');
-    } catch (error) {
-      console.error('Error saving CDK data:', error);
-      throw new Error(t(null, 'errors.cdkDataSaveFailed'));
-    }
+    this.cdkRepo = new CdkRepository();
+    this.campaignRepo = new CdkCampaignRepository();
   }
 
   /**
@@ -59,23 +35,45 @@ class CdkService {
   /**
    * Find CDK by key
    * @param {string} key - The CDK key
-   * @returns {Object|null} CDK object or null if not found
+   * @returns {Promise<Object|null>} CDK object (amount in major units) or null if not found
    */
-  findCdkByKey(key) {
-    return this.cdks.find(cdk => cdk.key === key) || null;
+  async findCdkByKey(key) {
+    const cdk = await this.cdkRepo.findByKey(key);
+    return cdk ? { ...cdk, amount: money.fromMinorUnits(cdk.amount) } : null;
+  }
+
+  /**
+   * Generate a random CDK key
+   * Format: XXXX-XXXX-XXXX-XXXX-XXXX-XXXX
+   * @returns {string} CDK key
+   */
+  generateCdkKey() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    const groups = [];
+    for (let i = 0; i < 6; i++) {
+      let group = '';
+      for (let j = 0; j < 4; j++) {
+        group += chars.charAt(crypto.randomInt(chars.length));
+      }
+      groups.push(group);
+    }
+    return groups.join('-');
   }
 
   /**
    * Check if CDK is valid for redemption
+   * Codes of a campaign must also be inside the campaign window, within its
+   * budget and, when a wallet is given, below its per-wallet redemption cap.
    * @param {Object} cdk - The CDK object
-   * @returns {Object} Validation result with success flag and message
+   * @param {string|null} walletId - Wallet that wants to redeem the code (optional)
+   * @returns {Promise<Object>} Validation result with success flag and message
    */
-  validateCdk(cdk) {
+  async validateCdk(cdk, walletId = null) {
     if (!cdk) {
       return { success: false, message: t(null, 'errors.cdkNotFound') };
     }
 
-    if (cdk.status !== 'ACTIVE') {
+    if (cdk.status !== 'ACTIVE' || cdk.redemption_count >= cdk.max_redemptions) {
       return { success: false, message: t(null, 'errors.cdkAlreadyUsed') };
     }
 
@@ -85,6 +83,34 @@ class CdkService {
       return { success: false, message: t(null, 'errors.cdkExpired') };
     }
 
+    if (!cdk.campaign_id) {
+      return { success: true };
+    }
+
+    const campaign = await this.campaignRepo.findById(cdk.campaign_id);
+    if (!campaign || campaign.status === 'REVOKED') {
+      return { success: false, message: t(null, 'errors.cdkRevoked') };
+    }
+
+    if (campaign.starts_at && now < new Date(campaign.starts_at)) {
+      return { success: false, message: t(null, 'errors.cdkCampaignNotStarted') };
+    }
+
+    if (campaign.ends_at && now > new Date(campaign.ends_at)) {
+      return { success: false, message: t(null, 'errors.cdkCampaignEnded') };
+    }
+
+    if (campaign.budget !== null && campaign.spent >= campaign.budget) {
+      return { success: false, message: t(null, 'errors.cdkCampaignBudgetExhausted') };
+    }
+
+    if (walletId && campaign.max_redemptions_per_wallet !== null) {
+      const redemptions = await this.campaignRepo.countWalletRedemptions(campaign.id, walletId);
+      if (redemptions >= campaign.max_redemptions_per_wallet) {
+        return { success: false, message: t(null, 'errors.cdkRedemptionLimitReached') };
+      }
+    }
+
     return { success: true };
   }
 
@@ -101,58 +127,69 @@ class CdkService {
         throw new Error(t(null, 'errors.invalidCdkFormat'));
       }
 
-      // Find and validate CDK
-      const cdk = this.findCdkByKey(cdkKey);
-      const validation = this.validateCdk(cdk);
-      
-      if (!validation.success) {
-        throw new Error(validation.message);
-      }
+      // Validate, mark as used and credit as one unit of work, so a crash or a
+      // failed credit leaves the code active
+      return await dbAsync.transaction(async () => {
+        // Check if user exists and get wallet
+        const wallet = await this.walletRepo.findByUsername(username);
+        if (!wallet) {
+          throw new Error(t(null, 'errors.walletNotFound'));
+        }
 
-      // Check if user exists and get wallet
-      const wallet = await this.walletRepo.findByUsername(username);
-      if (!wallet) {
-        throw new Error(t(null, 'errors.walletNotFound'));
-      }
+        // Find and validate CDK, including the campaign rules for this wallet
+        const cdk = await this.cdkRepo.findByKey(cdkKey);
+        const validation = await this.validateCdk(cdk, wallet.id);
+        
+        if (!validation.success) {
+          throw new Error(validation.message);
+        }
 
-      // Begin transaction
-      await dbAsync.run('BEGIN TRANSACTION');
+        // Count the redemption; only the redemptions left on the code can win this update
+        if (!(await this.cdkRepo.markRedeemed(cdkKey, wallet))) {
+          throw new Error(t(null, 'errors.cdkAlreadyUsed'));
+        }
 
-      try {
-        // Update wallet balance
-        const newBalance = parseFloat(wallet.balance) + cdk.amount;
-        await this.walletRepo.updateBalance(wallet.id, newBalance);
+        // Charge the campaign budget
+        if (cdk.campaign_id && !(await this.campaignRepo.addSpent(cdk.campaign_id, cdk.amount))) {
+          throw new Error(t(null, 'errors.cdkCampaignBudgetExhausted'));
+        }
+
+        // Credit wallet balance
+        await this.walletRepo.credit(wallet.id, cdk.amount);
 
         // Create transaction record
         const transactionData = {
           fromWalletId: null,
           toWalletId: wallet.id,
           amount: cdk.amount,
-          transactionType: 'system', // Using system-supported transaction type
+          transactionType: 'cdk_redemption',
           description: t(null, 'transactions.cdkRedemption', { keyPrefix: cdkKey.substring(0, 8) })
         };
-        await this.transactionRepo.create(transactionData);
+        const transaction = await this.transactionRepo.create(transactionData);
 
-        // Mark CDK as used
-        cdk.status = 'USED';
-        cdk.used_at = new Date().toISOString();
-        cdk.used_by = username;
-        await this.saveCdks();
+        await this.cdkRepo.createRedemption({
+          cdkId: cdk.id,
+          campaignId: cdk.campaign_id,
+          walletId: wallet.id,
+          amount: cdk.amount,
+          transactionId: transaction.id
+        });
 
-        // Commit transaction
-        await dbAsync.run('COMMIT');
+        await eventBus.publish('cdk.redeemed', eventBus.transactionPayload(transaction, {
+          walletId: wallet.id,
+          username: wallet.username,
+          keyPrefix: cdkKey.substring(0, 8),
+          campaignId: cdk.campaign_id,
+          currency: cdk.currency
+        }));
 
         return {
           success: true,
-          amount: cdk.amount,
+          amount: money.fromMinorUnits(cdk.amount),
           currency: cdk.currency,
           message: t(null, 'messages.cdkRedeemedSuccessfully')
         };
-      } catch (error) {
-        // Rollback transaction on error
-        await dbAsync.run('ROLLBACK');
-        throw error;
-      }
+      });
     } catch (error) {
       console.error('CDK redemption error:', error);
       throw error;
@@ -171,22 +208,18 @@ class CdkService {
         throw new Error(t(null, 'errors.invalidCdkFormat'));
       }
 
-      // Check if CDK already exists
-      if (this.findCdkByKey(cdkData.key)) {
-        throw new Error(t(null, 'errors.cdkAlreadyExists'));
+      // Amount must be positive and representable in minor units
+      if (!money.hasValidPrecision(cdkData.amount) || cdkData.amount <= 0) {
+        throw new Error(t(null, 'errors.invalidCdkAmount'));
       }
 
-      const newCdk = {
+      // Fails with cdkAlreadyExists if the key is taken
+      await this.cdkRepo.create({
         key: cdkData.key,
-        amount: parseFloat(cdkData.amount),
+        amount: money.toMinorUnits(cdkData.amount),
         currency: cdkData.currency || 'USD',
-        status: 'ACTIVE',
-        created_at: new Date().toISOString(),
-        expires_at: cdkData.expires_at || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString() // Default 1 year expiry
-      };
-
-      this.cdks.push(newCdk);
-      await this.saveCdks();
+        expiresAt: cdkData.expires_at || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString() // Default 1 year expiry
+      });
 
       return { success: true, message: t(null, 'messages.cdkAddedSuccessfully') };
     } catch (error) {
@@ -194,6 +227,221 @@ class CdkService {
       throw error;
     }
   }
+
+  /**
+   * Validate and convert campaign input
+   * @param {Object} data - Campaign fields from the API (amounts in major units)
+   * @param {boolean} partial - Only validate the fields present (updates)
+   * @returns {Object} Repository fields (amounts in minor units, dates as ISO strings)
+   */
+  normalizeCampaignInput(data, partial = false) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidCdkCampaignField', { field }));
+    const present = (field) => data[field] !== undefined;
+    const result = {};
+
+    if (present('name') || !partial) {
+      if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100) {
+        throw invalid('name');
+      }
+      result.name = data.name.trim();
+    }
+
+    if (present('description')) {
+      if (data.description !== null && typeof data.description !== 'string') {
+        throw invalid('description');
+      }
+      result.description = data.description;
+    }
+
+    if (present('budget')) {
+      if (data.budget !== null && (!money.hasValidPrecision(data.budget) || data.budget <= 0)) {
+        throw invalid('budget');
+      }
+      result.budget = data.budget === null ? null : money.toMinorUnits(data.budget);
+    }
+
+    if (present('maxRedemptionsPerWallet')) {
+      const cap = data.maxRedemptionsPerWallet;
+      if (cap !== null && (!Number.isInteger(cap) || cap <= 0)) {
+        throw invalid('maxRedemptionsPerWallet');
+      }
+      result.maxRedemptionsPerWallet = cap;
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+      if (present(field)) {
+        if (data[field] !== null && isNaN(new Date(data[field]).getTime())) {
+          throw invalid(field);
+        }
+        result[field] = data[field] === null ? null : new Date(data[field]).toISOString();
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a CDK campaign and mint its codes
+   * @param {Object} campaignData - Campaign data (amounts in major units)
+   * @param {string} campaignData.name - Unique campaign name
+   * @param {string} campaignData.description - Description (optional)
+   * @param {number|null} campaignData.budget - Total payout limit (optional, unlimited by default)
+   * @param {number|null} campaignData.maxRedemptionsPerWallet - Redemptions per wallet (default 1, null for unlimited)
+   * @param {string|null} campaignData.startsAt - Start of the redemption window (optional)
+   * @param {string|null} campaignData.endsAt - End of the redemption window (optional)
+   * @param {number} campaignData.codeCount - Number of codes to mint (default 0)
+   * @param {number} campaignData.amount - Amount of each code (required with codeCount)
+   * @param {number} campaignData.maxRedemptions - How often each code can be redeemed (default 1)
+   * @param {string} campaignData.currency - Currency code (default USD)
+   * @param {string} campaignData.expiresAt - Expiry of the codes (default the end of the window, else 1 year)
+   * @returns {Promise<Object>} { campaign, codes }
+   */
+  async createCampaign(campaignData) {
+    const fields = this.normalizeCampaignInput({ maxRedemptionsPerWallet: 1, ...campaignData });
+    this.checkCampaignWindow(fields.startsAt, fields.endsAt);
+
+    const { codeCount = 0, amount, maxRedemptions = 1, currency = 'USD' } = campaignData;
+    if (!Number.isInteger(codeCount) || codeCount < 0 || codeCount > 1000) {
+      throw new Error(t(null, 'errors.invalidCdkCampaignField', { field: 'codeCount' }));
+    }
+    if (codeCount > 0 && (!money.hasValidPrecision(amount) || amount <= 0)) {
+      throw new Error(t(null, 'errors.invalidCdkAmount'));
+    }
+    if (!Number.isInteger(maxRedemptions) || maxRedemptions <= 0) {
+      throw new Error(t(null, 'errors.invalidCdkCampaignField', { field: 'maxRedemptions' }));
+    }
+    const expiresAt = campaignData.expiresAt || fields.endsAt || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+    if (isNaN(new Date(expiresAt).getTime())) {
+      throw new Error(t(null, 'errors.invalidCdkCampaignField', { field: 'expiresAt' }));
+    }
+
+    return await dbAsync.transaction(async () => {
+      const campaign = await this.campaignRepo.create(fields);
+      const codes = [];
+      while (codes.length < codeCount) {
+        const key = this.generateCdkKey();
+        if (await this.cdkRepo.findByKey(key)) {
+          continue;
+        }
+        codes.push(await this.cdkRepo.create({
+          key,
+          amount: money.toMinorUnits(amount),
+          currency,
+          campaignId: campaign.id,
+          maxRedemptions,
+          expiresAt: new Date(expiresAt).toISOString()
+        }));
+      }
+      return { campaign: await this.campaignRepo.findById(campaign.id), codes };
+    });
+  }
+
+  /**
+   * Check that a campaign window ends after it starts
+   * @param {string|null} startsAt - Start (ISO string)
+   * @param {string|null} endsAt - End (ISO string)
+   */
+  checkCampaignWindow(startsAt, endsAt) {
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+      throw new Error(t(null, 'errors.invalidCdkCampaignField', { field: 'endsAt' }));
+    }
+  }
+
+  /**
+   * Get a CDK campaign with its codes
+   * @param {string} id - Campaign ID
+   * @returns {Promise<Object>} { campaign, codes }
+   */
+  async getCampaign(id) {
+    const campaign = await this.campaignRepo.findById(id);
+    if (!campaign) {
+      throw new Error(t(null, 'errors.cdkCampaignNotFound'));
+    }
+    return { campaign, codes: await this.cdkRepo.findByCampaignId(id) };
+  }
+
+  /**
+   * List CDK campaigns
+   * @returns {Promise<Array>} Campaigns, newest first
+   */
+  async listCampaigns() {
+    return await this.campaignRepo.findAll();
+  }
+
+  /**
+   * Update a CDK campaign
+   * @param {string} id - Campaign ID
+   * @param {Object} updates - Any of name, description, budget, maxRedemptionsPerWallet, startsAt, endsAt
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async updateCampaign(id, updates) {
+    const fields = this.normalizeCampaignInput(updates, true);
+
+    return await dbAsync.transaction(async () => {
+      const campaign = await this.campaignRepo.findById(id);
+      if (!campaign) {
+        throw new Error(t(null, 'errors.cdkCampaignNotFound'));
+      }
+      if (campaign.status === 'REVOKED') {
+        throw new Error(t(null, 'errors.cdkCampaignRevoked'));
+      }
+
+      this.checkCampaignWindow(
+        fields.startsAt !== undefined ? fields.startsAt : campaign.starts_at,
+        fields.endsAt !== undefined ? fields.endsAt : campaign.ends_at
+      );
+      // The budget cannot drop below what has already been paid out
+      if (fields.budget !== undefined && fields.budget !== null && fields.budget < campaign.spent) {
+        throw new Error(t(null, 'errors.invalidCdkCampaignField', { field: 'budget' }));
+      }
+
+      return await this.campaignRepo.update(id, fields);
+    });
+  }
+
+  /**
+   * Revoke a CDK campaign
+   * None of its codes can be redeemed afterwards; the codes and redemptions are kept.
+   * @param {string} id - Campaign ID
+   * @returns {Promise<Object>} Revoked campaign
+   */
+  async revokeCampaign(id) {
+    return await dbAsync.transaction(async () => {
+      const campaign = await this.campaignRepo.findById(id);
+      if (!campaign) {
+        throw new Error(t(null, 'errors.cdkCampaignNotFound'));
+      }
+      if (!(await this.campaignRepo.revoke(id))) {
+        throw new Error(t(null, 'errors.cdkCampaignRevoked'));
+      }
+      return await this.campaignRepo.findById(id);
+    });
+  }
+
+  /**
+   * List CDKs for administration
+   * @param {Object} filters - Filters accepted by CdkRepository.findAll
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { cdks, total }
+   */
+  async listCdks(filters, options) {
+    const cdks = await this.cdkRepo.findAll(filters, options);
+    const total = await this.cdkRepo.count(filters);
+    return { cdks, total };
+  }
+
+  /**
+   * Get a CDK with its redemption history
+   * @param {string} key - CDK code
+   * @returns {Promise<Object>} { cdk, redemptions }
+   */
+  async getCdkHistory(key) {
+    const cdk = await this.cdkRepo.findDetailsByKey(key);
+    if (!cdk) {
+      throw new Error(t(null, 'errors.cdkNotFound'));
+    }
+    return { cdk, redemptions: await this.cdkRepo.findRedemptionsByCdkId(cdk.id) };
+  }
 }
 
 module.exports = new CdkService();
\ No newline at end of file
@@ -0,0 +1,164 @@
+const { v4: uuidv4 } = require('uuid');
+const { dbAsync } = require('../config/database');
+const OutboxRepository = require('../repositories/OutboxRepository');
+const { t } = require('../config/i18n');
+
+// Domain event types and the payload fields each one must carry (amounts in minor units)
+const EVENT_TYPES = {
+  'transfer.completed': ['transactionId', 'fromWalletId', 'toWalletId', 'amount'],
+  'payment.succeeded': ['transactionId', 'walletId', 'merchantId', 'amount', 'feeAmount'],
+  'receipt.credited': ['transactionId', 'walletId', 'merchantId', 'amount'],
+  'interest.posted': ['transactionId', 'walletId', 'period', 'amount'],
+  'cdk.redeemed': ['transactionId', 'walletId', 'amount', 'keyPrefix'],
+  'refund.completed': ['transactionId', 'originalTransactionId', 'amount'],
+  'balance.adjusted': ['transactionId', 'walletId', 'amount'],
+  'exchange_rate.updated': ['rate', 'createdAt']
+};
+
+const DISPATCH_BATCH_SIZE = 100;
+const MAX_ERROR_LENGTH = 500;
+
+// Consumed events are kept this long for inspection before they are pruned
+const OUTBOX_RETENTION_DAYS = parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 7;
+
+/**
+ * Event Bus
+ * Transactional outbox for domain events. Code that changes money publishes an
+ * event inside its unit of work; the event is written to outbox_events with the
+ * change and committed or rolled back with it. Consumers (webhooks and any
+ * later ones) subscribe by name and are fed the committed events in order by
+ * dispatch(), which index.js runs periodically.
+ *
+ * A consumer handles each event in its own unit of work together with moving
+ * its position past the event, so database side effects happen exactly once.
+ * If a handler throws, the consumer stays at that event and retries it on the
+ * next dispatch; other consumers are not held up.
+ */
+class EventBus {
+  constructor() {
+    this.outboxRepo = new OutboxRepository();
+    this.consumers = new Map();
+    this.dispatching = false;
+  }
+
+  /**
+   * Payload describing a transaction (amounts in minor units)
+   * @param {Object} transaction - Transaction row
+   * @param {Object} extra - Additional payload fields (optional)
+   * @returns {Object} Event payload
+   */
+  transactionPayload(transaction, extra = {}) {
+    return {
+      transactionId: transaction.id,
+      transactionType: transaction.transaction_type,
+      fromWalletId: transaction.from_wallet_id,
+      toWalletId: transaction.to_wallet_id,
+      amount: transaction.amount,
+      feeAmount: transaction.fee_amount || 0,
+      description: transaction.description,
+      merchantId: transaction.merchant_id || null,
+      createdAt: transaction.created_at,
+      ...extra
+    };
+  }
+
+  /**
+   * Publish a domain event to the outbox
+   * Call inside the unit of work that made the change.
+   * @param {string} type - Event type (a key of EVENT_TYPES)
+   * @param {Object} payload - Event payload with the fields its type requires
+   * @returns {Promise<Object>} Published event
+   */
+  async publish(type, payload) {
+    const fields = EVENT_TYPES[type];
+    if (!fields) {
+      throw new Error(t(null, 'errors.invalidDomainEvent', { type }));
+    }
+    const missing = fields.find(field => payload[field] === undefined || payload[field] === null);
+    if (missing) {
+      throw new Error(t(null, 'errors.invalidDomainEvent', { type: `${type}.${missing}` }));
+    }
+
+    const event = { id: uuidv4(), type, payload, createdAt: new Date().toISOString() };
+    event.sequence = await this.outboxRepo.append(event);
+    return event;
+  }
+
+  /**
+   * Register a consumer
+   * A new consumer starts at the beginning of the outbox.
+   * @param {string} name - Unique consumer name (its position is stored under it)
+   * @param {Array<string>} types - Event types it handles
+   * @param {Function} handler - async (event) => void, run inside a unit of work
+   * @returns {void}
+   */
+  subscribe(name, types, handler) {
+    for (const type of types) {
+      if (!EVENT_TYPES[type]) {
+        throw new Error(t(null, 'errors.invalidDomainEvent', { type }));
+      }
+    }
+    this.consumers.set(name, { types, handler });
+  }
+
+  /**
+   * Feed one consumer the events after its position
+   * @param {string} name - Consumer name
+   * @param {Object} consumer - { types, handler }
+   * @returns {Promise<Object>} { handled, failed }
+   */
+  async dispatchTo(name, consumer) {
+    const result = { handled: 0, failed: false };
+    let position = (await this.outboxRepo.getConsumer(name)).last_sequence;
+
+    let events;
+    do {
+      events = await this.outboxRepo.findAfter(position, DISPATCH_BATCH_SIZE);
+      for (const event of events) {
+        try {
+          await dbAsync.transaction(async () => {
+            if (consumer.types.includes(event.type)) {
+              await consumer.handler(event);
+              result.handled++;
+            }
+            await this.outboxRepo.advance(name, event.sequence);
+          });
+        } catch (error) {
+          console.error(`Event consumer ${name} failed on event ${event.id}:`, error);
+          await this.outboxRepo.recordFailure(name, (error.message || String(error)).substring(0, MAX_ERROR_LENGTH));
+          result.failed = true;
+          return result;
+        }
+        position = event.sequence;
+      }
+    } while (events.length === DISPATCH_BATCH_SIZE);
+
+    return result;
+  }
+
+  /**
+   * Feed all consumers the events they have not processed yet
+   * A run that starts while another is still dispatching returns immediately.
+   * @returns {Promise<Object>} Events handled per consumer
+   */
+  async dispatch() {
+    const handled = {};
+    if (this.dispatching) {
+      return handled;
+    }
+
+    this.dispatching = true;
+    try {
+      for (const [name, consumer] of this.consumers) {
+        handled[name] = (await this.dispatchTo(name, consumer)).handled;
+      }
+      const cutoff = new Date(Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      await this.outboxRepo.prune(cutoff);
+      return handled;
+    } finally {
+      this.dispatching = false;
+    }
+  }
+}
+
+module.exports = new EventBus();
@@ -1,6 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const { dbAsync } = require('../config/database');
 const { t } = require('../config/i18n');
+const eventBus = require('./EventBus');
 
 /**
  * ExchangeRateService
@@ -91,11 +92,14 @@ class ExchangeRateService {
         createdTime = createdAt instanceof Date ? createdAt.toISOString() : createdAt;
       }
 
-      // Insert into database
-      await dbAsync.run(
-        `INSERT INTO ${this.tableName} (id, rate, created_at) VALUES (?, ?, ?)`,
-        [id, rate, createdTime]
-      );
+      // Insert into database and announce the new rate
+      await dbAsync.transaction(async () => {
+        await dbAsync.run(
+          `INSERT INTO ${this.tableName} (id, rate, created_at) VALUES (?, ?, ?)`,
+          [id, rate, createdTime]
+        );
+        await eventBus.publish('exchange_rate.updated', { id, rate, createdAt: createdTime });
+      });
 
       console.log(t(null, 'info.exchangeRateSaved', { rate }));
 
@@ -0,0 +1,454 @@
+const { dbAsync } = require('../config/database');
+const FeeScheduleRepository = require('../repositories/FeeScheduleRepository');
+const FeePromotionRepository = require('../repositories/FeePromotionRepository');
+const MerchantRepository = require('../repositories/MerchantRepository');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+const FEE_TYPES = ['percentage', 'flat', 'tiered'];
+
+// What happens to the fee when a payment is refunded: 'proportional' returns the
+// share of the fee that belongs to the refunded amount, 'none' keeps the fee
+const FEE_REFUND_POLICIES = ['proportional', 'none'];
+const FEE_REFUND_POLICY = FEE_REFUND_POLICIES.includes(process.env.FEE_REFUND_POLICY)
+  ? process.env.FEE_REFUND_POLICY
+  : 'proportional';
+
+// Whether a value is a non-negative major-unit amount
+const isAmount = (value) => money.hasValidPrecision(value) && value >= 0;
+
+// Whether a value is a rate between 0 and 1 (0.1 = 10%)
+const isRate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Fee Service
+ * Calculates the fee charged on top of third-party payments and manages the
+ * fee schedules and promotions it is based on. A running promotion waives the
+ * fee; otherwise the merchant's own schedule applies, falling back to the
+ * default schedule. Schedules are stored in minor units; the service exposes
+ * amounts in major units.
+ */
+class FeeService {
+  constructor() {
+    this.scheduleRepo = new FeeScheduleRepository();
+    this.promotionRepo = new FeePromotionRepository();
+    this.merchantRepo = new MerchantRepository();
+  }
+
+  /**
+   * Check that a schedule or promotion refers to a registered merchant
+   * @param {string|undefined} thirdPartyId - Merchant ID, absent for the default or all merchants
+   */
+  async checkMerchant(thirdPartyId) {
+    if (thirdPartyId && !(await this.merchantRepo.findById(thirdPartyId))) {
+      throw new Error(t(null, 'errors.merchantNotFound'));
+    }
+  }
+
+  /**
+   * Calculate the fee of a schedule for an amount
+   * Percentage and flat fees charge rate * amount + flat amount; tiered fees
+   * use the first tier the amount fits into for the whole amount. The result
+   * is clamped to the schedule's minimum and maximum.
+   * @param {Object} schedule - Schedule row (amounts in minor units)
+   * @param {number} amount - Payment amount in minor units
+   * @returns {number} Fee in minor units
+   */
+  applySchedule(schedule, amount) {
+    let fee;
+    if (schedule.fee_type === 'tiered') {
+      const tiers = schedule.tiers || [];
+      const tier = tiers.find(candidate => candidate.upTo === null || amount <= candidate.upTo) || tiers[tiers.length - 1];
+      fee = tier ? money.applyRate(amount, tier.rate || 0) + (tier.flatAmount || 0) : 0;
+    } else {
+      fee = money.applyRate(amount, schedule.rate) + schedule.flat_amount;
+    }
+
+    if (schedule.min_fee !== null && fee < schedule.min_fee) {
+      fee = schedule.min_fee;
+    }
+    if (schedule.max_fee !== null && fee > schedule.max_fee) {
+      fee = schedule.max_fee;
+    }
+    return fee;
+  }
+
+  /**
+   * Calculate the fee of a third-party payment
+   * @param {Object} payment - Payment data
+   * @param {number} payment.amount - Payment amount in minor units
+   * @param {string} payment.thirdPartyId - Merchant ID
+   * @param {string} payment.at - Time of the payment (ISO string, default now)
+   * @returns {Promise<Object>} { feeAmount, scheduleId, promotionId } with the fee in minor units
+   */
+  async calculateFee({ amount, thirdPartyId, at = new Date().toISOString() }) {
+    const promotion = await this.promotionRepo.findRunning(thirdPartyId, at);
+    if (promotion) {
+      return { feeAmount: 0, scheduleId: null, promotionId: promotion.id };
+    }
+
+    const schedule = await this.scheduleRepo.findActive(thirdPartyId) || await this.scheduleRepo.findActive(null);
+    if (!schedule) {
+      return { feeAmount: 0, scheduleId: null, promotionId: null };
+    }
+    return { feeAmount: this.applySchedule(schedule, amount), scheduleId: schedule.id, promotionId: null };
+  }
+
+  /**
+   * Calculate the fee returned by a refund
+   * Under the proportional policy each refund returns its share of the fee,
+   * rounded down, and the refund that completes the payment returns whatever
+   * is left, so a full refund always returns the whole fee.
+   * @param {Object} refund - Refund data in minor units
+   * @param {number} refund.paymentAmount - Amount of the original payment
+   * @param {number} refund.paymentFee - Fee of the original payment
+   * @param {number} refund.refundedAmount - Amount refunded before
+   * @param {number} refund.refundedFee - Fee refunded before
+   * @param {number} refund.amount - Amount of this refund
+   * @returns {number} Fee to return in minor units
+   */
+  calculateRefundFee({ paymentAmount, paymentFee, refundedAmount, refundedFee, amount }) {
+    if (FEE_REFUND_POLICY === 'none' || paymentFee === 0) {
+      return 0;
+    }
+    if (refundedAmount + amount >= paymentAmount) {
+      return paymentFee - refundedFee;
+    }
+    return Math.min(Math.floor(paymentFee * amount / paymentAmount), paymentFee - refundedFee);
+  }
+
+  /**
+   * Quote the fee of a third-party payment
+   * @param {number} amount - Payment amount in major units
+   * @param {string} thirdPartyId - Merchant ID
+   * @returns {Promise<Object>} { amount, feeAmount, totalAmount, scheduleId, promotionId } in major units
+   */
+  async quote(amount, thirdPartyId) {
+    if (!money.hasValidPrecision(amount) || amount <= 0) {
+      throw new Error(t(null, 'errors.invalidFeeField', { field: 'amount' }));
+    }
+    if (!thirdPartyId || typeof thirdPartyId !== 'string') {
+      throw new Error(t(null, 'errors.invalidFeeField', { field: 'thirdPartyId' }));
+    }
+
+    const amountMinor = money.toMinorUnits(amount);
+    const { feeAmount, scheduleId, promotionId } = await this.calculateFee({ amount: amountMinor, thirdPartyId });
+    return {
+      amount,
+      feeAmount: money.fromMinorUnits(feeAmount),
+      totalAmount: money.fromMinorUnits(amountMinor + feeAmount),
+      scheduleId,
+      promotionId
+    };
+  }
+
+  /**
+   * Validate and convert schedule input
+   * @param {Object} data - Schedule fields from the API (amounts in major units)
+   * @param {boolean} partial - Only validate the fields present (updates)
+   * @returns {Object} Repository fields (amounts in minor units)
+   */
+  normalizeScheduleInput(data, partial = false) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidFeeField', { field }));
+    const present = (field) => data[field] !== undefined;
+    const result = {};
+
+    if (present('name') || !partial) {
+      if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100) {
+        throw invalid('name');
+      }
+      result.name = data.name.trim();
+    }
+
+    if (!partial && present('thirdPartyId') && data.thirdPartyId !== null) {
+      if (typeof data.thirdPartyId !== 'string' || !data.thirdPartyId.trim()) {
+        throw invalid('thirdPartyId');
+      }
+      result.thirdPartyId = data.thirdPartyId.trim();
+    }
+
+    if (present('feeType') || !partial) {
+      if (!FEE_TYPES.includes(data.feeType)) {
+        throw invalid('feeType');
+      }
+      result.feeType = data.feeType;
+    }
+
+    if (present('rate')) {
+      if (!isRate(data.rate)) {
+        throw invalid('rate');
+      }
+      result.rate = data.rate;
+    }
+
+    if (present('flatAmount')) {
+      if (!isAmount(data.flatAmount)) {
+        throw invalid('flatAmount');
+      }
+      result.flatAmount = money.toMinorUnits(data.flatAmount);
+    }
+
+    if (present('tiers')) {
+      result.tiers = data.tiers === null ? null : this.normalizeTiers(data.tiers);
+    }
+
+    for (const field of ['minFee', 'maxFee']) {
+      if (present(field)) {
+        if (data[field] !== null && !isAmount(data[field])) {
+          throw invalid(field);
+        }
+        result[field] = data[field] === null ? null : money.toMinorUnits(data[field]);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and convert the tiers of a tiered schedule
+   * Tiers are ordered by their upper bound; only the last may be unbounded (upTo null).
+   * @param {Array} tiers - Tiers as [{ upTo, rate, flatAmount }] in major units
+   * @returns {Array} Tiers in minor units
+   */
+  normalizeTiers(tiers) {
+    const invalid = () => new Error(t(null, 'errors.invalidFeeField', { field: 'tiers' }));
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > 20) {
+      throw invalid();
+    }
+
+    let previous = 0;
+    return tiers.map((tier, index) => {
+      const { upTo = null, rate = 0, flatAmount = 0 } = tier || {};
+      const last = index === tiers.length - 1;
+      if (upTo === null ? !last : !(isAmount(upTo) && money.toMinorUnits(upTo) > previous)) {
+        throw invalid();
+      }
+      if (!isRate(rate) || !isAmount(flatAmount)) {
+        throw invalid();
+      }
+      previous = upTo === null ? previous : money.toMinorUnits(upTo);
+      return {
+        upTo: upTo === null ? null : money.toMinorUnits(upTo),
+        rate,
+        flatAmount: money.toMinorUnits(flatAmount)
+      };
+    });
+  }
+
+  /**
+   * Check that a schedule is complete for its fee type
+   * @param {Object} schedule - Schedule in repository form (camelCase, minor units)
+   */
+  checkSchedule(schedule) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidFeeField', { field }));
+    if (schedule.feeType === 'tiered' && !schedule.tiers) {
+      throw invalid('tiers');
+    }
+    if (schedule.feeType === 'flat' && schedule.rate > 0) {
+      throw invalid('rate');
+    }
+    if (schedule.minFee !== null && schedule.maxFee !== null && schedule.minFee > schedule.maxFee) {
+      throw invalid('maxFee');
+    }
+  }
+
+  /**
+   * Create a fee schedule
+   * @param {Object} scheduleData - Schedule data (amounts in major units)
+   * @param {string} scheduleData.name - Schedule name
+   * @param {string|null} scheduleData.thirdPartyId - ID of a registered merchant (optional, the default schedule without)
+   * @param {string} scheduleData.feeType - 'percentage', 'flat' or 'tiered'
+   * @param {number} scheduleData.rate - Rate for percentage fees (optional)
+   * @param {number} scheduleData.flatAmount - Fixed fee (optional)
+   * @param {Array} scheduleData.tiers - Tiers for tiered fees as [{ upTo, rate, flatAmount }]
+   * @param {number|null} scheduleData.minFee - Minimum fee (optional)
+   * @param {number|null} scheduleData.maxFee - Maximum fee (optional)
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(scheduleData) {
+    const fields = this.normalizeScheduleInput(scheduleData);
+    this.checkSchedule({ rate: 0, flatAmount: 0, tiers: null, minFee: null, maxFee: null, ...fields });
+    await this.checkMerchant(fields.thirdPartyId);
+    return await this.scheduleRepo.create(fields);
+  }
+
+  /**
+   * Get a fee schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object>} Schedule
+   */
+  async getSchedule(id) {
+    const schedule = await this.scheduleRepo.findById(id);
+    if (!schedule) {
+      throw new Error(t(null, 'errors.feeScheduleNotFound'));
+    }
+    return schedule;
+  }
+
+  /**
+   * List fee schedules
+   * @param {Object} filters - Optional thirdPartyId and status
+   * @returns {Promise<Array>} Schedules
+   */
+  async listSchedules(filters) {
+    return await this.scheduleRepo.findAll(filters);
+  }
+
+  /**
+   * Update a fee schedule
+   * @param {string} id - Schedule ID
+   * @param {Object} updates - Any of name, feeType, rate, flatAmount, tiers, minFee, maxFee (null clears a cap)
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(id, updates) {
+    const fields = this.normalizeScheduleInput(updates, true);
+
+    return await dbAsync.transaction(async () => {
+      const schedule = await this.getSchedule(id);
+      if (schedule.status !== 'ACTIVE') {
+        throw new Error(t(null, 'errors.feeScheduleDisabled'));
+      }
+
+      this.checkSchedule({
+        feeType: schedule.fee_type,
+        rate: schedule.rate,
+        flatAmount: schedule.flat_amount,
+        tiers: schedule.tiers,
+        minFee: schedule.min_fee,
+        maxFee: schedule.max_fee,
+        ...fields
+      });
+      return await this.scheduleRepo.update(id, fields);
+    });
+  }
+
+  /**
+   * Disable a fee schedule
+   * Payments of its merchant fall back to the default schedule afterwards.
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object>} Disabled schedule
+   */
+  async disableSchedule(id) {
+    return await dbAsync.transaction(async () => {
+      await this.getSchedule(id);
+      if (!(await this.scheduleRepo.disable(id))) {
+        throw new Error(t(null, 'errors.feeScheduleDisabled'));
+      }
+      return await this.scheduleRepo.findById(id);
+    });
+  }
+
+  /**
+   * Validate and convert promotion input
+   * @param {Object} data - Promotion fields from the API
+   * @param {boolean} partial - Only validate the fields present (updates)
+   * @returns {Object} Repository fields (dates as ISO strings)
+   */
+  normalizePromotionInput(data, partial = false) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidFeeField', { field }));
+    const present = (field) => data[field] !== undefined;
+    const result = {};
+
+    if (present('name') || !partial) {
+      if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100) {
+        throw invalid('name');
+      }
+      result.name = data.name.trim();
+    }
+
+    if (!partial && present('thirdPartyId') && data.thirdPartyId !== null) {
+      if (typeof data.thirdPartyId !== 'string' || !data.thirdPartyId.trim()) {
+        throw invalid('thirdPartyId');
+      }
+      result.thirdPartyId = data.thirdPartyId.trim();
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+      if (present(field) || !partial) {
+        if (!data[field] || isNaN(new Date(data[field]).getTime())) {
+          throw invalid(field);
+        }
+        result[field] = new Date(data[field]).toISOString();
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check that a promotion window ends after it starts
+   * @param {string} startsAt - Start (ISO string)
+   * @param {string} endsAt - End (ISO string)
+   */
+  checkPromotionWindow(startsAt, endsAt) {
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      throw new Error(t(null, 'errors.invalidFeeField', { field: 'endsAt' }));
+    }
+  }
+
+  /**
+   * Create a fee promotion
+   * @param {Object} promotionData - Promotion data
+   * @param {string} promotionData.name - Promotion name
+   * @param {string|null} promotionData.thirdPartyId - ID of a registered merchant (optional, all merchants without)
+   * @param {string} promotionData.startsAt - Start of the fee-free window
+   * @param {string} promotionData.endsAt - End of the fee-free window
+   * @returns {Promise<Object>} Created promotion
+   */
+  async createPromotion(promotionData) {
+    const fields = this.normalizePromotionInput(promotionData);
+    this.checkPromotionWindow(fields.startsAt, fields.endsAt);
+    await this.checkMerchant(fields.thirdPartyId);
+    return await this.promotionRepo.create(fields);
+  }
+
+  /**
+   * List fee promotions
+   * @returns {Promise<Array>} Promotions, latest start first
+   */
+  async listPromotions() {
+    return await this.promotionRepo.findAll();
+  }
+
+  /**
+   * Update a fee promotion
+   * @param {string} id - Promotion ID
+   * @param {Object} updates - Any of name, startsAt, endsAt
+   * @returns {Promise<Object>} Updated promotion
+   */
+  async updatePromotion(id, updates) {
+    const fields = this.normalizePromotionInput(updates, true);
+
+    return await dbAsync.transaction(async () => {
+      const promotion = await this.promotionRepo.findById(id);
+      if (!promotion) {
+        throw new Error(t(null, 'errors.feePromotionNotFound'));
+      }
+      if (promotion.status !== 'ACTIVE') {
+        throw new Error(t(null, 'errors.feePromotionDisabled'));
+      }
+
+      this.checkPromotionWindow(fields.startsAt || promotion.starts_at, fields.endsAt || promotion.ends_at);
+      return await this.promotionRepo.update(id, fields);
+    });
+  }
+
+  /**
+   * Disable a fee promotion
+   * @param {string} id - Promotion ID
+   * @returns {Promise<Object>} Disabled promotion
+   */
+  async disablePromotion(id) {
+    return await dbAsync.transaction(async () => {
+      if (!(await this.promotionRepo.findById(id))) {
+        throw new Error(t(null, 'errors.feePromotionNotFound'));
+      }
+      if (!(await this.promotionRepo.disable(id))) {
+        throw new Error(t(null, 'errors.feePromotionDisabled'));
+      }
+      return await this.promotionRepo.findById(id);
+    });
+  }
+}
+
+module.exports = new FeeService();
\ No newline at end of file
@@ -11,12 +11,15 @@ class InterestScheduler {
     this.interestService = new InterestService();
     this.monthlyJob = null;
     this.checkJob = null;
+    this.accrualJob = null;
   }
 
   /**
    * Start interest scheduler 
-   * Set up a monthly job to run at UTC+0 00:00 on the 1st of each month to calculate monthly interest
-   * Also set up a daily job to check for any missed interest payments at UTC+0 12:00
+   * Set up a monthly job to run at UTC+0 00:00 on the 1st of each month to pay the interest of the month that ended
+   * Also set up a daily job to accrue the interest of the previous day at UTC+0 00:05
+   * and a daily job to check for any missed interest payments at UTC+0 12:00.
+   * Periods missed while the server was down are backfilled at startup.
    */
   async start() {
     try {
@@ -43,6 +46,13 @@ class InterestScheduler {
         }
       });
       
+      // Set up daily job to accrue the interest of the previous day at UTC+0 00:05
+      // Format: 'sec min hour day month day-of-week'
+      // 0 5 0 * * * Run at 00:05:00 UTC+0 every day
+      this.accrualJob = schedule.scheduleJob('0 5 0 * * *', async () => {
+        await this.accrueNow();
+      });
+      
       // Set up daily job to check for any missed interest payments at UTC+0 12:00
       // Format: 'sec min hour day month day-of-week'
       // 0 0 12 * * * Run at 12:00:00 UTC+0 every day
@@ -50,7 +60,7 @@ class InterestScheduler {
         console.log(`[${new Date().toISOString()}] Executing interest payment check task`);
         
         try {
-          const result = await this.interestService.checkAndReissuePendingInterest();
+          const result = await this.interestService.backfillMissingInterest();
           if (result.success) {
             console.log(`[${new Date().toISOString()}] Interest payment check task executed successfully:`, result);
           } else {
@@ -65,9 +75,14 @@ class InterestScheduler {
       console.log('Next monthly interest calculation time:', this.monthlyJob.nextInvocation());
       console.log('Interest payment check scheduler started, will execute daily at UTC+0 12:00');
       console.log('Next interest payment check time:', this.checkJob.nextInvocation());
+      console.log('Interest accrual scheduler started, will accrue the previous day daily at UTC+0 00:05');
       
-      // Start immediate check for any missed interest payments
-      this.checkMissingInterest();
+      // Start immediate accrual of missed days, then backfill any missed interest periods
+      this.accrueNow()
+        .then(() => this.checkMissingInterest())
+        .catch((error) => {
+          console.error(`[${new Date().toISOString()}] ${t(null, 'errors.interestPaymentCheckException')}:`, error);
+        });
       
       return { success: true };
     } catch (error) {
@@ -91,6 +106,11 @@ class InterestScheduler {
       this.checkJob = null;
     }
     
+    if (this.accrualJob) {
+      this.accrualJob.cancel();
+      this.accrualJob = null;
+    }
+    
     console.log('Interest scheduler stopped');
   }
 
@@ -113,13 +133,31 @@ class InterestScheduler {
     return await this.interestService.processMonthlyInterest(period);
   }
 
+  /**
+   * Accrue the interest of the days since the last accrued day, up to yesterday
+   * Errors are logged, not thrown, so the scheduler keeps running.
+   * @returns {Promise<Object|null>} { days } accrued, or null on failure
+   */
+  async accrueNow() {
+    try {
+      const result = await this.interestService.accrueMissingDays();
+      console.log(`[${new Date().toISOString()}] Interest accrued for ${result.days.length} day(s)`);
+      return result;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ${t(null, 'errors.interestAccrualFailed')}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Execute interest payment check now (for testing or manual trigger)
+   * Creates the periods that were missed since the last completed one and
+   * processes them together with any pending or failed periods, in order.
    * @returns {Promise<Object>} Execution result
    */
   async checkMissingInterest() {
     console.log('Manual trigger interest payment check...');
-    return await this.interestService.checkAndReissuePendingInterest();
+    return await this.interestService.backfillMissingInterest();
   }
 
   /**
@@ -1,40 +1,489 @@
 const { dbAsync } = require('../config/database');
 const WalletRepository = require('../repositories/WalletRepository');
 const TransactionRepository = require('../repositories/TransactionRepository');
+const InterestPolicyRepository = require('../repositories/InterestPolicyRepository');
+const InterestAccrualRepository = require('../repositories/InterestAccrualRepository');
+const InterestPostingRepository = require('../repositories/InterestPostingRepository');
+const eventBus = require('./EventBus');
 const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+// Wallets posted between progress updates of a monthly interest run
+const INTEREST_CHUNK_SIZE = parseInt(process.env.INTEREST_CHUNK_SIZE, 10) || 100;
+
+// Longest interest projection, in months
+const MAX_PROJECTION_MONTHS = 60;
+
+// Interest periods are calendar months, format: YYYY-MM
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Whether a value is a non-negative major-unit amount
+const isAmount = (value) => money.hasValidPrecision(value) && value >= 0;
+
+// Whether a value is an annual rate between -1 and 1 (0.01 = 1%)
+const isAnnualRate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -1 && value <= 1;
+
+// Number of days in an interest period
+const daysInPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+// Day (YYYY-MM-DD) a number of days after another
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00.000Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+// Interest period in progress, format: YYYY-MM
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+// Interest period before the current one, format: YYYY-MM
+const previousPeriod = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+};
+
+// Interest period after another, format: YYYY-MM
+const nextPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 7);
+};
+
+// Backfill in progress, shared by callers that start one while it runs
+let backfillRun = null;
 
 /**
  * Interest Service
- * Responsible for processing monthly interest calculations and payments
+ * Responsible for processing monthly interest calculations and payments. The
+ * rate comes from the interest policy in force for the period, which admins
+ * schedule ahead of time; policies are stored in minor units and exposed by
+ * the service in major units. Interest accrues daily on each wallet's balance
+ * at the end of the day, and the monthly run posts what a period accrued, so
+ * money earns interest for the days it was actually held.
  */
 class InterestService {
   constructor() {
     this.walletRepo = new WalletRepository();
     this.transactionRepo = new TransactionRepository();
-    // Default monthly interest rate (1% annual rate, monthly rate ~ 0.083%)
-    this.monthlyInterestRate = 0.01 / 12;
+    this.policyRepo = new InterestPolicyRepository();
+    this.accrualRepo = new InterestAccrualRepository();
+    this.postingRepo = new InterestPostingRepository();
   }
 
   /**
-   * Set monthly interest rate
-   * @param {number} rate - Monthly interest rate (e.g. 0.0008 for 0.08%)
+   * Get the interest policy in force for a period
+   * @param {string} period - Interest period, format: YYYY-MM
+   * @returns {Promise<Object|null>} Policy, or null when none applies (no interest)
    */
-  setMonthlyInterestRate(rate) {
-    if (typeof rate !== 'number') {
-      throw new Error(t(null, 'errors.interestRateMustBeNumber'));
+  async getPolicyForPeriod(period) {
+    return await this.policyRepo.findInForce(period);
+  }
+
+  /**
+   * Calculate a month of interest on a balance, before rounding and the cap
+   * The balance up to the first tier earns the policy's annual rate and the
+   * part above each tier's threshold earns that tier's rate, a twelfth of it
+   * per month. Balances below the minimum balance earn nothing.
+   * @param {number} balance - Balance in minor units
+   * @param {Object|null} policy - Policy row in force for the period
+   * @returns {number} Interest in minor units, unrounded
+   */
+  calculateUnroundedInterest(balance, policy) {
+    if (!policy || balance <= 0 || balance < policy.min_balance) {
+      return 0;
+    }
+
+    const bands = [{ above: 0, annualRate: policy.annual_rate }, ...(policy.tiers || [])];
+    let interest = 0;
+    bands.forEach((band, index) => {
+      const next = bands[index + 1];
+      const upTo = next ? Math.min(balance, next.above) : balance;
+      if (upTo > band.above) {
+        interest += (upTo - band.above) * band.annualRate / 12;
+      }
+    });
+    return interest;
+  }
+
+  /**
+   * Round the interest of a period and cap it at the policy's maximum
+   * @param {number} interest - Interest in minor units, unrounded
+   * @param {Object|null} policy - Policy row in force for the period
+   * @returns {number} Interest in minor units, rounded half away from zero
+   */
+  capInterest(interest, policy) {
+    let rounded = money.roundHalfAwayFromZero(interest) || 0;
+    if (policy && policy.max_interest !== null && Math.abs(rounded) > policy.max_interest) {
+      rounded = Math.sign(rounded) * policy.max_interest;
     }
-    this.monthlyInterestRate = rate;
+    return rounded;
   }
 
   /**
    * Calculate interest for a single wallet
-   * @param {Object} wallet - Wallet object
-   * @returns {number} Calculated interest
+   * A month of interest on the wallet's current balance, rounded and capped.
+   * @param {Object} wallet - Wallet object (balance in minor units)
+   * @param {Object|null} policy - Policy row in force for the period
+   * @returns {number} Calculated interest in minor units, rounded half away from zero
+   */
+  calculateInterest(wallet, policy) {
+    return this.capInterest(this.calculateUnroundedInterest(wallet.balance, policy), policy);
+  }
+
+  /**
+   * Accrue a day of interest for all wallets
+   * Each wallet accrues its share of the month's interest on its balance at
+   * the end of the day, taken from the transaction history, so days can be
+   * accrued late. A day is accrued only once.
+   * @param {string} date - Day to accrue, format: YYYY-MM-DD
+   * @returns {Promise<Object>} { date, accrued, walletCount, totalAccrued } with the total in minor units, unrounded
+   */
+  async accrueDailyInterest(date) {
+    const period = date.slice(0, 7);
+
+    return await dbAsync.transaction(async () => {
+      if (await this.accrualRepo.isDayAccrued(date)) {
+        return { date, accrued: false, walletCount: 0, totalAccrued: 0 };
+      }
+
+      const policy = await this.getPolicyForPeriod(period);
+      const days = daysInPeriod(period);
+      const wallets = await this.walletRepo.findBalancesAt(`${addDays(date, 1)}T00:00:00.000Z`);
+
+      let walletCount = 0;
+      let totalAccrued = 0;
+      for (const wallet of wallets) {
+        const amount = this.calculateUnroundedInterest(wallet.balance, policy) / days;
+        if (amount !== 0) {
+          await this.accrualRepo.create({
+            walletId: wallet.id,
+            accrualDate: date,
+            period,
+            balance: wallet.balance,
+            amount,
+            policyId: policy.id
+          });
+          walletCount++;
+          totalAccrued += amount;
+        }
+      }
+
+      await this.accrualRepo.recordDay({ accrualDate: date, period, walletCount, totalAccrued });
+      return { date, accrued: true, walletCount, totalAccrued };
+    });
+  }
+
+  /**
+   * Accrue the days since the last accrued day, up to and including yesterday
+   * Without any accrued day, only yesterday is accrued.
+   * @returns {Promise<Object>} { days } the days accrued
+   */
+  async accrueMissingDays() {
+    const yesterday = addDays(new Date().toISOString().slice(0, 10), -1);
+    const last = await this.accrualRepo.findLastAccruedDay();
+    const days = [];
+    for (let date = last ? addDays(last, 1) : yesterday; date <= yesterday; date = addDays(date, 1)) {
+      await this.accrueDailyInterest(date);
+      days.push(date);
+    }
+    return { days };
+  }
+
+  /**
+   * Accrue every day of a period that has not been accrued yet
+   * Days from today on have no end-of-day balance yet and are left out.
+   * @param {string} period - Interest period, format: YYYY-MM
+   * @returns {Promise<void>}
+   */
+  async accruePeriod(period) {
+    const yesterday = addDays(new Date().toISOString().slice(0, 10), -1);
+    const days = daysInPeriod(period);
+    for (let day = 1; day <= days; day++) {
+      const date = `${period}-${String(day).padStart(2, '0')}`;
+      if (date > yesterday) {
+        break;
+      }
+      await this.accrueDailyInterest(date);
+    }
+  }
+
+  /**
+   * Get the interest a wallet has accrued but not been paid yet
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<number>} Accrued interest in minor units, rounded and capped per period
+   */
+  async getAccruedInterest(walletId) {
+    const periods = await this.accrualRepo.sumUnpostedByPeriod(walletId);
+    let accrued = 0;
+    for (const { period, amount } of periods) {
+      accrued += this.capInterest(amount, await this.getPolicyForPeriod(period));
+    }
+    return accrued;
+  }
+
+  /**
+   * Get the latest period at or after a period whose interest has been posted
+   * @param {string} period - Interest period, format: YYYY-MM
+   * @returns {Promise<string|null>} Posted period, or null
+   */
+  async getLatestPostedPeriod(period) {
+    const log = await dbAsync.get(
+      `SELECT period FROM interest_logs
+       WHERE status = 'COMPLETED' AND period >= ?
+       ORDER BY period DESC
+       LIMIT 1`,
+      [period]
+    );
+    return log ? log.period : null;
+  }
+
+  /**
+   * Validate and convert policy input
+   * @param {Object} data - Policy fields from the API (amounts in major units)
+   * @returns {Object} Repository fields (amounts in minor units)
+   */
+  normalizePolicyInput(data) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidInterestPolicyField', { field }));
+
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100) {
+      throw invalid('name');
+    }
+    if (typeof data.effectiveFrom !== 'string' || !PERIOD_PATTERN.test(data.effectiveFrom)) {
+      throw invalid('effectiveFrom');
+    }
+
+    return {
+      name: data.name.trim(),
+      effectiveFrom: data.effectiveFrom,
+      ...this.normalizeRateInput(data)
+    };
+  }
+
+  /**
+   * Validate and convert the rates of policy input
+   * @param {Object} data - { annualRate, tiers, minBalance, maxInterest } (amounts in major units)
+   * @returns {Object} The same fields with amounts in minor units
+   */
+  normalizeRateInput(data) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidInterestPolicyField', { field }));
+
+    if (!isAnnualRate(data.annualRate)) {
+      throw invalid('annualRate');
+    }
+
+    const result = {
+      annualRate: data.annualRate,
+      tiers: null,
+      minBalance: 0,
+      maxInterest: null
+    };
+
+    if (data.tiers !== undefined && data.tiers !== null) {
+      result.tiers = this.normalizeTiers(data.tiers);
+    }
+    if (data.minBalance !== undefined) {
+      if (!isAmount(data.minBalance)) {
+        throw invalid('minBalance');
+      }
+      result.minBalance = money.toMinorUnits(data.minBalance);
+    }
+    if (data.maxInterest !== undefined && data.maxInterest !== null) {
+      if (!isAmount(data.maxInterest)) {
+        throw invalid('maxInterest');
+      }
+      result.maxInterest = money.toMinorUnits(data.maxInterest);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and convert the tiers of a policy
+   * Thresholds must be positive and increasing.
+   * @param {Array} tiers - Tiers as [{ above, annualRate }] in major units
+   * @returns {Array} Tiers in minor units
+   */
+  normalizeTiers(tiers) {
+    const invalid = () => new Error(t(null, 'errors.invalidInterestPolicyField', { field: 'tiers' }));
+    if (!Array.isArray(tiers) || tiers.length > 20) {
+      throw invalid();
+    }
+
+    let previous = 0;
+    return tiers.map((tier) => {
+      const { above, annualRate } = tier || {};
+      if (!isAmount(above) || money.toMinorUnits(above) <= previous || !isAnnualRate(annualRate)) {
+        throw invalid();
+      }
+      previous = money.toMinorUnits(above);
+      return { above: previous, annualRate };
+    });
+  }
+
+  /**
+   * Check that no interest has been posted or accrued from a period on
+   * Posted interest is final, and accrued days keep the amounts of the policy
+   * they were accrued under while the cap comes from the policy at posting, so
+   * policies may only change periods that have not accrued yet.
+   * @param {string} period - First period the change affects
+   */
+  async checkNotPosted(period) {
+    const posted = await this.getLatestPostedPeriod(period);
+    if (posted) {
+      throw new Error(t(null, 'errors.interestPolicyPeriodPosted', { period: posted }));
+    }
+    const accrued = await this.accrualRepo.findFirstAccruedDayFrom(period);
+    if (accrued) {
+      throw new Error(t(null, 'errors.interestPolicyPeriodAccrued', { date: accrued }));
+    }
+  }
+
+  /**
+   * Schedule an interest policy
+   * @param {Object} policyData - Policy data (amounts in major units)
+   * @param {string} policyData.name - Policy name
+   * @param {string} policyData.effectiveFrom - First period it applies to (YYYY-MM)
+   * @param {number} policyData.annualRate - Annual rate of the balance (0.01 = 1%, negative rates debit interest)
+   * @param {Array} policyData.tiers - Rates of the balance above thresholds as [{ above, annualRate }] (optional)
+   * @param {number} policyData.minBalance - Balance below which no interest is paid (optional)
+   * @param {number|null} policyData.maxInterest - Maximum interest per wallet and period (optional)
+   * @returns {Promise<Object>} Created policy
+   */
+  async createPolicy(policyData) {
+    const fields = this.normalizePolicyInput(policyData);
+    return await dbAsync.transaction(async () => {
+      await this.checkNotPosted(fields.effectiveFrom);
+      return await this.policyRepo.create(fields);
+    });
+  }
+
+  /**
+   * Get an interest policy
+   * @param {string} id - Policy ID
+   * @returns {Promise<Object>} Policy
+   */
+  async getPolicy(id) {
+    const policy = await this.policyRepo.findById(id);
+    if (!policy) {
+      throw new Error(t(null, 'errors.interestPolicyNotFound'));
+    }
+    return policy;
+  }
+
+  /**
+   * List interest policies
+   * @param {Object} filters - Optional status
+   * @returns {Promise<Array>} Policies, latest effective period first
+   */
+  async listPolicies(filters) {
+    return await this.policyRepo.findAll(filters);
+  }
+
+  /**
+   * Cancel a scheduled interest policy
+   * The previous policy stays in force instead.
+   * @param {string} id - Policy ID
+   * @returns {Promise<Object>} Cancelled policy
+   */
+  async cancelPolicy(id) {
+    return await dbAsync.transaction(async () => {
+      const policy = await this.getPolicy(id);
+      if (policy.status !== 'ACTIVE') {
+        throw new Error(t(null, 'errors.interestPolicyCancelled'));
+      }
+      await this.checkNotPosted(policy.effective_from);
+      await this.policyRepo.cancel(id);
+      return await this.policyRepo.findById(id);
+    });
+  }
+
+  /**
+   * Preview a month of interest on the current balances
+   * Runs the interest calculation for every wallet without writing anything,
+   * either under the policy in force for a period or under a policy that has
+   * not been scheduled yet, to see the effect of a rate change.
+   * @param {Object} options - Preview options
+   * @param {string} options.period - Period whose policy applies (YYYY-MM, default: the current month)
+   * @param {Object} options.policy - Policy to preview instead, as { annualRate, tiers, minBalance, maxInterest } in major units (optional)
+   * @returns {Promise<Object>} { period, policy, wallets: [{ id, username, balance, interest }], totalInterest } in minor units
    */
-  calculateInterest(wallet) {
-    const balance = parseFloat(wallet.balance);
-    // Interest = Balance * Monthly Interest Rate
-    return balance * this.monthlyInterestRate;
+  async previewInterest(options = {}) {
+    const period = options.period === undefined ? new Date().toISOString().slice(0, 7) : options.period;
+    if (typeof period !== 'string' || !PERIOD_PATTERN.test(period)) {
+      throw new Error(t(null, 'errors.invalidInterestPolicyField', { field: 'period' }));
+    }
+
+    let policy;
+    if (options.policy !== undefined && options.policy !== null) {
+      if (typeof options.policy !== 'object') {
+        throw new Error(t(null, 'errors.invalidInterestPolicyField', { field: 'policy' }));
+      }
+      const rates = this.normalizeRateInput(options.policy);
+      policy = {
+        id: null,
+        name: null,
+        effective_from: period,
+        annual_rate: rates.annualRate,
+        tiers: rates.tiers,
+        min_balance: rates.minBalance,
+        max_interest: rates.maxInterest,
+        status: null,
+        created_at: null,
+        updated_at: null
+      };
+    } else {
+      policy = await this.getPolicyForPeriod(period);
+    }
+
+    const wallets = (await this.walletRepo.findAll({ limit: null })).map(wallet => ({
+      id: wallet.id,
+      username: wallet.username,
+      balance: wallet.balance,
+      interest: this.calculateInterest(wallet, policy)
+    }));
+    return {
+      period,
+      policy,
+      wallets,
+      totalInterest: wallets.reduce((total, wallet) => total + wallet.interest, 0)
+    };
+  }
+
+  /**
+   * Project the interest of a wallet over the coming months
+   * An estimate: the current balance is assumed to change only by the projected
+   * interest, which compounds monthly under the policy in force for each month
+   * (including policies scheduled ahead of time).
+   * @param {string} walletId - Wallet ID
+   * @param {number} months - Number of months from the current one, 1 to MAX_PROJECTION_MONTHS
+   * @returns {Promise<Object>} { balance, months: [{ period, interest, balance }], totalInterest } in minor units
+   */
+  async projectInterest(walletId, months) {
+    if (!Number.isInteger(months) || months < 1 || months > MAX_PROJECTION_MONTHS) {
+      throw new Error(t(null, 'errors.invalidInterestProjectionMonths', { max: MAX_PROJECTION_MONTHS }));
+    }
+    const wallet = await this.walletRepo.findById(walletId);
+    if (!wallet) {
+      throw new Error(t(null, 'errors.walletNotFound'));
+    }
+
+    const projection = [];
+    let balance = wallet.balance;
+    let period = new Date().toISOString().slice(0, 7);
+    for (let index = 0; index < months; index++) {
+      const interest = this.calculateInterest({ balance }, await this.getPolicyForPeriod(period));
+      balance += interest;
+      projection.push({ period, interest, balance });
+      period = nextPeriod(period);
+    }
+
+    return {
+      balance: wallet.balance,
+      months: projection,
+      totalInterest: balance - wallet.balance
+    };
   }
 
   /**
@@ -50,7 +499,7 @@ class InterestService {
           status TEXT NOT NULL CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED')),
           total_wallets INTEGER NOT NULL DEFAULT 0,
           processed_count INTEGER NOT NULL DEFAULT 0,
-          total_interest REAL NOT NULL DEFAULT 0,
+          total_interest INTEGER NOT NULL DEFAULT 0,
           error_message TEXT,
           created_at TEXT NOT NULL DEFAULT (datetime('now')),
           updated_at TEXT NOT NULL DEFAULT (datetime('now'))
@@ -143,14 +592,16 @@ class InterestService {
 
   /**
    * Get pending interest payment periods
+   * PROCESSING periods are included so that a run cut short by a restart is
+   * resumed; wallets it already posted are not posted again.
    * @returns {Promise<Array<string>>} Pending interest periods
    */
   async getPendingInterestPeriods() {
     try {
-      // Get all records with status PENDING or FAILED
+      // Get all records with status PENDING, PROCESSING or FAILED
       const logs = await dbAsync.all(
         `SELECT period FROM interest_logs 
-         WHERE status IN ('PENDING', 'FAILED') 
+         WHERE status IN ('PENDING', 'PROCESSING', 'FAILED') 
          ORDER BY period ASC`
       );
       return logs.map(log => log.period);
@@ -170,14 +621,90 @@ class InterestService {
     return await this.processMonthlyInterest();
   }
 
+  /**
+   * Post a period's interest to one wallet
+   * The wallet's balance change, its transaction, event and posting record are
+   * one unit of work, so a wallet is either fully posted or not at all.
+   * Negative interest never takes held funds or overdraws the wallet: it is
+   * debited up to the available balance, and the posting records the amount
+   * actually debited.
+   * @param {Object} wallet - Wallet as { id, username }
+   * @param {string} period - Interest period, format: YYYY-MM
+   * @param {number} interest - Interest in minor units (negative debits it)
+   * @returns {Promise<boolean>} Whether the wallet was posted (false if it already was)
+   */
+  async postWalletInterest(wallet, period, interest) {
+    return await dbAsync.transaction(async () => {
+      if (await this.postingRepo.isPosted(wallet.id, period)) {
+        return false;
+      }
+
+      if (interest < 0) {
+        const current = await this.walletRepo.findById(wallet.id);
+        if (!current) {
+          throw new Error(t(null, 'errors.walletDoesNotExist'));
+        }
+        const available = WalletRepository.availableBalance(current);
+        interest = available > 0 ? Math.max(interest, -available) : 0;
+      }
+
+      let transaction = null;
+      if (interest !== 0) { // Only wallets with interest changes get a transaction
+        const description = interest > 0 
+          ? `${period}Interest credit: ${money.format(interest)}` 
+          : `${period}Interest debit: ${money.format(Math.abs(interest))}`;
+
+        // Adjust the balance relative to its current value
+        if (interest > 0) {
+          await this.walletRepo.credit(wallet.id, interest);
+          transaction = await this.transactionRepo.createInterestCredit(
+            wallet.id,
+            interest,
+            description
+          );
+        } else {
+          await this.walletRepo.debit(wallet.id, Math.abs(interest));
+          transaction = await this.transactionRepo.createInterestDebit(
+            wallet.id,
+            Math.abs(interest),
+            description
+          );
+        }
+        await eventBus.publish('interest.posted', eventBus.transactionPayload(transaction, {
+          walletId: wallet.id,
+          username: wallet.username,
+          period
+        }));
+      }
+
+      await this.postingRepo.recordPosted({
+        walletId: wallet.id,
+        period,
+        amount: interest,
+        transactionId: transaction ? transaction.id : null
+      });
+      return true;
+    });
+  }
+
   /**
    * Process monthly interest payments for all wallets
-   * @param {string} targetPeriod - Optional, target month to process, format: YYYY-MM
-   * @returns {Promise<Object>} Processing result
+   * Days of the period that have not been accrued yet are accrued first; each
+   * wallet is then paid the sum of its accruals, rounded and capped. Wallets
+   * are posted one at a time in chunks of INTEREST_CHUNK_SIZE, and the log's
+   * processed_count is brought up to date after every chunk. A wallet that
+   * fails is recorded and skipped, leaving the log FAILED; running the period
+   * again only posts the wallets that have not been posted yet.
+   * @param {string} targetPeriod - Optional, target month to process, format: YYYY-MM; it must have ended
+   * @returns {Promise<Object>} Processing result (totalInterest in minor units)
+   * @throws {Error} When the period is the current one or in the future
    */
   async processMonthlyInterest(targetPeriod = null) {
-    // If no month is specified, use the current month
-    const period = targetPeriod || new Date().toISOString().slice(0, 7); // Format: YYYY-MM
+    // If no month is specified, use the previous month, the last one that has ended
+    const period = targetPeriod || previousPeriod(); // Format: YYYY-MM
+    if (period >= currentPeriod()) {
+      throw new Error(t(null, 'errors.interestPeriodNotEnded', { period }));
+    }
     console.log(t(null, 'info.startInterestProcessing', { period }));
     
     // Initialize interest payment log table
@@ -205,102 +732,105 @@ class InterestService {
     }
     
     // Update record status to PROCESSING
-    await this.updateInterestLog(logId, { status: 'PROCESSING' });
+    await this.updateInterestLog(logId, { status: 'PROCESSING', error_message: null });
     
     try {
-      // Start transaction
-      await dbAsync.beginTransaction();
-      
+      let summary;
       try {
-        // Get all wallets
-        const wallets = await this.walletRepo.findAll({ limit: null });
-        
+        // Accrue the rest of the period, then get the accruals and the policy
+        // in force for the period
+        await this.accruePeriod(period);
+        const policy = await this.getPolicyForPeriod(period);
+        const accruals = new Map(
+          (await this.accrualRepo.sumByWallet(period)).map(row => [row.wallet_id, row.amount])
+        );
+
         // Update total wallet count
-        await this.updateInterestLog(logId, { total_wallets: wallets.length });
-        
-        if (!wallets || wallets.length === 0) {
-          await dbAsync.commit();
-          await this.updateInterestLog(logId, {
-            status: 'COMPLETED',
-            processed_count: 0,
-            total_interest: 0
-          });
-          return {
-            success: true,
-            message: t(null, 'info.noWalletsForInterest'),
-            period,
-            processedCount: 0,
-            totalInterest: 0
-          };
-        }
+        await this.updateInterestLog(logId, { total_wallets: await this.walletRepo.count() });
+
+        // Post the wallets not posted yet, a chunk at a time
+        let lastWalletId = null;
+        for (;;) {
+          const wallets = await this.postingRepo.findUnpostedWallets(period, lastWalletId, INTEREST_CHUNK_SIZE);
+          if (wallets.length === 0) {
+            break;
+          }
 
-        let totalInterest = 0;
-        let processedCount = 0;
-
-        // Calculate and apply interest for each wallet
-        for (const wallet of wallets) {
-          const interest = this.calculateInterest(wallet);
-          
-          if (Math.abs(interest) > 0) { // Only process wallets with interest changes
-            const newBalance = parseFloat(wallet.balance) + interest;
-            
-            // Update wallet balance
-            await this.walletRepo.updateBalance(wallet.id, newBalance);
-            
-            // Create interest transaction record
-            const description = interest > 0 
-              ? `${period}Interest credit: ${interest.toFixed(2)}` 
-              : `${period}Interest debit: ${Math.abs(interest).toFixed(2)}`;
-            
-            if (interest > 0) {
-              await this.transactionRepo.createInterestCredit(
-                wallet.id,
-                interest,
-                description
-              );
-            } else {
-              await this.transactionRepo.createInterestDebit(
-                wallet.id,
-                Math.abs(interest),
-                description
-              );
+          for (const wallet of wallets) {
+            const interest = this.capInterest(accruals.get(wallet.id) || 0, policy);
+            try {
+              await this.postWalletInterest(wallet, period, interest);
+            } catch (error) {
+              console.error(t(null, 'errors.interestWalletPostingFailed', { walletId: wallet.id }) + ':', error);
+              await this.postingRepo.recordFailed({ walletId: wallet.id, period, errorMessage: error.message });
             }
-            
-            totalInterest += interest;
-            processedCount++;
           }
+          lastWalletId = wallets[wallets.length - 1].id;
+
+          // Record the progress of the run
+          summary = await this.postingRepo.summarize(period);
+          await this.updateInterestLog(logId, {
+            processed_count: summary.postedCount,
+            total_interest: summary.totalInterest
+          });
         }
+        summary = await this.postingRepo.summarize(period);
+      } catch (error) {
+        // Update record status to FAILED
+        await this.updateInterestLog(logId, {
+          status: 'FAILED',
+          error_message: error.message
+        });
+        throw error;
+      }
 
-        // Commit transaction
-        await dbAsync.commit();
-        
-        // Update record status to COMPLETED
+      const { postedCount: processedCount, failedCount, totalInterest } = summary;
+
+      if (failedCount > 0) {
+        const message = t(null, 'errors.interestWalletsFailed', { count: failedCount });
         await this.updateInterestLog(logId, {
-          status: 'COMPLETED',
+          status: 'FAILED',
           processed_count: processedCount,
-          total_interest: totalInterest
+          total_interest: totalInterest,
+          error_message: message
         });
-        
-        console.log(t(null, 'info.interestProcessingCompleted', { period, processedCount, totalInterest: totalInterest.toFixed(2) }));
-        
+        console.error(t(null, 'errors.interestProcessingError', { period }) + ':', message);
         return {
-          success: true,
-          message: t(null, 'info.interestProcessingCompleted', { period, processedCount, totalInterest: totalInterest.toFixed(2) }),
+          success: false,
+          message,
           period,
           processedCount,
+          failedCount,
           totalInterest
         };
-        
-      } catch (error) {
-        // Rollback transaction
-        await dbAsync.rollback();
-        // Update record status to FAILED
-        await this.updateInterestLog(logId, {
-          status: 'FAILED',
-          error_message: error.message
-        });
-        throw error;
       }
+      
+      // Update record status to COMPLETED
+      await this.updateInterestLog(logId, {
+        status: 'COMPLETED',
+        processed_count: processedCount,
+        total_interest: totalInterest
+      });
+
+      if (processedCount === 0) {
+        return {
+          success: true,
+          message: t(null, 'info.noWalletsForInterest'),
+          period,
+          processedCount: 0,
+          totalInterest: 0
+        };
+      }
+      
+      console.log(t(null, 'info.interestProcessingCompleted', { period, processedCount, totalInterest: money.format(totalInterest) }));
+      
+      return {
+        success: true,
+        message: t(null, 'info.interestProcessingCompleted', { period, processedCount, totalInterest: money.format(totalInterest) }),
+        period,
+        processedCount,
+        totalInterest
+      };
     } catch (error) {
       // Log error message
       console.error(t(null, 'errors.interestProcessingError', { period }) + ':', error);
@@ -377,6 +907,87 @@ class InterestService {
     };
   }
 
+  /**
+   * Get interest periods that were never started
+   * Every period after the last COMPLETED one (or, if none has been completed,
+   * from the month the first wallet was created) up to the previous month
+   * should have an interest log; periods without one were missed, e.g. because
+   * the server was down on the 1st.
+   * @returns {Promise<Array<string>>} Missing periods, oldest first
+   */
+  async getMissingInterestPeriods() {
+    await this.initInterestLogTable();
+    const row = await dbAsync.get(
+      `SELECT (SELECT MAX(period) FROM interest_logs WHERE status = 'COMPLETED') AS last_completed,
+              (SELECT substr(MIN(created_at), 1, 7) FROM wallets) AS first_wallet`
+    );
+    const start = row.last_completed ? nextPeriod(row.last_completed) : row.first_wallet;
+    const end = previousPeriod();
+    if (!start || start > end) {
+      return [];
+    }
+
+    const logged = new Set(
+      (await dbAsync.all('SELECT period FROM interest_logs WHERE period >= ? AND period <= ?', [start, end]))
+        .map(log => log.period)
+    );
+    const missing = [];
+    for (let period = start; period <= end; period = nextPeriod(period)) {
+      if (!logged.has(period)) {
+        missing.push(period);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Get interest periods that still need processing
+   * @returns {Promise<Object>} { missingPeriods, pendingLogs }: periods without a
+   *   log and the logs that are PENDING, PROCESSING or FAILED, oldest first
+   */
+  async getBackfillStatus() {
+    const missingPeriods = await this.getMissingInterestPeriods();
+    const pendingLogs = await dbAsync.all(
+      `SELECT * FROM interest_logs
+       WHERE status IN ('PENDING', 'PROCESSING', 'FAILED')
+       ORDER BY period ASC`
+    );
+    return { missingPeriods, pendingLogs };
+  }
+
+  /**
+   * Backfill missed interest periods
+   * Creates PENDING logs for the missing periods, then processes every pending
+   * period in order. A backfill started while another one runs shares its result.
+   * @returns {Promise<Object>} Reissue result with the backfilledPeriods that were created
+   */
+  async backfillMissingInterest() {
+    if (backfillRun) {
+      return await backfillRun;
+    }
+
+    backfillRun = (async () => {
+      const backfilledPeriods = await dbAsync.transaction(async () => {
+        const missing = await this.getMissingInterestPeriods();
+        for (const period of missing) {
+          await this.createInterestLog(period);
+        }
+        return missing;
+      });
+      if (backfilledPeriods.length > 0) {
+        console.log(t(null, 'info.interestPeriodsBackfilled', { periods: backfilledPeriods.join(', ') }));
+      }
+      const result = await this.checkAndReissuePendingInterest();
+      return { ...result, backfilledPeriods };
+    })();
+
+    try {
+      return await backfillRun;
+    } finally {
+      backfillRun = null;
+    }
+  }
+
   /**
    * Check and create necessary transaction types
    * Ensure transactions table supports interest_credit and interest_debit types
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const MerchantRepository = require('../repositories/MerchantRepository');
+const { t } = require('../config/i18n');
+
+const MERCHANT_STATUSES = ['ACTIVE', 'SUSPENDED'];
+
+// Merchant IDs appear in URLs and fee schedules, so they are kept to URL-safe slugs
+const MERCHANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// API keys look like mk_<random>; the prefix is kept to tell keys apart
+const API_KEY_PREFIX = 'mk_';
+const API_KEY_BYTES = 32;
+const STORED_PREFIX_LENGTH = 10;
+
+/**
+ * Merchant Service
+ * Onboards the merchants behind third-party payments and receipts and issues
+ * their API keys. A key is shown once when it is issued; only its hash is
+ * stored, and requests are matched to a merchant by that hash.
+ */
+class MerchantService {
+  constructor() {
+    this.merchantRepo = new MerchantRepository();
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} apiKey - API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Generate a new API key
+   * @returns {Object} { apiKey, apiKeyHash, apiKeyPrefix }
+   */
+  generateApiKey() {
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(API_KEY_BYTES).toString('base64url')}`;
+    return {
+      apiKey,
+      apiKeyHash: this.hashApiKey(apiKey),
+      apiKeyPrefix: apiKey.substring(0, STORED_PREFIX_LENGTH)
+    };
+  }
+
+  /**
+   * Validate merchant input
+   * @param {Object} data - Merchant fields from the API
+   * @param {boolean} partial - Only validate the fields present (updates)
+   * @returns {Object} Repository fields
+   */
+  normalizeMerchantInput(data, partial = false) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidMerchantField', { field }));
+    const present = (field) => data[field] !== undefined;
+    const result = {};
+
+    if (!partial) {
+      if (present('id') && (typeof data.id !== 'string' || !MERCHANT_ID_PATTERN.test(data.id))) {
+        throw invalid('id');
+      }
+      result.id = data.id || uuidv4();
+    }
+
+    if (present('name') || !partial) {
+      if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100) {
+        throw invalid('name');
+      }
+      result.name = data.name.trim();
+    }
+
+    if (present('contactEmail')) {
+      if (data.contactEmail !== null && (typeof data.contactEmail !== 'string' || !EMAIL_PATTERN.test(data.contactEmail))) {
+        throw invalid('contactEmail');
+      }
+      result.contactEmail = data.contactEmail;
+    }
+
+    if (partial && present('status')) {
+      if (!MERCHANT_STATUSES.includes(data.status)) {
+        throw invalid('status');
+      }
+      result.status = data.status;
+    }
+
+    return result;
+  }
+
+  /**
+   * Onboard a merchant and issue its first API key
+   * @param {Object} merchantData - Merchant data
+   * @param {string} merchantData.id - Merchant ID (optional, a UUID by default)
+   * @param {string} merchantData.name - Display name
+   * @param {string|null} merchantData.contactEmail - Contact address (optional)
+   * @returns {Promise<Object>} { merchant, apiKey }
+   */
+  async onboardMerchant(merchantData) {
+    const fields = this.normalizeMerchantInput(merchantData);
+    const { apiKey, apiKeyHash, apiKeyPrefix } = this.generateApiKey();
+    const merchant = await this.merchantRepo.create({ ...fields, apiKeyHash, apiKeyPrefix });
+    return { merchant, apiKey };
+  }
+
+  /**
+   * Get a merchant
+   * @param {string} id - Merchant ID
+   * @returns {Promise<Object>} Merchant
+   */
+  async getMerchant(id) {
+    const merchant = await this.merchantRepo.findById(id);
+    if (!merchant) {
+      throw new Error(t(null, 'errors.merchantNotFound'));
+    }
+    return merchant;
+  }
+
+  /**
+   * List merchants
+   * @param {Object} filters - Optional status
+   * @returns {Promise<Array>} Merchants by name
+   */
+  async listMerchants(filters) {
+    if (filters.status && !MERCHANT_STATUSES.includes(filters.status)) {
+      throw new Error(t(null, 'errors.invalidMerchantField', { field: 'status' }));
+    }
+    return await this.merchantRepo.findAll(filters);
+  }
+
+  /**
+   * Update a merchant
+   * Suspended merchants are rejected by requireMerchant until reactivated.
+   * @param {string} id - Merchant ID
+   * @param {Object} updates - Any of name, contactEmail, status
+   * @returns {Promise<Object>} Updated merchant
+   */
+  async updateMerchant(id, updates) {
+    const fields = this.normalizeMerchantInput(updates, true);
+    await this.getMerchant(id);
+    return await this.merchantRepo.update(id, fields);
+  }
+
+  /**
+   * Issue a new API key for a merchant, revoking the previous one
+   * @param {string} id - Merchant ID
+   * @returns {Promise<Object>} { merchant, apiKey }
+   */
+  async rotateApiKey(id) {
+    const { apiKey, apiKeyHash, apiKeyPrefix } = this.generateApiKey();
+    if (!(await this.merchantRepo.setApiKey(id, apiKeyHash, apiKeyPrefix))) {
+      throw new Error(t(null, 'errors.merchantNotFound'));
+    }
+    return { merchant: await this.merchantRepo.findById(id), apiKey };
+  }
+
+  /**
+   * Find the merchant of an API key
+   * @param {string} apiKey - API key sent by the merchant
+   * @returns {Promise<Object|null>} Merchant, or null for unknown keys
+   */
+  async authenticate(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+    return await this.merchantRepo.findByApiKeyHash(this.hashApiKey(apiKey));
+  }
+}
+
+module.exports = new MerchantService();
\ No newline at end of file
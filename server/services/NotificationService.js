@@ -0,0 +1,180 @@
+const NotificationRepository = require('../repositories/NotificationRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const eventBus = require('./EventBus');
+const realtimeService = require('./RealtimeService');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+// Events that create notifications or can leave the paying wallet with a low balance
+const NOTIFIED_EVENTS = [
+  'transfer.completed',
+  'receipt.credited',
+  'cdk.redeemed',
+  'interest.posted',
+  'payment.succeeded',
+  'refund.completed',
+  'balance.adjusted'
+];
+
+// Available balance (major units) below which a wallet is warned after money leaves it
+const LOW_BALANCE_THRESHOLD = process.env.LOW_BALANCE_THRESHOLD !== undefined
+  ? parseFloat(process.env.LOW_BALANCE_THRESHOLD)
+  : 28;
+
+/**
+ * Notification Service
+ * Keeps the in-app notification centre of every wallet. It consumes committed
+ * domain events from the event bus and notifies the receiving wallet of
+ * incoming transfers, third-party receipts, CDK redemptions and interest
+ * postings. When money leaves a wallet and its available balance drops below
+ * LOW_BALANCE_THRESHOLD it adds a low_balance notification, unless an unread
+ * one is already waiting. New notifications are also pushed to the wallet's
+ * live update stream.
+ */
+class NotificationService {
+  constructor() {
+    this.notificationRepo = new NotificationRepository();
+    this.walletRepo = new WalletRepository();
+  }
+
+  /**
+   * Convert a notification row to the API shape
+   * @param {Object} notification - Notification row
+   * @returns {Object} Notification
+   */
+  format(notification) {
+    return {
+      id: notification.id,
+      type: notification.type,
+      data: notification.data,
+      read: notification.read_at !== null,
+      readAt: notification.read_at,
+      createdAt: notification.created_at
+    };
+  }
+
+  /**
+   * Create a notification and push it to the wallet's streams
+   * @param {string} walletId - Wallet notified
+   * @param {string} type - Notification type
+   * @param {Object} event - Domain event it was created from
+   * @param {Object} data - Values shown in the message
+   * @returns {Promise<Object>} Created notification
+   */
+  async notify(walletId, type, event, data) {
+    const notification = await this.notificationRepo.create({ walletId, type, eventId: event.id, data });
+    realtimeService.sendToWallet(walletId, 'notification', this.format(notification));
+    return notification;
+  }
+
+  /**
+   * Create the notifications of a domain event
+   * Runs as the event bus consumer "notifications".
+   * @param {Object} event - Domain event { id, type, payload, createdAt }
+   * @returns {Promise<void>}
+   */
+  async handleEvent(event) {
+    const { payload } = event;
+    const amount = money.fromMinorUnits(payload.amount);
+
+    switch (event.type) {
+      case 'transfer.completed':
+        await this.notify(payload.toWalletId, 'transfer_received', event, {
+          transactionId: payload.transactionId,
+          amount,
+          fromUsername: payload.fromUsername
+        });
+        break;
+      case 'receipt.credited':
+        await this.notify(payload.walletId, 'receipt_credited', event, {
+          transactionId: payload.transactionId,
+          amount,
+          merchantName: payload.merchantName
+        });
+        break;
+      case 'cdk.redeemed':
+        await this.notify(payload.walletId, 'cdk_redeemed', event, {
+          transactionId: payload.transactionId,
+          amount,
+          keyPrefix: payload.keyPrefix
+        });
+        break;
+      case 'interest.posted':
+        await this.notify(payload.walletId, 'interest_posted', event, {
+          transactionId: payload.transactionId,
+          amount: payload.transactionType === 'interest_debit' ? -amount : amount,
+          period: payload.period
+        });
+        break;
+      default:
+        break;
+    }
+
+    // The sender of a transaction is the wallet money left
+    if (payload.fromWalletId) {
+      await this.checkLowBalance(payload.fromWalletId, event);
+    }
+  }
+
+  /**
+   * Warn a wallet whose available balance is below the threshold
+   * @param {string} walletId - Wallet ID
+   * @param {Object} event - Domain event that debited the wallet
+   * @returns {Promise<Object|null>} Created notification, or null
+   */
+  async checkLowBalance(walletId, event) {
+    const wallet = await this.walletRepo.findById(walletId);
+    if (!wallet) {
+      return null;
+    }
+    const available = WalletRepository.availableBalance(wallet);
+    if (available >= money.toMinorUnits(LOW_BALANCE_THRESHOLD) ||
+        await this.notificationRepo.hasUnread(walletId, 'low_balance')) {
+      return null;
+    }
+    return await this.notify(walletId, 'low_balance', event, {
+      balance: money.fromMinorUnits(available),
+      threshold: LOW_BALANCE_THRESHOLD
+    });
+  }
+
+  /**
+   * List the notifications of a wallet
+   * @param {string} walletId - Wallet ID
+   * @param {Object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Object>} { notifications, total, unread }
+   */
+  async listNotifications(walletId, options) {
+    const notifications = await this.notificationRepo.findByWallet(walletId, options);
+    const counts = await this.notificationRepo.countByWallet(walletId);
+    return { notifications, ...counts };
+  }
+
+  /**
+   * Mark a notification of a wallet as read
+   * @param {string} walletId - Owner of the notification
+   * @param {string} id - Notification ID
+   * @returns {Promise<Object>} Notification
+   */
+  async markRead(walletId, id) {
+    const notification = await this.notificationRepo.markRead(id, walletId);
+    if (!notification) {
+      throw new Error(t(null, 'errors.notificationNotFound'));
+    }
+    return notification;
+  }
+
+  /**
+   * Mark all notifications of a wallet as read
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllRead(walletId) {
+    return await this.notificationRepo.markAllRead(walletId);
+  }
+}
+
+const notificationService = new NotificationService();
+eventBus.subscribe('notifications', NOTIFIED_EVENTS, event => notificationService.handleEvent(event));
+
+module.exports = notificationService;
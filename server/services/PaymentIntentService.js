@@ -0,0 +1,264 @@
+const { dbAsync } = require('../config/database');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const PaymentIntentRepository = require('../repositories/PaymentIntentRepository');
+const feeService = require('./FeeService');
+const eventBus = require('./EventBus');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+// Longest (and default) lifetime of an intent in seconds; merchants may ask for less
+const PAYMENT_INTENT_TTL = parseInt(process.env.PAYMENT_INTENT_TTL, 10) || 7 * 24 * 60 * 60;
+const MIN_EXPIRES_IN = 60;
+const MAX_DESCRIPTION_LENGTH = 255;
+
+/**
+ * Payment Intent Service
+ * Two-phase payments for merchants: the merchant creates an intent, the wallet
+ * owner confirms it, which holds amount + fee on the wallet, and the merchant
+ * captures all or part of the amount or voids the intent. Intents that are not
+ * finished by their expiry are expired and their holds released.
+ *
+ * The fee is calculated on the captured amount and never exceeds the fee held
+ * at confirmation, so a capture always fits into the hold.
+ */
+class PaymentIntentService {
+  constructor() {
+    this.walletRepo = new WalletRepository();
+    this.transactionRepo = new TransactionRepository();
+    this.intentRepo = new PaymentIntentRepository();
+  }
+
+  /**
+   * Validate an amount in major units
+   * @param {*} amount - Amount from the API
+   * @returns {number} Amount in minor units
+   */
+  normalizeAmount(amount) {
+    if (typeof amount !== 'number' || amount <= 0 || !money.hasValidPrecision(amount)) {
+      throw new Error(t(null, 'errors.invalidPaymentIntentField', { field: 'amount' }));
+    }
+    return money.toMinorUnits(amount);
+  }
+
+  /**
+   * Create a payment intent
+   * @param {Object} merchant - Merchant of the request
+   * @param {Object} intentData - Intent data (amount in major units)
+   * @param {string} intentData.walletId - Paying wallet ID (or username)
+   * @param {string} intentData.username - Paying wallet username (or walletId)
+   * @param {number} intentData.amount - Amount to authorize
+   * @param {string} intentData.description - Description (optional)
+   * @param {number} intentData.expiresIn - Lifetime in seconds (optional, PAYMENT_INTENT_TTL at most)
+   * @returns {Promise<Object>} Created intent
+   */
+  async createIntent(merchant, intentData) {
+    const { walletId, username, amount, description = '', expiresIn = PAYMENT_INTENT_TTL } = intentData;
+    const invalid = (field) => new Error(t(null, 'errors.invalidPaymentIntentField', { field }));
+
+    if (typeof walletId !== 'string' && typeof username !== 'string') {
+      throw invalid('walletId');
+    }
+    const amountMinor = this.normalizeAmount(amount);
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+      throw invalid('description');
+    }
+    if (!Number.isInteger(expiresIn) || expiresIn < MIN_EXPIRES_IN || expiresIn > PAYMENT_INTENT_TTL) {
+      throw invalid('expiresIn');
+    }
+
+    const wallet = typeof walletId === 'string'
+      ? await this.walletRepo.findById(walletId)
+      : await this.walletRepo.findByUsername(username);
+    if (!wallet) {
+      throw new Error(t(null, 'errors.walletNotFound'));
+    }
+
+    return await this.intentRepo.create({
+      merchantId: merchant.id,
+      walletId: wallet.id,
+      amount: amountMinor,
+      description,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    });
+  }
+
+  /**
+   * Get a payment intent
+   * @param {string} id - Intent ID
+   * @returns {Promise<Object>} Intent
+   */
+  async getIntent(id) {
+    await this.expireDueIntents();
+    const intent = await this.intentRepo.findById(id);
+    if (!intent) {
+      throw new Error(t(null, 'errors.paymentIntentNotFound'));
+    }
+    return intent;
+  }
+
+  /**
+   * List payment intents
+   * @param {Object} filters - merchantId or walletId, optional status, limit and offset
+   * @returns {Promise<Array>} Intents, newest first
+   */
+  async listIntents(filters) {
+    if (filters.status && !PaymentIntentRepository.STATUSES.includes(filters.status)) {
+      throw new Error(t(null, 'errors.invalidPaymentIntentField', { field: 'status' }));
+    }
+    await this.expireDueIntents();
+    return await this.intentRepo.findAll(filters);
+  }
+
+  /**
+   * Load an intent inside a unit of work and check it can still be acted on
+   * Other merchants' intents are reported as not found; a wallet that does not
+   * pay the intent is denied access.
+   * @param {string} id - Intent ID
+   * @param {Array<string>} statuses - Statuses the action accepts
+   * @param {Object} actor - { merchantId } or { walletId } of the request
+   * @returns {Promise<Object>} Intent
+   */
+  async loadActionable(id, statuses, actor) {
+    const intent = await this.intentRepo.findById(id);
+    if (!intent || (actor.merchantId && intent.merchant_id !== actor.merchantId)) {
+      throw new Error(t(null, 'errors.paymentIntentNotFound'));
+    }
+    if (actor.walletId && intent.wallet_id !== actor.walletId) {
+      throw new Error(t(null, 'errors.accessDenied'));
+    }
+    if (intent.status === 'EXPIRED' || (statuses.includes(intent.status) && intent.expires_at <= new Date().toISOString())) {
+      throw new Error(t(null, 'errors.paymentIntentExpired'));
+    }
+    if (!statuses.includes(intent.status)) {
+      throw new Error(t(null, 'errors.paymentIntentInvalidStatus', { status: intent.status }));
+    }
+    return intent;
+  }
+
+  /**
+   * Confirm a payment intent and hold amount + fee on the wallet
+   * @param {string} id - Intent ID
+   * @param {string} walletId - Wallet of the confirming session
+   * @returns {Promise<Object>} Authorized intent
+   */
+  async confirmIntent(id, walletId) {
+    await this.expireDueIntents();
+    return await dbAsync.transaction(async () => {
+      const intent = await this.loadActionable(id, ['REQUIRES_CONFIRMATION'], { walletId });
+
+      const { feeAmount } = await feeService.calculateFee({ amount: intent.amount, thirdPartyId: intent.merchant_id });
+      const heldAmount = intent.amount + feeAmount;
+      if (!(await this.intentRepo.markAuthorized(id, feeAmount, heldAmount))) {
+        throw new Error(t(null, 'errors.paymentIntentInvalidStatus', { status: intent.status }));
+      }
+      // Fails with insufficientBalance (rolling back the status) if the available balance is too low
+      await this.walletRepo.hold(intent.wallet_id, heldAmount);
+
+      return await this.intentRepo.findById(id);
+    });
+  }
+
+  /**
+   * Capture an authorized payment intent
+   * The captured amount and its fee are debited and the rest of the hold is released.
+   * @param {string} id - Intent ID
+   * @param {string} merchantId - Merchant of the request
+   * @param {number} amount - Amount to capture in major units (optional, the full amount by default)
+   * @returns {Promise<Object>} { intent, transaction }
+   */
+  async captureIntent(id, merchantId, amount) {
+    await this.expireDueIntents();
+    return await dbAsync.transaction(async () => {
+      const intent = await this.loadActionable(id, ['AUTHORIZED'], { merchantId });
+
+      const capturedMinor = amount === undefined ? intent.amount : this.normalizeAmount(amount);
+      if (capturedMinor > intent.amount) {
+        throw new Error(t(null, 'errors.invalidPaymentIntentField', { field: 'amount' }));
+      }
+      const { feeAmount: quotedFee } = await feeService.calculateFee({ amount: capturedMinor, thirdPartyId: intent.merchant_id });
+      const feeMinor = Math.min(quotedFee, intent.fee_amount);
+
+      await this.walletRepo.releaseHold(intent.wallet_id, intent.held_amount, capturedMinor + feeMinor);
+      const transaction = await this.transactionRepo.create({
+        fromWalletId: intent.wallet_id,
+        toWalletId: null,
+        amount: capturedMinor,
+        feeAmount: feeMinor,
+        transactionType: 'third_party_payment',
+        description: intent.description ||
+          `Pay ${money.format(capturedMinor)} + ${money.format(feeMinor)} fee to ${intent.merchant_name} (ID: ${intent.merchant_id})`,
+        thirdPartyName: intent.merchant_name,
+        merchantId: intent.merchant_id
+      });
+      if (!(await this.intentRepo.markCaptured(id, capturedMinor, feeMinor, transaction.id))) {
+        throw new Error(t(null, 'errors.paymentIntentInvalidStatus', { status: intent.status }));
+      }
+      await eventBus.publish('payment.succeeded', eventBus.transactionPayload(transaction, {
+        walletId: intent.wallet_id,
+        username: intent.username,
+        merchantName: intent.merchant_name,
+        paymentIntentId: intent.id
+      }));
+
+      return { intent: await this.intentRepo.findById(id), transaction };
+    });
+  }
+
+  /**
+   * Void a payment intent that has not been captured, releasing its hold
+   * @param {string} id - Intent ID
+   * @param {string} merchantId - Merchant of the request
+   * @returns {Promise<Object>} Voided intent
+   */
+  async voidIntent(id, merchantId) {
+    await this.expireDueIntents();
+    return await dbAsync.transaction(async () => {
+      const intent = await this.loadActionable(id, ['REQUIRES_CONFIRMATION', 'AUTHORIZED'], { merchantId });
+
+      await this.closeIntent(intent, 'VOIDED');
+      return await this.intentRepo.findById(id);
+    });
+  }
+
+  /**
+   * Close an intent as VOIDED or EXPIRED and release its hold
+   * Must run inside a unit of work.
+   * @param {Object} intent - Intent row
+   * @param {string} status - VOIDED or EXPIRED
+   * @returns {Promise<void>}
+   */
+  async closeIntent(intent, status) {
+    if (!(await this.intentRepo.markClosed(intent.id, status, intent.status))) {
+      throw new Error(t(null, 'errors.paymentIntentInvalidStatus', { status: intent.status }));
+    }
+    if (intent.held_amount > 0) {
+      await this.walletRepo.releaseHold(intent.wallet_id, intent.held_amount);
+    }
+  }
+
+  /**
+   * Expire the intents whose expiry has passed and release their holds
+   * Runs before every intent operation and periodically from index.js, so
+   * holds of abandoned intents do not keep funds unavailable for long.
+   * @returns {Promise<number>} Number of intents expired
+   */
+  async expireDueIntents() {
+    const due = await this.intentRepo.findDue();
+    let expired = 0;
+    for (const intent of due) {
+      try {
+        await dbAsync.transaction(() => this.closeIntent(intent, 'EXPIRED'));
+        expired++;
+      } catch (error) {
+        // Captured or voided concurrently; nothing left to expire
+        if (!error.message.includes(t(null, 'errors.paymentIntentInvalidStatus', { status: intent.status }))) {
+          throw error;
+        }
+      }
+    }
+    return expired;
+  }
+}
+
+module.exports = new PaymentIntentService();
@@ -0,0 +1,244 @@
+const WalletRepository = require('../repositories/WalletRepository');
+const authService = require('./AuthService');
+const eventBus = require('./EventBus');
+const money = require('../utils/money');
+
+// Domain events that change wallet balances, pushed to the wallets they touch
+const WALLET_EVENTS = [
+  'transfer.completed',
+  'payment.succeeded',
+  'receipt.credited',
+  'interest.posted',
+  'cdk.redeemed',
+  'refund.completed',
+  'balance.adjusted'
+];
+
+// Comment lines keep idle connections (and proxies) open; expired or revoked
+// sessions are disconnected on the same schedule
+const HEARTBEAT_SECONDS = parseInt(process.env.REALTIME_HEARTBEAT_INTERVAL, 10) || 25;
+
+// Anonymous streams need no session, so they are capped per IP address and in total
+const ANONYMOUS_STREAMS_PER_IP = parseInt(process.env.REALTIME_ANONYMOUS_STREAMS_PER_IP, 10) || 5;
+const ANONYMOUS_STREAMS = parseInt(process.env.REALTIME_ANONYMOUS_STREAMS, 10) || 200;
+
+/**
+ * Realtime Service
+ * Pushes live updates to connected clients over Server-Sent Events. It consumes
+ * committed domain events from the event bus: wallet events are sent to the
+ * streams of the wallets they touch as a "wallet" message (the wallet with its
+ * new balance) followed by a "transaction" message, and new exchange rates are
+ * sent to every stream as an "exchange-rate" message. Anonymous streams only
+ * receive exchange rates, and are limited to ANONYMOUS_STREAMS_PER_IP per IP
+ * address and ANONYMOUS_STREAMS in total.
+ *
+ * Delivery is best effort: a client that reconnects should reload its wallet.
+ */
+class RealtimeService {
+  constructor() {
+    this.walletRepo = new WalletRepository();
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Open an event stream on a request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} session - { walletId, token } of a logged-in wallet, null for anonymous streams
+   * @returns {void}
+   */
+  connect(req, res, session = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(': connected\n\n');
+
+    const client = {
+      res,
+      ip: req.ip,
+      walletId: session ? session.walletId : null,
+      token: session ? session.token : null
+    };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * Check whether another anonymous stream may be opened
+   * @param {string} ip - IP address of the client
+   * @returns {boolean} False when the IP address or the server has reached its limit
+   */
+  acceptsAnonymous(ip) {
+    let total = 0;
+    let fromIp = 0;
+    for (const client of this.clients) {
+      if (!client.walletId) {
+        total++;
+        if (client.ip === ip) {
+          fromIp++;
+        }
+      }
+    }
+    return total < ANONYMOUS_STREAMS && fromIp < ANONYMOUS_STREAMS_PER_IP;
+  }
+
+  /**
+   * Write a message to one client
+   * @param {Object} client - Connected client
+   * @param {string} type - Message type (the SSE event name)
+   * @param {Object} data - Message data
+   * @returns {void}
+   */
+  send(client, type, data) {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Connected clients of a wallet
+   * @param {string} walletId - Wallet ID
+   * @returns {Array<Object>} Clients
+   */
+  clientsOf(walletId) {
+    return [...this.clients].filter(client => client.walletId === walletId);
+  }
+
+  /**
+   * Write a message to every stream of a wallet
+   * @param {string} walletId - Wallet ID
+   * @param {string} type - Message type (the SSE event name)
+   * @param {Object} data - Message data
+   * @returns {number} Number of streams written to
+   */
+  sendToWallet(walletId, type, data) {
+    const clients = this.clientsOf(walletId);
+    for (const client of clients) {
+      this.send(client, type, data);
+    }
+    return clients.length;
+  }
+
+  /**
+   * Push a wallet event to the wallets it touches
+   * @param {Object} event - Domain event { id, type, payload, createdAt }
+   * @returns {Promise<number>} Number of messages sent
+   */
+  async pushWalletEvent(event) {
+    const { payload } = event;
+    const walletIds = [...new Set([payload.fromWalletId, payload.toWalletId, payload.walletId])].filter(Boolean);
+
+    let sent = 0;
+    for (const walletId of walletIds) {
+      const clients = this.clientsOf(walletId);
+      if (clients.length === 0) {
+        continue;
+      }
+
+      const wallet = await this.walletRepo.findById(walletId);
+      if (!wallet) {
+        continue;
+      }
+      const walletData = {
+        id: wallet.id,
+        username: wallet.username,
+        balance: money.fromMinorUnits(wallet.balance),
+        heldBalance: money.fromMinorUnits(wallet.held_balance),
+        availableBalance: money.fromMinorUnits(WalletRepository.availableBalance(wallet)),
+        createdAt: wallet.created_at,
+        updatedAt: wallet.updated_at
+      };
+      const transactionData = {
+        eventId: event.id,
+        eventType: event.type,
+        transactionId: payload.transactionId,
+        transactionType: payload.transactionType,
+        direction: payload.toWalletId === walletId ? 'incoming' : 'outgoing',
+        amount: money.fromMinorUnits(payload.amount),
+        feeAmount: money.fromMinorUnits(payload.feeAmount || 0),
+        description: payload.description,
+        createdAt: payload.createdAt
+      };
+
+      for (const client of clients) {
+        this.send(client, 'wallet', walletData);
+        this.send(client, 'transaction', transactionData);
+        sent += 2;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Push a new exchange rate to every client
+   * @param {Object} event - exchange_rate.updated domain event
+   * @returns {number} Number of messages sent
+   */
+  pushExchangeRate(event) {
+    const { rate, createdAt } = event.payload;
+    for (const client of this.clients) {
+      this.send(client, 'exchange-rate', { rate, createdAt });
+    }
+    return this.clients.size;
+  }
+
+  /**
+   * Send heartbeats and disconnect streams whose session has ended
+   * @returns {Promise<void>}
+   */
+  async checkClients() {
+    for (const client of this.clients) {
+      if (client.token && !(await authService.verifyAccessToken(client.token))) {
+        this.clients.delete(client);
+        client.res.end();
+        continue;
+      }
+      client.res.write(': heartbeat\n\n');
+    }
+  }
+
+  /**
+   * Start the heartbeat if it is not running
+   * @returns {void}
+   */
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      this.checkClients().catch((error) => {
+        console.error('Error checking event stream clients:', error);
+      });
+    }, HEARTBEAT_SECONDS * 1000);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop the heartbeat
+   * @returns {void}
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+const realtimeService = new RealtimeService();
+eventBus.subscribe('realtime', [...WALLET_EVENTS, 'exchange_rate.updated'], async (event) => {
+  if (event.type === 'exchange_rate.updated') {
+    realtimeService.pushExchangeRate(event);
+  } else {
+    await realtimeService.pushWalletEvent(event);
+  }
+});
+
+module.exports = realtimeService;
@@ -0,0 +1,244 @@
+const { dbAsync } = require('../config/database');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const PaymentIntentRepository = require('../repositories/PaymentIntentRepository');
+const money = require('../utils/money');
+
+// Interest transactions carry their period as a description prefix, e.g. "2026-10Interest credit: 1.00"
+const INTEREST_PERIOD_PATTERN = '[0-9][0-9][0-9][0-9]-[0-9][0-9]Interest*';
+
+/**
+ * Reconciliation Service
+ * Checks that stored balances are explained by the transaction history and the
+ * ledger, that interest logs agree with the interest actually posted and that
+ * held funds match the holds of authorized payment intents. Used by
+ * scripts/reconcile.js and GET /api/reconciliation, e.g. after a failed
+ * interest run. Amounts in the report are in major units.
+ */
+class ReconciliationService {
+  constructor() {
+    this.ledgerRepo = new LedgerRepository();
+    this.intentRepo = new PaymentIntentRepository();
+  }
+
+  /**
+   * Find Wallets Whose Balance Differs from Their Transaction History
+   * Incoming transactions add to a wallet and outgoing ones subtract from it;
+   * interest debits are recorded against to_wallet_id but reduce that wallet,
+   * senders pay fees on top of the amount and refunds return the fee with it.
+   * @returns {Promise<Array>} Mismatching wallets
+   */
+  async findHistoryMismatches() {
+    const rows = await dbAsync.all(
+      `SELECT w.id, w.username, w.balance,
+              COALESCE(i.total, 0) - COALESCE(o.total, 0) AS computed_balance
+       FROM wallets w
+       LEFT JOIN (
+         SELECT to_wallet_id AS wallet_id,
+                SUM(CASE transaction_type
+                      WHEN 'interest_debit' THEN -amount
+                      WHEN 'refund' THEN amount + fee_amount
+                      ELSE amount END) AS total
+         FROM transactions WHERE to_wallet_id IS NOT NULL
+         GROUP BY to_wallet_id
+       ) i ON i.wallet_id = w.id
+       LEFT JOIN (
+         SELECT from_wallet_id AS wallet_id, SUM(amount + fee_amount) AS total
+         FROM transactions WHERE from_wallet_id IS NOT NULL
+         GROUP BY from_wallet_id
+       ) o ON o.wallet_id = w.id
+       WHERE w.balance != COALESCE(i.total, 0) - COALESCE(o.total, 0)
+       ORDER BY w.username`
+    );
+
+    return rows.map(row => ({
+      walletId: row.id,
+      username: row.username,
+      balance: money.fromMinorUnits(row.balance),
+      computedBalance: money.fromMinorUnits(row.computed_balance),
+      difference: money.fromMinorUnits(row.balance - row.computed_balance)
+    }));
+  }
+
+  /**
+   * Find Orphaned Transactions
+   * Transactions referencing wallets that no longer exist, touching no wallet
+   * at all, or transfers and reversals missing one side.
+   * @returns {Promise<Array>} Orphaned transactions with the reason
+   */
+  async findOrphanedTransactions() {
+    const rows = await dbAsync.all(
+      `SELECT t.*,
+              CASE
+                WHEN (t.from_wallet_id IS NOT NULL AND fw.id IS NULL)
+                  OR (t.to_wallet_id IS NOT NULL AND tw.id IS NULL) THEN 'missing_wallet'
+                WHEN t.from_wallet_id IS NULL AND t.to_wallet_id IS NULL THEN 'no_wallet'
+                ELSE 'incomplete_transfer'
+              END AS reason
+       FROM transactions t
+       LEFT JOIN wallets fw ON fw.id = t.from_wallet_id
+       LEFT JOIN wallets tw ON tw.id = t.to_wallet_id
+       WHERE (t.from_wallet_id IS NOT NULL AND fw.id IS NULL)
+          OR (t.to_wallet_id IS NOT NULL AND tw.id IS NULL)
+          OR (t.from_wallet_id IS NULL AND t.to_wallet_id IS NULL)
+          OR (t.transaction_type IN ('transfer', 'reversal') AND (t.from_wallet_id IS NULL OR t.to_wallet_id IS NULL))
+       ORDER BY t.created_at`
+    );
+
+    return rows.map(row => ({
+      transactionId: row.id,
+      transactionType: row.transaction_type,
+      fromWalletId: row.from_wallet_id,
+      toWalletId: row.to_wallet_id,
+      amount: money.fromMinorUnits(row.amount),
+      createdAt: row.created_at,
+      reason: row.reason
+    }));
+  }
+
+  /**
+   * Find Transactions Without Ledger Entries
+   * @returns {Promise<Array>} Unposted transactions
+   */
+  async findUnpostedTransactions() {
+    const rows = await dbAsync.all(
+      `SELECT t.id, t.transaction_type, t.amount, t.created_at
+       FROM transactions t
+       WHERE NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.transaction_id = t.id)
+       ORDER BY t.created_at`
+    );
+
+    return rows.map(row => ({
+      transactionId: row.id,
+      transactionType: row.transaction_type,
+      amount: money.fromMinorUnits(row.amount),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Find Interest Logs That Disagree with the Posted Interest
+   * A completed log must match the net total of its period's interest
+   * transactions. Runs that are not completed may have posted some wallets, but
+   * every interest transaction of such a period must belong to a wallet's
+   * posting record (otherwise e.g. a rollback did not undo everything). Periods
+   * with interest but no log, or with several logs, are reported as well.
+   * @returns {Promise<Array>} Mismatching interest logs with the reason
+   */
+  async findInterestLogMismatches() {
+    const logs = await dbAsync.all('SELECT * FROM interest_logs ORDER BY period, created_at');
+    const postedRows = await dbAsync.all(
+      `SELECT substr(description, 1, 7) AS period,
+              COUNT(*) AS transaction_count,
+              SUM(CASE WHEN transaction_type = 'interest_debit' THEN -amount ELSE amount END) AS transaction_total
+       FROM transactions
+       WHERE transaction_type IN ('interest_credit', 'interest_debit')
+         AND description GLOB ?
+       GROUP BY substr(description, 1, 7)`,
+      [INTEREST_PERIOD_PATTERN]
+    );
+    const posted = new Map(postedRows.map(row => [row.period, row]));
+    const postingRows = await dbAsync.all(
+      `SELECT period, COUNT(*) AS transaction_count FROM interest_postings
+       WHERE status = 'POSTED' AND transaction_id IS NOT NULL
+       GROUP BY period`
+    );
+    const recorded = new Map(postingRows.map(row => [row.period, row.transaction_count]));
+    const logCounts = logs.reduce((counts, log) => counts.set(log.period, (counts.get(log.period) || 0) + 1), new Map());
+
+    const mismatches = [];
+    const describe = (log, period, reason) => {
+      const totals = posted.get(period) || { transaction_count: 0, transaction_total: 0 };
+      return {
+        logId: log ? log.id : null,
+        period,
+        status: log ? log.status : null,
+        processedCount: log ? log.processed_count : null,
+        totalInterest: log ? money.fromMinorUnits(log.total_interest) : null,
+        transactionCount: totals.transaction_count,
+        transactionTotal: money.fromMinorUnits(totals.transaction_total),
+        reason
+      };
+    };
+
+    for (const log of logs) {
+      const totals = posted.get(log.period);
+      if (logCounts.get(log.period) > 1) {
+        mismatches.push(describe(log, log.period, 'duplicate_log'));
+      } else if (log.status === 'COMPLETED') {
+        const total = totals ? totals.transaction_total : 0;
+        if (log.total_interest !== total) {
+          mismatches.push(describe(log, log.period, 'totals_differ'));
+        }
+      } else if (totals && totals.transaction_count > (recorded.get(log.period) || 0)) {
+        mismatches.push(describe(log, log.period, 'incomplete_log_has_transactions'));
+      }
+    }
+
+    for (const period of posted.keys()) {
+      if (!logCounts.has(period)) {
+        mismatches.push(describe(null, period, 'missing_log'));
+      }
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Run All Checks
+   * @returns {Promise<Object>} Reconciliation report; `consistent` is false when any check found issues
+   */
+  async reconcile() {
+    const balanceMismatches = await this.findHistoryMismatches();
+    const ledgerMismatches = (await this.ledgerRepo.findBalanceMismatches()).map(row => ({
+      walletId: row.wallet_id,
+      username: row.username,
+      balance: money.fromMinorUnits(row.balance),
+      ledgerBalance: money.fromMinorUnits(row.ledger_balance),
+      difference: money.fromMinorUnits(row.difference)
+    }));
+    const orphanedTransactions = await this.findOrphanedTransactions();
+    const unpostedTransactions = await this.findUnpostedTransactions();
+    const unbalancedTransactions = (await this.ledgerRepo.findUnbalancedTransactions()).map(row => ({
+      transactionId: row.transaction_id,
+      total: money.fromMinorUnits(row.total)
+    }));
+    const interestLogMismatches = await this.findInterestLogMismatches();
+    const holdMismatches = (await this.intentRepo.findHoldMismatches()).map(row => ({
+      walletId: row.wallet_id,
+      username: row.username,
+      heldBalance: money.fromMinorUnits(row.held_balance),
+      intentHolds: money.fromMinorUnits(row.intent_holds)
+    }));
+
+    const counts = await dbAsync.get(
+      `SELECT (SELECT COUNT(*) FROM wallets) AS wallets,
+              (SELECT COUNT(*) FROM transactions) AS transactions`
+    );
+
+    const issues = {
+      balanceMismatches,
+      ledgerMismatches,
+      orphanedTransactions,
+      unpostedTransactions,
+      unbalancedTransactions,
+      interestLogMismatches,
+      holdMismatches
+    };
+    const summary = Object.fromEntries(Object.entries(issues).map(([name, list]) => [name, list.length]));
+    const issueCount = Object.values(summary).reduce((sum, count) => sum + count, 0);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      consistent: issueCount === 0,
+      summary: {
+        wallets: counts.wallets,
+        transactions: counts.transactions,
+        issues: issueCount,
+        ...summary
+      },
+      ...issues
+    };
+  }
+}
+
+module.exports = ReconciliationService;
\ No newline at end of file
@@ -0,0 +1,142 @@
+const { dbAsync } = require('../config/database');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const feeService = require('./FeeService');
+const eventBus = require('./EventBus');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+const MAX_REASON_LENGTH = 255;
+
+/**
+ * Refund Service
+ * Undoes money movements with new, linked transactions instead of deleting
+ * rows. Third-party payments are refunded (in full or in part) by their
+ * merchant or an admin; the fee is returned according to FEE_REFUND_POLICY
+ * (see FeeService). Transfers are reversed by admins, taking the money back
+ * from the receiver. Refunds and reversals point to the original through
+ * original_transaction_id, and their total can never exceed what was paid.
+ */
+class RefundService {
+  constructor() {
+    this.walletRepo = new WalletRepository();
+    this.transactionRepo = new TransactionRepository();
+  }
+
+  /**
+   * Refund or reverse a transaction
+   * @param {string} transactionId - Original transaction ID
+   * @param {Object} refundData - Refund data
+   * @param {number} refundData.amount - Amount in major units (optional, everything not yet refunded by default)
+   * @param {string} refundData.reason - Description of the refund (optional)
+   * @param {Object} actor - { merchantId } for merchants, { admin: true } for admin sessions
+   * @returns {Promise<Object>} { transaction, original, refunded } with refunded totals in minor units
+   */
+  async refund(transactionId, refundData, actor) {
+    const { amount, reason = '' } = refundData;
+    if (amount !== undefined && (typeof amount !== 'number' || amount <= 0 || !money.hasValidPrecision(amount))) {
+      throw new Error(t(null, 'errors.invalidRefundField', { field: 'amount' }));
+    }
+    if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+      throw new Error(t(null, 'errors.invalidRefundField', { field: 'reason' }));
+    }
+
+    return await dbAsync.transaction(async () => {
+      const original = await this.transactionRepo.findById(transactionId);
+      // Merchants only see their own payments
+      if (!original || (actor.merchantId && original.merchant_id !== actor.merchantId)) {
+        throw new Error(t(null, 'transactions.transactionNotFound'));
+      }
+      if (original.transaction_type !== 'third_party_payment' && original.transaction_type !== 'transfer') {
+        throw new Error(t(null, 'errors.transactionNotRefundable'));
+      }
+      if (original.transaction_type === 'transfer' && !actor.admin) {
+        throw new Error(t(null, 'errors.accessDenied'));
+      }
+
+      const refunded = await this.transactionRepo.getRefundedTotals(original.id);
+      const remaining = original.amount - refunded.amount;
+      if (remaining <= 0) {
+        throw new Error(t(null, 'errors.transactionAlreadyRefunded'));
+      }
+      const amountMinor = amount === undefined ? remaining : money.toMinorUnits(amount);
+      if (amountMinor > remaining) {
+        throw new Error(t(null, 'errors.refundExceedsRemaining', { remaining: money.format(remaining) }));
+      }
+
+      const transaction = original.transaction_type === 'transfer'
+        ? await this.reverseTransfer(original, amountMinor, reason)
+        : await this.refundPayment(original, refunded, amountMinor, reason);
+      await eventBus.publish('refund.completed', eventBus.transactionPayload(transaction, {
+        originalTransactionId: original.id
+      }));
+
+      return {
+        transaction,
+        original,
+        refunded: await this.transactionRepo.getRefundedTotals(original.id)
+      };
+    });
+  }
+
+  /**
+   * Refund (part of) a third-party payment and its fee to the payer
+   * Must run inside a unit of work.
+   * @param {Object} payment - Original payment
+   * @param {Object} refunded - Totals refunded before
+   * @param {number} amount - Amount to refund in minor units
+   * @param {string} reason - Description (optional)
+   * @returns {Promise<Object>} Refund transaction
+   */
+  async refundPayment(payment, refunded, amount, reason) {
+    const feeAmount = feeService.calculateRefundFee({
+      paymentAmount: payment.amount,
+      paymentFee: payment.fee_amount,
+      refundedAmount: refunded.amount,
+      refundedFee: refunded.feeAmount,
+      amount
+    });
+
+    await this.walletRepo.credit(payment.from_wallet_id, amount + feeAmount);
+    return await this.transactionRepo.create({
+      fromWalletId: null,
+      toWalletId: payment.from_wallet_id,
+      amount,
+      feeAmount,
+      transactionType: 'refund',
+      description: reason || t(null, 'transactions.refund', {
+        amount: money.format(amount + feeAmount),
+        merchant: payment.third_party_name
+      }),
+      thirdPartyName: payment.third_party_name,
+      merchantId: payment.merchant_id,
+      originalTransactionId: payment.id
+    });
+  }
+
+  /**
+   * Reverse (part of) a transfer, moving the money back from the receiver
+   * Must run inside a unit of work. Fails if the receiver no longer has the funds available.
+   * @param {Object} transfer - Original transfer
+   * @param {number} amount - Amount to reverse in minor units
+   * @param {string} reason - Description (optional)
+   * @returns {Promise<Object>} Reversal transaction
+   */
+  async reverseTransfer(transfer, amount, reason) {
+    await this.walletRepo.debit(transfer.to_wallet_id, amount);
+    await this.walletRepo.credit(transfer.from_wallet_id, amount);
+    return await this.transactionRepo.create({
+      fromWalletId: transfer.to_wallet_id,
+      toWalletId: transfer.from_wallet_id,
+      amount,
+      transactionType: 'reversal',
+      description: reason || t(null, 'transactions.reversal', {
+        amount: money.format(amount),
+        username: transfer.from_username
+      }),
+      originalTransactionId: transfer.id
+    });
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const WebhookRepository = require('../repositories/WebhookRepository');
+const MerchantRepository = require('../repositories/MerchantRepository');
+const eventBus = require('./EventBus');
+const { t } = require('../config/i18n');
+const money = require('../utils/money');
+
+// Event types subscribers can register for
+const WEBHOOK_EVENTS = ['transfer.completed', 'payment.succeeded', 'receipt.credited', 'interest.posted', 'cdk.redeemed'];
+
+const SUBSCRIPTION_STATUSES = ['ACTIVE', 'DISABLED'];
+
+// Signing secrets look like whsec_<random>
+const SECRET_PREFIX = 'whsec_';
+const SECRET_BYTES = 32;
+
+// Attempts before a delivery is given up on (DEAD), and the backoff between them:
+// the base delay doubles after every failed attempt, up to the maximum delay
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10;
+const DISPATCH_BATCH_SIZE = 50;
+const MAX_DESCRIPTION_LENGTH = 255;
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Webhook Service
+ * Notifies subscribers of wallet events. It consumes committed domain events
+ * from the event bus and queues one delivery per subscriber, and a dispatcher
+ * (started from index.js) sends the due deliveries.
+ *
+ * Each request carries the JSON event and an X-Webhook-Signature header,
+ * "sha256=" + the hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>" with the
+ * subscription's secret. Non-2xx responses and network errors are retried with
+ * exponential backoff; after WEBHOOK_MAX_ATTEMPTS the delivery is DEAD and can
+ * be redelivered by an admin.
+ */
+class WebhookService {
+  constructor() {
+    this.webhookRepo = new WebhookRepository();
+    this.merchantRepo = new MerchantRepository();
+    this.dispatching = false;
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {string} Secret
+   */
+  generateSecret() {
+    return `${SECRET_PREFIX}${crypto.randomBytes(SECRET_BYTES).toString('base64url')}`;
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - X-Webhook-Timestamp value (Unix seconds)
+   * @param {string} payload - Request body
+   * @returns {string} X-Webhook-Signature value
+   */
+  sign(secret, timestamp, payload) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
+  }
+
+  /**
+   * Validate subscription input
+   * @param {Object} data - Subscription fields from the API
+   * @param {boolean} partial - Only validate the fields present (updates)
+   * @returns {Promise<Object>} Repository fields
+   */
+  async normalizeSubscriptionInput(data, partial = false) {
+    const invalid = (field) => new Error(t(null, 'errors.invalidWebhookField', { field }));
+    const present = (field) => data[field] !== undefined;
+    const result = {};
+
+    if (present('url') || !partial) {
+      let url;
+      try {
+        url = new URL(data.url);
+      } catch (error) {
+        throw invalid('url');
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw invalid('url');
+      }
+      result.url = url.toString();
+    }
+
+    if (present('events') || !partial) {
+      if (!Array.isArray(data.events) || data.events.length === 0 ||
+          !data.events.every(event => WEBHOOK_EVENTS.includes(event))) {
+        throw invalid('events');
+      }
+      result.events = [...new Set(data.events)];
+    }
+
+    if (present('description')) {
+      if (data.description !== null && (typeof data.description !== 'string' || data.description.length > MAX_DESCRIPTION_LENGTH)) {
+        throw invalid('description');
+      }
+      result.description = data.description;
+    }
+
+    if (!partial && present('merchantId') && data.merchantId !== null) {
+      if (typeof data.merchantId !== 'string' || !(await this.merchantRepo.findById(data.merchantId))) {
+        throw invalid('merchantId');
+      }
+      result.merchantId = data.merchantId;
+    }
+
+    if (partial && present('status')) {
+      if (!SUBSCRIPTION_STATUSES.includes(data.status)) {
+        throw invalid('status');
+      }
+      result.status = data.status;
+    }
+
+    return result;
+  }
+
+  /**
+   * Register a webhook subscription
+   * @param {Object} subscriptionData - { url, events, merchantId, description }
+   * @returns {Promise<Object>} { subscription, secret }; the secret is only returned here and on rotation
+   */
+  async createSubscription(subscriptionData) {
+    const fields = await this.normalizeSubscriptionInput(subscriptionData || {});
+    const secret = this.generateSecret();
+    const subscription = await this.webhookRepo.createSubscription({ ...fields, secret });
+    return { subscription, secret };
+  }
+
+  /**
+   * List subscriptions
+   * @returns {Promise<Array>} Subscriptions with their pending and dead delivery counts
+   */
+  async listSubscriptions() {
+    return await this.webhookRepo.findAllSubscriptions();
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object>} Subscription
+   */
+  async getSubscription(id) {
+    const subscription = await this.webhookRepo.findSubscriptionById(id);
+    if (!subscription) {
+      throw new Error(t(null, 'errors.webhookNotFound'));
+    }
+    return subscription;
+  }
+
+  /**
+   * Update a subscription
+   * Disabled subscriptions receive no new events; their pending deliveries wait until it is active again.
+   * @param {string} id - Subscription ID
+   * @param {Object} updates - Any of url, events, description, status
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async updateSubscription(id, updates) {
+    const fields = await this.normalizeSubscriptionInput(updates || {}, true);
+    const subscription = await this.webhookRepo.updateSubscription(id, fields);
+    if (!subscription) {
+      throw new Error(t(null, 'errors.webhookNotFound'));
+    }
+    return subscription;
+  }
+
+  /**
+   * Delete a subscription and its deliveries
+   * @param {string} id - Subscription ID
+   * @returns {Promise<void>}
+   */
+  async deleteSubscription(id) {
+    if (!(await this.webhookRepo.deleteSubscription(id))) {
+      throw new Error(t(null, 'errors.webhookNotFound'));
+    }
+  }
+
+  /**
+   * Issue a new signing secret; requests are signed with it from the next attempt on
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object>} { subscription, secret }
+   */
+  async rotateSecret(id) {
+    const secret = this.generateSecret();
+    if (!(await this.webhookRepo.setSecret(id, secret))) {
+      throw new Error(t(null, 'errors.webhookNotFound'));
+    }
+    return { subscription: await this.webhookRepo.findSubscriptionById(id), secret };
+  }
+
+  /**
+   * Queue a domain event for its subscribers
+   * Runs as the event bus consumer "webhooks"; the event keeps its ID, and its
+   * amounts are sent in major units.
+   * @param {Object} event - Domain event { id, type, payload, createdAt }
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async enqueue(event) {
+    const data = {
+      ...event.payload,
+      amount: money.fromMinorUnits(event.payload.amount),
+      feeAmount: money.fromMinorUnits(event.payload.feeAmount || 0)
+    };
+    const subscribers = await this.webhookRepo.findSubscribers(event.type, data.merchantId || null);
+    if (subscribers.length === 0) {
+      return 0;
+    }
+
+    const payload = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data });
+    for (const subscription of subscribers) {
+      await this.webhookRepo.createDelivery({
+        subscriptionId: subscription.id,
+        eventId: event.id,
+        eventType: event.type,
+        payload
+      });
+    }
+    return subscribers.length;
+  }
+
+  /**
+   * Delay before the next attempt of a delivery
+   * @param {number} attempts - Attempts made so far, including the one that just failed
+   * @returns {number} Delay in seconds
+   */
+  retryDelay(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   * @param {Object} delivery - Delivery with the subscription's url and secret
+   * @returns {Promise<string>} Status after the attempt
+   */
+  async attemptDelivery(delivery) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Chrysorrhoe-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.sign(delivery.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_SECONDS * 1000)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = (requestError.cause && requestError.cause.message) || requestError.message;
+    }
+
+    if (!error) {
+      await this.webhookRepo.recordAttempt(delivery.id, { status: 'DELIVERED', statusCode });
+      return 'DELIVERED';
+    }
+
+    const attempts = delivery.attempts + 1;
+    const status = attempts >= MAX_ATTEMPTS ? 'DEAD' : 'PENDING';
+    await this.webhookRepo.recordAttempt(delivery.id, {
+      status,
+      statusCode,
+      error: error.substring(0, MAX_ERROR_LENGTH),
+      nextAttemptAt: status === 'PENDING' ? new Date(Date.now() + this.retryDelay(attempts) * 1000).toISOString() : null
+    });
+    return status;
+  }
+
+  /**
+   * Send the deliveries that are due
+   * Runs periodically from index.js; a run that starts while another is still
+   * sending returns immediately, so no delivery is attempted twice at once.
+   * @returns {Promise<Object>} { attempted, delivered, failed }
+   */
+  async deliverDue() {
+    const result = { attempted: 0, delivered: 0, failed: 0 };
+    if (this.dispatching) {
+      return result;
+    }
+
+    this.dispatching = true;
+    try {
+      let due;
+      do {
+        due = await this.webhookRepo.findDueDeliveries(DISPATCH_BATCH_SIZE);
+        for (const delivery of due) {
+          const status = await this.attemptDelivery(delivery);
+          result.attempted++;
+          if (status === 'DELIVERED') {
+            result.delivered++;
+          } else {
+            result.failed++;
+          }
+        }
+      } while (due.length === DISPATCH_BATCH_SIZE);
+      return result;
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * List deliveries (the dead-letter view with status DEAD)
+   * @param {Object} filters - Optional status and subscriptionId, limit and offset
+   * @returns {Promise<Array>} Deliveries, newest first
+   */
+  async listDeliveries(filters) {
+    if (filters.status && !WebhookRepository.DELIVERY_STATUSES.includes(filters.status)) {
+      throw new Error(t(null, 'errors.invalidWebhookField', { field: 'status' }));
+    }
+    return await this.webhookRepo.findDeliveries(filters);
+  }
+
+  /**
+   * Redeliver a delivery now, whatever its status
+   * The delivery is queued again with a fresh retry schedule and attempted once
+   * immediately; if that attempt fails, the dispatcher keeps retrying it.
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} Delivery after the attempt
+   */
+  async redeliver(id) {
+    if (!(await this.webhookRepo.requeueDelivery(id))) {
+      throw new Error(t(null, 'errors.webhookDeliveryNotFound'));
+    }
+    // Not sendable while its subscription is disabled
+    const delivery = await this.webhookRepo.findSendableDelivery(id);
+    if (delivery) {
+      await this.attemptDelivery(delivery);
+    }
+    return await this.webhookRepo.findDeliveryById(id);
+  }
+}
+
+const webhookService = new WebhookService();
+eventBus.subscribe('webhooks', WEBHOOK_EVENTS, event => webhookService.enqueue(event));
+
+module.exports = webhookService;
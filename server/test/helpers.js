@@ -0,0 +1,127 @@
+// Shared fixtures of the server test scripts
+// Every test_*.js file is a standalone script that runs against its own
+// temporary database. Call useTemporaryDatabase before requiring anything that
+// opens the database, and hand the test function to runTest:
+//
+//   const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+//   useTemporaryDatabase('fees');
+//   ...
+//   runTest('Fee tests', testFees);
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Point DB_PATH at a temporary database for the running test
+ * @param {string} name - Name of the test, used in the file name
+ * @returns {string} Database path
+ */
+function useTemporaryDatabase(name) {
+  process.env.DB_PATH = path.join(os.tmpdir(), `chrysorrhoe-test-${name}-${process.pid}.db`);
+  return process.env.DB_PATH;
+}
+
+/**
+ * Create an app that authenticates requests and mounts the given routes
+ * @param {Object} routes - Module names under server/routes by mount path, in mounting order,
+ *   e.g. { '/api/wallets': 'wallets' }
+ * @param {Object} options - App options
+ * @param {boolean} options.trustProxy - Take client IP addresses from X-Forwarded-For
+ * @returns {Object} Express app
+ */
+function createApp(routes, options = {}) {
+  const express = require('express');
+  const app = express();
+  if (options.trustProxy) {
+    app.set('trust proxy', true);
+  }
+  app.use(express.json());
+  app.use(require('../middleware/auth').authenticate);
+  for (const [mountPath, name] of Object.entries(routes)) {
+    app.use(mountPath, require(`../routes/${name}`));
+  }
+  return app;
+}
+
+/**
+ * Create a wallet through the API, signed in with a new session
+ * The app must mount the wallet routes at /api/wallets. The password is
+ * `${username}-secret`.
+ * @param {Object} app - Express app
+ * @param {string} username - Username
+ * @returns {Promise<Object>} { id, username, role, token, auth } with auth the Authorization header value
+ */
+async function createWallet(app, username) {
+  const request = require('supertest');
+  const response = await request(app)
+    .post('/api/wallets')
+    .send({ username, password: `${username}-secret` });
+  assert.strictEqual(response.status, 201);
+  return {
+    id: response.body.wallet.id,
+    username,
+    role: response.body.wallet.role,
+    token: response.body.session.accessToken,
+    auth: `Bearer ${response.body.session.accessToken}`
+  };
+}
+
+// Interest period a number of months after the current one, format: YYYY-MM
+function monthsAhead(months) {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + months, 1)).toISOString().slice(0, 7);
+}
+
+// Interest period a number of months before the current one, format: YYYY-MM
+function monthsAgo(months) {
+  return monthsAhead(-months);
+}
+
+/**
+ * Backdate every wallet and transaction created so far to the start of a period
+ * Interest is only processed for periods that have ended, on the balances the
+ * wallets held then; backdating lets a test pay interest on the balances it set up.
+ * @param {string} period - Interest period, format: YYYY-MM
+ * @returns {Promise<void>}
+ */
+async function backdateToPeriod(period) {
+  const { dbAsync } = require('../config/database');
+  const start = `${period}-01T00:00:00.000Z`;
+  await dbAsync.run('UPDATE wallets SET created_at = ?', [start]);
+  await dbAsync.run('UPDATE transactions SET created_at = ?', [start]);
+}
+
+/**
+ * Run a test script and exit with its outcome
+ * The temporary database is removed either way.
+ * @param {string} name - Name of the tests in the failure message, e.g. 'Fee tests'
+ * @param {Function} test - Async function running the tests
+ * @param {Function} cleanup - Optional, releases anything else the tests created
+ */
+function runTest(name, test, cleanup = () => {}) {
+  const finish = (code) => {
+    cleanup();
+    if (process.env.DB_PATH) {
+      fs.rmSync(process.env.DB_PATH, { force: true });
+    }
+    process.exit(code);
+  };
+
+  test()
+    .then(() => finish(0))
+    .catch((error) => {
+      console.error(`${name} failed:`, error);
+      finish(1);
+    });
+}
+
+module.exports = {
+  useTemporaryDatabase,
+  createApp,
+  createWallet,
+  monthsAhead,
+  monthsAgo,
+  backdateToPeriod,
+  runTest
+};
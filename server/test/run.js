@@ -0,0 +1,45 @@
+// Run the server test scripts one after another
+// Usage: npm test, or node test/run.js [name ...] to run some of them (e.g. node test/run.js fees ledger)
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Longest a script may run before it counts as failed (default 5 minutes)
+const TEST_TIMEOUT = (parseInt(process.env.TEST_TIMEOUT, 10) || 300) * 1000;
+
+// Find the scripts to run, all of them when no names are given
+function findScripts(names) {
+  if (names.length > 0) {
+    return names.map(name => `test_${name.replace(/^test_|\.js$/g, '')}.js`);
+  }
+  return fs.readdirSync(__dirname)
+    .filter(file => /^test_.*\.js$/.test(file))
+    .sort();
+}
+
+function runScripts(scripts) {
+  const failed = [];
+  for (const script of scripts) {
+    const started = Date.now();
+    const result = spawnSync(process.execPath, [path.join(__dirname, script)], {
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: TEST_TIMEOUT
+    });
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+
+    if (result.status === 0) {
+      console.log(`ok   ${script} (${seconds}s)`);
+    } else {
+      failed.push(script);
+      console.log(`FAIL ${script} (${seconds}s)${result.error ? `: ${result.error.message}` : ''}`);
+      process.stdout.write(result.stdout || '');
+      process.stderr.write(result.stderr || '');
+    }
+  }
+
+  console.log(`\n${scripts.length - failed.length} of ${scripts.length} test scripts passed`);
+  return failed.length === 0;
+}
+
+process.exit(runScripts(findScripts(process.argv.slice(2))) ? 0 : 1);
@@ -0,0 +1,159 @@
+// Test password authentication, sessions and ownership of money-moving routes
+// Usage: node server/test/test_auth.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, runTest } = require('./helpers');
+
+useTemporaryDatabase('auth');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations, t } = require('../config/i18n');
+const authService = require('../services/AuthService');
+
+async function testAuthentication() {
+  await initTranslations();
+  await initializeDatabase();
+  const app = createApp({ '/api/auth': 'auth', '/api/wallets': 'wallets', '/api/transfers': 'transfers' });
+
+  console.log('Creating wallets with passwords...');
+  const alice = await request(app)
+    .post('/api/wallets')
+    .send({ username: 'alice', password: 'alice-secret' });
+  assert.strictEqual(alice.status, 201);
+  assert.ok(alice.body.session.accessToken, 'wallet creation should return a session');
+  assert.ok(alice.body.session.refreshToken, 'wallet creation should return a refresh token');
+  assert.strictEqual(alice.body.wallet.password_hash, undefined);
+
+  const bob = await request(app)
+    .post('/api/wallets')
+    .send({ username: 'bob', password: 'bob-secret' });
+  assert.strictEqual(bob.status, 201);
+
+  const stored = await dbAsync.get('SELECT password_hash FROM wallets WHERE username = ?', ['alice']);
+  assert.ok(stored.password_hash.startsWith('scrypt$'), 'password should be stored as an scrypt hash');
+
+  console.log('Rejecting wallet creation without a password...');
+  const noPassword = await request(app).post('/api/wallets').send({ username: 'carol' });
+  assert.strictEqual(noPassword.status, 400);
+
+  console.log('Logging in...');
+  const wrongPassword = await request(app)
+    .post('/api/auth/login')
+    .send({ username: 'alice', password: 'not-the-password' });
+  assert.strictEqual(wrongPassword.status, 401);
+
+  const unknownUser = await request(app)
+    .post('/api/auth/login')
+    .send({ username: 'nobody', password: 'whatever-password' });
+  assert.strictEqual(unknownUser.status, 401);
+
+  const login = await request(app)
+    .post('/api/auth/login')
+    .send({ username: 'alice', password: 'alice-secret' });
+  assert.strictEqual(login.status, 200);
+  const aliceToken = login.body.session.accessToken;
+
+  // Balances are stored in minor units: 10000 = 100.00
+  await dbAsync.run('UPDATE wallets SET balance = 10000 WHERE username = ?', ['alice']);
+
+  console.log('Checking transfer authorization...');
+  const anonymous = await request(app)
+    .post('/api/transfers/by-username')
+    .send({ fromUsername: 'alice', toUsername: 'bob', amount: 10 });
+  assert.strictEqual(anonymous.status, 401);
+
+  const impostor = await request(app)
+    .post('/api/transfers/by-username')
+    .set('Authorization', `Bearer ${bob.body.session.accessToken}`)
+    .send({ fromUsername: 'alice', toUsername: 'bob', amount: 10 });
+  assert.strictEqual(impostor.status, 403);
+
+  const tampered = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', `Bearer ${aliceToken}x`)
+    .send({ fromWalletId: alice.body.wallet.id, toWalletId: bob.body.wallet.id, amount: 10 });
+  assert.strictEqual(tampered.status, 401);
+
+  const owner = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', `Bearer ${aliceToken}`)
+    .send({ fromWalletId: alice.body.wallet.id, toWalletId: bob.body.wallet.id, amount: 10 });
+  assert.strictEqual(owner.status, 201);
+  assert.strictEqual(owner.body.fromWallet.balance, 90);
+
+  console.log('Refreshing sessions...');
+  const refreshed = await request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken: login.body.session.refreshToken });
+  assert.strictEqual(refreshed.status, 200);
+  assert.strictEqual(refreshed.body.session.id, login.body.session.id);
+  assert.notStrictEqual(refreshed.body.session.refreshToken, login.body.session.refreshToken);
+
+  const reused = await request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken: login.body.session.refreshToken });
+  assert.strictEqual(reused.status, 401, 'a rotated refresh token must not be accepted again');
+
+  const storedSession = await dbAsync.get('SELECT refresh_token_hash FROM sessions WHERE id = ?', [login.body.session.id]);
+  assert.notStrictEqual(storedSession.refresh_token_hash, refreshed.body.session.refreshToken, 'refresh tokens should be stored hashed');
+
+  console.log('Listing and revoking sessions...');
+  const sessions = await request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${refreshed.body.session.accessToken}`);
+  assert.strictEqual(sessions.status, 200);
+  assert.strictEqual(sessions.body.sessions.length, 2, 'alice has a signup session and a login session');
+  assert.ok(sessions.body.sessions.find(session => session.id === login.body.session.id).current);
+
+  const foreign = await request(app)
+    .delete(`/api/auth/sessions/${login.body.session.id}`)
+    .set('Authorization', `Bearer ${bob.body.session.accessToken}`);
+  assert.strictEqual(foreign.status, 404, 'sessions of other wallets cannot be revoked');
+
+  const revoked = await request(app)
+    .delete(`/api/auth/sessions/${login.body.session.id}`)
+    .set('Authorization', `Bearer ${alice.body.session.accessToken}`);
+  assert.strictEqual(revoked.status, 200);
+
+  const afterRevoke = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', `Bearer ${refreshed.body.session.accessToken}`)
+    .send({ fromWalletId: alice.body.wallet.id, toWalletId: bob.body.wallet.id, amount: 10 });
+  assert.strictEqual(afterRevoke.status, 401, 'access tokens of a revoked session must be rejected');
+
+  const refreshRevoked = await request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken: refreshed.body.session.refreshToken });
+  assert.strictEqual(refreshRevoked.status, 401);
+
+  console.log('Logging out...');
+  const logout = await request(app)
+    .post('/api/auth/logout')
+    .set('Authorization', `Bearer ${bob.body.session.accessToken}`);
+  assert.strictEqual(logout.status, 200);
+
+  const afterLogout = await request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${bob.body.session.accessToken}`);
+  assert.strictEqual(afterLogout.status, 401);
+
+  console.log('Refusing legacy wallets without a password...');
+  await dbAsync.run('UPDATE wallets SET password_hash = NULL WHERE username = ?', ['bob']);
+  const claim = await request(app)
+    .post('/api/auth/login')
+    .send({ username: 'bob', password: 'chosen-by-anyone' });
+  assert.strictEqual(claim.status, 403);
+  assert.strictEqual(claim.body.error, t(null, 'errors.passwordResetRequired'));
+  const unchanged = await dbAsync.get('SELECT password_hash FROM wallets WHERE username = ?', ['bob']);
+  assert.strictEqual(unchanged.password_hash, null, 'a login attempt does not set the password');
+
+  const bobId = bob.body.wallet.id;
+  await authService.resetPassword(bobId, 'bob-new-secret');
+  await request(app).post('/api/auth/login').send({ username: 'bob', password: 'chosen-by-anyone' }).expect(401);
+  await request(app).post('/api/auth/login').send({ username: 'bob', password: 'bob-new-secret' }).expect(200);
+
+  console.log('Authentication tests passed');
+}
+
+runTest('Authentication tests', testAuthentication);
\ No newline at end of file
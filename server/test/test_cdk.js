@@ -1,145 +1,75 @@
+// Test CDK validation and redemption through the CDK service
+// Usage: node server/test/test_cdk.js (runs against a temporary database)
 const assert = require('assert');
-const { describe, it, beforeEach, afterEach } = require('jest');
-const cdkService = require('../services/CdkService');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('cdk');
+
 const { dbAsync } = require('../config/database');
-const fs = require('fs').promises;
-const path = require('path');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations, t } = require('../config/i18n');
+const cdkService = require('../services/CdkService');
 
 // Mock data for testing
-const testCdkKey = 'test1-2345-abcd-6789-efgh-ijkl';
-const testUsername = 'test_user_for_cdk';
-let originalCdks = null;
+const testCdkKey = 'TEST-2345-ABCD-6789-EFGH-IJKL';
+const testUsername = 'cdktester';
 
-describe('CDK Service Tests', () => {
-  beforeEach(async () => {
-    // Save original CDKs data for restoration after tests
-    const cdksFilePath = path.join(__dirname, '..', 'data', 'cdks.json');
-    const data = await fs.readFile(cdksFilePath, 'utf8');
-    originalCdks = JSON.parse(data);
-    
-    // Create test user wallet if not exists
-    try {
-      const existingWallet = await dbAsync.get(
-        'SELECT * FROM wallets WHERE username = ?',
-        [testUsername]
-      );
-      
-      if (!existingWallet) {
-        await dbAsync.run(
-          'INSERT INTO wallets (id, username, balance, created_at) VALUES (?, ?, ?, ?)',
-          ['test-wallet-id', testUsername, 0, new Date().toISOString()]
-        );
-      } else {
-        // Reset balance for testing
-        await dbAsync.run(
-          'UPDATE wallets SET balance = 0 WHERE username = ?',
-          [testUsername]
-        );
-      }
-    } catch (error) {
-      console.error('Error setting up test wallet:', error);
-    }
-    
-    // Add test CDK
-    await cdkService.addCdk({
-      key: testCdkKey,
-      amount: 100,
-      currency: 'USD',
-      expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days expiry
-    });
-  });
-  
-  afterEach(async () => {
-    // Restore original CDKs data
-    const cdksFilePath = path.join(__dirname, '..', 'data', 'cdks.json');
-    await fs.writeFile(cdksFilePath, JSON.stringify(originalCdks, null, 2), 'utf8');
-    
-    // Reload CDKs in service
-    await cdkService.loadCdks();
-  });
-  
-  it('should validate CDK format correctly', () => {
-    // Valid format
-    assert.strictEqual(cdkService.validateCdkFormat('abcd-1234-efgh-5678-ijkl-9012'), true);
-    
-    // Invalid formats
-    assert.strictEqual(cdkService.validateCdkFormat('abcd-1234'), false); // Too short
-    assert.strictEqual(cdkService.validateCdkFormat('abcd1234efgh5678ijkl9012'), false); // No hyphens
-    assert.strictEqual(cdkService.validateCdkFormat('abcd-1234-efgh-5678-ijkl-9012-extra'), false); // Too long
-    assert.strictEqual(cdkService.validateCdkFormat('abcd-1234-efgh-5678-ijkl-901@'), false); // Invalid character
-  });
-  
-  it('should find CDK by key', () => {
-    const cdk = cdkService.findCdkByKey(testCdkKey);
-    assert.ok(cdk);
-    assert.strictEqual(cdk.key, testCdkKey);
-    assert.strictEqual(cdk.amount, 100);
-  });
-  
-  it('should validate active CDK successfully', () => {
-    const cdk = cdkService.findCdkByKey(testCdkKey);
-    const validation = cdkService.validateCdk(cdk);
-    assert.strictEqual(validation.success, true);
-  });
-  
-  it('should redeem CDK successfully', async () => {
-    // Get initial balance
-    const walletBefore = await dbAsync.get(
-      'SELECT balance FROM wallets WHERE username = ?',
-      [testUsername]
-    );
-    
-    // Redeem CDK
-    const result = await cdkService.redeemCdk(testCdkKey, testUsername);
-    
-    // Check result
-    assert.strictEqual(result.success, true);
-    assert.strictEqual(result.amount, 100);
-    
-    // Check wallet balance
-    const walletAfter = await dbAsync.get(
-      'SELECT balance FROM wallets WHERE username = ?',
-      [testUsername]
-    );
-    
-    assert.strictEqual(parseFloat(walletAfter.balance), parseFloat(walletBefore.balance) + 100);
-    
-    // Check CDK status
-    const cdk = cdkService.findCdkByKey(testCdkKey);
-    assert.strictEqual(cdk.status, 'USED');
-    assert.strictEqual(cdk.used_by, testUsername);
-  });
-  
-  it('should reject already used CDK', async () => {
-    // First redemption
-    await cdkService.redeemCdk(testCdkKey, testUsername);
-    
-    // Second redemption should fail
-    try {
-      await cdkService.redeemCdk(testCdkKey, testUsername);
-      assert.fail('Should have thrown an error for already used CDK');
-    } catch (error) {
-      assert.ok(error.message.includes('CDK code has already been used'));
-    }
+// Add the test CDK
+async function addTestCdk() {
+  await cdkService.addCdk({
+    key: testCdkKey,
+    amount: 100,
+    currency: 'USD',
+    expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days expiry
   });
-  
-  it('should reject invalid CDK format', async () => {
-    try {
-      await cdkService.redeemCdk('invalid-format', testUsername);
-      assert.fail('Should have thrown an error for invalid CDK format');
-    } catch (error) {
-      assert.ok(error.message.includes('Invalid CDK format'));
-    }
-  });
-  
-  it('should reject non-existent CDK', async () => {
-    try {
-      await cdkService.redeemCdk('non-exist-1234-abcd-5678-efgh-ijkl', testUsername);
-      assert.fail('Should have thrown an error for non-existent CDK');
-    } catch (error) {
-      assert.ok(error.message.includes('CDK code not found'));
-    }
-  });
-});
+}
+
+async function balanceOf(username) {
+  return (await dbAsync.get('SELECT balance FROM wallets WHERE username = ?', [username])).balance;
+}
+
+async function testCdk() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  await createWallet(createApp({ '/api/wallets': 'wallets' }), testUsername);
+
+  console.log('Validating CDK formats...');
+  assert.strictEqual(cdkService.validateCdkFormat('abcd-1234-efgh-5678-ijkl-9012'), true);
+  assert.strictEqual(cdkService.validateCdkFormat('abcd-1234'), false); // Too short
+  assert.strictEqual(cdkService.validateCdkFormat('abcd1234efgh5678ijkl9012'), false); // No hyphens
+  assert.strictEqual(cdkService.validateCdkFormat('abcd-1234-efgh-5678-ijkl-9012-extra'), false); // Too long
+  assert.strictEqual(cdkService.validateCdkFormat('abcd-1234-efgh-5678-ijkl-901@'), false); // Invalid character
+
+  console.log('Finding and validating a CDK...');
+  await addTestCdk();
+  const cdk = await cdkService.findCdkByKey(testCdkKey);
+  assert.ok(cdk);
+  assert.strictEqual(cdk.key, testCdkKey);
+  assert.strictEqual(cdk.amount, 100);
+  assert.deepStrictEqual(await cdkService.validateCdk(await cdkService.cdkRepo.findByKey(testCdkKey)), { success: true });
+
+  console.log('Redeeming a CDK...');
+  const balanceBefore = await balanceOf(testUsername);
+  const result = await cdkService.redeemCdk(testCdkKey, testUsername);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.amount, 100);
+  assert.strictEqual(await balanceOf(testUsername), balanceBefore + 10000);
+  const used = await cdkService.findCdkByKey(testCdkKey);
+  assert.strictEqual(used.status, 'USED');
+  assert.strictEqual(used.used_by, testUsername);
+
+  console.log('Rejecting a used CDK...');
+  await assert.rejects(cdkService.redeemCdk(testCdkKey, testUsername), { message: t(null, 'errors.cdkAlreadyUsed') });
+  assert.strictEqual(await balanceOf(testUsername), balanceBefore + 10000, 'a code is redeemed once');
+
+  console.log('Rejecting invalid and unknown CDKs...');
+  await assert.rejects(cdkService.redeemCdk('invalid-format', testUsername), { message: t(null, 'errors.invalidCdkFormat') });
+  await assert.rejects(
+    cdkService.redeemCdk('NONE-1234-ABCD-5678-EFGH-IJKL', testUsername),
+    { message: t(null, 'errors.cdkNotFound') }
+  );
+
+  console.log('CDK tests passed');
+}
 
-console.log('CDK tests have been set up. Run with: mocha server/test/test_cdk.js');
\ No newline at end of file
+runTest('CDK tests', testCdk);
@@ -0,0 +1,165 @@
+// Test the brute-force protection of CDK validation and redemption
+// Usage: node server/test/test_cdk_attempts.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('cdk-attempts');
+process.env.CDK_MAX_FAILURES_PER_IP = '6';
+process.env.CDK_MAX_FAILURES_PER_WALLET = '3';
+process.env.CDK_LOCKOUT_SECONDS = '60';
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const cdkService = require('../services/CdkService');
+
+const walletRepo = new WalletRepository();
+
+function validate(app, ip, code) {
+  return request(app)
+    .post('/api/cdks/validate')
+    .set('X-Forwarded-For', ip)
+    .send({ code });
+}
+
+function redeem(app, ip, wallet, code) {
+  return request(app)
+    .post('/api/cdks/redeem')
+    .set('X-Forwarded-For', ip)
+    .set('Authorization', wallet.auth)
+    .send({ code });
+}
+
+// Pretend the failures of an IP address or wallet happened some seconds earlier
+async function age(column, value, seconds) {
+  const attempts = await dbAsync.all(`SELECT id, created_at FROM cdk_failed_attempts WHERE ${column} = ?`, [value]);
+  for (const attempt of attempts) {
+    const createdAt = new Date(new Date(attempt.created_at).getTime() - seconds * 1000).toISOString();
+    await dbAsync.run('UPDATE cdk_failed_attempts SET created_at = ? WHERE id = ?', [createdAt, attempt.id]);
+  }
+}
+
+async function testCdkAttempts() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  // Lets the test choose client IP addresses through X-Forwarded-For
+  const app = createApp({ '/api/wallets': 'wallets', '/api/cdks': 'cdks' }, { trustProxy: true });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+
+  const inFuture = new Date(Date.now() + 86400000).toISOString();
+  await cdkService.addCdk({ key: 'VALI-D000-0000-0000-0000-0001', amount: 1, expires_at: inFuture });
+  await cdkService.addCdk({ key: 'VALI-D000-0000-0000-0000-0002', amount: 1, expires_at: inFuture });
+  await cdkService.addCdk({ key: 'USED-0000-0000-0000-0000-0001', amount: 1, expires_at: inFuture });
+  await cdkService.addCdk({ key: 'EXPD-0000-0000-0000-0000-0001', amount: 1, expires_at: new Date(Date.now() - 1000).toISOString() });
+  await cdkService.redeemCdk('USED-0000-0000-0000-0000-0001', 'bob');
+
+  console.log('Answering every invalid code the same way...');
+  const invalid = [];
+  for (const code of ['MISS-0000-0000-0000-0000-0001', 'USED-0000-0000-0000-0000-0001', 'EXPD-0000-0000-0000-0000-0001', 'not-a-code']) {
+    invalid.push(await validate(app, '10.0.0.1', code));
+  }
+  for (const response of invalid) {
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(response.body, invalid[0].body);
+  }
+  const valid = await validate(app, '10.0.0.1', 'VALI-D000-0000-0000-0000-0001');
+  assert.strictEqual(valid.status, 200);
+  assert.deepStrictEqual(
+    (await dbAsync.all("SELECT reason FROM cdk_failed_attempts WHERE ip_address = '10.0.0.1' ORDER BY rowid")).map(row => row.reason),
+    ['cdkNotFound', 'cdkAlreadyUsed', 'cdkExpired', 'invalidCdkFormat']
+  );
+  const stored = await dbAsync.get("SELECT code_prefix FROM cdk_failed_attempts WHERE reason = 'cdkNotFound'");
+  assert.strictEqual(stored.code_prefix, 'MISS-000', 'only a prefix of the code is logged');
+
+  console.log('Locking a wallet out after repeated failures...');
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await redeem(app, '10.0.0.2', alice, `MISS-0000-0000-0000-0000-000${i}`)).status, 404);
+  }
+  const locked = await redeem(app, '10.0.0.3', alice, 'VALI-D000-0000-0000-0000-0001');
+  assert.strictEqual(locked.status, 429, 'the wallet stays locked from another IP address');
+  assert.strictEqual(locked.headers['retry-after'], '60');
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 0);
+
+  // The same IP address is not locked for other wallets yet
+  assert.strictEqual((await redeem(app, '10.0.0.2', bob, 'VALI-D000-0000-0000-0000-0001')).status, 200);
+
+  console.log('Doubling the lockout with every further failure...');
+  await age('wallet_id', alice.id, 61);
+  assert.strictEqual((await redeem(app, '10.0.0.2', alice, 'MISS-0000-0000-0000-0000-0003')).status, 404);
+  const doubled = await redeem(app, '10.0.0.2', alice, 'VALI-D000-0000-0000-0000-0002');
+  assert.strictEqual(doubled.status, 429);
+  assert.strictEqual(doubled.headers['retry-after'], '120');
+
+  // Requests rejected during the lockout are logged but do not extend it
+  const lockedAttempts = await dbAsync.get("SELECT COUNT(*) AS count FROM cdk_failed_attempts WHERE wallet_id = ? AND reason = 'locked'", [alice.id]);
+  assert.strictEqual(lockedAttempts.count, 2);
+  assert.strictEqual((await redeem(app, '10.0.0.2', alice, 'VALI-D000-0000-0000-0000-0002')).headers['retry-after'], '120');
+
+  console.log('Forgetting failures outside the window...');
+  await age('wallet_id', alice.id, 24 * 60 * 60);
+  assert.strictEqual((await redeem(app, '10.0.0.4', alice, 'VALI-D000-0000-0000-0000-0002')).status, 200);
+
+  console.log('Locking an IP address out...');
+  for (let i = 0; i < 6; i++) {
+    assert.strictEqual((await validate(app, '10.0.0.5', `MISS-0000-0000-0000-0001-000${i}`)).status, 404);
+  }
+  const ipLocked = await validate(app, '10.0.0.5', 'VALI-D000-0000-0000-0000-0001');
+  assert.strictEqual(ipLocked.status, 429);
+  assert.ok(ipLocked.body.message);
+  assert.strictEqual((await redeem(app, '10.0.0.5', bob, 'VALI-D000-0000-0000-0000-0002')).status, 429, 'redemptions share the IP lockout');
+  assert.strictEqual((await validate(app, '10.0.0.6', 'MISS-0000-0000-0000-0000-0009')).status, 404, 'other IP addresses are unaffected');
+
+  console.log('Reviewing failed attempts...');
+  await request(app).get('/api/cdks/failed-attempts').expect(401);
+  await request(app).get('/api/cdks/failed-attempts').set('Authorization', alice.auth).expect(403);
+
+  const review = (query) => request(app).get('/api/cdks/failed-attempts').query(query).set('Authorization', admin.auth);
+  const all = await review({ limit: 5 });
+  assert.strictEqual(all.status, 200);
+  const total = (await dbAsync.get('SELECT COUNT(*) AS count FROM cdk_failed_attempts')).count;
+  assert.strictEqual(all.body.pagination.totalAttempts, total);
+  assert.strictEqual(all.body.data.length, 5);
+  assert.strictEqual(all.body.data[0].ipAddress, '10.0.0.6', 'newest first');
+
+  const ofAlice = await review({ wallet: 'alice', reason: 'locked' });
+  assert.strictEqual(ofAlice.body.data.length, 3);
+  for (const attempt of ofAlice.body.data) {
+    assert.strictEqual(attempt.username, 'alice');
+    assert.strictEqual(attempt.endpoint, 'redeem');
+  }
+  assert.strictEqual((await review({ ipAddress: '10.0.0.5', endpoint: 'validate' })).body.data.length, 7);
+  assert.strictEqual((await review({ to: '2000-01-01' })).body.data.length, 0);
+  await review({ endpoint: 'transfer' }).expect(400);
+  await review({ from: 'soon' }).expect(400);
+
+  console.log('Dropping attempts after the retention period...');
+  await age('ip_address', '10.0.0.1', 31 * 24 * 60 * 60);
+  await validate(app, '10.0.0.7', 'MISS-0000-0000-0000-0000-0010');
+  assert.strictEqual((await dbAsync.get("SELECT COUNT(*) AS count FROM cdk_failed_attempts WHERE ip_address = '10.0.0.1'")).count, 0);
+
+  console.log('Holding the limit against parallel requests...');
+  const parallel = await Promise.all(
+    Array.from({ length: 20 }, (_, i) => validate(app, '10.0.0.8', `MISS-0000-0000-0000-0002-${String(i).padStart(4, '0')}`))
+  );
+  assert.strictEqual(parallel.filter(response => response.status === 404).length, 6, 'only the tolerated failures are evaluated');
+  assert.strictEqual(parallel.filter(response => response.status === 429).length, 14);
+  const reasons = await dbAsync.all("SELECT reason, COUNT(*) AS count FROM cdk_failed_attempts WHERE ip_address = '10.0.0.8' GROUP BY reason ORDER BY reason");
+  assert.deepStrictEqual(reasons.map(row => [row.reason, row.count]), [['cdkNotFound', 6], ['locked', 14]]);
+
+  // A successful attempt leaves no reservation behind
+  await cdkService.addCdk({ key: 'VALI-D000-0000-0000-0000-0003', amount: 1, expires_at: inFuture });
+  const before = (await dbAsync.get('SELECT COUNT(*) AS count FROM cdk_failed_attempts')).count;
+  const successes = await Promise.all([1, 2].map(() => validate(app, '10.0.0.9', 'VALI-D000-0000-0000-0000-0003')));
+  assert.deepStrictEqual(successes.map(response => response.status), [200, 200]);
+  assert.strictEqual((await dbAsync.get('SELECT COUNT(*) AS count FROM cdk_failed_attempts')).count, before);
+
+  console.log('CDK attempt tests passed');
+}
+
+runTest('CDK attempt tests', testCdkAttempts);
\ No newline at end of file
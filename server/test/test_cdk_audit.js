@@ -0,0 +1,167 @@
+// Test the CDK admin listing, per-code history and cdk_redemption transactions
+// Usage: node server/test/test_cdk_audit.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('cdk-audit');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const ReconciliationService = require('../services/ReconciliationService');
+const { replaceColumnDefinition, rebuildTable, withForeignKeysDisabled } = require('../../database/migrationUtils');
+const migration = require('../../database/migrations/20261021000000_cdk_redemption_transaction_type');
+
+const walletRepo = new WalletRepository();
+
+function redeem(app, wallet, code) {
+  return request(app)
+    .post('/api/cdks/redeem')
+    .set('Authorization', wallet.auth)
+    .send({ code });
+}
+
+function list(app, admin, query = {}) {
+  return request(app)
+    .get('/api/cdks')
+    .query(query)
+    .set('Authorization', admin.auth);
+}
+
+async function testCdkAudit() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/cdks': 'cdks' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+
+  const campaign = await request(app)
+    .post('/api/cdks/campaigns')
+    .set('Authorization', admin.auth)
+    .send({ name: 'Audit', codeCount: 2, amount: 2, maxRedemptions: 2 });
+  const [shared, untouched] = campaign.body.data.codes;
+  const standalone = 'AUDT-0000-0000-0000-0000-0001';
+  const expired = 'AUDT-0000-0000-0000-0000-0002';
+  await request(app).post('/api/cdks').set('Authorization', admin.auth)
+    .send({ key: standalone, amount: 5, expires_at: new Date(Date.now() + 86400000).toISOString() }).expect(201);
+  await request(app).post('/api/cdks').set('Authorization', admin.auth)
+    .send({ key: expired, amount: 5, expires_at: new Date(Date.now() - 86400000).toISOString() }).expect(201);
+
+  console.log('Recording redemptions as cdk_redemption transactions...');
+  assert.strictEqual((await redeem(app, alice, shared.key)).status, 200);
+  assert.strictEqual((await redeem(app, bob, shared.key)).status, 200);
+  assert.strictEqual((await redeem(app, bob, standalone)).status, 200);
+
+  const transactions = await dbAsync.all(
+    `SELECT t.transaction_type, a.code AS account_code
+     FROM transactions t
+     JOIN cdk_redemptions r ON r.transaction_id = t.id
+     JOIN ledger_entries e ON e.transaction_id = t.id AND e.amount < 0
+     JOIN ledger_accounts a ON a.id = e.account_id`
+  );
+  assert.strictEqual(transactions.length, 3);
+  for (const transaction of transactions) {
+    assert.strictEqual(transaction.transaction_type, 'cdk_redemption');
+    assert.strictEqual(transaction.account_code, 'system:cdk_liability');
+  }
+
+  console.log('Protecting the admin routes...');
+  await request(app).get('/api/cdks').expect(401);
+  await request(app).get('/api/cdks').set('Authorization', alice.auth).expect(403);
+  await request(app).get(`/api/cdks/${shared.key}/history`).set('Authorization', alice.auth).expect(403);
+
+  console.log('Listing CDKs with filters...');
+  const all = await list(app, admin);
+  assert.strictEqual(all.status, 200);
+  assert.strictEqual(all.body.pagination.totalCdks, 4);
+  const statusOf = Object.fromEntries(all.body.data.map(cdk => [cdk.key, cdk.status]));
+  assert.deepStrictEqual(statusOf, {
+    [shared.key]: 'USED',
+    [untouched.key]: 'ACTIVE',
+    [standalone]: 'USED',
+    [expired]: 'EXPIRED'
+  });
+
+  const paged = await list(app, admin, { limit: 3, page: 2 });
+  assert.strictEqual(paged.body.data.length, 1);
+  assert.strictEqual(paged.body.pagination.totalPages, 2);
+  assert.strictEqual(paged.body.pagination.hasPreviousPage, true);
+
+  const keys = (response) => response.body.data.map(cdk => cdk.key).sort();
+  assert.deepStrictEqual(keys(await list(app, admin, { status: 'EXPIRED' })), [expired]);
+  assert.deepStrictEqual(keys(await list(app, admin, { campaignId: campaign.body.data.campaign.id })), [shared.key, untouched.key].sort());
+  assert.deepStrictEqual(keys(await list(app, admin, { redeemedBy: 'alice' })), [shared.key]);
+  assert.deepStrictEqual(keys(await list(app, admin, { redeemedBy: bob.id })), [shared.key, standalone].sort());
+  assert.deepStrictEqual(keys(await list(app, admin, { redeemedBy: 'bob', status: 'ACTIVE' })), []);
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.strictEqual((await list(app, admin, { createdFrom: today, createdTo: today })).body.data.length, 4, 'a plain date covers the whole day');
+  assert.strictEqual((await list(app, admin, { redeemedTo: '2000-01-01' })).body.data.length, 0);
+  assert.strictEqual((await list(app, admin, { redeemedFrom: today })).body.data.length, 2);
+
+  await list(app, admin, { status: 'LOST' }).expect(400);
+  await list(app, admin, { createdFrom: 'yesterday' }).expect(400);
+  await list(app, admin, { limit: 500 }).expect(400);
+
+  console.log('Revoked campaigns show their codes as revoked...');
+  await request(app).delete(`/api/cdks/campaigns/${campaign.body.data.campaign.id}`).set('Authorization', admin.auth).expect(200);
+  assert.deepStrictEqual(keys(await list(app, admin, { status: 'REVOKED' })), [shared.key, untouched.key].sort());
+
+  console.log('Reading the history of a code...');
+  const history = await request(app).get(`/api/cdks/${shared.key}/history`).set('Authorization', admin.auth);
+  assert.strictEqual(history.status, 200);
+  assert.strictEqual(history.body.data.cdk.redemptionCount, 2);
+  assert.strictEqual(history.body.data.cdk.campaignName, 'Audit');
+  assert.deepStrictEqual(history.body.data.redemptions.map(redemption => redemption.username), ['alice', 'bob']);
+  for (const redemption of history.body.data.redemptions) {
+    assert.strictEqual(redemption.amount, 2);
+    assert.strictEqual(redemption.transactionType, 'cdk_redemption');
+    assert.ok(redemption.transactionId);
+  }
+  await request(app).get('/api/cdks/MISS-MISS-MISS-MISS-MISS-MISS/history').set('Authorization', admin.auth).expect(404);
+
+  const walletHistory = await request(app).get(`/api/wallets/${alice.id}/transactions`).set('Authorization', alice.auth);
+  assert.strictEqual(walletHistory.status, 200);
+  assert.ok(walletHistory.body.transactions.some(transaction => transaction.transactionType === 'cdk_redemption'));
+
+  console.log('Migrating redemptions recorded as system transactions...');
+  const legacyTransaction = await dbAsync.get(
+    `SELECT t.id FROM transactions t JOIN cdk_redemptions r ON r.transaction_id = t.id
+     JOIN cdks c ON c.id = r.cdk_id WHERE c.key = ?`,
+    [standalone]
+  );
+  await withForeignKeysDisabled(dbAsync, async () => {
+    await dbAsync.run('DELETE FROM cdk_redemptions WHERE transaction_id = ?', [legacyTransaction.id]);
+    await dbAsync.run("UPDATE transactions SET transaction_type = 'system' WHERE transaction_type = 'cdk_redemption'");
+    await rebuildTable(dbAsync, 'transactions', {
+      transformSql: (sql) => replaceColumnDefinition(sql, 'transaction_type',
+        "TEXT NOT NULL CHECK (transaction_type IN ('transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt'))")
+    });
+  });
+
+  await migration.up(dbAsync);
+
+  const retyped = await dbAsync.all("SELECT COUNT(*) AS count FROM transactions WHERE transaction_type = 'cdk_redemption'");
+  assert.strictEqual(retyped[0].count, 3);
+  const relinked = await dbAsync.get('SELECT * FROM cdk_redemptions WHERE transaction_id = ?', [legacyTransaction.id]);
+  assert.ok(relinked, 'the legacy redemption is linked to its code');
+  assert.strictEqual(relinked.wallet_id, bob.id);
+  const legacyHistory = await request(app).get(`/api/cdks/${standalone}/history`).set('Authorization', admin.auth);
+  assert.strictEqual(legacyHistory.body.data.redemptions.length, 1);
+
+  // Running it again changes nothing
+  await migration.up(dbAsync);
+  assert.strictEqual((await dbAsync.get('SELECT COUNT(*) AS count FROM cdk_redemptions')).count, 3);
+
+  const report = await new ReconciliationService().reconcile();
+  assert.strictEqual(report.consistent, true, JSON.stringify(report.summary));
+
+  console.log('CDK audit tests passed');
+}
+
+runTest('CDK audit tests', testCdkAudit);
\ No newline at end of file
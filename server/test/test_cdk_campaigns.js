@@ -0,0 +1,175 @@
+// Test CDK campaigns: budgets, multi-use codes, per-wallet caps, windows and revocation
+// Usage: node server/test/test_cdk_campaigns.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('cdk-campaigns');
+// Failed redemptions are expected here; keep the attempt limits out of the way
+process.env.CDK_MAX_FAILURES_PER_IP = '1000';
+process.env.CDK_MAX_FAILURES_PER_WALLET = '1000';
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const CdkRepository = require('../repositories/CdkRepository');
+const ReconciliationService = require('../services/ReconciliationService');
+
+const walletRepo = new WalletRepository();
+const cdkRepo = new CdkRepository();
+
+// Responses do not reveal why a code was rejected; the failed attempt log does
+async function lastFailureReason() {
+  const attempt = await dbAsync.get('SELECT reason FROM cdk_failed_attempts ORDER BY created_at DESC, rowid DESC LIMIT 1');
+  return attempt.reason;
+}
+
+function redeem(app, wallet, code) {
+  return request(app)
+    .post('/api/cdks/redeem')
+    .set('Authorization', wallet.auth)
+    .send({ code });
+}
+
+async function testCdkCampaigns() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/cdks': 'cdks' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+
+  console.log('Creating a campaign...');
+  const campaignBody = {
+    name: 'Spring promo',
+    budget: 10,
+    maxRedemptionsPerWallet: 2,
+    codeCount: 2,
+    amount: 3,
+    maxRedemptions: 3
+  };
+  await request(app).post('/api/cdks/campaigns').set('Authorization', alice.auth).send(campaignBody).expect(403);
+  const created = await request(app)
+    .post('/api/cdks/campaigns')
+    .set('Authorization', admin.auth)
+    .send(campaignBody);
+  assert.strictEqual(created.status, 201);
+  const campaign = created.body.data.campaign;
+  const [first, second] = created.body.data.codes;
+  assert.strictEqual(campaign.budget, 10);
+  assert.strictEqual(campaign.codeCount, 2);
+  assert.strictEqual(first.maxRedemptions, 3);
+  assert.ok(/^[A-Z0-9]{4}(-[A-Z0-9]{4}){5}$/.test(first.key));
+
+  const duplicate = await request(app).post('/api/cdks/campaigns').set('Authorization', admin.auth).send(campaignBody);
+  assert.strictEqual(duplicate.status, 409);
+  const invalid = await request(app).post('/api/cdks/campaigns').set('Authorization', admin.auth).send({ name: 'Bad', budget: -1 });
+  assert.strictEqual(invalid.status, 400);
+
+  console.log('Enforcing the per-wallet cap on a multi-use code...');
+  assert.strictEqual((await redeem(app, alice, first.key)).status, 200);
+  assert.strictEqual((await redeem(app, alice, first.key)).status, 200);
+  const capped = await redeem(app, alice, first.key);
+  assert.strictEqual(capped.status, 404);
+  assert.strictEqual(await lastFailureReason(), 'cdkRedemptionLimitReached');
+  assert.strictEqual((await redeem(app, bob, first.key)).status, 200);
+  const exhaustedCode = await cdkRepo.findByKey(first.key);
+  assert.strictEqual(exhaustedCode.redemption_count, 3);
+  assert.strictEqual(exhaustedCode.status, 'USED', 'the last redemption uses the code up');
+
+  console.log('Enforcing the budget...');
+  const overBudget = await redeem(app, bob, second.key);
+  assert.strictEqual(overBudget.status, 404);
+  assert.strictEqual(await lastFailureReason(), 'cdkCampaignBudgetExhausted');
+  assert.strictEqual((await cdkRepo.findByKey(second.key)).redemption_count, 0, 'the failed redemption is rolled back');
+  assert.strictEqual((await walletRepo.findById(bob.id)).balance, 300);
+
+  console.log('Updating the campaign...');
+  const belowSpent = await request(app)
+    .put(`/api/cdks/campaigns/${campaign.id}`)
+    .set('Authorization', admin.auth)
+    .send({ budget: 5 });
+  assert.strictEqual(belowSpent.status, 400, 'the budget cannot drop below what was paid out');
+  const raised = await request(app)
+    .put(`/api/cdks/campaigns/${campaign.id}`)
+    .set('Authorization', admin.auth)
+    .send({ budget: 20 });
+  assert.strictEqual(raised.status, 200);
+  assert.strictEqual(raised.body.data.remainingBudget, 11);
+  assert.strictEqual((await redeem(app, bob, second.key)).status, 200);
+  assert.strictEqual((await walletRepo.findById(bob.id)).balance, 600);
+
+  console.log('Redeeming a multi-use code in parallel...');
+  const parallelCampaign = await request(app)
+    .post('/api/cdks/campaigns')
+    .set('Authorization', admin.auth)
+    .send({ name: 'Flash sale', maxRedemptionsPerWallet: null, codeCount: 1, amount: 1, maxRedemptions: 3 });
+  const flashKey = parallelCampaign.body.data.codes[0].key;
+  const wallets = [alice, bob, admin, alice, bob, admin];
+  const statuses = (await Promise.all(wallets.map(wallet => redeem(app, wallet, flashKey)))).map(response => response.status);
+  assert.strictEqual(statuses.filter(status => status === 200).length, 3, `statuses ${statuses}`);
+
+  console.log('Checking the redemption window...');
+  const future = await request(app)
+    .post('/api/cdks/campaigns')
+    .set('Authorization', admin.auth)
+    .send({ name: 'Summer', startsAt: new Date(Date.now() + 86400000).toISOString(), codeCount: 1, amount: 1 });
+  const futureKey = future.body.data.codes[0].key;
+  const notStarted = await request(app).post('/api/cdks/validate').send({ code: futureKey });
+  assert.strictEqual(notStarted.status, 404);
+  assert.strictEqual(await lastFailureReason(), 'cdkCampaignNotStarted');
+
+  const backwards = await request(app)
+    .put(`/api/cdks/campaigns/${future.body.data.campaign.id}`)
+    .set('Authorization', admin.auth)
+    .send({ endsAt: new Date().toISOString() });
+  assert.strictEqual(backwards.status, 400, 'the window must end after it starts');
+
+  await request(app)
+    .put(`/api/cdks/campaigns/${future.body.data.campaign.id}`)
+    .set('Authorization', admin.auth)
+    .send({ startsAt: new Date(Date.now() - 2 * 86400000).toISOString(), endsAt: new Date(Date.now() - 86400000).toISOString() })
+    .expect(200);
+  const ended = await redeem(app, alice, futureKey);
+  assert.strictEqual(ended.status, 404);
+  assert.strictEqual(await lastFailureReason(), 'cdkCampaignEnded');
+
+  console.log('Revoking a campaign...');
+  const third = await request(app)
+    .post('/api/cdks/campaigns')
+    .set('Authorization', admin.auth)
+    .send({ name: 'Revoked', codeCount: 3, amount: 1 });
+  const revokedCampaign = third.body.data.campaign;
+  const revoked = await request(app)
+    .delete(`/api/cdks/campaigns/${revokedCampaign.id}`)
+    .set('Authorization', admin.auth);
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual(revoked.body.data.status, 'REVOKED');
+  for (const code of third.body.data.codes) {
+    const response = await redeem(app, alice, code.key);
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(await lastFailureReason(), 'cdkRevoked');
+  }
+  await request(app).delete(`/api/cdks/campaigns/${revokedCampaign.id}`).set('Authorization', admin.auth).expect(409);
+  await request(app).put(`/api/cdks/campaigns/${revokedCampaign.id}`).set('Authorization', admin.auth).send({ budget: 1 }).expect(409);
+  await request(app).delete('/api/cdks/campaigns/missing').set('Authorization', admin.auth).expect(404);
+
+  console.log('Listing campaigns...');
+  const list = await request(app).get('/api/cdks/campaigns').set('Authorization', admin.auth);
+  assert.strictEqual(list.status, 200);
+  assert.strictEqual(list.body.data.length, 4);
+  const detail = await request(app).get(`/api/cdks/campaigns/${campaign.id}`).set('Authorization', admin.auth);
+  assert.strictEqual(detail.body.data.campaign.redemptionCount, 4);
+  assert.strictEqual(detail.body.data.campaign.spent, 12);
+  assert.deepStrictEqual(detail.body.data.codes.map(code => code.redemptionCount).sort(), [1, 3]);
+
+  const report = await new ReconciliationService().reconcile();
+  assert.strictEqual(report.consistent, true, JSON.stringify(report.summary));
+
+  console.log('CDK campaign tests passed');
+}
+
+runTest('CDK campaign tests', testCdkCampaigns);
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Test CDK storage in SQLite: concurrent and failed redemptions, generation and import
+// Usage: node server/test/test_cdk_storage.js (runs against a temporary database)
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('cdk-storage');
+const IMPORT_FILE = path.join(os.tmpdir(), `chrysorrhoe-test-cdk-storage-${process.pid}.json`);
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const CdkRepository = require('../repositories/CdkRepository');
+const cdkService = require('../services/CdkService');
+
+const walletRepo = new WalletRepository();
+const cdkRepo = new CdkRepository();
+
+function runScript(script, args) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', script), ...args], {
+    env: process.env,
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  assert.strictEqual(result.status, 0, result.stderr);
+  return result.stdout;
+}
+
+async function testCdkStorage() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/cdks': 'cdks' });
+
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+
+  console.log('Redeeming one code from two wallets at once...');
+  const key = 'race-abcd-efgh-ijkl-mnop-qrst';
+  await cdkService.addCdk({ key, amount: 12.5 });
+  assert.strictEqual((await cdkRepo.findByKey(key)).amount, 1250, 'amounts are stored in minor units');
+
+  const responses = await Promise.all([alice, bob, alice, bob].map(wallet => request(app)
+    .post('/api/cdks/redeem')
+    .set('Authorization', wallet.auth)
+    .send({ code: key })));
+  const statuses = responses.map(response => response.status).sort();
+  assert.deepStrictEqual(statuses, [200, 404, 404, 404]);
+  assert.strictEqual(responses.find(response => response.status === 200).body.data.amount, 12.5);
+
+  const total = (await walletRepo.findById(alice.id)).balance + (await walletRepo.findById(bob.id)).balance;
+  assert.strictEqual(total, 1250, 'the code is credited once');
+  const used = await cdkRepo.findByKey(key);
+  assert.strictEqual(used.status, 'USED');
+  assert.ok([alice.id, bob.id].includes(used.used_by_wallet_id));
+  const redemptions = await dbAsync.get("SELECT COUNT(*) AS count FROM transactions WHERE transaction_type = 'cdk_redemption'");
+  assert.strictEqual(redemptions.count, 1);
+
+  console.log('Keeping the code active when the credit fails...');
+  const failing = 'fail-abcd-efgh-ijkl-mnop-qrst';
+  await cdkService.addCdk({ key: failing, amount: 1 });
+  cdkService.walletRepo.credit = async () => {
+    throw new Error('simulated crash');
+  };
+  try {
+    await assert.rejects(cdkService.redeemCdk(failing, 'alice'), /simulated crash/);
+  } finally {
+    delete cdkService.walletRepo.credit;
+  }
+  assert.strictEqual((await cdkRepo.findByKey(failing)).status, 'ACTIVE', 'marking the code as used is rolled back');
+  await cdkService.redeemCdk(failing, 'alice');
+  assert.strictEqual((await cdkRepo.findByKey(failing)).status, 'USED');
+
+  console.log('Validating without redeeming...');
+  const validated = await request(app)
+    .post('/api/cdks/validate')
+    .send({ code: key });
+  assert.strictEqual(validated.status, 404);
+  await assert.rejects(cdkService.addCdk({ key, amount: 1 }), /already exists/);
+
+  console.log('Generating codes into the table...');
+  const before = await dbAsync.get('SELECT COUNT(*) AS count FROM cdks');
+  runScript('generateCdks.js', ['--amount=5.25', '--count=3']);
+  const generated = await dbAsync.all('SELECT * FROM cdks WHERE amount = 525');
+  assert.strictEqual(generated.length, 3);
+  assert.strictEqual((await dbAsync.get('SELECT COUNT(*) AS count FROM cdks')).count, before.count + 3);
+  const generatedCheck = await request(app)
+    .post('/api/cdks/validate')
+    .send({ code: generated[0].key });
+  assert.strictEqual(generatedCheck.status, 200);
+  assert.strictEqual(generatedCheck.body.data.amount, 5.25);
+
+  console.log('Importing a legacy cdks.json file...');
+  const expiresAt = new Date(Date.now() + 86400000).toISOString();
+  fs.writeFileSync(IMPORT_FILE, JSON.stringify({
+    cdks: [
+      { key: 'impo-rted-acti-veab-cdef-ghij', amount: 7.5, currency: 'USD', status: 'ACTIVE', created_at: '2025-01-01T00:00:00.000Z', expires_at: expiresAt },
+      { key: 'impo-rted-used-abcd-efgh-ijkl', amount: 2, currency: 'USD', status: 'USED', created_at: '2025-01-01T00:00:00.000Z', expires_at: expiresAt, used_at: '2025-02-01T00:00:00.000Z', used_by: 'bob' },
+      { key, amount: 99, currency: 'USD', status: 'ACTIVE', expires_at: expiresAt },
+      { key: 'bad', amount: 1.234, expires_at: expiresAt }
+    ]
+  }));
+  runScript('importCdks.js', [`--file=${IMPORT_FILE}`]);
+
+  assert.ok(!fs.existsSync(IMPORT_FILE) && fs.existsSync(`${IMPORT_FILE}.imported`), 'the file is only imported once');
+  const imported = await cdkRepo.findByKey('impo-rted-acti-veab-cdef-ghij');
+  assert.strictEqual(imported.amount, 750);
+  assert.strictEqual(imported.created_at, '2025-01-01T00:00:00.000Z');
+  const importedUsed = await cdkRepo.findByKey('impo-rted-used-abcd-efgh-ijkl');
+  assert.strictEqual(importedUsed.status, 'USED');
+  assert.strictEqual(importedUsed.used_by_wallet_id, bob.id);
+  assert.strictEqual((await cdkRepo.findByKey(key)).amount, 1250, 'existing codes are not overwritten');
+  assert.strictEqual(await cdkRepo.findByKey('bad'), null);
+
+  const importedRedeem = await request(app)
+    .post('/api/cdks/redeem')
+    .set('Authorization', alice.auth)
+    .send({ code: 'impo-rted-used-abcd-efgh-ijkl' });
+  assert.strictEqual(importedRedeem.status, 404, 'codes used before the import stay used');
+
+  console.log('CDK storage tests passed');
+}
+
+function cleanup() {
+  fs.rmSync(IMPORT_FILE, { force: true });
+  fs.rmSync(`${IMPORT_FILE}.imported`, { force: true });
+}
+
+runTest('CDK storage tests', testCdkStorage, cleanup);
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Stress test concurrent money movement: hundreds of parallel transfers must conserve money
+// Usage: node server/test/test_concurrency.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('concurrency');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const { walletRepository: walletRepo, databaseService } = require('../repositories');
+const merchantService = require('../services/MerchantService');
+
+const WALLET_COUNT = 6;
+const INITIAL_BALANCE = 10000; // 100.00 in minor units
+const PARALLEL_TRANSFERS = 300;
+const PARALLEL_REPOSITORY_TRANSFERS = 100;
+const PARALLEL_THIRD_PARTY = 60;
+
+// Deterministic pseudo-random numbers so failures can be reproduced
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function randomAmountMinor(max) {
+  return 1 + Math.floor(random() * max);
+}
+
+function pickPair(wallets) {
+  const from = wallets[Math.floor(random() * wallets.length)];
+  let to = from;
+  while (to === from) {
+    to = wallets[Math.floor(random() * wallets.length)];
+  }
+  return [from, to];
+}
+
+// Create a wallet holding a balance in minor units
+async function createFundedWallet(app, username, balance) {
+  const wallet = await createWallet(app, username);
+  await walletRepo.updateBalance(wallet.id, balance);
+  return wallet;
+}
+
+async function getTotalBalance() {
+  const row = await dbAsync.get('SELECT SUM(balance) AS total, MIN(balance) AS lowest FROM wallets');
+  return row;
+}
+
+async function testUnitOfWork() {
+  console.log('Checking transaction scopes...');
+
+  // A failing scope must not take statements issued outside it down with it
+  const failing = dbAsync.transaction(async () => {
+    await dbAsync.run("INSERT INTO wallets (id, username) VALUES ('scope-a', 'scopea')");
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('abort scope');
+  });
+  const outside = dbAsync.run("INSERT INTO wallets (id, username) VALUES ('scope-b', 'scopeb')");
+  await assert.rejects(failing, /abort scope/);
+  await outside;
+
+  assert.strictEqual(await walletRepo.findById('scope-a'), null, 'the failed scope should be rolled back');
+  assert.ok(await walletRepo.findById('scope-b'), 'a statement outside the scope should be kept');
+
+  // Nested scopes become savepoints of the outer transaction
+  await dbAsync.transaction(async () => {
+    await dbAsync.run("UPDATE wallets SET balance = 100 WHERE id = 'scope-b'");
+    await assert.rejects(dbAsync.transaction(async () => {
+      await dbAsync.run("UPDATE wallets SET balance = 999 WHERE id = 'scope-b'");
+      throw new Error('abort savepoint');
+    }), /abort savepoint/);
+    assert.ok(dbAsync.inTransaction());
+  });
+  assert.strictEqual((await walletRepo.findById('scope-b')).balance, 100);
+  assert.ok(!dbAsync.inTransaction());
+
+  await dbAsync.run("DELETE FROM wallets WHERE id = 'scope-b'");
+}
+
+async function testOverdraftRace(app) {
+  console.log('Racing debits against a small balance...');
+  const payer = await createFundedWallet(app, 'racer', 1000); // 10.00
+  const payee = await createFundedWallet(app, 'finish', 0);
+
+  const responses = await Promise.all(Array.from({ length: 50 }, () => request(app)
+    .post('/api/transfers')
+    .set('Authorization', payer.auth)
+    .send({ fromWalletId: payer.id, toWalletId: payee.id, amount: 1 })));
+
+  const succeeded = responses.filter(response => response.status === 201).length;
+  assert.ok(responses.every(response => [201, 400].includes(response.status)));
+  assert.strictEqual(succeeded, 10, 'exactly the available balance should be transferred');
+  assert.strictEqual((await walletRepo.findById(payer.id)).balance, 0);
+  assert.strictEqual((await walletRepo.findById(payee.id)).balance, 1000);
+}
+
+async function testParallelTransfers(app, merchantKey) {
+  const wallets = [];
+  for (let i = 0; i < WALLET_COUNT; i++) {
+    wallets.push(await createFundedWallet(app, `stress${String.fromCharCode(97 + i)}`, INITIAL_BALANCE));
+  }
+  const walletIds = wallets.map(wallet => wallet.id);
+  const before = await getTotalBalance();
+
+  console.log(`Firing ${PARALLEL_TRANSFERS} API transfers, ${PARALLEL_REPOSITORY_TRANSFERS} repository transfers and ${PARALLEL_THIRD_PARTY} third-party operations in parallel...`);
+  const operations = [];
+
+  for (let i = 0; i < PARALLEL_TRANSFERS; i++) {
+    const [from, to] = pickPair(wallets);
+    const amount = randomAmountMinor(4000) / 100;
+    operations.push(request(app)
+      .post('/api/transfers')
+      .set('Authorization', from.auth)
+      .send({ fromWalletId: from.id, toWalletId: to.id, amount })
+      .then(response => ({ kind: 'transfer', status: response.status })));
+  }
+
+  for (let i = 0; i < PARALLEL_REPOSITORY_TRANSFERS; i++) {
+    const [from, to] = pickPair(wallets);
+    operations.push(databaseService.executeTransfer(from.id, to.id, randomAmountMinor(4000))
+      .then(() => ({ kind: 'repository', status: 201 }))
+      .catch(error => ({ kind: 'repository', status: 400, error })));
+  }
+
+  for (let i = 0; i < PARALLEL_THIRD_PARTY; i++) {
+    const wallet = wallets[Math.floor(random() * wallets.length)];
+    const amount = randomAmountMinor(3000) / 100;
+    const isPayment = i % 2 === 0;
+    const call = request(app)
+      .post(isPayment ? '/api/third-party/payments' : '/api/third-party/receipts')
+      .set('X-Merchant-Key', merchantKey);
+    if (isPayment) {
+      call.set('Authorization', wallet.auth);
+    }
+    operations.push(call
+      .send({ walletId: wallet.id, amount })
+      .then(response => ({ kind: isPayment ? 'payment' : 'receipt', status: response.status })));
+  }
+
+  const results = await Promise.all(operations);
+
+  for (const result of results) {
+    if (result.kind === 'repository' && result.error) {
+      assert.match(result.error.message, /insufficient/i, 'repository transfers may only fail for lack of funds');
+    }
+    assert.ok([201, 400].includes(result.status), `unexpected status ${result.status} for ${result.kind}`);
+  }
+
+  const count = (kind) => results.filter(result => result.kind === kind && result.status === 201).length;
+  console.log(`Succeeded: ${count('transfer')} API transfers, ${count('repository')} repository transfers, ${count('payment')} payments, ${count('receipt')} receipts`);
+  assert.ok(count('transfer') > 0 && count('repository') > 0, 'some transfers should succeed');
+
+  console.log('Checking conservation of money...');
+  const placeholders = walletIds.map(() => '?').join(', ');
+  const transferCount = await dbAsync.get(
+    `SELECT COUNT(*) AS count FROM transactions WHERE transaction_type = 'transfer' AND from_wallet_id IN (${placeholders})`,
+    walletIds
+  );
+  assert.strictEqual(transferCount.count, count('transfer') + count('repository'), 'every successful transfer is recorded exactly once');
+
+  const flows = await dbAsync.get(
+    `SELECT
+       COALESCE(SUM(CASE WHEN transaction_type = 'third_party_receipt' THEN amount ELSE 0 END), 0) AS received,
+       COALESCE(SUM(CASE WHEN transaction_type = 'third_party_payment' THEN amount + fee_amount ELSE 0 END), 0) AS paid
+     FROM transactions
+     WHERE from_wallet_id IN (${placeholders}) OR to_wallet_id IN (${placeholders})`,
+    [...walletIds, ...walletIds]
+  );
+
+  const after = await getTotalBalance();
+  assert.strictEqual(after.total, before.total + flows.received - flows.paid, 'transfers must neither create nor destroy money');
+  assert.ok(after.lowest >= 0, 'no wallet may be overdrawn');
+
+  // Every balance must match its initial balance plus recorded inflows minus outflows
+  for (const wallet of wallets) {
+    const row = await dbAsync.get(
+      `SELECT
+         COALESCE(SUM(CASE WHEN to_wallet_id = ? THEN amount ELSE 0 END), 0) AS incoming,
+         COALESCE(SUM(CASE WHEN from_wallet_id = ? THEN amount + fee_amount ELSE 0 END), 0) AS outgoing
+       FROM transactions`,
+      [wallet.id, wallet.id]
+    );
+    const current = await walletRepo.findById(wallet.id);
+    assert.strictEqual(current.balance, INITIAL_BALANCE + row.incoming - row.outgoing, `balance of ${wallet.username} must match its transactions`);
+  }
+}
+
+async function testConcurrency() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/third-party': 'thirdPartyPayments'
+  });
+  const { apiKey: merchantKey } = await merchantService.onboardMerchant({ id: 'shop-1', name: 'Shop' });
+
+  await testUnitOfWork();
+  await testOverdraftRace(app);
+  await testParallelTransfers(app, merchantKey);
+  console.log('Concurrency tests passed');
+}
+
+runTest('Concurrency tests', testConcurrency);
\ No newline at end of file
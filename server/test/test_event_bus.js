@@ -0,0 +1,97 @@
+// Test the transactional outbox and the domain event bus
+// Usage: node server/test/test_event_bus.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, runTest } = require('./helpers');
+
+useTemporaryDatabase('event-bus');
+
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const eventBus = require('../services/EventBus');
+
+const walletRepo = new WalletRepository();
+
+const countEvents = async () => (await dbAsync.get('SELECT COUNT(*) AS count FROM outbox_events')).count;
+const consumerRow = (name) => dbAsync.get('SELECT * FROM outbox_consumers WHERE name = ?', [name]);
+
+async function testEventBus() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+
+  const alice = await walletRepo.create({ username: 'alice' });
+  const bob = await walletRepo.create({ username: 'bob' });
+  await walletRepo.credit(alice.id, 10000);
+
+  console.log('Writing events in the unit of work of the change...');
+  const result = await walletRepo.transfer(alice.id, bob.id, 1250, { description: 'rent' });
+  const [event] = await eventBus.outboxRepo.findAfter(0, 10);
+  assert.strictEqual(event.type, 'transfer.completed');
+  assert.strictEqual(event.payload.transactionId, result.transaction.id);
+  assert.strictEqual(event.payload.amount, 1250, 'amounts are in minor units');
+  assert.strictEqual(event.payload.fromUsername, 'alice');
+
+  await assert.rejects(dbAsync.transaction(async () => {
+    await walletRepo.transfer(alice.id, bob.id, 100);
+    throw new Error('abort');
+  }), /abort/);
+  await assert.rejects(walletRepo.transfer(alice.id, bob.id, 1000000));
+  assert.strictEqual(await countEvents(), 1, 'rolled back changes publish nothing');
+  assert.strictEqual((await walletRepo.findById(bob.id)).balance, 1250);
+
+  console.log('Validating typed events...');
+  await assert.rejects(eventBus.publish('wallet.exploded', {}), /wallet\.exploded/);
+  await assert.rejects(
+    eventBus.publish('payment.succeeded', { transactionId: 'x', walletId: alice.id, amount: 1, feeAmount: 0 }),
+    /payment\.succeeded\.merchantId/
+  );
+  assert.throws(() => eventBus.subscribe('bad', ['wallet.exploded'], async () => {}));
+  assert.strictEqual(await countEvents(), 1);
+
+  console.log('Feeding consumers in order...');
+  const seen = [];
+  let failures = 1;
+  eventBus.subscribe('audit', ['transfer.completed', 'cdk.redeemed'], async (item) => {
+    seen.push(item.payload.transactionId);
+  });
+  eventBus.subscribe('flaky', ['transfer.completed'], async () => {
+    // Its side effects are rolled back with the failed attempt
+    await walletRepo.credit(bob.id, 1);
+    if (failures-- > 0) {
+      throw new Error('receiver unavailable');
+    }
+  });
+
+  const second = await walletRepo.transfer(alice.id, bob.id, 250);
+  assert.deepStrictEqual(await eventBus.dispatch(), { audit: 2, flaky: 0 });
+  assert.deepStrictEqual(seen, [result.transaction.id, second.transaction.id]);
+  assert.strictEqual((await walletRepo.findById(bob.id)).balance, 1500, 'failed handler changed nothing');
+  const flaky = await consumerRow('flaky');
+  assert.strictEqual(flaky.last_sequence, 0, 'a failing consumer stays at its event');
+  assert.strictEqual(flaky.failed_attempts, 1);
+  assert.strictEqual(flaky.last_error, 'receiver unavailable');
+
+  assert.deepStrictEqual(await eventBus.dispatch(), { audit: 0, flaky: 2 });
+  assert.strictEqual((await walletRepo.findById(bob.id)).balance, 1502);
+  const recovered = await consumerRow('flaky');
+  assert.strictEqual(recovered.failed_attempts, 0);
+  assert.strictEqual(recovered.last_error, null);
+  assert.strictEqual(recovered.last_sequence, (await consumerRow('audit')).last_sequence);
+  assert.deepStrictEqual(await eventBus.dispatch(), { audit: 0, flaky: 0 }, 'events are handled once');
+
+  console.log('Pruning consumed events...');
+  await dbAsync.run('UPDATE outbox_events SET created_at = ?', ['2020-01-01T00:00:00.000Z']);
+  eventBus.subscribe('late', ['cdk.redeemed'], async () => {});
+  await walletRepo.transfer(alice.id, bob.id, 1);
+  await eventBus.outboxRepo.getConsumer('late');
+  await eventBus.outboxRepo.advance('late', 1);
+  await eventBus.outboxRepo.prune('2021-01-01T00:00:00.000Z');
+  assert.strictEqual(await countEvents(), 2, 'events a consumer still needs are kept');
+  await eventBus.dispatch();
+  assert.strictEqual(await countEvents(), 1, 'recent events are kept');
+
+  console.log('Event bus tests passed');
+}
+
+runTest('Event bus tests', testEventBus);
@@ -0,0 +1,206 @@
+// Test fee schedules, promotions and the fee of third-party payments
+// Usage: node server/test/test_fees.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('fees');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const ReconciliationService = require('../services/ReconciliationService');
+const merchantService = require('../services/MerchantService');
+const migration = require('../../database/migrations/20261022000000_fee_schedules');
+
+const walletRepo = new WalletRepository();
+const ledgerRepo = new LedgerRepository();
+
+async function testFees() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/third-party': 'thirdPartyPayments', '/api/fees': 'fees' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 10000 })
+    .expect(200);
+
+  const merchantKeys = {};
+  for (const id of ['shop', 'capped', 'flat', 'tiered']) {
+    merchantKeys[id] = (await merchantService.onboardMerchant({ id, name: `Merchant ${id}` })).apiKey;
+  }
+
+  const quote = async (amount, thirdPartyId) => {
+    const response = await request(app)
+      .get('/api/fees/quote')
+      .query({ amount, thirdPartyId })
+      .set('Authorization', alice.auth);
+    assert.strictEqual(response.status, 200);
+    return response.body.data;
+  };
+  const schedules = (method, url = '') => request(app)[method](`/api/fees/schedules${url}`).set('Authorization', admin.auth);
+  const promotions = (method, url = '') => request(app)[method](`/api/fees/promotions${url}`).set('Authorization', admin.auth);
+
+  console.log('Charging the default 10% schedule...');
+  const defaults = await schedules('get');
+  assert.strictEqual(defaults.status, 200);
+  assert.strictEqual(defaults.body.data.length, 1);
+  assert.strictEqual(defaults.body.data[0].thirdPartyId, null);
+  assert.strictEqual(defaults.body.data[0].rate, 0.1);
+  assert.deepStrictEqual(await quote(12.34, 'shop'), { amount: 12.34, feeAmount: 1.23, totalAmount: 13.57, scheduleId: defaults.body.data[0].id, promotionId: null });
+  await request(app).get('/api/fees/quote').query({ amount: 1, thirdPartyId: 'shop' }).expect(401);
+  await request(app).get('/api/fees/quote').query({ amount: 'lots', thirdPartyId: 'shop' }).set('Authorization', alice.auth).expect(400);
+
+  console.log('Protecting the admin routes...');
+  await request(app).get('/api/fees/schedules').expect(401);
+  await request(app).get('/api/fees/schedules').set('Authorization', alice.auth).expect(403);
+  await request(app).post('/api/fees/promotions').set('Authorization', alice.auth).send({}).expect(403);
+
+  console.log('Overriding the fee per merchant...');
+  const capped = await schedules('post').send({ name: 'Capped', thirdPartyId: 'capped', feeType: 'percentage', rate: 0.05, flatAmount: 0.3, minFee: 1, maxFee: 10 });
+  assert.strictEqual(capped.status, 201);
+  assert.strictEqual((await quote(10, 'capped')).feeAmount, 1, 'the minimum applies to small payments');
+  assert.strictEqual((await quote(100, 'capped')).feeAmount, 5.3);
+  assert.strictEqual((await quote(1000, 'capped')).feeAmount, 10, 'the maximum applies to large payments');
+  assert.strictEqual((await quote(10, 'shop')).feeAmount, 1, 'other merchants keep the default');
+
+  await schedules('post').send({ name: 'Twice', thirdPartyId: 'capped', feeType: 'flat', flatAmount: 1 }).expect(409);
+  await schedules('post').send({ name: 'Unknown', thirdPartyId: 'nobody', feeType: 'flat', flatAmount: 1 }).expect(404);
+
+  const flat = await schedules('post').send({ name: 'Flat', thirdPartyId: 'flat', feeType: 'flat', flatAmount: 0.5 });
+  assert.strictEqual(flat.status, 201);
+  assert.strictEqual((await quote(999.99, 'flat')).feeAmount, 0.5);
+
+  const tiered = await schedules('post').send({
+    name: 'Tiered',
+    thirdPartyId: 'tiered',
+    feeType: 'tiered',
+    tiers: [
+      { upTo: 50, rate: 0.1 },
+      { upTo: 500, rate: 0.05, flatAmount: 1 },
+      { upTo: null, rate: 0.02 }
+    ]
+  });
+  assert.strictEqual(tiered.status, 201);
+  assert.deepStrictEqual(tiered.body.data.tiers[1], { upTo: 500, rate: 0.05, flatAmount: 1 });
+  assert.strictEqual((await quote(50, 'tiered')).feeAmount, 5);
+  assert.strictEqual((await quote(100, 'tiered')).feeAmount, 6);
+  assert.strictEqual((await quote(1000, 'tiered')).feeAmount, 20);
+
+  await schedules('post').send({ name: 'Bad', feeType: 'hourly' }).expect(400);
+  await schedules('post').send({ name: 'Bad', thirdPartyId: 'x', feeType: 'percentage', rate: 1.5 }).expect(400);
+  await schedules('post').send({ name: 'Bad', thirdPartyId: 'x', feeType: 'tiered' }).expect(400);
+  await schedules('post').send({ name: 'Bad', thirdPartyId: 'x', feeType: 'tiered', tiers: [{ upTo: 100, rate: 0.1 }, { upTo: 50, rate: 0.1 }] }).expect(400);
+  await schedules('post').send({ name: 'Bad', thirdPartyId: 'x', feeType: 'tiered', tiers: [{ upTo: null, rate: 0.1 }, { upTo: 50, rate: 0.1 }] }).expect(400);
+  await schedules('post').send({ name: 'Bad', thirdPartyId: 'x', feeType: 'percentage', rate: 0.1, minFee: 5, maxFee: 1 }).expect(400);
+
+  console.log('Editing and disabling schedules...');
+  const updated = await schedules('put', `/${capped.body.data.id}`).send({ rate: 0.02, minFee: null });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.data.minFee, null);
+  assert.strictEqual((await quote(10, 'capped')).feeAmount, 0.5);
+  await schedules('put', `/${capped.body.data.id}`).send({ maxFee: -1 }).expect(400);
+  await schedules('put', '/missing').send({ rate: 0.1 }).expect(404);
+
+  assert.strictEqual((await schedules('delete', `/${capped.body.data.id}`)).body.data.status, 'DISABLED');
+  await schedules('delete', `/${capped.body.data.id}`).expect(409);
+  await schedules('put', `/${capped.body.data.id}`).send({ rate: 0.1 }).expect(409);
+  assert.strictEqual((await quote(10, 'capped')).feeAmount, 1, 'a disabled schedule falls back to the default');
+  assert.strictEqual((await schedules('post').send({ name: 'Capped again', thirdPartyId: 'capped', feeType: 'flat', flatAmount: 2 })).status, 201);
+  assert.strictEqual((await schedules('get').query({ thirdPartyId: 'capped' })).body.data.length, 2);
+
+  console.log('Waiving fees during promotions...');
+  const now = Date.now();
+  const everyone = await promotions('post').send({
+    name: 'Launch week',
+    startsAt: new Date(now - 60000).toISOString(),
+    endsAt: new Date(now + 60000).toISOString()
+  });
+  assert.strictEqual(everyone.status, 201);
+  const waived = await quote(100, 'tiered');
+  assert.strictEqual(waived.feeAmount, 0);
+  assert.strictEqual(waived.promotionId, everyone.body.data.id);
+
+  await promotions('put', `/${everyone.body.data.id}`).send({ endsAt: new Date(now - 30000).toISOString() }).expect(200);
+  assert.strictEqual((await quote(100, 'tiered')).feeAmount, 6, 'promotions end with their window');
+
+  const merchantOnly = await promotions('post').send({
+    name: 'Flat merchant',
+    thirdPartyId: 'flat',
+    startsAt: new Date(now - 60000).toISOString(),
+    endsAt: new Date(now + 60000).toISOString()
+  });
+  assert.strictEqual((await quote(10, 'flat')).feeAmount, 0);
+  assert.strictEqual((await quote(10, 'shop')).feeAmount, 1);
+  await promotions('post').send({ name: 'Backwards', startsAt: new Date(now).toISOString(), endsAt: new Date(now - 1).toISOString() }).expect(400);
+  assert.strictEqual((await promotions('get')).body.data.length, 2);
+  await promotions('delete', `/${merchantOnly.body.data.id}`).expect(200);
+  await promotions('delete', `/${merchantOnly.body.data.id}`).expect(409);
+  assert.strictEqual((await quote(10, 'flat')).feeAmount, 0.5);
+
+  console.log('Recording the fee of a payment as its own ledger line...');
+  const payment = await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', merchantKeys.tiered)
+    .send({ walletId: alice.id, amount: 100 });
+  assert.strictEqual(payment.status, 201);
+  assert.strictEqual(payment.body.transaction.amount, 100);
+  assert.strictEqual(payment.body.transaction.feeAmount, 6);
+  assert.strictEqual(payment.body.transaction.totalAmount, 106);
+  assert.strictEqual(payment.body.wallet.balance, 10000 - 106);
+
+  const entries = await ledgerRepo.findEntriesByTransactionId(payment.body.transaction.id);
+  assert.deepStrictEqual(entries.map(entry => [entry.account_code, entry.amount]), [
+    [`wallet:${alice.id}`, -10000],
+    [`wallet:${alice.id}`, -600],
+    ['system:fee_revenue', 600],
+    ['system:third_party_clearing', 10000]
+  ]);
+
+  const history = await request(app).get(`/api/wallets/${alice.id}/transactions`).set('Authorization', alice.auth);
+  const listed = history.body.transactions.find(transaction => transaction.id === payment.body.transaction.id);
+  assert.strictEqual(listed.amount, 100);
+  assert.strictEqual(listed.feeAmount, 6);
+
+  const unaffordable = await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', merchantKeys.tiered)
+    .send({ walletId: alice.id, amount: 9800 });
+  assert.strictEqual(unaffordable.status, 400, 'the fee must be covered as well');
+
+  console.log('Splitting fees out of payments recorded before fee schedules...');
+  const folded = await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', merchantKeys.shop)
+    .send({ walletId: alice.id, amount: 10 });
+  const foldedId = folded.body.transaction.id;
+  const walletAccount = await dbAsync.get('SELECT id FROM ledger_accounts WHERE code = ?', [`wallet:${alice.id}`]);
+  await dbAsync.run('UPDATE transactions SET amount = 1100, fee_amount = 0 WHERE id = ?', [foldedId]);
+  await dbAsync.run('DELETE FROM ledger_entries WHERE transaction_id = ? AND account_id = ? AND amount = -100', [foldedId, walletAccount.id]);
+  await dbAsync.run('UPDATE ledger_entries SET amount = -1100 WHERE transaction_id = ? AND account_id = ?', [foldedId, walletAccount.id]);
+
+  await migration.up(dbAsync);
+  await migration.up(dbAsync);
+
+  const split = await dbAsync.get('SELECT amount, fee_amount FROM transactions WHERE id = ?', [foldedId]);
+  assert.deepStrictEqual({ ...split }, { amount: 1000, fee_amount: 100 });
+  assert.deepStrictEqual((await ledgerRepo.findEntriesByTransactionId(foldedId)).map(entry => entry.amount), [-1000, -100, 100, 1000]);
+  assert.strictEqual((await dbAsync.get("SELECT COUNT(*) AS count FROM fee_schedules WHERE third_party_id IS NULL")).count, 1, 'the default is only seeded once');
+
+  const report = await new ReconciliationService().reconcile();
+  assert.strictEqual(report.consistent, true, JSON.stringify(report.summary));
+
+  console.log('Fee tests passed');
+}
+
+runTest('Fee tests', testFees);
\ No newline at end of file
@@ -0,0 +1,203 @@
+// Test Idempotency-Key handling of money-moving routes
+// Usage: node server/test/test_idempotency.js (runs against a temporary database)
+const assert = require('assert');
+const crypto = require('crypto');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('idempotency');
+process.env.IDEMPOTENCY_KEY_TTL = '60';
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const IdempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+const merchantService = require('../services/MerchantService');
+
+const walletRepo = new WalletRepository();
+const idempotencyKeyRepo = new IdempotencyKeyRepository();
+
+// Create a wallet holding a balance in minor units
+async function createFundedWallet(app, username, balance) {
+  const wallet = await createWallet(app, username);
+  await walletRepo.updateBalance(wallet.id, balance);
+  return wallet;
+}
+
+async function countTransactions(type) {
+  const row = await dbAsync.get('SELECT COUNT(*) AS count FROM transactions WHERE transaction_type = ?', [type]);
+  return row.count;
+}
+
+async function testIdempotency() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/third-party': 'thirdPartyPayments'
+  });
+  const { apiKey: merchantKey } = await merchantService.onboardMerchant({ id: 'shop-1', name: 'Shop' });
+
+  const alice = await createFundedWallet(app, 'alice', 10000);
+  const bob = await createFundedWallet(app, 'bob', 0);
+  const transfer = { fromWalletId: alice.id, toWalletId: bob.id, amount: 12.5 };
+
+  console.log('Replaying a transfer...');
+  const first = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'transfer-1')
+    .send(transfer);
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.headers['idempotent-replayed'], undefined);
+
+  const replay = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'transfer-1')
+    .send(transfer);
+  assert.strictEqual(replay.status, 201);
+  assert.strictEqual(replay.headers['idempotent-replayed'], 'true');
+  assert.deepStrictEqual(replay.body, first.body, 'a replay returns the original response');
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 8750, 'the transfer is executed once');
+  assert.strictEqual(await countTransactions('transfer'), 1);
+  const completed = await dbAsync.get("SELECT status, response_status FROM idempotency_keys WHERE idempotency_key = 'transfer-1'");
+  assert.deepStrictEqual({ ...completed }, { status: 'COMPLETED', response_status: 201 });
+
+  console.log('Rolling back a transfer whose key cannot be completed...');
+  const complete = IdempotencyKeyRepository.prototype.complete;
+  IdempotencyKeyRepository.prototype.complete = async () => {
+    throw new Error('disk full');
+  };
+  const unstored = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'unstored')
+    .send(transfer);
+  IdempotencyKeyRepository.prototype.complete = complete;
+  assert.strictEqual(unstored.status, 500);
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 8750, 'the money only moves with the key');
+  assert.strictEqual(await countTransactions('transfer'), 1);
+  const retried = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'unstored')
+    .send({ ...transfer, amount: 1 });
+  assert.strictEqual(retried.status, 201, 'the released key can be retried');
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 8650);
+
+  console.log('Taking over keys of requests that never finished...');
+  // A reservation of the transfer whose request crashed before it completed
+  const small = { ...transfer, amount: 1 };
+  const abandoned = async (key, createdAt) => dbAsync.run(
+    `INSERT INTO idempotency_keys (id, idempotency_key, endpoint, wallet_id, request_hash, expires_at, created_at)
+     VALUES (?, ?, 'POST /api/transfers', ?, ?, '2999-01-01T00:00:00.000Z', ?)`,
+    [`abandoned-${key}`, key, alice.id, crypto.createHash('sha256').update(JSON.stringify(small)).digest('hex'), createdAt]
+  );
+  await abandoned('recent', new Date().toISOString());
+  const held = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'recent')
+    .send(small);
+  assert.strictEqual(held.status, 409, 'a recent reservation still holds its key');
+  await abandoned('stale', new Date(Date.now() - 61 * 1000).toISOString());
+  const takenOver = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'stale')
+    .send(small);
+  assert.strictEqual(takenOver.status, 201, 'a stale reservation is taken over');
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 8550);
+  const leaseLost = await idempotencyKeyRepo.complete('abandoned-stale', 201, {});
+  assert.strictEqual(leaseLost, false, 'the crashed request can no longer complete the key');
+
+  console.log('Rejecting a key reused with different parameters...');
+  const reused = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'transfer-1')
+    .send({ ...transfer, amount: 99 });
+  assert.strictEqual(reused.status, 422);
+
+  console.log('Running parallel retries of the same request...');
+  const parallel = await Promise.all(Array.from({ length: 10 }, () => request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'transfer-2')
+    .send(transfer)));
+  const statuses = parallel.map(response => response.status);
+  assert.ok(statuses.every(status => status === 201 || status === 409), `unexpected statuses ${statuses}`);
+  assert.strictEqual(await countTransactions('transfer'), 4, 'parallel retries execute the transfer once');
+
+  console.log('Scoping keys to the endpoint and wallet...');
+  const otherWallet = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', bob.auth)
+    .set('Idempotency-Key', 'transfer-1')
+    .send({ fromWalletId: bob.id, toWalletId: alice.id, amount: 1 });
+  assert.strictEqual(otherWallet.status, 201);
+  assert.strictEqual(otherWallet.headers['idempotent-replayed'], undefined);
+
+  const payment = { walletId: alice.id, amount: 10, thirdPartyId: 'shop-1' };
+  const firstPayment = await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', merchantKey)
+    .set('Idempotency-Key', 'transfer-1')
+    .send(payment);
+  assert.strictEqual(firstPayment.status, 201);
+  const paymentReplay = await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', merchantKey)
+    .set('Idempotency-Key', 'transfer-1')
+    .send(payment);
+  assert.deepStrictEqual(paymentReplay.body, firstPayment.body);
+  assert.strictEqual(await countTransactions('third_party_payment'), 1);
+
+  console.log('Replaying failed requests...');
+  const tooMuch = { fromWalletId: bob.id, toWalletId: alice.id, amount: 5000 };
+  const insufficient = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', bob.auth)
+    .set('Idempotency-Key', 'too-much')
+    .send(tooMuch);
+  assert.strictEqual(insufficient.status, 400);
+  await walletRepo.updateBalance(bob.id, 1000000);
+  const insufficientReplay = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', bob.auth)
+    .set('Idempotency-Key', 'too-much')
+    .send(tooMuch);
+  assert.strictEqual(insufficientReplay.status, 400, 'client errors are replayed, not retried');
+
+  console.log('Validating keys...');
+  const invalid = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'x'.repeat(256))
+    .send(transfer);
+  assert.strictEqual(invalid.status, 400);
+
+  console.log('Reusing keys after the window...');
+  await dbAsync.run("UPDATE idempotency_keys SET expires_at = '2000-01-01T00:00:00.000Z' WHERE idempotency_key = 'transfer-1'");
+  const afterWindow = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .set('Idempotency-Key', 'transfer-1')
+    .send(transfer);
+  assert.strictEqual(afterWindow.status, 201);
+  assert.strictEqual(afterWindow.headers['idempotent-replayed'], undefined);
+  assert.notStrictEqual(afterWindow.body.transaction.id, first.body.transaction.id);
+
+  const stored = await dbAsync.get("SELECT expires_at FROM idempotency_keys WHERE idempotency_key = 'transfer-1' AND wallet_id = ? AND endpoint = 'POST /api/transfers'", [alice.id]);
+  const ttl = (new Date(stored.expires_at) - Date.now()) / 1000;
+  assert.ok(ttl > 50 && ttl <= 60, 'keys expire after IDEMPOTENCY_KEY_TTL seconds');
+
+  console.log('Idempotency tests passed');
+}
+
+runTest('Idempotency tests', testIdempotency);
\ No newline at end of file
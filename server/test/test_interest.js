@@ -1,62 +1,58 @@
-const interestScheduler = require('../services/InterestScheduler');
+// Test the manual triggers of the interest scheduler
+// Usage: node server/test/test_interest.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, monthsAgo, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('interest');
+
+const request = require('supertest');
 const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const interestScheduler = require('../services/InterestScheduler');
+
+const walletRepo = new WalletRepository();
 
 /**
  * Test interest calculation functionality
  */
 async function testInterestCalculation() {
-  try {
-    console.log('Connecting to SQLite database');
-    
-    // Check if the database tables are initialized
-    const checkDb = await dbAsync.get('SELECT name FROM sqlite_master WHERE type="table" AND name="wallets"');
-    if (!checkDb) {
-      console.error('Error: Database tables not initialized');
-      process.exit(1);
-    }
-    
-    // Check if there are any wallet data
-    const wallets = await dbAsync.all('SELECT * FROM wallets LIMIT 5');
-    console.log(`Found ${wallets.length} wallets`);
-    if (wallets.length > 0) {
-      console.log('Example wallet data:', wallets[0]);
-    }
-    
-    // Initialize interest log table
-    console.log('Initializing interest log table...');
-    const interestService = require('../services/InterestService');
-    const service = new interestService();
-    await service.initInterestLogTable();
-    
-    // Manually trigger interest calculation
-    console.log('Manually triggering interest calculation...');
-    const result = await interestScheduler.executeNow();
-    
-    console.log('Interest calculation result:', result);
-    
-    if (result.success) {
-      console.log(`Successfully processed ${result.processedCount} wallets, total interest ${result.totalInterest.toFixed(2)}`);
-      
-      // Check the latest interest log record
-      const log = await dbAsync.get('SELECT * FROM interest_logs ORDER BY created_at DESC LIMIT 1');
-      if (log) {
-        console.log('Latest interest log record:', log);
-      }
-    } else {
-      console.error('Interest calculation failed:', result.message);
-    }
-    
-    // Test interest reissue functionality
-    console.log('Testing interest reissue functionality...');
-    const reissueResult = await interestScheduler.checkMissingInterest();
-    console.log('Interest reissue result:', reissueResult);
-    
-  } catch (error) {
-    console.error('Error during interest calculation test:', error);
-  } finally {
-    // Close database connection
-    process.exit(0);
-  }
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 1200 })
+    .expect(200);
+  await backdateToPeriod(monthsAgo(1));
+
+  // Manually trigger interest calculation of the previous month
+  console.log('Manually triggering interest calculation...');
+  const result = await interestScheduler.executeNow();
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.period, monthsAgo(1));
+  assert.strictEqual(result.processedCount, 2);
+  assert.strictEqual(result.totalInterest, 100, 'a month at 1% a year on 1200');
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 120100);
+
+  const log = await dbAsync.get('SELECT * FROM interest_logs ORDER BY created_at DESC LIMIT 1');
+  assert.strictEqual(log.period, monthsAgo(1));
+  assert.strictEqual(log.status, 'COMPLETED');
+
+  // Test interest reissue functionality
+  console.log('Testing interest reissue functionality...');
+  const reissueResult = await interestScheduler.checkMissingInterest();
+  assert.strictEqual(reissueResult.success, true);
+  assert.deepStrictEqual(reissueResult.backfilledPeriods, [], 'nothing is missing');
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 120100, 'the period is not paid twice');
+
+  console.log('Interest scheduler tests passed');
 }
 
-testInterestCalculation();
\ No newline at end of file
+runTest('Interest scheduler tests', testInterestCalculation);
@@ -0,0 +1,118 @@
+// Test daily interest accrual and the monthly posting of accrued interest
+// Usage: node server/test/test_interest_accrual.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, monthsAhead, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('interest-accrual');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations, t } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+
+const walletRepo = new WalletRepository();
+const interestService = new InterestService();
+
+// Interest credited to a wallet for a period, in major units
+async function interestOf(walletId, period) {
+  const row = await dbAsync.get(
+    `SELECT COALESCE(SUM(amount), 0) AS amount FROM transactions
+     WHERE to_wallet_id = ? AND transaction_type = 'interest_credit' AND description LIKE ?`,
+    [walletId, `${period}%`]
+  );
+  return row.amount / 100;
+}
+
+async function testInterestAccrual() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/transfers': 'transfers' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+
+  console.log('Accruing the days since the last run...');
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  assert.deepStrictEqual(await interestService.accrueMissingDays(), { days: [yesterday] });
+  assert.deepStrictEqual(await interestService.accrueMissingDays(), { days: [] }, 'each day is accrued once');
+  const skipped = await dbAsync.get('SELECT COUNT(*) AS count FROM interest_accruals');
+  assert.strictEqual(skipped.count, 0, 'wallets created today accrue nothing for yesterday');
+
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 3000 })
+    .expect(200);
+  // Alice sends bob 1000 on the 21st of a 30-day month
+  await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount: 1000 })
+    .expect(201);
+  await backdateToPeriod('2025-04');
+  await dbAsync.run("UPDATE transactions SET created_at = '2025-04-21T12:00:00.000Z' WHERE transaction_type = 'transfer'");
+
+  console.log('Accruing a day on the balance at its end...');
+  const day = await interestService.accrueDailyInterest('2025-04-05');
+  assert.strictEqual(day.accrued, true);
+  assert.strictEqual(day.walletCount, 1, 'bob has no balance yet');
+  const accrual = await dbAsync.get('SELECT * FROM interest_accruals WHERE wallet_id = ?', [alice.id]);
+  assert.strictEqual(accrual.balance, 300000, 'before the transfer');
+  assert.ok(Math.abs(accrual.amount - 250 / 30) < 1e-9, 'a thirtieth of a month at 1%');
+  assert.strictEqual((await interestService.accrueDailyInterest('2025-04-05')).accrued, false);
+
+  const wallet = await request(app).get(`/api/wallets/${alice.id}`).expect(200);
+  assert.strictEqual(wallet.body.wallet.accruedInterest, 0.08);
+  assert.strictEqual((await request(app).get(`/api/wallets/${bob.id}`)).body.wallet.accruedInterest, 0);
+
+  console.log('Refusing policy changes for periods that have accrued...');
+  // A 12% policy capped at 0.01 would leave the accrued day at 1% and cap the month at 0.01
+  await assert.rejects(
+    interestService.createPolicy({ name: 'Late', effectiveFrom: '2025-04', annualRate: 0.12, maxInterest: 0.01 }),
+    { message: t(null, 'errors.interestPolicyPeriodAccrued', { date: '2025-04-05' }) }
+  );
+  const [defaultPolicy] = await interestService.listPolicies({ status: 'ACTIVE' });
+  await assert.rejects(
+    interestService.cancelPolicy(defaultPolicy.id),
+    { message: t(null, 'errors.interestPolicyPeriodAccrued', { date: '2025-04-05' }) }
+  );
+  const scheduled = await interestService.createPolicy({ name: 'Next', effectiveFrom: monthsAhead(1), annualRate: 0.12 });
+  await interestService.cancelPolicy(scheduled.id);
+
+  console.log('Posting the accrued interest of the month...');
+  const result = await interestService.processMonthlyInterest('2025-04');
+  assert.ok(result.success);
+  const days = await dbAsync.get("SELECT COUNT(*) AS count FROM interest_accrual_days WHERE period = '2025-04'");
+  assert.strictEqual(days.count, 30, 'the rest of the month is accrued before posting');
+  // 20 days on 3000 and 10 days on 2000 at 1% a year
+  assert.strictEqual(await interestOf(alice.id, '2025-04'), 2.22);
+  // 10 days on 1000, not a full month
+  assert.strictEqual(await interestOf(bob.id, '2025-04'), 0.28);
+  assert.strictEqual(result.totalInterest, 250);
+  assert.strictEqual((await request(app).get(`/api/wallets/${alice.id}`)).body.wallet.accruedInterest, 0, 'posted');
+
+  const again = await interestService.processMonthlyInterest('2025-04');
+  assert.strictEqual(again.totalInterest, 250, 'a period is posted once');
+  assert.strictEqual(await interestOf(alice.id, '2025-04'), 2.22);
+
+  console.log('Refusing to post a period that has not ended...');
+  const today = new Date().toISOString().slice(0, 10);
+  for (const period of [monthsAhead(0), monthsAhead(1)]) {
+    await assert.rejects(
+      interestService.processMonthlyInterest(period),
+      { message: t(null, 'errors.interestPeriodNotEnded', { period }) }
+    );
+    assert.ok(!(await interestService.getInterestLogByPeriod(period)), 'no log is created');
+  }
+  await interestService.accruePeriod(monthsAhead(0));
+  const future = await dbAsync.get('SELECT COUNT(*) AS count FROM interest_accrual_days WHERE accrual_date >= ?', [today]);
+  assert.strictEqual(future.count, 0, 'days without an end-of-day balance are not accrued');
+
+  console.log('Interest accrual tests passed');
+}
+
+runTest('Interest accrual tests', testInterestAccrual);
@@ -0,0 +1,87 @@
+// Test backfilling interest periods that were missed while the server was down
+// Usage: node server/test/test_interest_backfill.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, monthsAgo, runTest } = require('./helpers');
+
+useTemporaryDatabase('interest-backfill');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+
+const walletRepo = new WalletRepository();
+const interestService = new InterestService();
+
+// Interest credited to a wallet for a period, in major units
+async function interestOf(walletId, period) {
+  const row = await dbAsync.get(
+    `SELECT COALESCE(SUM(amount), 0) AS amount FROM transactions
+     WHERE to_wallet_id = ? AND transaction_type = 'interest_credit' AND description LIKE ?`,
+    [walletId, `${period}%`]
+  );
+  return row.amount / 100;
+}
+
+async function testInterestBackfill() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/interests': 'interests' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 1000 })
+    .expect(200);
+
+  console.log('Finding no missed periods on a new installation...');
+  assert.deepStrictEqual(await interestService.getMissingInterestPeriods(), [], 'no wallet existed last month');
+
+  // Alice has held her balance since four months ago
+  const [p0, p1, p2, p3] = [monthsAgo(4), monthsAgo(3), monthsAgo(2), monthsAgo(1)];
+  await dbAsync.run('UPDATE wallets SET created_at = ? WHERE id = ?', [`${p0}-01T00:00:00.000Z`, alice.id]);
+  await dbAsync.run('UPDATE transactions SET created_at = ? WHERE to_wallet_id = ?', [`${p0}-01T00:00:00.000Z`, alice.id]);
+  assert.deepStrictEqual(await interestService.getMissingInterestPeriods(), [p0, p1, p2, p3], 'from the first wallet');
+
+  console.log('Listing the periods missed since the last completed one...');
+  await dbAsync.run(
+    `INSERT INTO interest_logs (id, period, status) VALUES ('log-done', ?, 'COMPLETED'), ('log-failed', ?, 'FAILED')`,
+    [p0, p2]
+  );
+  await request(app).get('/api/interests/backfill').expect(401);
+  await request(app).get('/api/interests/backfill').set('Authorization', alice.auth).expect(403);
+  await request(app).post('/api/interests/backfill').set('Authorization', alice.auth).expect(403);
+  const status = await request(app).get('/api/interests/backfill').set('Authorization', admin.auth).expect(200);
+  assert.deepStrictEqual(status.body.data.missingPeriods, [p1, p3]);
+  assert.deepStrictEqual(status.body.data.pendingPeriods.map(log => [log.period, log.status]), [[p2, 'FAILED']]);
+
+  console.log('Backfilling the missed periods in order...');
+  const [backfill, concurrent] = await Promise.all([
+    request(app).post('/api/interests/backfill').set('Authorization', admin.auth),
+    interestService.backfillMissingInterest()
+  ]);
+  assert.strictEqual(backfill.status, 200, JSON.stringify(backfill.body));
+  assert.deepStrictEqual(backfill.body.data.backfilledPeriods, [p1, p3]);
+  assert.deepStrictEqual(backfill.body.data.processedPeriods.map(item => [item.period, item.success]), [[p1, true], [p2, true], [p3, true]]);
+  assert.deepStrictEqual(concurrent.backfilledPeriods, [p1, p3], 'a concurrent backfill shares the running one');
+
+  const logs = await dbAsync.all('SELECT period, status FROM interest_logs ORDER BY period');
+  assert.deepStrictEqual(logs.map(log => [log.period, log.status]), [p0, p1, p2, p3].map(period => [period, 'COMPLETED']));
+  for (const period of [p1, p2, p3]) {
+    assert.strictEqual(await interestOf(alice.id, period), 0.83, `a month of 1% on 1000 for ${period}`);
+  }
+
+  const after = await request(app).get('/api/interests/backfill').set('Authorization', admin.auth).expect(200);
+  assert.deepStrictEqual(after.body.data, { missingPeriods: [], pendingPeriods: [] });
+  const again = await request(app).post('/api/interests/backfill').set('Authorization', admin.auth).expect(200);
+  assert.deepStrictEqual(again.body.data, { backfilledPeriods: [], processedPeriods: [] });
+
+  console.log('Interest backfill tests passed');
+}
+
+runTest('Interest backfill tests', testInterestBackfill);
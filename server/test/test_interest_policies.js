@@ -0,0 +1,123 @@
+// Test interest policies: effective periods, tiers, minimum balance and caps
+// Usage: node server/test/test_interest_policies.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('interest-policies');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+const migration = require('../../database/migrations/20261025000000_interest_policies');
+
+const walletRepo = new WalletRepository();
+const interestService = new InterestService();
+
+// Interest credited to a wallet for a period, in major units
+async function interestOf(walletId, period) {
+  const row = await dbAsync.get(
+    `SELECT COALESCE(SUM(amount), 0) AS amount FROM transactions
+     WHERE to_wallet_id = ? AND transaction_type = 'interest_credit' AND description LIKE ?`,
+    [walletId, `${period}%`]
+  );
+  return row.amount / 100;
+}
+
+async function testInterestPolicies() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/interests': 'interests' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  const carol = await createWallet(app, 'carol');
+  await walletRepo.setRole(admin.id, 'admin');
+  for (const [wallet, amount] of [[alice, 1200], [bob, 5], [carol, 100000]]) {
+    await request(app)
+      .put(`/api/wallets/${wallet.id}/balance`)
+      .set('Authorization', admin.auth)
+      .send({ amount })
+      .expect(200);
+  }
+  const policies = (query = '') => request(app).get(`/api/interests/policies${query}`).set('Authorization', admin.auth);
+  const schedule = (body) => request(app).post('/api/interests/policies').set('Authorization', admin.auth).send(body);
+
+  console.log('Seeding the default policy...');
+  let list = await policies().expect(200);
+  assert.strictEqual(list.body.data.length, 1);
+  assert.strictEqual(list.body.data[0].effectiveFrom, '1970-01');
+  assert.strictEqual(list.body.data[0].annualRate, 0.01, 'the former hardcoded rate');
+  await migration.up(dbAsync);
+  assert.strictEqual((await policies()).body.data.length, 1, 'the migration seeds only an empty table');
+
+  console.log('Calculating interest under a policy...');
+  const policy = { min_balance: 1000, max_interest: 500, annual_rate: 0.012, tiers: [{ above: 100000, annualRate: 0.024 }] };
+  assert.strictEqual(interestService.calculateInterest({ balance: 120000 }, policy), 140, '1.00 on the first 1000, 0.40 above it');
+  assert.strictEqual(interestService.calculateInterest({ balance: 999 }, policy), 0, 'below the minimum balance');
+  assert.strictEqual(interestService.calculateInterest({ balance: 10000000 }, policy), 500, 'capped');
+  assert.strictEqual(interestService.calculateInterest({ balance: 120000 }, { ...policy, annual_rate: -0.12, tiers: null }), -500, 'negative interest is capped too');
+  assert.strictEqual(interestService.calculateInterest({ balance: 120000 }, null), 0, 'no policy, no interest');
+
+  console.log('Scheduling policies...');
+  await request(app).get('/api/interests/policies').expect(401);
+  await request(app).get('/api/interests/policies').set('Authorization', alice.auth).expect(403);
+  const tiered = {
+    name: 'Tiered 2025',
+    effectiveFrom: '2025-01',
+    annualRate: 0.012,
+    tiers: [{ above: 1000, annualRate: 0.024 }],
+    minBalance: 10,
+    maxInterest: 5
+  };
+  for (const invalid of [
+    { ...tiered, effectiveFrom: '2025-13' },
+    { ...tiered, annualRate: 2 },
+    { ...tiered, tiers: [{ above: 1000, annualRate: 0.02 }, { above: 500, annualRate: 0.03 }] },
+    { ...tiered, minBalance: -1 },
+    { ...tiered, maxInterest: 0.001 }
+  ]) {
+    await schedule(invalid).expect(400);
+  }
+  const created = await schedule(tiered).expect(201);
+  assert.deepStrictEqual(created.body.data.tiers, [{ above: 1000, annualRate: 0.024 }]);
+  assert.strictEqual(created.body.data.minBalance, 10);
+  assert.strictEqual(created.body.data.maxInterest, 5);
+  await schedule({ ...tiered, name: 'Duplicate' }).expect(409);
+
+  const current = (period) => request(app).get(`/api/interests/policies/current?period=${period}`).set('Authorization', admin.auth);
+  assert.strictEqual((await current('2024-12')).body.data.name, 'Default');
+  assert.strictEqual((await current('2025-02')).body.data.id, created.body.data.id);
+  await current('2025').expect(400);
+
+  console.log('Posting interest under the policy in force...');
+  await backdateToPeriod('2024-12');
+  assert.ok((await interestService.processMonthlyInterest('2024-12')).success);
+  assert.strictEqual(await interestOf(alice.id, '2024-12'), 1);
+  assert.strictEqual(await interestOf(carol.id, '2024-12'), 83.33);
+  assert.ok((await interestService.processMonthlyInterest('2025-01')).success);
+  assert.strictEqual(await interestOf(alice.id, '2025-01'), 1.4);
+  assert.strictEqual(await interestOf(bob.id, '2025-01'), 0, 'below the minimum balance');
+  assert.strictEqual(await interestOf(carol.id, '2025-01'), 5, 'capped');
+
+  console.log('Protecting posted periods...');
+  await schedule({ ...tiered, effectiveFrom: '2024-06' }).expect(409);
+  const policyUrl = (id) => `/api/interests/policies/${id}`;
+  await request(app).delete(policyUrl(created.body.data.id)).set('Authorization', admin.auth).expect(409);
+  await request(app).get(policyUrl('missing')).set('Authorization', admin.auth).expect(404);
+
+  const later = await schedule({ name: 'Zero', effectiveFrom: '2025-03', annualRate: 0 }).expect(201);
+  const cancelled = await request(app).delete(policyUrl(later.body.data.id)).set('Authorization', admin.auth).expect(200);
+  assert.strictEqual(cancelled.body.data.status, 'CANCELLED');
+  await request(app).delete(policyUrl(later.body.data.id)).set('Authorization', admin.auth).expect(409);
+  assert.strictEqual((await current('2025-04')).body.data.id, created.body.data.id, 'the previous policy stays in force');
+  list = await policies('?status=ACTIVE');
+  assert.deepStrictEqual(list.body.data.map(item => item.effectiveFrom), ['2025-01', '1970-01']);
+
+  console.log('Interest policy tests passed');
+}
+
+runTest('Interest policy tests', testInterestPolicies);
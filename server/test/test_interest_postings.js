@@ -0,0 +1,161 @@
+// Test per-wallet interest postings: chunked runs, failed wallets and resuming a period
+// Usage: node server/test/test_interest_postings.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('interest-postings');
+process.env.INTEREST_CHUNK_SIZE = '2';
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations, t } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+const ReconciliationService = require('../services/ReconciliationService');
+
+const walletRepo = new WalletRepository();
+const interestService = new InterestService();
+const reconciliationService = new ReconciliationService();
+
+// Interest transactions of a wallet for a period
+async function interestTransactionsOf(walletId, period) {
+  return await dbAsync.all(
+    `SELECT * FROM transactions
+     WHERE to_wallet_id = ? AND transaction_type = 'interest_debit' AND description LIKE ?`,
+    [walletId, `${period}%`]
+  );
+}
+
+async function testInterestPostings() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  const carol = await createWallet(app, 'carol');
+  const dave = await createWallet(app, 'dave');
+  await walletRepo.setRole(admin.id, 'admin');
+  for (const [wallet, amount] of [[alice, 1200], [bob, 600], [carol, 100]]) {
+    await request(app)
+      .put(`/api/wallets/${wallet.id}/balance`)
+      .set('Authorization', admin.auth)
+      .send({ amount })
+      .expect(200);
+  }
+  await backdateToPeriod('2025-06');
+  // -1% a month, so every wallet with a balance is debited
+  await interestService.createPolicy({ name: 'Negative', effectiveFrom: '2025-06', annualRate: -0.12 });
+
+  console.log('Running a period in which one wallet fails...');
+  // Bob's debit fails, e.g. on a database error
+  const debit = interestService.walletRepo.debit.bind(interestService.walletRepo);
+  interestService.walletRepo.debit = async (id, amount) => {
+    if (id === bob.id) {
+      throw new Error('database is locked');
+    }
+    return await debit(id, amount);
+  };
+  const progress = [];
+  const updateInterestLog = interestService.updateInterestLog.bind(interestService);
+  interestService.updateInterestLog = async (id, updates) => {
+    if (updates.processed_count !== undefined && updates.status === undefined) {
+      progress.push(updates.processed_count);
+    }
+    return await updateInterestLog(id, updates);
+  };
+
+  const failed = await interestService.processMonthlyInterest('2025-06');
+  assert.strictEqual(failed.success, false);
+  assert.strictEqual(failed.processedCount, 4, 'the other wallets are posted');
+  assert.strictEqual(failed.failedCount, 1);
+  assert.strictEqual(failed.totalInterest, -1300);
+  assert.strictEqual(failed.message, t(null, 'errors.interestWalletsFailed', { count: 1 }));
+  assert.strictEqual(progress.length, 3, 'progress is recorded after each chunk of two wallets');
+  assert.ok(progress.every((count, index) => index === 0 || count >= progress[index - 1]));
+  assert.strictEqual(progress[progress.length - 1], 4);
+
+  const log = await interestService.getInterestLogByPeriod('2025-06');
+  assert.strictEqual(log.status, 'FAILED');
+  assert.strictEqual(log.total_wallets, 5);
+  assert.strictEqual(log.processed_count, 4);
+  assert.strictEqual(log.total_interest, -1300);
+
+  const postings = await interestService.postingRepo.findByPeriod('2025-06');
+  assert.strictEqual(postings.length, 5);
+  const bobPosting = postings.find(posting => posting.wallet_id === bob.id);
+  assert.strictEqual(bobPosting.status, 'FAILED');
+  assert.strictEqual(bobPosting.error_message, 'database is locked');
+  const davePosting = postings.find(posting => posting.wallet_id === dave.id);
+  assert.strictEqual(davePosting.status, 'POSTED');
+  assert.strictEqual(davePosting.amount, 0, 'wallets without interest are recorded too');
+  assert.strictEqual(davePosting.transaction_id, null);
+  assert.strictEqual((await interestTransactionsOf(bob.id, '2025-06')).length, 0, 'the failed wallet was rolled back');
+  assert.deepStrictEqual(
+    (await reconciliationService.findInterestLogMismatches()).filter(row => row.period === '2025-06'),
+    [],
+    'a partial run is consistent with its postings'
+  );
+
+  console.log('Reissuing only the wallets that were not posted...');
+  interestService.walletRepo.debit = debit;
+  assert.deepStrictEqual(await interestService.getPendingInterestPeriods(), ['2025-06']);
+  const reissued = await interestService.checkAndReissuePendingInterest();
+  assert.strictEqual(reissued.success, true);
+  assert.strictEqual(reissued.processedPeriods[0].processedCount, 5);
+  assert.strictEqual(reissued.processedPeriods[0].totalInterest, -1900);
+
+  assert.strictEqual((await interestTransactionsOf(alice.id, '2025-06')).length, 1, 'alice is not debited twice');
+  assert.strictEqual((await interestTransactionsOf(bob.id, '2025-06')).length, 1);
+  assert.strictEqual((await interestTransactionsOf(carol.id, '2025-06')).length, 1);
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 118800);
+  assert.strictEqual((await walletRepo.findById(bob.id)).balance, 59400);
+
+  const completed = await interestService.getInterestLogByPeriod('2025-06');
+  assert.strictEqual(completed.status, 'COMPLETED');
+  assert.strictEqual(completed.processed_count, 5);
+  assert.strictEqual(completed.error_message, null);
+  assert.strictEqual((await interestService.postingRepo.summarize('2025-06')).failedCount, 0);
+  assert.strictEqual((await reconciliationService.reconcile()).consistent, true);
+
+  console.log('Resuming a run that was cut short...');
+  // A restart left the log PROCESSING after alice was posted
+  const logId = await interestService.createInterestLog('2025-07');
+  await interestService.updateInterestLog(logId, { status: 'PROCESSING' });
+  await interestService.postWalletInterest({ id: alice.id, username: 'alice' }, '2025-07', -1188);
+  assert.strictEqual(await interestService.postWalletInterest({ id: alice.id, username: 'alice' }, '2025-07', -1188), false);
+  assert.deepStrictEqual(await interestService.getPendingInterestPeriods(), ['2025-07']);
+  const resumed = await interestService.checkAndReissuePendingInterest();
+  assert.strictEqual(resumed.success, true);
+  assert.strictEqual((await interestTransactionsOf(alice.id, '2025-07')).length, 1);
+  assert.strictEqual((await interestTransactionsOf(bob.id, '2025-07')).length, 1);
+  assert.strictEqual((await interestService.getInterestLogByPeriod('2025-07')).status, 'COMPLETED');
+  assert.strictEqual((await reconciliationService.reconcile()).consistent, true);
+
+  console.log('Debiting no more than the available balance...');
+  // Bob's whole balance is held and carol has 0.50 available
+  await dbAsync.run('UPDATE wallets SET held_balance = balance WHERE id = ?', [bob.id]);
+  await dbAsync.run('UPDATE wallets SET held_balance = balance - 50 WHERE id = ?', [carol.id]);
+  const bobBefore = await walletRepo.findById(bob.id);
+  const capped = await interestService.processMonthlyInterest('2025-08');
+  assert.strictEqual(capped.success, true, 'wallets without funds do not fail the period');
+  const cappedPostings = await interestService.postingRepo.findByPeriod('2025-08');
+  const postingOf = (walletId) => cappedPostings.find(posting => posting.wallet_id === walletId);
+  assert.strictEqual(postingOf(bob.id).status, 'POSTED');
+  assert.strictEqual(postingOf(bob.id).amount, 0);
+  assert.strictEqual(postingOf(bob.id).transaction_id, null);
+  assert.strictEqual(postingOf(carol.id).amount, -50, 'the debit is capped at the available balance');
+  assert.strictEqual((await interestTransactionsOf(carol.id, '2025-08'))[0].amount, 50);
+  assert.strictEqual((await walletRepo.findById(bob.id)).balance, bobBefore.balance);
+  const carolAfter = await walletRepo.findById(carol.id);
+  assert.strictEqual(WalletRepository.availableBalance(carolAfter), 0);
+  assert.strictEqual((await interestService.getInterestLogByPeriod('2025-08')).status, 'COMPLETED');
+  await dbAsync.run('UPDATE wallets SET held_balance = 0');
+  assert.strictEqual((await reconciliationService.reconcile()).consistent, true);
+
+  console.log('Interest posting tests passed');
+}
+
+runTest('Interest posting tests', testInterestPostings);
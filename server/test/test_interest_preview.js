@@ -0,0 +1,104 @@
+// Test the interest dry run and the per-wallet interest projection
+// Usage: node server/test/test_interest_preview.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, monthsAhead, runTest } = require('./helpers');
+
+useTemporaryDatabase('interest-preview');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+
+const walletRepo = new WalletRepository();
+const interestService = new InterestService();
+
+// Row counts of the tables interest processing writes to
+async function interestRowCounts() {
+  const counts = {};
+  for (const table of ['transactions', 'interest_logs', 'interest_accruals', 'interest_postings', 'outbox_events']) {
+    counts[table] = (await dbAsync.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+  }
+  return counts;
+}
+
+async function testInterestPreview() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({ '/api/wallets': 'wallets', '/api/interests': 'interests' });
+
+  const admin = await createWallet(app, 'admin');
+  const operator = await createWallet(app, 'operator');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+  await walletRepo.setRole(operator.id, 'operator');
+  for (const [wallet, amount] of [[alice, 1200], [bob, 5]]) {
+    await request(app)
+      .put(`/api/wallets/${wallet.id}/balance`)
+      .set('Authorization', admin.auth)
+      .send({ amount })
+      .expect(200);
+  }
+  const preview = (body) => request(app).post('/api/interests/preview').set('Authorization', operator.auth).send(body);
+  const before = await interestRowCounts();
+
+  console.log('Previewing the policy in force...');
+  await request(app).post('/api/interests/preview').expect(401);
+  await request(app).post('/api/interests/preview').set('Authorization', alice.auth).send({}).expect(403);
+  const current = await preview({}).expect(200);
+  assert.strictEqual(current.body.data.period, new Date().toISOString().slice(0, 7));
+  assert.strictEqual(current.body.data.policy.name, 'Default');
+  assert.strictEqual(current.body.data.walletCount, 4);
+  assert.strictEqual(current.body.data.totalInterest, 1);
+  const byWallet = Object.fromEntries(current.body.data.wallets.map(wallet => [wallet.walletId, wallet]));
+  assert.deepStrictEqual(byWallet[alice.id], { walletId: alice.id, username: 'alice', balance: 1200, interest: 1 });
+  assert.strictEqual(byWallet[bob.id].interest, 0, 'less than half a cent');
+
+  console.log('Previewing a policy that is not scheduled...');
+  const proposed = await preview({
+    policy: { annualRate: 0.024, tiers: [{ above: 1000, annualRate: 0.12 }], maxInterest: 3 }
+  }).expect(200);
+  assert.strictEqual(proposed.body.data.policy.id, null);
+  assert.strictEqual(proposed.body.data.policy.annualRate, 0.024);
+  assert.strictEqual(proposed.body.data.wallets.find(wallet => wallet.walletId === alice.id).interest, 3, '2.00 + 2.00, capped');
+  assert.strictEqual(proposed.body.data.totalInterest, 3.01);
+
+  await preview({ policy: { annualRate: 3 } }).expect(400);
+  await preview({ policy: { annualRate: 0.01, minBalance: -1 } }).expect(400);
+  await preview({ period: '2027-13' }).expect(400);
+  assert.deepStrictEqual(await interestRowCounts(), before, 'a preview writes nothing');
+
+  console.log('Projecting the interest of a wallet...');
+  await interestService.createPolicy({ name: 'Twelve', effectiveFrom: monthsAhead(1), annualRate: 0.12 });
+  const projection = (walletId, query = '', auth = alice.auth) => request(app)
+    .get(`/api/wallets/${walletId}/interest/projection${query}`)
+    .set('Authorization', auth);
+  await request(app).get(`/api/wallets/${alice.id}/interest/projection`).expect(401);
+  await projection(alice.id, '', bob.auth).expect(403);
+  await projection('missing', '', bob.auth).expect(403);
+  await projection(alice.id, '', operator.auth).expect(200);
+  const response = await projection(alice.id, '?months=3').expect(200);
+  assert.deepStrictEqual(response.body.data, {
+    walletId: alice.id,
+    balance: 1200,
+    totalInterest: 25.14,
+    months: [
+      { period: monthsAhead(0), interest: 1, balance: 1201 },
+      { period: monthsAhead(1), interest: 12.01, balance: 1213.01 },
+      { period: monthsAhead(2), interest: 12.13, balance: 1225.14 }
+    ]
+  });
+  assert.strictEqual((await projection(alice.id)).body.data.months.length, 12, 'a year by default');
+  for (const months of ['0', '61', '1.5', 'many']) {
+    await projection(alice.id, `?months=${months}`).expect(400);
+  }
+  await projection('missing', '', operator.auth).expect(404);
+  assert.strictEqual((await walletRepo.findById(alice.id)).balance, 120000);
+
+  console.log('Interest preview tests passed');
+}
+
+runTest('Interest preview tests', testInterestPreview);
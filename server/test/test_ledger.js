@@ -0,0 +1,193 @@
+// Test the double-entry ledger underneath the transactions table
+// Usage: node server/test/test_ledger.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, monthsAgo, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('ledger');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const InterestService = require('../services/InterestService');
+const cdkService = require('../services/CdkService');
+const merchantService = require('../services/MerchantService');
+const legacyFeeMigration = require('../../database/migrations/20261019120000_legacy_third_party_fees');
+const ledgerMigration = require('../../database/migrations/20261020000000_double_entry_ledger');
+
+const { SYSTEM_ACCOUNTS } = LedgerRepository;
+const walletRepo = new WalletRepository();
+const transactionRepo = new TransactionRepository();
+const ledgerRepo = new LedgerRepository();
+
+// Entries of a transaction keyed by account code
+async function entriesOf(transactionId) {
+  const entries = await ledgerRepo.findEntriesByTransactionId(transactionId);
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  assert.strictEqual(total, 0, 'entries of a transaction sum to zero');
+  return Object.fromEntries(entries.map(entry => [entry.account_code, entry.amount]));
+}
+
+// Entries of a transaction as [account code, amount] lines, for accounts posted to more than once
+async function linesOf(transactionId) {
+  await entriesOf(transactionId);
+  const entries = await ledgerRepo.findEntriesByTransactionId(transactionId);
+  return entries.map(entry => [entry.account_code, entry.amount]);
+}
+
+async function assertLedgerConsistent() {
+  const accounts = await ledgerRepo.getAccountBalances();
+  assert.strictEqual(accounts.reduce((sum, account) => sum + account.balance, 0), 0, 'all accounts sum to zero');
+  assert.deepStrictEqual(await ledgerRepo.findUnbalancedTransactions(), []);
+  assert.deepStrictEqual(await ledgerRepo.findBalanceMismatches(), [], 'wallet balances match the ledger');
+}
+
+async function testLedger() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/third-party': 'thirdPartyPayments',
+    '/api/cdks': 'cdks'
+  });
+  const { apiKey: merchantKey } = await merchantService.onboardMerchant({ id: 'shop-1', name: 'Shop' });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+
+  console.log('Funding through an admin balance override...');
+  const funded = await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 100 });
+  assert.strictEqual(funded.status, 200);
+  const adjustment = await dbAsync.get("SELECT id FROM transactions WHERE transaction_type = 'system' AND to_wallet_id = ?", [alice.id]);
+  assert.deepStrictEqual(await entriesOf(adjustment.id), {
+    [`wallet:${alice.id}`]: 10000,
+    [`system:${SYSTEM_ACCOUNTS.BALANCE_ADJUSTMENTS}`]: -10000
+  });
+
+  const lowered = await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 90 });
+  assert.strictEqual(lowered.status, 200);
+  assert.strictEqual(await ledgerRepo.getWalletBalance(alice.id), 9000);
+
+  console.log('Posting a transfer...');
+  const transfer = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount: 20 });
+  assert.strictEqual(transfer.status, 201);
+  assert.deepStrictEqual(await entriesOf(transfer.body.transaction.id), {
+    [`wallet:${alice.id}`]: -2000,
+    [`wallet:${bob.id}`]: 2000
+  });
+
+  console.log('Posting the third-party fee to fee revenue...');
+  const payment = await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', merchantKey)
+    .send({ walletId: alice.id, amount: 10 });
+  assert.strictEqual(payment.status, 201);
+  assert.deepStrictEqual(await linesOf(payment.body.transaction.id), [
+    [`wallet:${alice.id}`, -1000],
+    [`wallet:${alice.id}`, -100],
+    [`system:${SYSTEM_ACCOUNTS.FEE_REVENUE}`, 100],
+    [`system:${SYSTEM_ACCOUNTS.THIRD_PARTY_CLEARING}`, 1000]
+  ]);
+  const paymentRecord = await transactionRepo.findById(payment.body.transaction.id);
+  assert.strictEqual(paymentRecord.amount, 1000, 'the fee is not part of the amount');
+  assert.strictEqual(paymentRecord.fee_amount, 100);
+
+  const receipt = await request(app)
+    .post('/api/third-party/receipts')
+    .set('X-Merchant-Key', merchantKey)
+    .send({ walletId: bob.id, amount: 5 });
+  assert.strictEqual(receipt.status, 201);
+  assert.deepStrictEqual(await entriesOf(receipt.body.transaction.id), {
+    [`system:${SYSTEM_ACCOUNTS.THIRD_PARTY_CLEARING}`]: -500,
+    [`wallet:${bob.id}`]: 500
+  });
+
+  console.log('Posting a CDK payout against the CDK liability...');
+  const cdkKey = 'ledg-erte-stab-cdef-ghij-klmn';
+  await cdkService.addCdk({ key: cdkKey, amount: 3 });
+  const redeemed = await request(app)
+    .post('/api/cdks/redeem')
+    .set('Authorization', bob.auth)
+    .send({ code: cdkKey });
+  assert.strictEqual(redeemed.status, 200);
+  const cdkTransaction = await dbAsync.get("SELECT id FROM transactions WHERE transaction_type = 'cdk_redemption' AND to_wallet_id = ?", [bob.id]);
+  assert.deepStrictEqual(await entriesOf(cdkTransaction.id), {
+    [`system:${SYSTEM_ACCOUNTS.CDK_LIABILITY}`]: -300,
+    [`wallet:${bob.id}`]: 300
+  });
+
+  console.log('Posting interest against interest expense...');
+  const period = monthsAgo(1);
+  await backdateToPeriod(period);
+  const interest = await new InterestService().processMonthlyInterest(period);
+  assert.ok(interest.success);
+  const interestBalance = await dbAsync.get(
+    `SELECT COALESCE(SUM(e.amount), 0) AS balance FROM ledger_entries e
+     JOIN ledger_accounts a ON e.account_id = a.id WHERE a.code = ?`,
+    [`system:${SYSTEM_ACCOUNTS.INTEREST_EXPENSE}`]
+  );
+  assert.strictEqual(interestBalance.balance, -interest.totalInterest);
+
+  await assertLedgerConsistent();
+
+  console.log('Rejecting unbalanced postings...');
+  await assert.rejects(
+    ledgerRepo.post('none', [{ walletId: alice.id, amount: 100 }, { systemAccount: SYSTEM_ACCOUNTS.FEE_REVENUE, amount: -99 }]),
+    /sum to zero/
+  );
+  await assert.rejects(
+    transactionRepo.create({ fromWalletId: null, toWalletId: alice.id, amount: 100, transactionType: 'transfer' }),
+    /Ledger account missing/
+  );
+  const count = await dbAsync.get('SELECT COUNT(*) AS count FROM transactions WHERE amount = 100');
+  assert.strictEqual(count.count, 0, 'a failed posting leaves no transaction behind');
+
+  console.log('Backfilling transactions recorded before the ledger...');
+  const before = await dbAsync.get('SELECT COUNT(*) AS count FROM transactions');
+  await dbAsync.run(
+    `INSERT INTO transactions (id, from_wallet_id, to_wallet_id, amount, transaction_type, description)
+     VALUES ('legacy-pay', ?, NULL, 2750, 'third_party_payment', 'legacy payment'),
+            ('legacy-credit', NULL, ?, 700, 'interest_credit', 'legacy interest')`,
+    [alice.id, bob.id]
+  );
+  await dbAsync.run('UPDATE wallets SET balance = balance - 2750 WHERE id = ?', [alice.id]);
+  await dbAsync.run('UPDATE wallets SET balance = balance + 1234 WHERE id = ?', [bob.id]); // unexplained
+  // Migrations run in order: the legacy fee split comes before the backfill
+  await legacyFeeMigration.up(dbAsync);
+  await ledgerMigration.up(dbAsync);
+
+  assert.deepStrictEqual(await linesOf('legacy-pay'), [
+    [`wallet:${alice.id}`, -2500],
+    [`wallet:${alice.id}`, -250],
+    [`system:${SYSTEM_ACCOUNTS.FEE_REVENUE}`, 250],
+    [`system:${SYSTEM_ACCOUNTS.THIRD_PARTY_CLEARING}`, 2500]
+  ]);
+  const legacyPayment = await transactionRepo.findById('legacy-pay');
+  assert.strictEqual(legacyPayment.amount, 2500);
+  assert.strictEqual(legacyPayment.fee_amount, 250);
+  const opening = await dbAsync.get("SELECT amount FROM transactions WHERE description = 'Opening balance (ledger migration)' AND to_wallet_id = ?", [bob.id]);
+  assert.strictEqual(opening.amount, 1234 - 700, 'the unexplained part becomes an opening balance');
+  const after = await dbAsync.get('SELECT COUNT(*) AS count FROM transactions');
+  assert.strictEqual(after.count, before.count + 3);
+  await assertLedgerConsistent();
+
+  console.log('Ledger tests passed');
+}
+
+runTest('Ledger tests', testLedger);
\ No newline at end of file
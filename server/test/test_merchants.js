@@ -0,0 +1,149 @@
+// Test merchant onboarding, API keys and merchant-authenticated third-party routes
+// Usage: node server/test/test_merchants.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('merchants');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const migration = require('../../database/migrations/20261023000000_merchants');
+
+const walletRepo = new WalletRepository();
+
+async function testMerchants() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/third-party': 'thirdPartyPayments',
+    '/api/merchants': 'merchants'
+  });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 1000 })
+    .expect(200);
+
+  const merchants = (method, url = '') => request(app)[method](`/api/merchants${url}`).set('Authorization', admin.auth);
+
+  console.log('Onboarding merchants...');
+  await request(app).post('/api/merchants').set('Authorization', alice.auth).send({ name: 'Shop' }).expect(403);
+  await merchants('post').send({ id: 'bad id', name: 'Shop' }).expect(400);
+  await merchants('post').send({ name: ' ' }).expect(400);
+  await merchants('post').send({ name: 'Shop', contactEmail: 'not-an-email' }).expect(400);
+
+  const onboarded = await merchants('post').send({ id: 'shop-1', name: 'Shop', contactEmail: 'shop@example.com' });
+  assert.strictEqual(onboarded.status, 201);
+  const shopKey = onboarded.body.data.apiKey;
+  assert.ok(shopKey.startsWith('mk_'));
+  assert.strictEqual(onboarded.body.data.merchant.apiKeyPrefix, shopKey.substring(0, 10));
+  assert.strictEqual(onboarded.body.data.merchant.status, 'ACTIVE');
+  const stored = await dbAsync.get('SELECT api_key_hash FROM merchants WHERE id = ?', ['shop-1']);
+  assert.notStrictEqual(stored.api_key_hash, shopKey, 'only the hash of the key is stored');
+
+  await merchants('post').send({ id: 'shop-1', name: 'Copy' }).expect(409);
+  const other = await merchants('post').send({ name: 'Other shop' });
+  assert.strictEqual(other.status, 201);
+  const otherId = other.body.data.merchant.id;
+
+  const fetched = await merchants('get', '/shop-1');
+  assert.strictEqual(fetched.status, 200);
+  assert.strictEqual(fetched.body.data.contactEmail, 'shop@example.com');
+  assert.strictEqual(fetched.body.data.apiKeyHash, undefined);
+  await merchants('get', '/nobody').expect(404);
+
+  console.log('Authenticating third-party requests...');
+  const pay = (key, body = {}) => {
+    const call = request(app)
+      .post('/api/third-party/payments')
+      .set('Authorization', alice.auth);
+    if (key) {
+      call.set('X-Merchant-Key', key);
+    }
+    return call.send({ walletId: alice.id, amount: 10, ...body });
+  };
+  const receive = (key, body = {}) => request(app)
+    .post('/api/third-party/receipts')
+    .set('X-Merchant-Key', key)
+    .send({ walletId: alice.id, amount: 5, ...body });
+
+  await pay(null).expect(401);
+  await pay('mk_unknown').expect(401);
+  await pay(shopKey, { thirdPartyId: otherId }).expect(403);
+
+  const payment = await pay(shopKey, { thirdPartyName: 'Someone else' });
+  assert.strictEqual(payment.status, 201);
+  assert.strictEqual(payment.body.thirdPartyInfo.id, 'shop-1');
+  assert.strictEqual(payment.body.thirdPartyInfo.name, 'Shop', 'the name comes from the registry, not the request');
+  const paymentRow = await dbAsync.get('SELECT merchant_id, third_party_name FROM transactions WHERE id = ?', [payment.body.transaction.id]);
+  assert.deepStrictEqual({ ...paymentRow }, { merchant_id: 'shop-1', third_party_name: 'Shop' });
+
+  const receipt = await receive(shopKey, { thirdPartyId: 'shop-1' });
+  assert.strictEqual(receipt.status, 201);
+  assert.strictEqual((await dbAsync.get('SELECT merchant_id FROM transactions WHERE id = ?', [receipt.body.transaction.id])).merchant_id, 'shop-1');
+
+  const listed = await request(app)
+    .get('/api/third-party/transactions')
+    .query({ walletId: alice.id })
+    .set('Authorization', alice.auth);
+  assert.strictEqual(listed.status, 200);
+  assert.ok(listed.body.transactions.every(transaction => transaction.merchantId === 'shop-1'));
+
+  console.log('Suspending merchants...');
+  await merchants('put', '/shop-1').send({ status: 'CLOSED' }).expect(400);
+  await merchants('put', '/nobody').send({ name: 'Nobody' }).expect(404);
+  const suspended = await merchants('put', '/shop-1').send({ status: 'SUSPENDED' });
+  assert.strictEqual(suspended.status, 200);
+  assert.strictEqual(suspended.body.data.status, 'SUSPENDED');
+  await receive(shopKey).expect(403);
+  await merchants('put', '/shop-1').send({ status: 'ACTIVE' }).expect(200);
+  await receive(shopKey).expect(201);
+
+  console.log('Rotating API keys...');
+  const rotated = await merchants('post', '/shop-1/api-key');
+  assert.strictEqual(rotated.status, 200);
+  const newKey = rotated.body.data.apiKey;
+  assert.notStrictEqual(newKey, shopKey);
+  await receive(shopKey).expect(401);
+  await receive(newKey).expect(201);
+  await merchants('post', '/nobody/api-key').expect(404);
+
+  const list = await merchants('get');
+  assert.strictEqual(list.status, 200);
+  assert.deepStrictEqual(list.body.data.map(merchant => [merchant.name, merchant.transactionCount]), [['Other shop', 0], ['Shop', 4]]);
+  assert.strictEqual((await merchants('get').query({ status: 'SUSPENDED' })).body.data.length, 0);
+  await merchants('get').query({ status: 'CLOSED' }).expect(400);
+
+  console.log('Linking third-party transactions recorded before the registry...');
+  const now = new Date().toISOString();
+  await dbAsync.run(
+    `INSERT INTO transactions (id, to_wallet_id, amount, transaction_type, description, third_party_name, created_at)
+     VALUES ('legacy-1', ?, 100, 'third_party_receipt', 'Received from Old shop (ID: old-shop)', 'Old shop', ?),
+            ('legacy-2', ?, 100, 'third_party_receipt', 'Custom description', 'Corner store', ?),
+            ('legacy-3', ?, 100, 'third_party_receipt', 'Another custom description', 'Corner store', ?)`,
+    [alice.id, now, alice.id, now, alice.id, now]
+  );
+
+  await migration.up(dbAsync);
+  await migration.up(dbAsync);
+
+  const legacy = await dbAsync.all("SELECT id, merchant_id FROM transactions WHERE id LIKE 'legacy-%' ORDER BY id");
+  assert.strictEqual(legacy[0].merchant_id, 'old-shop');
+  assert.ok(legacy[1].merchant_id);
+  assert.strictEqual(legacy[1].merchant_id, legacy[2].merchant_id, 'one merchant per name');
+  const oldShop = await dbAsync.get('SELECT name, api_key_hash FROM merchants WHERE id = ?', ['old-shop']);
+  assert.deepStrictEqual({ ...oldShop }, { name: 'Old shop', api_key_hash: null });
+  assert.strictEqual((await dbAsync.get('SELECT COUNT(*) AS count FROM merchants')).count, 4, 'merchants are only registered once');
+
+  console.log('Merchant tests passed');
+}
+
+runTest('Merchant tests', testMerchants);
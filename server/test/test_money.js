@@ -0,0 +1,166 @@
+// Test minor-unit money helpers, the REAL -> INTEGER migration and API conversion
+// Usage: node server/test/test_money.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, monthsAgo, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('money');
+
+const request = require('supertest');
+const money = require('../utils/money');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const InterestService = require('../services/InterestService');
+
+// Schema of databases created before money was stored in minor units
+const LEGACY_SCHEMA = [
+  `CREATE TABLE wallets (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    balance REAL NOT NULL DEFAULT 0.00,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+  `CREATE TABLE transactions (
+    id TEXT PRIMARY KEY,
+    from_wallet_id TEXT,
+    to_wallet_id TEXT,
+    amount REAL NOT NULL,
+    transaction_type TEXT NOT NULL CHECK (transaction_type IN ('transfer', 'system', 'interest_credit', 'interest_debit', 'third_party_payment', 'third_party_receipt')),
+    description TEXT,
+    third_party_name TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (from_wallet_id) REFERENCES wallets(id),
+    FOREIGN KEY (to_wallet_id) REFERENCES wallets(id)
+  )`,
+  'CREATE INDEX idx_transactions_type ON transactions(transaction_type)',
+  `CREATE TRIGGER update_wallets_updated_at
+    AFTER UPDATE ON wallets
+    FOR EACH ROW
+  BEGIN
+    UPDATE wallets SET updated_at = datetime('now') WHERE id = NEW.id;
+  END`
+];
+
+function testMoneyHelpers() {
+  console.log('Checking money helpers...');
+  assert.strictEqual(money.toMinorUnits(12.34), 1234);
+  assert.strictEqual(money.toMinorUnits(0.1 + 0.2), 30);
+  assert.strictEqual(money.toMinorUnits(0.285), 29, '0.285 * 100 is 28.4999... in floating point');
+  assert.strictEqual(money.toMinorUnits(-0.285), -29);
+  assert.strictEqual(money.toMinorUnits('5.5'), 550);
+  assert.throws(() => money.toMinorUnits('abc'), TypeError);
+
+  assert.strictEqual(money.fromMinorUnits(1234), 12.34);
+  assert.strictEqual(money.format(5), '0.05');
+
+  assert.ok(money.hasValidPrecision(1.1), '1.1 has two decimals even though 1.1 * 100 is not an integer');
+  assert.ok(!money.hasValidPrecision(1.001));
+
+  assert.strictEqual(money.applyRate(10000, 0.01 / 12), 8, '100.00 at 1%/12 earns 0.08');
+  assert.strictEqual(money.applyRate(50, 0.1), 5);
+  assert.strictEqual(money.applyRate(-15, 0.1), -2);
+}
+
+async function testMigration() {
+  console.log('Migrating a legacy database...');
+  for (const statement of LEGACY_SCHEMA) {
+    await dbAsync.run(statement);
+  }
+  await dbAsync.run(
+    `INSERT INTO wallets (id, username, balance, updated_at) VALUES
+     ('w1', 'alice', 0.30000000000000004, '2024-01-01T00:00:00.000Z'),
+     ('w2', 'bob', 100.285, '2024-01-01T00:00:00.000Z')`
+  );
+  await dbAsync.run(
+    `INSERT INTO transactions (id, from_wallet_id, to_wallet_id, amount, transaction_type)
+     VALUES ('t1', 'w1', 'w2', 1.1, 'transfer')`
+  );
+
+  assert.ok(await initializeDatabase(), 'initialization should migrate the legacy database');
+
+  const wallets = await dbAsync.all('SELECT id, balance, typeof(balance) AS type, updated_at FROM wallets ORDER BY id');
+  assert.deepStrictEqual(wallets.map(w => w.balance), [30, 10029]);
+  assert.ok(wallets.every(w => w.type === 'integer'));
+  assert.strictEqual(wallets[0].updated_at, '2024-01-01T00:00:00.000Z', 'conversion must not touch updated_at');
+
+  const transaction = await dbAsync.get('SELECT amount FROM transactions WHERE id = ?', ['t1']);
+  assert.strictEqual(transaction.amount, 110);
+
+  const backup = await dbAsync.all('SELECT table_name, column_name, record_id, original_value, converted_value FROM money_conversion_backup');
+  assert.deepStrictEqual(backup, [
+    { table_name: 'wallets', column_name: 'balance', record_id: 'w2', original_value: 100.285, converted_value: 10029 }
+  ], 'only rounded values are backed up');
+
+  const trigger = await dbAsync.get("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = 'update_wallets_updated_at'");
+  assert.ok(trigger, 'triggers should be restored after the rebuild');
+  const foreignKeys = await dbAsync.get('PRAGMA foreign_keys');
+  assert.strictEqual(foreignKeys.foreign_keys, 1, 'foreign keys should be enforced again');
+
+  console.log('Running initialization again is a no-op...');
+  assert.ok(await initializeDatabase());
+  const again = await dbAsync.get('SELECT balance FROM wallets WHERE id = ?', ['w2']);
+  assert.strictEqual(again.balance, 10029);
+}
+
+async function testApiAmounts() {
+  console.log('Checking API amounts stay in major units...');
+  const app = createApp({ '/api/auth': 'auth', '/api/transfers': 'transfers' });
+
+  const login = await request(app)
+    .post('/api/auth/login')
+    .send({ username: 'alice', password: 'alice-secret' });
+  assert.strictEqual(login.status, 200);
+  assert.strictEqual(login.body.wallet.balance, 0.3);
+
+  const transfer = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', `Bearer ${login.body.session.accessToken}`)
+    .send({ fromWalletId: 'w1', toWalletId: 'w2', amount: 0.1 });
+  assert.strictEqual(transfer.status, 201);
+  assert.strictEqual(transfer.body.fromWallet.balance, 0.2);
+  assert.strictEqual(transfer.body.toWallet.balance, 100.39);
+  assert.strictEqual(transfer.body.transaction.amount, 0.1);
+
+  const stored = await dbAsync.get('SELECT amount FROM transactions WHERE id = ?', [transfer.body.transaction.id]);
+  assert.strictEqual(stored.amount, 10);
+
+  const tooPrecise = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', `Bearer ${login.body.session.accessToken}`)
+    .send({ fromWalletId: 'w1', toWalletId: 'w2', amount: 0.001 });
+  assert.strictEqual(tooPrecise.status, 400);
+}
+
+async function testInterestRounding() {
+  console.log('Checking interest is rounded to whole cents...');
+  const service = new InterestService();
+  const period = monthsAgo(1);
+  const policy = await service.getPolicyForPeriod(period);
+  assert.strictEqual(service.calculateInterest({ balance: 10029 }, policy), 8);
+  assert.ok(Number.isInteger(service.calculateInterest({ balance: 12345 }, policy)));
+
+  await backdateToPeriod(period);
+  const result = await service.processMonthlyInterest(period);
+  assert.ok(result.success);
+  assert.ok(Number.isInteger(result.totalInterest));
+
+  const balances = await dbAsync.all("SELECT typeof(balance) AS type FROM wallets WHERE typeof(balance) != 'integer'");
+  assert.strictEqual(balances.length, 0, 'interest must keep balances integral');
+}
+
+async function testMoney() {
+  await initTranslations();
+  testMoneyHelpers();
+  await testMigration();
+
+  // Give alice a password so the API test can log in
+  const authService = require('../services/AuthService');
+  await dbAsync.run('UPDATE wallets SET password_hash = ? WHERE id = ?', [await authService.hashPassword('alice-secret'), 'w1']);
+
+  await testApiAmounts();
+  await testInterestRounding();
+  console.log('Money tests passed');
+}
+
+runTest('Money tests', testMoney);
\ No newline at end of file
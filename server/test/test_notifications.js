@@ -0,0 +1,111 @@
+// Test the in-app notification centre
+// Usage: node server/test/test_notifications.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, monthsAgo, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('notifications');
+process.env.LOW_BALANCE_THRESHOLD = '20';
+
+const request = require('supertest');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+const cdkService = require('../services/CdkService');
+const merchantService = require('../services/MerchantService');
+const eventBus = require('../services/EventBus');
+require('../services/NotificationService');
+
+const walletRepo = new WalletRepository();
+
+async function testNotifications() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/third-party': 'thirdPartyPayments',
+    '/api/notifications': 'notifications'
+  });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 100 })
+    .expect(200);
+  const { apiKey } = await merchantService.onboardMerchant({ id: 'shop', name: 'Shop' });
+
+  const notifications = (wallet, query = '') => request(app).get(`/api/notifications${query}`).set('Authorization', wallet.auth);
+  const transfer = (amount) => request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount });
+
+  console.log('Notifying incoming money...');
+  await request(app).get('/api/notifications').expect(401);
+  await transfer(30).expect(201);
+  await request(app)
+    .post('/api/third-party/receipts')
+    .set('X-Merchant-Key', apiKey)
+    .send({ walletId: bob.id, amount: 5 })
+    .expect(201);
+  await cdkService.addCdk({ key: 'NOTE-TEST-CODE-0000-0000-0001', amount: 3 });
+  await cdkService.redeemCdk('NOTE-TEST-CODE-0000-0000-0001', 'bob');
+  const period = monthsAgo(1);
+  await backdateToPeriod(period);
+  await new InterestService().processMonthlyInterest(period);
+  assert.strictEqual((await notifications(bob).expect(200)).body.data.length, 0, 'created when the events are dispatched');
+  await eventBus.dispatch();
+
+  const bobList = await notifications(bob).expect(200);
+  assert.strictEqual(bobList.body.unreadCount, bobList.body.data.length);
+  const byType = Object.fromEntries(bobList.body.data.map(item => [item.type, item]));
+  assert.deepStrictEqual(byType.transfer_received.data.amount, 30);
+  assert.strictEqual(byType.transfer_received.data.fromUsername, 'alice');
+  assert.strictEqual(byType.transfer_received.read, false);
+  assert.strictEqual(byType.receipt_credited.data.merchantName, 'Shop');
+  assert.strictEqual(byType.cdk_redeemed.data.keyPrefix, 'NOTE-TES');
+  assert.strictEqual(byType.interest_posted.data.period, period);
+  assert.ok(!byType.low_balance, 'receiving money never warns');
+
+  console.log('Warning about low balances...');
+  const aliceTypes = async () => (await notifications(alice)).body.data.map(item => item.type);
+  assert.ok(!(await aliceTypes()).includes('low_balance'), 'balance still above the threshold');
+  await transfer(60).expect(201);
+  await transfer(1).expect(201);
+  await eventBus.dispatch();
+  let aliceList = await notifications(alice, '?unread=true');
+  const warnings = aliceList.body.data.filter(item => item.type === 'low_balance');
+  assert.strictEqual(warnings.length, 1, 'one warning while an unread one is waiting');
+  assert.ok(warnings[0].data.balance < 20);
+  assert.strictEqual(warnings[0].data.threshold, 20);
+
+  console.log('Marking notifications as read...');
+  await request(app).post(`/api/notifications/${warnings[0].id}/read`).set('Authorization', bob.auth).expect(404);
+  await request(app).post('/api/notifications/missing/read').set('Authorization', alice.auth).expect(404);
+  const read = await request(app).post(`/api/notifications/${warnings[0].id}/read`).set('Authorization', alice.auth);
+  assert.strictEqual(read.status, 200);
+  assert.strictEqual(read.body.data.read, true);
+  assert.ok(read.body.data.readAt);
+  await transfer(1).expect(201);
+  await eventBus.dispatch();
+  aliceList = await notifications(alice, '?unread=true');
+  assert.strictEqual(aliceList.body.data.filter(item => item.type === 'low_balance').length, 1, 'warned again after reading');
+
+  const { unreadCount } = (await notifications(bob)).body;
+  assert.strictEqual(unreadCount, bobList.body.data.length + 3, 'one per incoming transfer');
+  const readAll = await request(app).post('/api/notifications/read-all').set('Authorization', bob.auth);
+  assert.strictEqual(readAll.body.data.updated, unreadCount);
+  const after = await notifications(bob);
+  assert.strictEqual(after.body.unreadCount, 0);
+  assert.strictEqual((await notifications(bob, '?unread=true')).body.data.length, 0);
+  await notifications(bob, '?limit=1000').expect(400);
+
+  console.log('Notification tests passed');
+}
+
+runTest('Notification tests', testNotifications);
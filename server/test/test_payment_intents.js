@@ -0,0 +1,167 @@
+// Test payment intents: confirmation holds, partial capture, void and expiry
+// Usage: node server/test/test_payment_intents.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('payment-intents');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const ReconciliationService = require('../services/ReconciliationService');
+const merchantService = require('../services/MerchantService');
+const paymentIntentService = require('../services/PaymentIntentService');
+
+const walletRepo = new WalletRepository();
+
+async function testPaymentIntents() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/third-party/payment-intents': 'paymentIntents',
+    '/api/third-party': 'thirdPartyPayments',
+    '/api/fees': 'fees'
+  });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 100 })
+    .expect(200);
+
+  const { apiKey: shopKey } = await merchantService.onboardMerchant({ id: 'shop', name: 'Shop' });
+  const { apiKey: otherKey } = await merchantService.onboardMerchant({ id: 'other', name: 'Other' });
+
+  const intents = (method, url, key) => request(app)[method](`/api/third-party/payment-intents${url}`).set('X-Merchant-Key', key);
+  const create = (body) => intents('post', '', shopKey).send({ walletId: alice.id, ...body });
+  const confirm = (id, wallet = alice) => request(app)
+    .post(`/api/third-party/payment-intents/${id}/confirm`)
+    .set('Authorization', wallet.auth);
+  const walletOf = async (wallet) => (await request(app).get(`/api/wallets/${wallet.id}`)).body.wallet;
+
+  console.log('Creating intents...');
+  await request(app).post('/api/third-party/payment-intents').send({ walletId: alice.id, amount: 10 }).expect(401);
+  await create({ amount: -1 }).expect(400);
+  await create({ amount: 10, expiresIn: 10 }).expect(400);
+  await intents('post', '', shopKey).send({ walletId: 'missing', amount: 10 }).expect(404);
+
+  const created = await create({ amount: 50, description: 'Order 1' });
+  assert.strictEqual(created.status, 201);
+  const intent = created.body.data;
+  assert.strictEqual(intent.status, 'REQUIRES_CONFIRMATION');
+  assert.strictEqual(intent.merchantId, 'shop');
+  assert.strictEqual((await walletOf(alice)).heldBalance, 0, 'nothing is held before confirmation');
+
+  await intents('post', `/${intent.id}/capture`, shopKey).expect(409);
+  await intents('get', `/${intent.id}`, otherKey).expect(404);
+  const seenByOwner = await request(app).get(`/api/third-party/payment-intents/${intent.id}`).set('Authorization', alice.auth);
+  assert.strictEqual(seenByOwner.status, 200);
+  await request(app).get(`/api/third-party/payment-intents/${intent.id}`).set('Authorization', bob.auth).expect(404);
+
+  console.log('Confirming holds amount + fee...');
+  await confirm(intent.id, bob).expect(403);
+  const confirmed = await confirm(intent.id);
+  assert.strictEqual(confirmed.status, 200);
+  assert.strictEqual(confirmed.body.data.status, 'AUTHORIZED');
+  assert.strictEqual(confirmed.body.data.feeAmount, 5, 'the default 10% schedule');
+  assert.strictEqual(confirmed.body.data.heldAmount, 55);
+  await confirm(intent.id).expect(409);
+
+  let wallet = await walletOf(alice);
+  assert.deepStrictEqual([wallet.balance, wallet.heldBalance, wallet.availableBalance], [100, 55, 45]);
+
+  const blocked = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount: 50 });
+  assert.strictEqual(blocked.status, 400, 'held funds cannot be transferred');
+  assert.strictEqual(blocked.body.availableBalance, 45);
+
+  const belowHeld = await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 50 });
+  assert.strictEqual(belowHeld.status, 400, 'held funds cannot be adjusted away');
+  assert.strictEqual(belowHeld.body.heldBalance, 55);
+  assert.strictEqual((await walletOf(alice)).balance, 100);
+
+  const second = (await create({ amount: 45 })).body.data;
+  await confirm(second.id).expect(400);
+
+  console.log('Capturing part of an intent...');
+  await intents('post', `/${intent.id}/capture`, otherKey).expect(404);
+  await intents('post', `/${intent.id}/capture`, shopKey).send({ amount: 60 }).expect(400);
+  const captured = await intents('post', `/${intent.id}/capture`, shopKey).send({ amount: 30 });
+  assert.strictEqual(captured.status, 200);
+  assert.strictEqual(captured.body.data.status, 'CAPTURED');
+  assert.strictEqual(captured.body.data.capturedAmount, 30);
+  assert.strictEqual(captured.body.transaction.feeAmount, 3);
+  assert.strictEqual(captured.body.transaction.totalAmount, 33);
+  const row = await dbAsync.get('SELECT transaction_type, merchant_id, amount FROM transactions WHERE id = ?', [captured.body.data.transactionId]);
+  assert.deepStrictEqual({ ...row }, { transaction_type: 'third_party_payment', merchant_id: 'shop', amount: 3000 });
+
+  wallet = await walletOf(alice);
+  assert.deepStrictEqual([wallet.balance, wallet.heldBalance, wallet.availableBalance], [67, 0, 67], 'the rest of the hold is released');
+  await intents('post', `/${intent.id}/capture`, shopKey).expect(409);
+  await intents('post', `/${intent.id}/void`, shopKey).expect(409);
+
+  console.log('Capturing with a replayed Idempotency-Key...');
+  const third = (await create({ amount: 10 })).body.data;
+  await confirm(third.id).expect(200);
+  const capture = () => intents('post', `/${third.id}/capture`, shopKey).set('Idempotency-Key', 'capture-1').send({});
+  const firstCapture = await capture();
+  assert.strictEqual(firstCapture.status, 200);
+  const replay = await capture();
+  assert.strictEqual(replay.headers['idempotent-replayed'], 'true');
+  assert.strictEqual((await walletOf(alice)).balance, 56);
+
+  console.log('Voiding releases the hold...');
+  const fourth = (await create({ amount: 20 })).body.data;
+  await confirm(fourth.id).expect(200);
+  assert.strictEqual((await walletOf(alice)).heldBalance, 22);
+  const voided = await intents('post', `/${fourth.id}/void`, shopKey);
+  assert.strictEqual(voided.status, 200);
+  assert.strictEqual(voided.body.data.status, 'VOIDED');
+  wallet = await walletOf(alice);
+  assert.deepStrictEqual([wallet.balance, wallet.heldBalance], [56, 0]);
+
+  console.log('Expiring intents...');
+  const expiring = (await create({ amount: 10, expiresIn: 60 })).body.data;
+  await confirm(expiring.id).expect(200);
+  const unconfirmed = (await create({ amount: 10, expiresIn: 60 })).body.data;
+  assert.strictEqual((await walletOf(alice)).heldBalance, 11);
+  await dbAsync.run('UPDATE payment_intents SET expires_at = ? WHERE id IN (?, ?)', [new Date(Date.now() - 1000).toISOString(), expiring.id, unconfirmed.id]);
+
+  await intents('post', `/${expiring.id}/capture`, shopKey).expect(409);
+  await confirm(unconfirmed.id).expect(409);
+  const expired = await intents('get', `/${expiring.id}`, shopKey);
+  assert.strictEqual(expired.body.data.status, 'EXPIRED');
+  assert.strictEqual(expired.body.data.heldAmount, 0);
+  assert.strictEqual((await walletOf(alice)).heldBalance, 0);
+  assert.strictEqual(await paymentIntentService.expireDueIntents(), 0);
+
+  const listed = await intents('get', '?status=EXPIRED', shopKey);
+  assert.strictEqual(listed.status, 200);
+  assert.deepStrictEqual(listed.body.data.map(item => item.id).sort(), [expiring.id, unconfirmed.id].sort());
+  await intents('get', '?status=UNKNOWN', shopKey).expect(400);
+  const ownList = await request(app).get('/api/third-party/payment-intents').set('Authorization', bob.auth);
+  assert.deepStrictEqual(ownList.body.data, []);
+
+  const report = await new ReconciliationService().reconcile();
+  assert.strictEqual(report.consistent, true, JSON.stringify(report.summary));
+  await dbAsync.run('UPDATE wallets SET held_balance = 100 WHERE id = ?', [alice.id]);
+  const broken = await new ReconciliationService().reconcile();
+  assert.deepStrictEqual(broken.holdMismatches.map(item => [item.username, item.heldBalance, item.intentHolds]), [['alice', 1, 0]]);
+
+  console.log('Payment intent tests passed');
+}
+
+runTest('Payment intent tests', testPaymentIntents);
@@ -0,0 +1,148 @@
+// Test the live update stream (Server-Sent Events)
+// Usage: node server/test/test_realtime.js (runs against a temporary database)
+const assert = require('assert');
+const http = require('http');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('realtime');
+process.env.REALTIME_ANONYMOUS_STREAMS_PER_IP = '2';
+process.env.REALTIME_ANONYMOUS_STREAMS = '3';
+
+const request = require('supertest');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const eventBus = require('../services/EventBus');
+const exchangeRateService = require('../services/ExchangeRateService');
+const realtimeService = require('../services/RealtimeService');
+
+const walletRepo = new WalletRepository();
+
+// Open a stream and collect its messages as { event, data }
+function openStream(baseUrl, token = null, ip = '10.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    headers['X-Forwarded-For'] = ip;
+    const req = http.get(`${baseUrl}/api/events`, { headers }, (res) => {
+      const stream = { statusCode: res.statusCode, headers: res.headers, messages: [], ended: false, req };
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        for (const frame of frames) {
+          const lines = frame.split('\n');
+          const event = lines.find(line => line.startsWith('event: '));
+          const data = lines.find(line => line.startsWith('data: '));
+          if (event && data) {
+            stream.messages.push({ event: event.slice(7), data: JSON.parse(data.slice(6)) });
+          }
+        }
+      });
+      res.on('end', () => { stream.ended = true; });
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const messagesOf = (stream, event) => stream.messages.filter(message => message.event === event);
+
+async function testRealtime(baseUrl, app) {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+
+  console.log('Opening streams...');
+  const invalid = await openStream(baseUrl, 'not-a-token');
+  assert.strictEqual(invalid.statusCode, 401);
+  const aliceStream = await openStream(baseUrl, alice.token);
+  const bobStream = await openStream(baseUrl, bob.token);
+  const anonymous = await openStream(baseUrl);
+  assert.strictEqual(aliceStream.statusCode, 200);
+  assert.strictEqual(aliceStream.headers['content-type'], 'text/event-stream');
+  assert.strictEqual(realtimeService.clients.size, 3);
+
+  console.log('Pushing balance changes and transfers...');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 100 })
+    .expect(200);
+  await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount: 12.5 })
+    .expect(201);
+  assert.strictEqual(bobStream.messages.length, 0, 'nothing is pushed before the events are dispatched');
+  await eventBus.dispatch();
+  await wait(50);
+
+  // Wallet messages carry the balance at the time they are pushed
+  assert.deepStrictEqual(messagesOf(aliceStream, 'wallet').map(message => message.data.balance), [87.5, 87.5]);
+  assert.deepStrictEqual(
+    messagesOf(aliceStream, 'transaction').map(message => [message.data.eventType, message.data.direction, message.data.amount]),
+    [['balance.adjusted', 'incoming', 100], ['transfer.completed', 'outgoing', 12.5]]
+  );
+  const [bobWallet] = messagesOf(bobStream, 'wallet');
+  assert.strictEqual(bobWallet.data.id, bob.id);
+  assert.strictEqual(bobWallet.data.balance, 12.5);
+  const [incoming] = messagesOf(bobStream, 'transaction');
+  assert.strictEqual(incoming.data.direction, 'incoming');
+  assert.strictEqual(incoming.data.transactionType, 'transfer');
+  assert.strictEqual(anonymous.messages.length, 0, 'anonymous streams get no wallet events');
+
+  console.log('Pushing exchange rates to every stream...');
+  const saved = await exchangeRateService.saveRate(1.2345);
+  assert.ok(saved.success);
+  await eventBus.dispatch();
+  await wait(50);
+  for (const stream of [aliceStream, bobStream, anonymous]) {
+    assert.deepStrictEqual(messagesOf(stream, 'exchange-rate').map(message => message.data), [{ rate: 1.2345, createdAt: saved.createdAt }]);
+  }
+
+  console.log('Closing streams of ended sessions...');
+  await request(app).post('/api/auth/logout').set('Authorization', bob.auth).expect(200);
+  await realtimeService.checkClients();
+  await wait(50);
+  assert.ok(bobStream.ended, 'a revoked session loses its stream');
+  assert.ok(!aliceStream.ended);
+
+  console.log('Limiting streams without an access token...');
+  const sameIp = await openStream(baseUrl);
+  const overIp = await openStream(baseUrl);
+  assert.strictEqual(sameIp.statusCode, 200);
+  assert.strictEqual(overIp.statusCode, 429, 'two anonymous streams per IP address');
+  const withSession = await openStream(baseUrl, alice.token);
+  assert.strictEqual(withSession.statusCode, 200, 'streams with a session are not limited');
+  const otherIp = await openStream(baseUrl, null, '10.0.0.2');
+  const overTotal = await openStream(baseUrl, null, '10.0.0.3');
+  assert.strictEqual(otherIp.statusCode, 200);
+  assert.strictEqual(overTotal.statusCode, 429, 'three anonymous streams in total');
+
+  for (const stream of [aliceStream, anonymous, sameIp, overIp, withSession, otherIp, overTotal]) {
+    stream.req.destroy();
+  }
+  await wait(50);
+  assert.strictEqual(realtimeService.clients.size, 0);
+  assert.strictEqual(realtimeService.heartbeat, null);
+
+  console.log('Realtime tests passed');
+}
+
+const app = createApp({
+  '/api/auth': 'auth',
+  '/api/wallets': 'wallets',
+  '/api/transfers': 'transfers',
+  '/api/events': 'events'
+}, { trustProxy: true });
+const server = app.listen(0, '127.0.0.1', () => {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  runTest('Realtime tests', () => testRealtime(baseUrl, app), () => server.close());
+});
\ No newline at end of file
@@ -0,0 +1,159 @@
+// Test the reconciliation report (service, admin endpoint and script)
+// Usage: node server/test/test_reconciliation.js (runs against a temporary database)
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { useTemporaryDatabase, createApp, createWallet, monthsAgo, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('reconciliation');
+const REPORT_FILE = path.join(os.tmpdir(), `chrysorrhoe-test-reconciliation-${process.pid}.json`);
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+const ReconciliationService = require('../services/ReconciliationService');
+
+const walletRepo = new WalletRepository();
+const reconciliationService = new ReconciliationService();
+
+function runScript(args = []) {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'reconcile.js'), ...args], {
+    env: process.env,
+    encoding: 'utf8',
+    timeout: 60000
+  });
+}
+
+async function testReconciliation() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/reconciliation': 'reconciliation'
+  });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 1000 })
+    .expect(200);
+  await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount: 250 })
+    .expect(201);
+  // Interest for the month before last; last month's run fails below
+  const [period, failedPeriod] = [monthsAgo(2), monthsAgo(1)];
+  await backdateToPeriod(period);
+  assert.ok((await new InterestService().processMonthlyInterest(period)).success);
+
+  console.log('Reconciling a consistent database...');
+  const clean = await reconciliationService.reconcile();
+  assert.strictEqual(clean.consistent, true, JSON.stringify(clean, null, 2));
+  assert.strictEqual(clean.summary.wallets, 3);
+  assert.strictEqual(clean.summary.issues, 0);
+
+  const cleanRun = runScript();
+  assert.strictEqual(cleanRun.status, 0, cleanRun.stderr);
+  assert.strictEqual(JSON.parse(cleanRun.stdout).consistent, true, 'stdout holds only the report');
+
+  console.log('Simulating an interest run that was only partly rolled back...');
+  await dbAsync.run(
+    `INSERT INTO interest_logs (id, period, status, error_message) VALUES ('log-failed', ?, 'FAILED', 'disk full')`,
+    [failedPeriod]
+  );
+  await dbAsync.run(
+    `INSERT INTO transactions (id, from_wallet_id, to_wallet_id, amount, transaction_type, description)
+     VALUES ('stray-interest', NULL, ?, 83, 'interest_credit', ?)`,
+    [bob.id, `${failedPeriod}Interest credit: 0.83`]
+  );
+  await dbAsync.run('UPDATE wallets SET balance = balance + 83 WHERE id = ?', [bob.id]);
+  await dbAsync.run('UPDATE interest_logs SET total_interest = total_interest + 1 WHERE period = ?', [period]);
+
+  console.log('Simulating balance drift and orphaned transactions...');
+  await dbAsync.run('UPDATE wallets SET balance = balance - 500 WHERE id = ?', [alice.id]);
+  await dbAsync.run('PRAGMA foreign_keys = OFF');
+  await dbAsync.run(
+    `INSERT INTO transactions (id, from_wallet_id, to_wallet_id, amount, transaction_type, description)
+     VALUES ('ghost', 'deleted-wallet', ?, 100, 'transfer', 'from a deleted wallet'),
+            ('nowhere', NULL, NULL, 100, 'system', 'no wallet at all')`,
+    [bob.id]
+  );
+  await dbAsync.run('PRAGMA foreign_keys = ON');
+
+  const report = await reconciliationService.reconcile();
+  assert.strictEqual(report.consistent, false);
+
+  const byWallet = Object.fromEntries(report.balanceMismatches.map(row => [row.walletId, row]));
+  assert.deepStrictEqual(Object.keys(byWallet).sort(), [alice.id, bob.id].sort());
+  assert.strictEqual(byWallet[alice.id].difference, -5, 'alice lost 5.00 without a transaction');
+  assert.strictEqual(byWallet[bob.id].difference, -1, 'the orphaned transfer credits bob in the history only');
+
+  const ledgerDifferences = Object.fromEntries(report.ledgerMismatches.map(row => [row.walletId, row.difference]));
+  assert.deepStrictEqual(ledgerDifferences, { [alice.id]: -5, [bob.id]: 0.83 }, 'the stray interest was never posted');
+  assert.deepStrictEqual(
+    report.orphanedTransactions.map(row => [row.transactionId, row.reason]).sort(),
+    [['ghost', 'missing_wallet'], ['nowhere', 'no_wallet']]
+  );
+  assert.deepStrictEqual(
+    report.unpostedTransactions.map(row => row.transactionId).sort(),
+    ['ghost', 'nowhere', 'stray-interest']
+  );
+  assert.deepStrictEqual(
+    report.interestLogMismatches.map(row => [row.period, row.reason]),
+    [[period, 'totals_differ'], [failedPeriod, 'incomplete_log_has_transactions']]
+  );
+  const failedLog = report.interestLogMismatches[1];
+  assert.strictEqual(failedLog.transactionCount, 1);
+  assert.strictEqual(failedLog.transactionTotal, 0.83);
+
+  console.log('Checking the admin endpoint...');
+  await request(app).get('/api/reconciliation').expect(401);
+  await request(app).get('/api/reconciliation').set('Authorization', alice.auth).expect(403);
+  const response = await request(app)
+    .get('/api/reconciliation')
+    .set('Authorization', admin.auth)
+    .expect(200);
+  assert.strictEqual(response.body.success, true);
+  assert.deepStrictEqual(response.body.data.summary, report.summary);
+
+  console.log('Checking the script...');
+  const dirtyRun = runScript([`--output=${REPORT_FILE}`]);
+  assert.strictEqual(dirtyRun.status, 2, dirtyRun.stderr);
+  assert.strictEqual(dirtyRun.stdout, '');
+  const written = JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8'));
+  assert.deepStrictEqual(written.summary, report.summary);
+
+  console.log('Refusing to reconcile a database with pending migrations...');
+  const [{ name: lastMigration }] = await dbAsync.all('SELECT name FROM schema_migrations ORDER BY name DESC LIMIT 1');
+  await dbAsync.run('DELETE FROM schema_migrations WHERE name = ?', [lastMigration]);
+  await dbAsync.run('DROP INDEX idx_transactions_original');
+  await dbAsync.run('ALTER TABLE transactions DROP COLUMN original_transaction_id');
+  const outdatedRun = runScript();
+  assert.strictEqual(outdatedRun.status, 1, outdatedRun.stderr);
+  assert.strictEqual(outdatedRun.stdout, '');
+  assert.ok(outdatedRun.stderr.includes(`migration ${lastMigration}`), outdatedRun.stderr);
+  assert.ok(outdatedRun.stderr.includes('column transactions.original_transaction_id'), outdatedRun.stderr);
+  assert.ok(!(await dbAsync.get('SELECT name FROM schema_migrations WHERE name = ?', [lastMigration])), 'nothing is applied');
+  const columns = await dbAsync.all('PRAGMA table_info(transactions)');
+  assert.ok(!columns.some(col => col.name === 'original_transaction_id'), 'nothing is upgraded');
+
+  console.log('Reconciliation tests passed');
+}
+
+function cleanup() {
+  fs.rmSync(REPORT_FILE, { force: true });
+}
+
+runTest('Reconciliation tests', testReconciliation, cleanup);
\ No newline at end of file
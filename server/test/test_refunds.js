@@ -0,0 +1,165 @@
+// Test refunds of third-party payments and reversals of transfers
+// Usage: node server/test/test_refunds.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('refunds');
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const ReconciliationService = require('../services/ReconciliationService');
+const merchantService = require('../services/MerchantService');
+const migration = require('../../database/migrations/20261024000000_refunds');
+
+const walletRepo = new WalletRepository();
+const ledgerRepo = new LedgerRepository();
+
+async function testRefunds() {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/third-party': 'thirdPartyPayments',
+    '/api/transactions': 'transactions'
+  });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 100 })
+    .expect(200);
+
+  const { apiKey: shopKey } = await merchantService.onboardMerchant({ id: 'shop', name: 'Shop' });
+  const { apiKey: otherKey } = await merchantService.onboardMerchant({ id: 'other', name: 'Other' });
+
+  const refund = (id, body = {}, key = shopKey) => request(app)
+    .post(`/api/transactions/${id}/refund`)
+    .set('X-Merchant-Key', key)
+    .send(body);
+  const balanceOf = async (wallet) => (await walletRepo.findById(wallet.id)).balance;
+
+  const payment = await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', shopKey)
+    .send({ walletId: alice.id, amount: 50 });
+  assert.strictEqual(payment.status, 201);
+  assert.strictEqual(payment.body.transaction.feeAmount, 5, 'the default 10% schedule');
+  const paymentId = payment.body.transaction.id;
+  assert.strictEqual(await balanceOf(alice), 4500);
+
+  console.log('Validating refund requests...');
+  await request(app).post(`/api/transactions/${paymentId}/refund`).send({}).expect(401);
+  await request(app).post(`/api/transactions/${paymentId}/refund`).set('Authorization', alice.auth).send({}).expect(403);
+  await refund(paymentId, {}, otherKey).expect(404);
+  await refund('missing').expect(404);
+  await refund(paymentId, { amount: -1 }).expect(400);
+  await refund(paymentId, { amount: 0.001 }).expect(400);
+  await refund(paymentId, { amount: 60 }).expect(400);
+
+  console.log('Refunding part of a payment returns its share of the fee...');
+  const partial = await refund(paymentId, { amount: 15, reason: 'Damaged item' });
+  assert.strictEqual(partial.status, 201);
+  assert.strictEqual(partial.body.transaction.transactionType, 'refund');
+  assert.strictEqual(partial.body.transaction.originalTransactionId, paymentId);
+  assert.strictEqual(partial.body.transaction.toWalletId, alice.id);
+  assert.strictEqual(partial.body.transaction.amount, 15);
+  assert.strictEqual(partial.body.transaction.feeAmount, 1.5);
+  assert.strictEqual(partial.body.transaction.description, 'Damaged item');
+  assert.strictEqual(partial.body.original.remainingAmount, 35);
+  assert.strictEqual(await balanceOf(alice), 4500 + 1650);
+
+  const entries = await ledgerRepo.findEntriesByTransactionId(partial.body.transaction.id);
+  assert.deepStrictEqual(entries.map(entry => [entry.account_code, entry.amount]), [
+    ['system:third_party_clearing', -1500],
+    ['system:fee_revenue', -150],
+    [`wallet:${alice.id}`, 150],
+    [`wallet:${alice.id}`, 1500]
+  ]);
+
+  const exceeded = await refund(paymentId, { amount: 40 });
+  assert.strictEqual(exceeded.status, 400);
+  assert.ok(exceeded.body.error.includes('35.00'), exceeded.body.error);
+
+  console.log('Refunding the rest returns the rest of the fee...');
+  const replay = () => refund(paymentId).set('Idempotency-Key', 'refund-1');
+  const rest = await replay();
+  assert.strictEqual(rest.status, 201);
+  assert.strictEqual(rest.body.transaction.amount, 35);
+  assert.strictEqual(rest.body.transaction.feeAmount, 3.5);
+  assert.strictEqual(rest.body.original.refundedAmount, 50);
+  assert.strictEqual(rest.body.original.refundedFeeAmount, 5);
+  assert.strictEqual((await replay()).headers['idempotent-replayed'], 'true');
+  assert.strictEqual(await balanceOf(alice), 10000, 'the payment and its fee are returned in full');
+  await refund(paymentId, { amount: 1 }).expect(409);
+
+  const details = await request(app).get(`/api/transactions/${paymentId}`).set('Authorization', admin.auth);
+  assert.deepStrictEqual(details.body.transaction.refunds.map(item => item.amount), [15, 35]);
+
+  const history = await request(app).get(`/api/wallets/${alice.id}/transactions`).set('Authorization', alice.auth);
+  const listed = history.body.transactions.find(item => item.id === rest.body.transaction.id);
+  assert.strictEqual(listed.direction, 'incoming');
+  assert.strictEqual(listed.originalTransactionId, paymentId);
+
+  const refundRow = (await new TransactionRepository().findRefunds(paymentId))[0];
+  await assert.rejects(() => new TransactionRepository().delete(refundRow.id), /cannot be deleted/);
+
+  console.log('Reversing transfers is admin-only...');
+  const transfer = await request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount: 20 });
+  assert.strictEqual(transfer.status, 201);
+  const transferId = transfer.body.transaction.id;
+
+  await refund(transferId).expect(404);
+  const reverse = (body = {}) => request(app)
+    .post(`/api/transactions/${transferId}/refund`)
+    .set('Authorization', admin.auth)
+    .send(body);
+  const reversal = await reverse({ amount: 5 });
+  assert.strictEqual(reversal.status, 201);
+  assert.strictEqual(reversal.body.transaction.transactionType, 'reversal');
+  assert.strictEqual(reversal.body.transaction.fromWalletId, bob.id);
+  assert.strictEqual(reversal.body.transaction.toWalletId, alice.id);
+  assert.strictEqual(reversal.body.transaction.feeAmount, 0);
+  assert.deepStrictEqual([await balanceOf(alice), await balanceOf(bob)], [8500, 1500]);
+
+  // The receiver has spent part of the money; the rest cannot be taken back
+  await request(app)
+    .post('/api/transfers')
+    .set('Authorization', bob.auth)
+    .send({ fromWalletId: bob.id, toWalletId: admin.id, amount: 10 })
+    .expect(201);
+  await reverse().expect(400);
+  assert.strictEqual(await balanceOf(bob), 500);
+
+  const system = (await dbAsync.get("SELECT id FROM transactions WHERE transaction_type = 'system'")).id;
+  await request(app)
+    .post(`/api/transactions/${system}/refund`)
+    .set('Authorization', admin.auth)
+    .send({})
+    .expect(400);
+
+  const report = await new ReconciliationService().reconcile();
+  assert.strictEqual(report.consistent, true, JSON.stringify(report.summary));
+
+  console.log('Running the migration again is a no-op...');
+  await migration.up(dbAsync);
+  const count = await dbAsync.get("SELECT COUNT(*) AS count FROM transactions WHERE original_transaction_id IS NOT NULL");
+  assert.strictEqual(count.count, 3);
+
+  console.log('Refund tests passed');
+}
+
+runTest('Refund tests', testRefunds);
@@ -0,0 +1,150 @@
+// Test role-based access to admin and operator routes
+// Usage: node server/test/test_roles.js (runs against a temporary database)
+const assert = require('assert');
+const { useTemporaryDatabase, createApp, createWallet, runTest } = require('./helpers');
+
+useTemporaryDatabase('roles');
+
+const request = require('supertest');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+
+async function testRoles() {
+  await initTranslations();
+  await initializeDatabase();
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transactions': 'transactions',
+    '/api/exchange-rates': 'exchangeRates',
+    '/api/interests': 'interests',
+    '/api/third-party': 'thirdPartyPayments',
+    '/api/cdks': 'cdks'
+  });
+  const walletRepo = new WalletRepository();
+
+  console.log('Creating wallets...');
+  const user = await createWallet(app, 'user');
+  const operator = await createWallet(app, 'operator');
+  const admin = await createWallet(app, 'admin');
+  assert.strictEqual(user.role, 'user', 'new wallets default to the user role');
+
+  await walletRepo.setRole(operator.id, 'operator');
+  await walletRepo.setRole(admin.id, 'admin');
+  await assert.rejects(walletRepo.setRole(user.id, 'superuser'), /Invalid role/);
+
+  console.log('Checking balance overrides...');
+  const anonymousOverride = await request(app)
+    .put(`/api/wallets/${user.id}/balance`)
+    .send({ amount: 1000 });
+  assert.strictEqual(anonymousOverride.status, 401);
+
+  for (const caller of [user, operator]) {
+    const denied = await request(app)
+      .put(`/api/wallets/${user.id}/balance`)
+      .set('Authorization', caller.auth)
+      .send({ amount: 1000 });
+    assert.strictEqual(denied.status, 403);
+  }
+
+  const override = await request(app)
+    .put(`/api/wallets/${user.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 1000 });
+  assert.strictEqual(override.status, 200);
+  assert.strictEqual(override.body.wallet.balance, 1000);
+
+  console.log('Checking CDK creation...');
+  const userCdk = await request(app)
+    .post('/api/cdks')
+    .set('Authorization', user.auth)
+    .send({});
+  assert.strictEqual(userCdk.status, 403);
+
+  const adminCdk = await request(app)
+    .post('/api/cdks')
+    .set('Authorization', admin.auth)
+    .send({});
+  assert.strictEqual(adminCdk.status, 400, 'admins reach the CDK validation');
+
+  console.log('Checking exchange rate maintenance...');
+  const userRefresh = await request(app)
+    .post('/api/exchange-rates/refresh')
+    .set('Authorization', user.auth);
+  assert.strictEqual(userRefresh.status, 403);
+
+  const operatorRefresh = await request(app)
+    .post('/api/exchange-rates/refresh')
+    .set('Authorization', operator.auth);
+  assert.strictEqual(operatorRefresh.status, 200);
+
+  const operatorCleanup = await request(app)
+    .delete('/api/exchange-rates/cleanup')
+    .set('Authorization', operator.auth)
+    .send({});
+  assert.strictEqual(operatorCleanup.status, 403);
+
+  const adminCleanup = await request(app)
+    .delete('/api/exchange-rates/cleanup')
+    .set('Authorization', admin.auth)
+    .send({});
+  assert.strictEqual(adminCleanup.status, 400, 'admins reach the cleanup validation');
+
+  console.log('Checking interest processing...');
+  const userInterest = await request(app)
+    .post('/api/interests/process')
+    .set('Authorization', user.auth);
+  assert.strictEqual(userInterest.status, 403);
+
+  console.log('Checking transaction listings...');
+  const userAll = await request(app)
+    .get('/api/third-party/transactions')
+    .set('Authorization', user.auth);
+  assert.strictEqual(userAll.status, 403);
+
+  const anonymous = await request(app)
+    .get('/api/third-party/transactions')
+    .query({ walletId: user.id });
+  assert.strictEqual(anonymous.status, 401);
+
+  const scoped = await request(app)
+    .get('/api/third-party/transactions')
+    .query({ walletId: user.id })
+    .set('Authorization', user.auth);
+  assert.strictEqual(scoped.status, 200, 'owners list their own wallet');
+
+  for (const query of [{ walletId: admin.id }, { username: 'admin' }, { walletId: 'missing' }]) {
+    const other = await request(app)
+      .get('/api/third-party/transactions')
+      .query(query)
+      .set('Authorization', user.auth);
+    assert.strictEqual(other.status, 403, `${JSON.stringify(query)} is admin-only`);
+  }
+
+  const adminScoped = await request(app)
+    .get('/api/third-party/transactions')
+    .query({ username: user.username })
+    .set('Authorization', admin.auth);
+  assert.strictEqual(adminScoped.status, 200);
+
+  const adminAll = await request(app)
+    .get('/api/third-party/transactions')
+    .set('Authorization', admin.auth);
+  assert.strictEqual(adminAll.status, 200);
+
+  const userTransactions = await request(app)
+    .get('/api/transactions')
+    .set('Authorization', user.auth);
+  assert.strictEqual(userTransactions.status, 403);
+
+  console.log('Checking demotion takes effect immediately...');
+  await walletRepo.setRole(admin.id, 'user');
+  const demoted = await request(app)
+    .get('/api/transactions')
+    .set('Authorization', admin.auth);
+  assert.strictEqual(demoted.status, 403);
+
+  console.log('Role tests passed');
+}
+
+runTest('Role tests', testRoles);
\ No newline at end of file
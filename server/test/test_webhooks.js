@@ -0,0 +1,196 @@
+// Test webhook subscriptions, signed deliveries, retries, dead letters and redelivery
+// Usage: node server/test/test_webhooks.js (runs against a temporary database and a local receiver)
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { useTemporaryDatabase, createApp, createWallet, monthsAgo, backdateToPeriod, runTest } = require('./helpers');
+
+useTemporaryDatabase('webhooks');
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+
+const request = require('supertest');
+const { dbAsync } = require('../config/database');
+const { initializeDatabase } = require('../config/initDatabase');
+const { initTranslations } = require('../config/i18n');
+const WalletRepository = require('../repositories/WalletRepository');
+const InterestService = require('../services/InterestService');
+const cdkService = require('../services/CdkService');
+const merchantService = require('../services/MerchantService');
+const webhookService = require('../services/WebhookService');
+const eventBus = require('../services/EventBus');
+
+const walletRepo = new WalletRepository();
+
+// Local endpoint recording the requests it receives
+function startReceiver() {
+  const receiver = { requests: [], status: 200 };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(receiver.status);
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+      resolve(receiver);
+    });
+  });
+}
+
+function verifySignature(secret, received) {
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret)
+    .update(`${received.headers['x-webhook-timestamp']}.${received.body}`)
+    .digest('hex');
+  return expected === received.headers['x-webhook-signature'];
+}
+
+async function testWebhooks(receiver) {
+  await initTranslations();
+  assert.ok(await initializeDatabase());
+  const app = createApp({
+    '/api/wallets': 'wallets',
+    '/api/transfers': 'transfers',
+    '/api/third-party': 'thirdPartyPayments',
+    '/api/webhooks': 'webhooks'
+  });
+
+  const admin = await createWallet(app, 'admin');
+  const alice = await createWallet(app, 'alice');
+  const bob = await createWallet(app, 'bob');
+  await walletRepo.setRole(admin.id, 'admin');
+  await request(app)
+    .put(`/api/wallets/${alice.id}/balance`)
+    .set('Authorization', admin.auth)
+    .send({ amount: 100 })
+    .expect(200);
+  const { apiKey: shopKey } = await merchantService.onboardMerchant({ id: 'shop', name: 'Shop' });
+  await merchantService.onboardMerchant({ id: 'other', name: 'Other' });
+
+  const webhooks = (method, url = '') => request(app)[method](`/api/webhooks${url}`).set('Authorization', admin.auth);
+  const transfer = (amount) => request(app)
+    .post('/api/transfers')
+    .set('Authorization', alice.auth)
+    .send({ fromWalletId: alice.id, toWalletId: bob.id, amount });
+  const received = (type) => receiver.requests.filter(item => item.headers['x-webhook-event'] === type);
+  // Queue the deliveries of committed events, then send them
+  const deliver = async () => {
+    await eventBus.dispatch();
+    return await webhookService.deliverDue();
+  };
+
+  console.log('Registering subscriptions...');
+  await request(app).post('/api/webhooks').set('Authorization', alice.auth).send({ url: receiver.url, events: ['transfer.completed'] }).expect(403);
+  await webhooks('post').send({ url: 'ftp://example.com', events: ['transfer.completed'] }).expect(400);
+  await webhooks('post').send({ url: receiver.url, events: ['wallet.exploded'] }).expect(400);
+  await webhooks('post').send({ url: receiver.url, events: ['payment.succeeded'], merchantId: 'nobody' }).expect(400);
+
+  const created = await webhooks('post').send({
+    url: `${receiver.url}/all`,
+    events: ['transfer.completed', 'payment.succeeded', 'receipt.credited', 'interest.posted', 'cdk.redeemed']
+  });
+  assert.strictEqual(created.status, 201);
+  let secret = created.body.data.secret;
+  const subscriptionId = created.body.data.subscription.id;
+  assert.ok(secret.startsWith('whsec_'));
+  const scoped = await webhooks('post').send({ url: `${receiver.url}/other`, events: ['payment.succeeded'], merchantId: 'other' });
+  assert.strictEqual(scoped.status, 201);
+  const listed = await webhooks('get');
+  assert.strictEqual(listed.body.data.length, 2);
+  assert.strictEqual(listed.body.data[0].secret, undefined, 'secrets are not listed');
+
+  console.log('Delivering signed events...');
+  await transfer(10).expect(201);
+  await transfer(1000).expect(400);
+  assert.deepStrictEqual(await deliver(), { attempted: 1, delivered: 1, failed: 0 }, 'a failed transfer queues nothing');
+
+  const [transferEvent] = received('transfer.completed');
+  assert.ok(verifySignature(secret, transferEvent), 'signed with the subscription secret');
+  const body = JSON.parse(transferEvent.body);
+  assert.strictEqual(body.type, 'transfer.completed');
+  assert.strictEqual(transferEvent.headers['x-webhook-id'], body.id);
+  assert.ok(await dbAsync.get('SELECT 1 FROM outbox_events WHERE id = ?', [body.id]), 'the webhook event keeps the domain event ID');
+  assert.strictEqual(body.data.amount, 10);
+  assert.strictEqual(body.data.fromUsername, 'alice');
+  assert.strictEqual(body.data.toWalletId, bob.id);
+
+  await request(app)
+    .post('/api/third-party/payments')
+    .set('Authorization', alice.auth)
+    .set('X-Merchant-Key', shopKey)
+    .send({ walletId: alice.id, amount: 10 })
+    .expect(201);
+  await request(app)
+    .post('/api/third-party/receipts')
+    .set('X-Merchant-Key', shopKey)
+    .send({ walletId: bob.id, amount: 5 })
+    .expect(201);
+  await cdkService.addCdk({ key: 'HOOK-TEST-CODE-0000-0000-0001', amount: 3 });
+  await cdkService.redeemCdk('HOOK-TEST-CODE-0000-0000-0001', 'bob');
+  const period = monthsAgo(1);
+  await backdateToPeriod(period);
+  await new InterestService().processMonthlyInterest(period);
+  await deliver();
+
+  const payments = received('payment.succeeded');
+  assert.deepStrictEqual(payments.map(item => item.path), ['/all'], "another merchant's subscription gets nothing");
+  assert.strictEqual(JSON.parse(payments[0].body).data.feeAmount, 1);
+  assert.strictEqual(JSON.parse(payments[0].body).data.merchantId, 'shop');
+  assert.strictEqual(JSON.parse(received('receipt.credited')[0].body).data.amount, 5);
+  assert.strictEqual(JSON.parse(received('cdk.redeemed')[0].body).data.keyPrefix, 'HOOK-TES');
+  const interest = received('interest.posted').map(item => JSON.parse(item.body).data);
+  assert.ok(interest.length > 0);
+  assert.ok(interest.every(data => data.period === period));
+
+  console.log('Retrying failed deliveries and moving them to the dead letters...');
+  receiver.status = 500;
+  await transfer(1).expect(201);
+  assert.deepStrictEqual(await deliver(), { attempted: 1, delivered: 0, failed: 1 });
+  let [pending] = (await webhooks('get', '/deliveries?status=PENDING')).body.data;
+  assert.strictEqual(pending.attempts, 1);
+  assert.strictEqual(pending.lastStatusCode, 500);
+  assert.ok(new Date(pending.nextAttemptAt) > new Date(), 'retried later');
+  assert.deepStrictEqual(await webhookService.deliverDue(), { attempted: 0, delivered: 0, failed: 0 });
+
+  await dbAsync.run('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), pending.id]);
+  await webhookService.deliverDue();
+  const dead = await webhooks('get', '/deliveries?status=DEAD');
+  assert.deepStrictEqual(dead.body.data.map(item => [item.id, item.attempts, item.nextAttemptAt]), [[pending.id, 2, null]]);
+  assert.strictEqual((await webhooks('get', `/${subscriptionId}`)).status, 200);
+  assert.strictEqual((await webhooks('get')).body.data[0].deadDeliveries, 1);
+  await webhooks('get', '/deliveries?status=LOST').expect(400);
+
+  console.log('Redelivering a dead letter with a rotated secret...');
+  const rotated = await webhooks('post', `/${subscriptionId}/secret`);
+  assert.strictEqual(rotated.status, 200);
+  assert.notStrictEqual(rotated.body.data.secret, secret);
+  secret = rotated.body.data.secret;
+  receiver.status = 204;
+  const redelivered = await webhooks('post', `/deliveries/${pending.id}/redeliver`);
+  assert.strictEqual(redelivered.status, 200);
+  assert.strictEqual(redelivered.body.data.status, 'DELIVERED');
+  assert.strictEqual(redelivered.body.data.attempts, 1);
+  const last = receiver.requests[receiver.requests.length - 1];
+  assert.strictEqual(last.headers['x-webhook-delivery'], pending.id);
+  assert.ok(verifySignature(secret, last));
+  await webhooks('post', '/deliveries/missing/redeliver').expect(404);
+
+  console.log('Disabling and deleting subscriptions...');
+  await webhooks('put', `/${subscriptionId}`).send({ status: 'PAUSED' }).expect(400);
+  await webhooks('put', `/${subscriptionId}`).send({ status: 'DISABLED' }).expect(200);
+  await transfer(1).expect(201);
+  await eventBus.dispatch();
+  assert.strictEqual((await webhooks('get', '/deliveries?status=PENDING')).body.data.length, 0);
+  await webhooks('delete', `/${subscriptionId}`).expect(200);
+  await webhooks('get', `/${subscriptionId}`).expect(404);
+  assert.strictEqual((await dbAsync.get('SELECT COUNT(*) AS count FROM webhook_deliveries WHERE subscription_id = ?', [subscriptionId])).count, 0);
+
+  console.log('Webhook tests passed');
+}
+
+startReceiver().then(receiver => {
+  runTest('Webhook tests', () => testWebhooks(receiver), () => receiver.server.close());
+});
\ No newline at end of file
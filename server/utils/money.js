@@ -0,0 +1,99 @@
+/**
+ * Money Utilities
+ * Balances and amounts are stored as integer minor units (cents) so that
+ * arithmetic on them is exact. The API keeps speaking major units (e.g. 12.34);
+ * convert at the edges with toMinorUnits / fromMinorUnits.
+ */
+
+// Currency precision: 2 decimal places, 100 minor units per major unit
+const DECIMAL_PLACES = 2;
+const MINOR_UNITS_PER_MAJOR = 10 ** DECIMAL_PLACES;
+
+// Tolerance when deciding whether a major amount has more than 2 decimals
+// (1.1 * 100 is 110.00000000000001 in floating point)
+const PRECISION_EPSILON = 1e-6;
+
+/**
+ * Round half away from zero, so that positive and negative values round symmetrically
+ * @param {number} value - Value to round
+ * @returns {number} Rounded integer
+ */
+const roundHalfAwayFromZero = (value) => {
+  return Math.sign(value) * Math.round(Math.abs(value));
+};
+
+/**
+ * Convert a major-unit amount to integer minor units
+ * @param {number|string} amount - Amount in major units (e.g. 12.34)
+ * @returns {number} Amount in minor units (e.g. 1234)
+ */
+const toMinorUnits = (amount) => {
+  const value = typeof amount === 'string' ? Number(amount) : amount;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new TypeError(`Invalid money amount: ${amount}`);
+  }
+  // toFixed strips floating-point noise such as 0.285 * 100 = 28.499999999999996
+  const scaled = Number((value * MINOR_UNITS_PER_MAJOR).toFixed(6));
+  return roundHalfAwayFromZero(scaled) || 0;
+};
+
+/**
+ * Convert integer minor units to a major-unit amount
+ * @param {number} minorUnits - Amount in minor units
+ * @returns {number} Amount in major units
+ */
+const fromMinorUnits = (minorUnits) => {
+  return Number(minorUnits) / MINOR_UNITS_PER_MAJOR;
+};
+
+/**
+ * Check whether a major-unit amount has at most 2 decimal places
+ * @param {number} amount - Amount in major units
+ * @returns {boolean} True if the amount is representable in minor units
+ */
+const hasValidPrecision = (amount) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return false;
+  }
+  return Math.abs(amount * MINOR_UNITS_PER_MAJOR - toMinorUnits(amount)) < PRECISION_EPSILON;
+};
+
+/**
+ * Check whether a value is a valid minor-unit amount
+ * @param {*} value - Candidate value
+ * @returns {boolean} True for safe integers
+ */
+const isMinorUnits = (value) => {
+  return Number.isSafeInteger(value);
+};
+
+/**
+ * Apply a rate to a minor-unit amount, rounding to whole minor units
+ * @param {number} minorUnits - Amount in minor units
+ * @param {number} rate - Rate (e.g. 0.01 / 12)
+ * @returns {number} Result in minor units
+ */
+const applyRate = (minorUnits, rate) => {
+  return roundHalfAwayFromZero(minorUnits * rate) || 0;
+};
+
+/**
+ * Format minor units as a fixed-point major-unit string (for descriptions and logs)
+ * @param {number} minorUnits - Amount in minor units
+ * @returns {string} Formatted amount, e.g. "12.34"
+ */
+const format = (minorUnits) => {
+  return fromMinorUnits(minorUnits).toFixed(DECIMAL_PLACES);
+};
+
+module.exports = {
+  DECIMAL_PLACES,
+  MINOR_UNITS_PER_MAJOR,
+  toMinorUnits,
+  fromMinorUnits,
+  hasValidPrecision,
+  isMinorUnits,
+  roundHalfAwayFromZero,
+  applyRate,
+  format
+};
\ No newline at end of file